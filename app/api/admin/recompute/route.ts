@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server'
+import { recomputeContentScores } from '../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkWritable, errorResponse, queryFromParams } from '../../../../lib/api'
+import { requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  try {
+    const { searchParams } = new URL(request.url)
+
+    // Check query parameters against the recomputeScores schema
+    const query = queryFromParams('recomputeScores', searchParams)
+    if (query.errors.length > 0) {
+      return errorResponse(validationError(query.errors), requestId)
+    }
+
+    const { dryRun, outdatedOnly } = query.values
+
+    const result = recomputeContentScores({ dryRun, outdatedOnly, actor: actorFromRequest(request) })
+
+    return NextResponse.json({
+      dryRun,
+      outdatedOnly,
+      ...result
+    })
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to recompute scores')
+  }
+}
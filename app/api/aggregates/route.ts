@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server'
+import { getAggregates, getDataVersion } from '../../../lib/database'
+import { checkIncludeDeleted, checkNotModified, contentFiltersFromQuery, dataEtag, errorResponse, queryFromParams, toContentData, withEtag } from '../../../lib/api'
+import { requestIdFromRequest, validationError } from '../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  try {
+    const { searchParams } = new URL(request.url)
+
+    // Same filters as /api/data
+    const query = queryFromParams('getAggregates', searchParams)
+    const { errors: filterErrors, ...filters } = contentFiltersFromQuery(query.values)
+    const errors = [...query.errors, ...filterErrors]
+
+    if (errors.length > 0) {
+      return errorResponse(validationError(errors), requestId)
+    }
+
+    const denied = checkIncludeDeleted(request, query.values)
+    if (denied) {
+      return errorResponse(denied, requestId)
+    }
+
+    const etag = dataEtag(request, await getDataVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const aggregates = await getAggregates(filters)
+
+    return withEtag(NextResponse.json({
+      ...aggregates,
+      topTimeSpent: aggregates.topTimeSpent.map(toContentData),
+      topUpvoted: aggregates.topUpvoted.map(toContentData)
+    }), etag)
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to load aggregates')
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server'
+import { getAuditLog, getRecordVersion } from '../../../lib/database'
+import { checkAdminToken, checkNotModified, dataEtag, errorResponse, queryFromParams, withEtag } from '../../../lib/api'
+import { requestIdFromRequest, validationError } from '../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request)
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  try {
+    const { searchParams } = new URL(request.url)
+
+    // Check query parameters against the getAuditLog schema
+    const query = queryFromParams('getAuditLog', searchParams)
+    if (query.errors.length > 0) {
+      return errorResponse(validationError(query.errors), requestId)
+    }
+
+    const etag = dataEtag(request, getRecordVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const { contentId, action, actor, before, limit } = query.values
+
+    return withEtag(NextResponse.json(getAuditLog({ contentId, action, actor, before, limit })), etag)
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to load audit log')
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server'
+import { restoreContent } from '../../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkWritable, contentIdFromParam, errorResponse, queryFromParams, toContentData } from '../../../../../lib/api'
+import { apiError, requestIdFromRequest, validationError } from '../../../../../lib/errors'
+
+interface RouteContext {
+  params: { id: string }
+}
+
+export async function POST(request: Request, { params }: RouteContext) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) {
+    return errorResponse(validationError([{ field: 'id', message: 'must be a positive integer' }]), requestId)
+  }
+
+  const query = queryFromParams('restoreContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorResponse(validationError(query.errors), requestId)
+  }
+
+  try {
+    // Restoring content that is not deleted returns it unchanged
+    const content = restoreContent(id, { actor: actorFromRequest(request) })
+    return content
+      ? NextResponse.json(toContentData(content))
+      : errorResponse(apiError('not_found', 'Content not found'), requestId)
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to restore content')
+  }
+}
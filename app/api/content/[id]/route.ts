@@ -0,0 +1,107 @@
+import { NextResponse } from 'next/server'
+import { getContentById, updateContent, deleteContent, getRecordVersion } from '../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkIncludeDeleted, checkNotModified, checkWritable, contentIdFromParam, contentWriteError, dataEtag, errorResponse, queryFromParams, toContentData, withEtag } from '../../../../lib/api'
+import { apiError, requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+interface RouteContext {
+  params: { id: string }
+}
+
+const invalidId = () => validationError([{ field: 'id', message: 'must be a positive integer' }])
+
+const notFound = () => apiError('not_found', 'Content not found')
+
+export async function GET(request: Request, { params }: RouteContext) {
+  const requestId = requestIdFromRequest(request)
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) return errorResponse(invalidId(), requestId)
+
+  const query = queryFromParams('getContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) return errorResponse(validationError(query.errors), requestId)
+
+  const denied = checkIncludeDeleted(request, query.values)
+  if (denied) return errorResponse(denied, requestId)
+
+  try {
+    const etag = dataEtag(request, getRecordVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const content = getContentById(id, { includeDeleted: query.values.includeDeleted })
+    return content ? withEtag(NextResponse.json(toContentData(content)), etag) : errorResponse(notFound(), requestId)
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to load content item')
+  }
+}
+
+// PUT replaces the whole record; PATCH only changes the fields it sends
+async function update(request: Request, params: RouteContext['params'], partial: boolean) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) return errorResponse(invalidId(), requestId)
+
+  const query = queryFromParams(partial ? 'updateContent' : 'replaceContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) return errorResponse(validationError(query.errors), requestId)
+
+  let payload
+  try {
+    payload = await request.json()
+  } catch (error) {
+    return errorResponse(apiError('validation_failed', 'Request body must be valid JSON'), requestId)
+  }
+
+  try {
+    const result = updateContent(id, payload, { partial, actor: actorFromRequest(request) })
+
+    if (!result) return errorResponse(notFound(), requestId)
+
+    // Invalid fields are a 400; a URL that is already in use is a conflict
+    if ('errors' in result) {
+      return errorResponse(contentWriteError(result), requestId)
+    }
+
+    return NextResponse.json(toContentData(result.content))
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to update content')
+  }
+}
+
+export async function PUT(request: Request, { params }: RouteContext) {
+  return update(request, params, false)
+}
+
+export async function PATCH(request: Request, { params }: RouteContext) {
+  return update(request, params, true)
+}
+
+export async function DELETE(request: Request, { params }: RouteContext) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) return errorResponse(invalidId(), requestId)
+
+  const query = queryFromParams('deleteContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) return errorResponse(validationError(query.errors), requestId)
+
+  try {
+    return deleteContent(id, { actor: actorFromRequest(request) })
+      ? new NextResponse(null, { status: 204 })
+      : errorResponse(notFound(), requestId)
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to delete content')
+  }
+}
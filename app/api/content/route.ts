@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server'
+import { createContent } from '../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkWritable, contentWriteError, errorResponse, queryFromParams, toContentData } from '../../../lib/api'
+import { apiError, requestIdFromRequest, validationError } from '../../../lib/errors'
+
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  const query = queryFromParams('createContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorResponse(validationError(query.errors), requestId)
+  }
+
+  let payload
+  try {
+    payload = await request.json()
+  } catch (error) {
+    return errorResponse(apiError('validation_failed', 'Request body must be valid JSON'), requestId)
+  }
+
+  try {
+    const result = createContent(payload, { actor: actorFromRequest(request) })
+
+    // Invalid fields are a 400; a URL that is already in use is a conflict
+    if ('errors' in result) {
+      return errorResponse(contentWriteError(result), requestId)
+    }
+
+    return NextResponse.json(toContentData(result.content), { status: 201 })
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to create content')
+  }
+}
@@ -1,59 +1,56 @@
 import { NextResponse } from 'next/server'
-import { getAllContent, searchContent, getContentStats, getCategories, getSources } from '../../../lib/database'
+import { getAllContent, searchContent, getDataVersion } from '../../../lib/database'
+import { checkIncludeDeleted, checkNotModified, contentFiltersFromQuery, dataEtag, errorResponse, pageFromQuery, queryFromParams, toContentData, withEtag } from '../../../lib/api'
+import { requestIdFromRequest, validationError } from '../../../lib/errors'
 
 export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
   try {
     const { searchParams } = new URL(request.url)
-    
-    // Extract query parameters
-    const search = searchParams.get('search') || ''
-    const category = searchParams.get('category') || 'All'
-    const source = searchParams.get('source') || 'All'
-    const contentType = searchParams.get('contentType') || ''
-    const difficultyLevel = searchParams.get('difficultyLevel') || ''
-    const limit = searchParams.get('limit') ? parseInt(searchParams.get('limit')!) : undefined
-    const offset = searchParams.get('offset') ? parseInt(searchParams.get('offset')!) : undefined
-    
+
+    // Check query parameters against the listContent schema
+    const query = queryFromParams('listContent', searchParams)
+    if (query.errors.length > 0) {
+      return errorResponse(validationError(query.errors), requestId)
+    }
+
+    const denied = checkIncludeDeleted(request, query.values)
+    if (denied) {
+      return errorResponse(denied, requestId)
+    }
+
+    const { search, errors: filterErrors, ...contentFilters } = contentFiltersFromQuery(query.values)
+    const { errors: pageErrors, ...page } = pageFromQuery(query.values, Boolean(search))
+
+    if (filterErrors.length > 0 || pageErrors.length > 0) {
+      return errorResponse(validationError([...filterErrors, ...pageErrors]), requestId)
+    }
+
+    const etag = dataEtag(request, await getDataVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
     // Prepare filters
     const filters = {
-      category,
-      source,
-      contentType: contentType || undefined,
-      difficultyLevel: difficultyLevel || undefined,
-      limit,
-      offset
+      ...contentFilters,
+      ...page
     }
-    
-    let data
-    
+
     // Search or get all content based on search query
-    if (search.trim()) {
-      data = searchContent(search, filters)
-    } else {
-      data = getAllContent(filters)
-    }
-    
+    const result = search
+      ? await searchContent(search, filters)
+      : await getAllContent(filters)
+
     // Transform data to match frontend expectations
-    const transformedData = data.map(item => ({
-      Category: item.category,
-      URL: item.url,
-      Source: item.source,
-      Time_Spent_Minutes: item.time_spent_minutes,
-      Upvotes: item.upvotes,
-      Views: item.views,
-      Engagement_Score: item.engagement_score,
-      Content_Type: item.content_type,
-      Difficulty_Level: item.difficulty_level,
-      Trending_Score: item.trending_score,
-      id: item.id,
-      created_at: item.created_at,
-      updated_at: item.updated_at
-    }))
-    
-    return NextResponse.json(transformedData)
+    return withEtag(NextResponse.json({
+      items: result.items.map(toContentData),
+      nextCursor: result.nextCursor,
+      total: result.total
+    }), etag)
   } catch (error) {
-    console.error('Error fetching data from database:', error)
-    return NextResponse.json({ error: 'Failed to load data from database' }, { status: 500 })
+    return errorResponse(error, requestId, 'Failed to load data from database')
   }
 }
-
@@ -0,0 +1,34 @@
+import { executeGraphql, graphqlErrorResponse, graphqlResponse, graphqlSchemaSdl } from '../../../lib/graphql-schema'
+import { apiError, requestIdFromRequest } from '../../../lib/errors'
+
+// Queries over content, categories, sources and grouped metrics, within the
+// depth and cost limits of lib/graphql-schema.js
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  let body
+  try {
+    body = await request.json()
+  } catch (error) {
+    return graphqlErrorResponse(apiError('validation_failed', 'Request body must be valid JSON'), requestId)
+  }
+
+  try {
+    return graphqlResponse(await executeGraphql(body, { requestId }), requestId)
+  } catch (error) {
+    return graphqlErrorResponse(error, requestId, 'Failed to run GraphQL query')
+  }
+}
+
+// The schema as SDL, for clients and code generators
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  try {
+    return new Response(graphqlSchemaSdl(), {
+      headers: { 'Content-Type': 'text/plain; charset=utf-8', 'X-Request-Id': requestId }
+    })
+  } catch (error) {
+    return graphqlErrorResponse(error, requestId, 'Failed to print GraphQL schema')
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server'
+import { confirmImport } from '../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkWritable, errorResponse, queryFromParams } from '../../../../lib/api'
+import { apiError, requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  const query = queryFromParams('confirmImport', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorResponse(validationError(query.errors), requestId)
+  }
+
+  let body
+  try {
+    body = await request.json()
+  } catch (error) {
+    return errorResponse(apiError('validation_failed', 'Request body must be valid JSON'), requestId)
+  }
+
+  if (!body || typeof body.token !== 'string' || body.token === '') {
+    return errorResponse(validationError([{ field: 'token', message: 'is required' }]), requestId)
+  }
+
+  try {
+    const result = confirmImport(body.token, { actor: actorFromRequest(request) })
+
+    if (!result) {
+      return errorResponse(apiError('not_found', 'Preview not found or expired; upload the file again'), requestId)
+    }
+
+    if ('stale' in result) {
+      return errorResponse(apiError('conflict', 'The data changed since the preview; upload the file again'), requestId)
+    }
+
+    return NextResponse.json(result.summary)
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to confirm import')
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server'
+import { previewImport } from '../../../lib/database'
+import { checkAdminToken, checkWritable, errorResponse, queryFromParams, readUpload } from '../../../lib/api'
+import { apiError, requestIdFromRequest, validationError } from '../../../lib/errors'
+import { parseUpload } from '../../../lib/import-previews'
+import { checkRateLimit } from '../../../lib/rate-limit'
+
+// Previews an upload; nothing is written until the token is confirmed at /api/import/confirm
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable() || checkRateLimit(request, 'import')
+  if (denied) {
+    return errorResponse(denied, requestId)
+  }
+
+  const query = queryFromParams('previewImport', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorResponse(validationError(query.errors), requestId)
+  }
+
+  try {
+    // Refused uploads throw their own error codes
+    const upload = await readUpload(request)
+
+    const parsed = parseUpload(upload.text, upload.format)
+    if ('error' in parsed) {
+      return errorResponse(apiError('validation_failed', parsed.error), requestId)
+    }
+
+    const preview = previewImport(parsed.input, { markRemoved: query.values.markRemoved, maxErrorRate: query.values.maxErrorRate })
+
+    return NextResponse.json({ format: upload.format, ...preview })
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to preview import')
+  }
+}
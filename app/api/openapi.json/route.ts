@@ -0,0 +1,13 @@
+import { NextResponse } from 'next/server'
+import { buildOpenApiDocument } from '../../../lib/openapi'
+import { errorResponse } from '../../../lib/api'
+import { requestIdFromRequest } from '../../../lib/errors'
+
+// OpenAPI document of the deprecated routes, built from OPERATIONS in lib/schemas.js
+export async function GET(request: Request) {
+  try {
+    return NextResponse.json(buildOpenApiDocument())
+  } catch (error) {
+    return errorResponse(error, requestIdFromRequest(request), 'Failed to build OpenAPI document')
+  }
+}
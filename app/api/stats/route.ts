@@ -1,21 +1,37 @@
 import { NextResponse } from 'next/server'
-import { getContentStats, getCategories, getSources } from '../../../lib/database'
+import { getContentStats, getCategories, getTags, getSources, getDataVersion } from '../../../lib/database'
+import { checkNotModified, dataEtag, errorResponse, queryFromParams, withEtag } from '../../../lib/api'
+import { requestIdFromRequest, validationError } from '../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
 
-export async function GET() {
   try {
-    const [stats, categories, sources] = await Promise.all([
+    const query = queryFromParams('getStats', new URL(request.url).searchParams)
+    if (query.errors.length > 0) {
+      return errorResponse(validationError(query.errors), requestId)
+    }
+
+    const etag = dataEtag(request, await getDataVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const [stats, categories, tags, sources] = await Promise.all([
       getContentStats(),
       getCategories(),
+      getTags(),
       getSources()
     ])
     
-    return NextResponse.json({
+    return withEtag(NextResponse.json({
       stats,
       categories,
+      tags,
       sources
-    })
+    }), etag)
   } catch (error) {
-    console.error('Error fetching statistics:', error)
-    return NextResponse.json({ error: 'Failed to load statistics' }, { status: 500 })
+    return errorResponse(error, requestId, 'Failed to load statistics')
   }
 }
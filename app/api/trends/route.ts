@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server'
+import { getMetricsTrends, getRecordVersion } from '../../../lib/database'
+import { checkNotModified, dataEtag, errorResponse, queryFromParams, withEtag } from '../../../lib/api'
+import { requestIdFromRequest, validationError } from '../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  try {
+    const { searchParams } = new URL(request.url)
+
+    // Check query parameters against the getTrends schema
+    const query = queryFromParams('getTrends', searchParams)
+    if (query.errors.length > 0) {
+      return errorResponse(validationError(query.errors), requestId)
+    }
+
+    const etag = dataEtag(request, getRecordVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const { groupBy, interval, category = 'All', source = 'All', tag, contentId, from, to } = query.values
+
+    const series = getMetricsTrends({ groupBy, interval, category, source, tag, contentId, from, to })
+
+    return withEtag(NextResponse.json({
+      groupBy,
+      interval,
+      series
+    }), etag)
+  } catch (error) {
+    return errorResponse(error, requestId, 'Failed to load trends from database')
+  }
+}
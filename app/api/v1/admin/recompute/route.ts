@@ -0,0 +1,28 @@
+import { recomputeContentScores } from '../../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkWritable } from '../../../../../lib/api'
+import { camelCaseKeys, dataResponse, errorEnvelopeResponse, parseV1Query } from '../../../../../lib/api-v1'
+import { requestIdFromRequest, validationError } from '../../../../../lib/errors'
+
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  try {
+    const query = parseV1Query('recomputeScores', new URL(request.url).searchParams)
+    if (query.errors.length > 0) {
+      return errorEnvelopeResponse(validationError(query.errors), requestId)
+    }
+
+    const { dryRun, outdatedOnly } = query.values
+
+    const result = recomputeContentScores({ dryRun, outdatedOnly, actor: actorFromRequest(request) })
+
+    return dataResponse(camelCaseKeys({ dryRun, outdatedOnly, ...result }), requestId)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to recompute scores')
+  }
+}
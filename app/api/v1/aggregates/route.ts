@@ -0,0 +1,40 @@
+import { getAggregates, getDataVersion } from '../../../../lib/database'
+import { checkIncludeDeleted, checkNotModified, contentFiltersFromQuery, dataEtag, withEtag } from '../../../../lib/api'
+import { dataResponse, errorEnvelopeResponse, parseV1Query, toContent } from '../../../../lib/api-v1'
+import { requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  try {
+    // Same filters as /api/v1/content
+    const query = parseV1Query('getAggregates', new URL(request.url).searchParams)
+    const { errors: filterErrors, ...filters } = contentFiltersFromQuery(query.values)
+    const errors = [...query.errors, ...filterErrors]
+
+    if (errors.length > 0) {
+      return errorEnvelopeResponse(validationError(errors), requestId)
+    }
+
+    const denied = checkIncludeDeleted(request, query.values)
+    if (denied) {
+      return errorEnvelopeResponse(denied, requestId)
+    }
+
+    const etag = dataEtag(request, await getDataVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const aggregates = await getAggregates(filters)
+
+    return withEtag(dataResponse({
+      ...aggregates,
+      topTimeSpent: aggregates.topTimeSpent.map(toContent),
+      topUpvoted: aggregates.topUpvoted.map(toContent)
+    }, requestId), etag)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to load aggregates')
+  }
+}
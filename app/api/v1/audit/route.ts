@@ -0,0 +1,40 @@
+import { getAuditLog, getRecordVersion } from '../../../../lib/database'
+import { checkAdminToken, checkNotModified, dataEtag, withEtag } from '../../../../lib/api'
+import { dataResponse, errorEnvelopeResponse, paginationMeta, parseV1Query, toAuditEntry } from '../../../../lib/api-v1'
+import { requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request)
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  try {
+    const query = parseV1Query('getAuditLog', new URL(request.url).searchParams)
+    const { contentId, action, actor, cursor, limit } = query.values
+
+    // The cursor is the id of the last entry seen, as the deprecated route's `before`
+    const errors = cursor !== undefined && !/^[1-9]\d*$/.test(cursor)
+      ? [...query.errors, { field: 'cursor', message: 'is not valid for this query' }]
+      : query.errors
+    if (errors.length > 0) {
+      return errorEnvelopeResponse(validationError(errors), requestId)
+    }
+
+    const etag = dataEtag(request, getRecordVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const page = getAuditLog({ contentId, action, actor, before: cursor && Number(cursor), limit })
+
+    return withEtag(dataResponse(page.entries.map(toAuditEntry), requestId, {
+      pagination: paginationMeta(limit, page.nextBefore)
+    }), etag)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to load audit log')
+  }
+}
@@ -0,0 +1,37 @@
+import { restoreContent } from '../../../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkWritable, contentIdFromParam } from '../../../../../../lib/api'
+import { dataResponse, errorEnvelopeResponse, parseV1Query, toContent } from '../../../../../../lib/api-v1'
+import { apiError, requestIdFromRequest, validationError } from '../../../../../../lib/errors'
+
+interface RouteContext {
+  params: { id: string }
+}
+
+export async function POST(request: Request, { params }: RouteContext) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) {
+    return errorEnvelopeResponse(validationError([{ field: 'id', message: 'must be a positive integer' }]), requestId)
+  }
+
+  const query = parseV1Query('restoreContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorEnvelopeResponse(validationError(query.errors), requestId)
+  }
+
+  try {
+    // Restoring content that is not deleted returns it unchanged
+    const content = restoreContent(id, { actor: actorFromRequest(request) })
+    return content
+      ? dataResponse(toContent(content), requestId)
+      : errorEnvelopeResponse(apiError('not_found', 'Content not found'), requestId)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to restore content')
+  }
+}
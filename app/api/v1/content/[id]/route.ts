@@ -0,0 +1,111 @@
+import { NextResponse } from 'next/server'
+import { getContentById, updateContent, deleteContent, getRecordVersion } from '../../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkIncludeDeleted, checkNotModified, checkWritable, contentIdFromParam, contentWriteError, dataEtag, withEtag } from '../../../../../lib/api'
+import { contentPayloadFromInput, dataResponse, errorEnvelopeResponse, parseV1Query, toContent, toFieldErrors } from '../../../../../lib/api-v1'
+import { apiError, requestIdFromRequest, validationError } from '../../../../../lib/errors'
+
+interface RouteContext {
+  params: { id: string }
+}
+
+const invalidId = () => validationError([{ field: 'id', message: 'must be a positive integer' }])
+
+const notFound = () => apiError('not_found', 'Content not found')
+
+export async function GET(request: Request, { params }: RouteContext) {
+  const requestId = requestIdFromRequest(request)
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) return errorEnvelopeResponse(invalidId(), requestId)
+
+  const query = parseV1Query('getContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) return errorEnvelopeResponse(validationError(query.errors), requestId)
+
+  const denied = checkIncludeDeleted(request, query.values)
+  if (denied) return errorEnvelopeResponse(denied, requestId)
+
+  try {
+    const etag = dataEtag(request, getRecordVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const content = getContentById(id, { includeDeleted: query.values.includeDeleted })
+    return content ? withEtag(dataResponse(toContent(content), requestId), etag) : errorEnvelopeResponse(notFound(), requestId)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to load content item')
+  }
+}
+
+// PUT replaces the whole record; PATCH only changes the fields it sends
+async function update(request: Request, params: RouteContext['params'], partial: boolean) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) return errorEnvelopeResponse(invalidId(), requestId)
+
+  const query = parseV1Query(partial ? 'updateContent' : 'replaceContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) return errorEnvelopeResponse(validationError(query.errors), requestId)
+
+  let input
+  try {
+    input = await request.json()
+  } catch (error) {
+    return errorEnvelopeResponse(apiError('validation_failed', 'Request body must be valid JSON'), requestId)
+  }
+
+  const { payload, errors } = contentPayloadFromInput(input)
+  if (errors.length > 0) return errorEnvelopeResponse(validationError(errors), requestId)
+
+  try {
+    const result = updateContent(id, payload, { partial, actor: actorFromRequest(request) })
+
+    if (!result) return errorEnvelopeResponse(notFound(), requestId)
+
+    // Invalid fields are a 400; a URL that is already in use is a conflict
+    if ('errors' in result) {
+      return errorEnvelopeResponse(contentWriteError({ ...result, errors: toFieldErrors(result.errors) }), requestId)
+    }
+
+    return dataResponse(toContent(result.content), requestId)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to update content')
+  }
+}
+
+export async function PUT(request: Request, { params }: RouteContext) {
+  return update(request, params, false)
+}
+
+export async function PATCH(request: Request, { params }: RouteContext) {
+  return update(request, params, true)
+}
+
+export async function DELETE(request: Request, { params }: RouteContext) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  const id = contentIdFromParam(params.id)
+  if (id === null) return errorEnvelopeResponse(invalidId(), requestId)
+
+  const query = parseV1Query('deleteContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) return errorEnvelopeResponse(validationError(query.errors), requestId)
+
+  try {
+    return deleteContent(id, { actor: actorFromRequest(request) })
+      ? new NextResponse(null, { status: 204, headers: { 'X-Request-Id': requestId } })
+      : errorEnvelopeResponse(notFound(), requestId)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to delete content')
+  }
+}
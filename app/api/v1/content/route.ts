@@ -0,0 +1,83 @@
+import { getAllContent, searchContent, createContent, getDataVersion } from '../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkIncludeDeleted, checkNotModified, checkWritable, contentFiltersFromQuery, contentWriteError, dataEtag, pageFromQuery, withEtag } from '../../../../lib/api'
+import { contentPayloadFromInput, dataResponse, errorEnvelopeResponse, paginationMeta, parseV1Query, toContent, toFieldErrors } from '../../../../lib/api-v1'
+import { apiError, requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  try {
+    const query = parseV1Query('listContent', new URL(request.url).searchParams)
+    if (query.errors.length > 0) {
+      return errorEnvelopeResponse(validationError(query.errors), requestId)
+    }
+
+    const denied = checkIncludeDeleted(request, query.values)
+    if (denied) {
+      return errorEnvelopeResponse(denied, requestId)
+    }
+
+    const { search, errors: filterErrors, ...contentFilters } = contentFiltersFromQuery(query.values)
+    const { errors: pageErrors, ...page } = pageFromQuery(query.values, Boolean(search))
+
+    if (filterErrors.length > 0 || pageErrors.length > 0) {
+      return errorEnvelopeResponse(validationError([...filterErrors, ...pageErrors]), requestId)
+    }
+
+    const etag = dataEtag(request, await getDataVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const filters = { ...contentFilters, ...page }
+    const result = search
+      ? await searchContent(search, filters)
+      : await getAllContent(filters)
+
+    return withEtag(dataResponse(result.items.map(toContent), requestId, {
+      pagination: paginationMeta(query.values.limit, result.nextCursor, result.total)
+    }), etag)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to load content')
+  }
+}
+
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  const query = parseV1Query('createContent', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorEnvelopeResponse(validationError(query.errors), requestId)
+  }
+
+  let input
+  try {
+    input = await request.json()
+  } catch (error) {
+    return errorEnvelopeResponse(apiError('validation_failed', 'Request body must be valid JSON'), requestId)
+  }
+
+  const { payload, errors } = contentPayloadFromInput(input)
+  if (errors.length > 0) {
+    return errorEnvelopeResponse(validationError(errors), requestId)
+  }
+
+  try {
+    const result = createContent(payload, { actor: actorFromRequest(request) })
+
+    // Invalid fields are a 400; a URL that is already in use is a conflict
+    if ('errors' in result) {
+      return errorEnvelopeResponse(contentWriteError({ ...result, errors: toFieldErrors(result.errors) }), requestId)
+    }
+
+    return dataResponse(toContent(result.content), requestId, {}, 201)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to create content')
+  }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server'
+import { getAggregates, getExportPage } from '../../../../lib/database'
+import { checkIncludeDeleted, contentFiltersFromQuery, pageFromQuery, toContentData } from '../../../../lib/api'
+import { errorEnvelopeResponse, parseV1Query } from '../../../../lib/api-v1'
+import { EXPORT_FORMATS, AGGREGATE_FORMATS, createExportStream } from '../../../../lib/export'
+import { requestIdFromRequest, validationError } from '../../../../lib/errors'
+import { checkRateLimit } from '../../../../lib/rate-limit'
+
+type ExportFormat = keyof typeof EXPORT_FORMATS
+
+// Files keep the columns of enhanced_fashion_data.csv so a CSV export can be imported again
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  // Exports read every matching row, so each client gets a few per minute
+  const limited = checkRateLimit(request, 'export')
+  if (limited) {
+    return errorEnvelopeResponse(limited, requestId)
+  }
+
+  try {
+    // Same filters and sorting as /api/v1/content; every matching row is exported
+    const query = parseV1Query('exportContent', new URL(request.url).searchParams)
+    if (query.errors.length > 0) {
+      return errorEnvelopeResponse(validationError(query.errors), requestId)
+    }
+
+    const denied = checkIncludeDeleted(request, query.values)
+    if (denied) {
+      return errorEnvelopeResponse(denied, requestId)
+    }
+
+    const { search, errors: filterErrors, ...contentFilters } = contentFiltersFromQuery(query.values)
+    const { sortBy, sortDir, errors: sortErrors } = pageFromQuery(query.values, Boolean(search))
+    const { format, aggregates: includeAggregates } = query.values
+
+    if (filterErrors.length > 0 || sortErrors.length > 0) {
+      return errorEnvelopeResponse(validationError([...filterErrors, ...sortErrors]), requestId)
+    }
+
+    if (includeAggregates && !AGGREGATE_FORMATS.includes(format)) {
+      const errors = [{ field: 'aggregates', message: `are only available in ${AGGREGATE_FORMATS.join(' and ')} exports` }]
+      return errorEnvelopeResponse(validationError(errors), requestId)
+    }
+
+    const filters = { ...contentFilters, sortBy, sortDir }
+    const aggregates = includeAggregates ? await getAggregates({ search, ...contentFilters }) : undefined
+
+    const fetchPage = async (page: { limit: number, cursor?: string }) => {
+      const result = await getExportPage(search, { ...filters, ...page })
+      return { items: result.items.map(toContentData), nextCursor: result.nextCursor }
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format as ExportFormat]
+    const date = new Date().toISOString().slice(0, 10)
+
+    return new NextResponse(createExportStream(format, fetchPage, { aggregates }), {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="fashion-content-${date}.${extension}"`,
+        'Cache-Control': 'no-store',
+        'X-Request-Id': requestId
+      }
+    })
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to export content')
+  }
+}
@@ -0,0 +1,45 @@
+import { confirmImport } from '../../../../../lib/database'
+import { actorFromRequest, checkAdminToken, checkWritable } from '../../../../../lib/api'
+import { dataResponse, errorEnvelopeResponse, parseV1Query } from '../../../../../lib/api-v1'
+import { apiError, requestIdFromRequest, validationError } from '../../../../../lib/errors'
+
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable()
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  const query = parseV1Query('confirmImport', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorEnvelopeResponse(validationError(query.errors), requestId)
+  }
+
+  let body
+  try {
+    body = await request.json()
+  } catch (error) {
+    return errorEnvelopeResponse(apiError('validation_failed', 'Request body must be valid JSON'), requestId)
+  }
+
+  if (!body || typeof body.token !== 'string' || body.token === '') {
+    return errorEnvelopeResponse(validationError([{ field: 'token', message: 'is required' }]), requestId)
+  }
+
+  try {
+    const result = confirmImport(body.token, { actor: actorFromRequest(request) })
+
+    if (!result) {
+      return errorEnvelopeResponse(apiError('not_found', 'Preview not found or expired; upload the file again'), requestId)
+    }
+
+    if ('stale' in result) {
+      return errorEnvelopeResponse(apiError('conflict', 'The data changed since the preview; upload the file again'), requestId)
+    }
+
+    return dataResponse(result.summary, requestId)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to confirm import')
+  }
+}
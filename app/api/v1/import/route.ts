@@ -0,0 +1,37 @@
+import { previewImport } from '../../../../lib/database'
+import { checkAdminToken, checkWritable, readUpload } from '../../../../lib/api'
+import { dataResponse, errorEnvelopeResponse, parseV1Query, toImportPreview } from '../../../../lib/api-v1'
+import { apiError, requestIdFromRequest, validationError } from '../../../../lib/errors'
+import { parseUpload } from '../../../../lib/import-previews'
+import { checkRateLimit } from '../../../../lib/rate-limit'
+
+// Previews an upload; nothing is written until the token is confirmed at /api/v1/import/confirm
+export async function POST(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  const denied = checkAdminToken(request) || checkWritable() || checkRateLimit(request, 'import')
+  if (denied) {
+    return errorEnvelopeResponse(denied, requestId)
+  }
+
+  const query = parseV1Query('previewImport', new URL(request.url).searchParams)
+  if (query.errors.length > 0) {
+    return errorEnvelopeResponse(validationError(query.errors), requestId)
+  }
+
+  try {
+    // Refused uploads throw their own error codes
+    const upload = await readUpload(request)
+
+    const parsed = parseUpload(upload.text, upload.format)
+    if ('error' in parsed) {
+      return errorEnvelopeResponse(apiError('validation_failed', parsed.error), requestId)
+    }
+
+    const preview = previewImport(parsed.input, { markRemoved: query.values.markRemoved, maxErrorRate: query.values.maxErrorRate })
+
+    return dataResponse(toImportPreview({ format: upload.format, ...preview }), requestId)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to preview import')
+  }
+}
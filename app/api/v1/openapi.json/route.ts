@@ -0,0 +1,13 @@
+import { NextResponse } from 'next/server'
+import { buildV1OpenApiDocument } from '../../../../lib/openapi'
+import { errorEnvelopeResponse } from '../../../../lib/api-v1'
+import { requestIdFromRequest } from '../../../../lib/errors'
+
+// OpenAPI document of the v1 routes, built from V1_OPERATIONS in lib/schemas.js
+export async function GET(request: Request) {
+  try {
+    return NextResponse.json(buildV1OpenApiDocument())
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestIdFromRequest(request), 'Failed to build OpenAPI document')
+  }
+}
@@ -0,0 +1,32 @@
+import { getContentStats, getCategories, getTags, getSources, getDataVersion } from '../../../../lib/database'
+import { checkNotModified, dataEtag, withEtag } from '../../../../lib/api'
+import { dataResponse, errorEnvelopeResponse, parseV1Query } from '../../../../lib/api-v1'
+import { requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  try {
+    const query = parseV1Query('getStats', new URL(request.url).searchParams)
+    if (query.errors.length > 0) {
+      return errorEnvelopeResponse(validationError(query.errors), requestId)
+    }
+
+    const etag = dataEtag(request, await getDataVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const [totals, categories, tags, sources] = await Promise.all([
+      getContentStats(),
+      getCategories(),
+      getTags(),
+      getSources()
+    ])
+
+    return withEtag(dataResponse({ totals, categories, tags, sources }, requestId), etag)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to load statistics')
+  }
+}
@@ -0,0 +1,29 @@
+import { getMetricsTrends, getRecordVersion } from '../../../../lib/database'
+import { checkNotModified, dataEtag, withEtag } from '../../../../lib/api'
+import { dataResponse, errorEnvelopeResponse, parseV1Query } from '../../../../lib/api-v1'
+import { requestIdFromRequest, validationError } from '../../../../lib/errors'
+
+export async function GET(request: Request) {
+  const requestId = requestIdFromRequest(request)
+
+  try {
+    const query = parseV1Query('getTrends', new URL(request.url).searchParams)
+    if (query.errors.length > 0) {
+      return errorEnvelopeResponse(validationError(query.errors), requestId)
+    }
+
+    const etag = dataEtag(request, getRecordVersion())
+    const notModified = checkNotModified(request, etag, requestId)
+    if (notModified) {
+      return notModified
+    }
+
+    const { groupBy, interval, category = 'All', source = 'All', tag, contentId, from, to } = query.values
+
+    const series = getMetricsTrends({ groupBy, interval, category, source, tag, contentId, from, to })
+
+    return withEtag(dataResponse(series, requestId, { groupBy, interval }), etag)
+  } catch (error) {
+    return errorEnvelopeResponse(error, requestId, 'Failed to load trends from database')
+  }
+}
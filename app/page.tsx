@@ -25,50 +25,277 @@ import {
   Eye, 
   Filter,
   Download,
-  RefreshCw
+  RefreshCw,
+  ArrowUp,
+  ArrowDown,
+  AlertTriangle
 } from 'lucide-react'
 
+interface HighlightSegment {
+  text: string
+  match: boolean
+}
+
+// Content item of the v1 API
 interface ContentData {
-  Category: string
-  URL: string
-  Source: string
-  Time_Spent_Minutes: number
-  Upvotes: number
-  Views: number
-  Engagement_Score: number
-  Content_Type: string
-  Difficulty_Level: string
-  Trending_Score: number
+  id: number
+  category: string
+  url: string
+  source: string
+  contentType: string | null
+  difficultyLevel: string | null
+  timeSpentMinutes: number
+  upvotes: number
+  views: number
+  engagementScore: number
+  trendingScore: number
+  tags: string[]
+  createdAt: string | null
+  highlights?: Record<string, HighlightSegment[]>
+}
+
+// Download formats of /api/v1/export; stats can be included in JSON and XLSX
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', stats: false },
+  { value: 'json', label: 'JSON', stats: true },
+  { value: 'ndjson', label: 'NDJSON', stats: false },
+  { value: 'xlsx', label: 'Excel (XLSX)', stats: true }
+]
+
+interface SortState {
+  sortBy: string
+  sortDir: 'asc' | 'desc'
+}
+
+interface LookupValue {
+  id: number
+  key: string
+  displayName: string
+  sortOrder: number
+  color: string | null
+}
+
+interface GroupMetrics {
+  id: number
+  key: string
+  displayName: string
+  color: string | null
+  count: number
+  avgTimeSpent: number
+  totalUpvotes: number
+  totalViews: number
+}
+
+interface Aggregates {
+  totals: {
+    totalContent: number
+    avgTimeSpent: number
+    totalUpvotes: number
+    totalViews: number
+  }
+  byCategory: GroupMetrics[]
+  byTag: GroupMetrics[]
+  bySource: (GroupMetrics & { percentage: number })[]
+  topTimeSpent: ContentData[]
+  topUpvoted: ContentData[]
+}
+
+const EMPTY_AGGREGATES: Aggregates = {
+  totals: { totalContent: 0, avgTimeSpent: 0, totalUpvotes: 0, totalViews: 0 },
+  byCategory: [],
+  byTag: [],
+  bySource: [],
+  topTimeSpent: [],
+  topUpvoted: []
+}
+
+interface TrendPoint {
+  period: string
+  avgEngagementScore: number
+}
+
+interface TrendSeries {
+  key: string | number
+  label: string
+  points: TrendPoint[]
+}
+
+// The requests behind the dashboard, each of which can fail on its own
+type DataSource = 'metadata' | 'aggregates' | 'content' | 'trends'
+
+const SOURCE_LABELS: Record<DataSource, string> = {
+  metadata: 'Filters',
+  aggregates: 'Summary and charts',
+  content: 'Content table',
+  trends: 'Engagement trends'
+}
+
+// A failed request as shown on the dashboard
+interface LoadError {
+  code: string
+  message: string
+  requestId: string | null
+}
+
+// Dashboard wording for the error codes of the API; other codes show the server's message
+const ERROR_MESSAGES: Record<string, string> = {
+  database_unavailable: 'The database is unavailable right now. Try again in a moment.',
+  schema_outdated: 'The database schema is out of date. Run "npm run db:setup" on the server.',
+  rate_limited: 'Too many requests. Wait a moment, then try again.',
+  not_found: 'The requested data was not found.',
+  internal_error: 'Something went wrong on the server.',
+  network_error: 'The server could not be reached. Check your connection.'
+}
+
+const NETWORK_ERROR: LoadError = { code: 'network_error', message: ERROR_MESSAGES.network_error, requestId: null }
+
+// Read the error body of a failed API response: { error: { code, message }, meta: { requestId } }
+async function loadErrorFrom(response: Response): Promise<LoadError> {
+  const body = await response.json().catch(() => ({}))
+  const code = body.error?.code || 'internal_error'
+  return {
+    code,
+    message: ERROR_MESSAGES[code] || body.error?.message || ERROR_MESSAGES.internal_error,
+    requestId: body.meta?.requestId || response.headers.get('X-Request-Id')
+  }
 }
 
 const COLORS = ['#0ea5e9', '#d946ef', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6']
 
+// Labels for the non-category fields a search can match
+const MATCH_LABELS: Record<string, string> = {
+  source: 'Source',
+  contentType: 'Type',
+  difficultyLevel: 'Level',
+  url: 'URL',
+  tags: 'Tags'
+}
+
+function HighlightedText({ segments }: { segments: HighlightSegment[] }) {
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match
+          ? <mark key={index} className="bg-yellow-100 text-gray-900 rounded-sm">{segment.text}</mark>
+          : <span key={index}>{segment.text}</span>
+      )}
+    </>
+  )
+}
+
+// Clicking the sorted column flips its direction; another column starts descending
+const toggleSort = (sort: SortState, sortBy: string): SortState =>
+  sort.sortBy === sortBy
+    ? { sortBy, sortDir: sort.sortDir === 'desc' ? 'asc' : 'desc' }
+    : { sortBy, sortDir: 'desc' }
+
+// Order the rows of a top content table by one of its columns
+function sortRows(rows: ContentData[], sort: SortState) {
+  const column = sort.sortBy as keyof ContentData
+  const direction = sort.sortDir === 'asc' ? 1 : -1
+  return [...rows].sort((a, b) => {
+    const left = a[column] ?? ''
+    const right = b[column] ?? ''
+    return (left < right ? -1 : left > right ? 1 : 0) * direction
+  })
+}
+
+function SortableHeader({ label, field, sort, onSort }: {
+  label: string
+  field: string
+  sort: SortState
+  onSort: (field: string) => void
+}) {
+  const active = sort.sortBy === field
+  const Arrow = sort.sortDir === 'asc' ? ArrowUp : ArrowDown
+
+  return (
+    <th
+      className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-700"
+      aria-sort={active ? (sort.sortDir === 'asc' ? 'ascending' : 'descending') : 'none'}
+      onClick={() => onSort(field)}
+    >
+      <span className="inline-flex items-center">
+        {label}
+        {active && <Arrow className="h-3 w-3 ml-1" />}
+      </span>
+    </th>
+  )
+}
+
+const formatMetric = (value: number | null | undefined, digits = 0) =>
+  value === null || value === undefined ? '—' : value.toLocaleString(undefined, { maximumFractionDigits: digits })
+
+// Category cell that shows why a row matched the current search
+function ContentCell({ item }: { item: ContentData }) {
+  const highlights = item.highlights || {}
+  const otherMatches = Object.keys(MATCH_LABELS).filter(column => highlights[column])
+
+  return (
+    <>
+      {highlights.category ? <HighlightedText segments={highlights.category} /> : item.category}
+      {otherMatches.map(column => (
+        <div key={column} className="text-xs text-gray-500 truncate">
+          {MATCH_LABELS[column]}: <HighlightedText segments={highlights[column]} />
+        </div>
+      ))}
+    </>
+  )
+}
+
 export default function Dashboard() {
-  const [data, setData] = useState<ContentData[]>([])
-  const [filteredData, setFilteredData] = useState<ContentData[]>([])
+  const [aggregates, setAggregates] = useState<Aggregates>(EMPTY_AGGREGATES)
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('All')
   const [selectedSource, setSelectedSource] = useState('All')
+  const [selectedTag, setSelectedTag] = useState('All')
   const [isLoading, setIsLoading] = useState(true)
-  const [categories, setCategories] = useState<string[]>([])
-  const [sources, setSources] = useState<string[]>([])
+  const [categories, setCategories] = useState<LookupValue[]>([])
+  const [sources, setSources] = useState<LookupValue[]>([])
+  const [tags, setTags] = useState<LookupValue[]>([])
+  // The performance chart groups by category, or by tag with items counted under each of their tags
+  const [performanceGroup, setPerformanceGroup] = useState<'category' | 'tag'>('category')
+  const [trends, setTrends] = useState<TrendSeries[]>([])
+  const [content, setContent] = useState<ContentData[]>([])
+  const [contentTotal, setContentTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
+  // No sortBy means the API default: relevance when searching, engagement otherwise
+  const [contentSort, setContentSort] = useState<SortState>({ sortBy: '', sortDir: 'desc' })
+  const [topTimeSort, setTopTimeSort] = useState<SortState>({ sortBy: 'timeSpentMinutes', sortDir: 'desc' })
+  const [topUpvotedSort, setTopUpvotedSort] = useState<SortState>({ sortBy: 'upvotes', sortDir: 'desc' })
+  const [exportFormat, setExportFormat] = useState('csv')
+  const [exportStats, setExportStats] = useState(false)
+  const [loadErrors, setLoadErrors] = useState<Partial<Record<DataSource, LoadError>>>({})
 
-  // Function to fetch metadata (categories and sources)
+  // Record or clear the error of one request
+  const setLoadError = (source: DataSource, error: LoadError | null) =>
+    setLoadErrors(current => {
+      const { [source]: _previous, ...rest } = current
+      return error ? { ...rest, [source]: error } : rest
+    })
+
+  // Function to fetch metadata (categories, tags and sources)
   const fetchMetadata = async () => {
     try {
-      const response = await fetch('/api/stats')
-      if (response.ok) {
-        const metadata = await response.json()
-        setCategories(metadata.categories || [])
-        setSources(metadata.sources || [])
+      const response = await fetch('/api/v1/stats')
+      if (!response.ok) {
+        setLoadError('metadata', await loadErrorFrom(response))
+        return
       }
+
+      const { data: metadata } = await response.json()
+      setCategories(metadata.categories || [])
+      setTags(metadata.tags || [])
+      setSources(metadata.sources || [])
+      setLoadError('metadata', null)
     } catch (error) {
       console.error('Error loading metadata:', error)
+      setLoadError('metadata', NETWORK_ERROR)
     }
   }
 
-  // Function to fetch data with filters
-  const fetchData = async (search = '', category = 'All', source = 'All') => {
+  // Function to fetch the dashboard aggregates for the current filters
+  const fetchAggregates = async (search = '', category = 'All', source = 'All', tag = 'All') => {
     try {
       setIsLoading(true)
       
@@ -77,72 +304,168 @@ export default function Dashboard() {
       if (search.trim()) params.append('search', search.trim())
       if (category !== 'All') params.append('category', category)
       if (source !== 'All') params.append('source', source)
+      if (tag !== 'All') params.append('tag', tag)
       
-      const url = `/api/data${params.toString() ? '?' + params.toString() : ''}`
+      const url = `/api/v1/aggregates${params.toString() ? '?' + params.toString() : ''}`
       const response = await fetch(url)
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
+        setLoadError('aggregates', await loadErrorFrom(response))
+        return
       }
       
-      const data = await response.json()
-      setData(data)
-      setFilteredData(data)
+      const { data } = await response.json()
+      setAggregates(data)
+      setLoadError('aggregates', null)
     } catch (error) {
-      console.error('Error loading data:', error)
+      console.error('Error loading aggregates:', error)
+      setLoadError('aggregates', NETWORK_ERROR)
     } finally {
       setIsLoading(false)
     }
   }
 
+  // Function to fetch a page of content; a cursor appends the next page
+  const fetchContent = async (search: string, category: string, source: string, tag: string, sort: SortState, cursor?: string) => {
+    try {
+      const params = new URLSearchParams({ limit: '20' })
+      if (search.trim()) params.append('search', search.trim())
+      if (category !== 'All') params.append('category', category)
+      if (source !== 'All') params.append('source', source)
+      if (tag !== 'All') params.append('tag', tag)
+      if (sort.sortBy) {
+        params.append('sortBy', sort.sortBy)
+        params.append('sortDir', sort.sortDir)
+      }
+      if (cursor) params.append('cursor', cursor)
+
+      const response = await fetch(`/api/v1/content?${params.toString()}`)
+      if (!response.ok) {
+        setLoadError('content', await loadErrorFrom(response))
+        return
+      }
+
+      const { data: items, meta } = await response.json()
+      setContent(current => cursor ? [...current, ...items] : items)
+      setContentTotal(meta.pagination.total)
+      setNextCursor(meta.pagination.nextCursor)
+      setLoadError('content', null)
+    } catch (error) {
+      console.error('Error loading content:', error)
+      setLoadError('content', NETWORK_ERROR)
+    }
+  }
+
+  // Download every row matching the current filters, in the All Content table's order
+  const exportData = () => {
+    const params = new URLSearchParams({ format: exportFormat })
+    if (searchTerm.trim()) params.append('search', searchTerm.trim())
+    if (selectedCategory !== 'All') params.append('category', selectedCategory)
+    if (selectedSource !== 'All') params.append('source', selectedSource)
+    if (selectedTag !== 'All') params.append('tag', selectedTag)
+    if (contentSort.sortBy) {
+      params.append('sortBy', contentSort.sortBy)
+      params.append('sortDir', contentSort.sortDir)
+    }
+    if (exportStats && EXPORT_FORMATS.find(format => format.value === exportFormat)?.stats) {
+      params.append('aggregates', 'true')
+    }
+
+    const link = document.createElement('a')
+    link.href = `/api/v1/export?${params.toString()}`
+    link.click()
+  }
+
+  // Function to fetch engagement time series per category
+  const fetchTrends = async (category = 'All', source = 'All', tag = 'All') => {
+    try {
+      const params = new URLSearchParams({ groupBy: 'category', interval: 'day' })
+      if (category !== 'All') params.append('category', category)
+      if (source !== 'All') params.append('source', source)
+      if (tag !== 'All') params.append('tag', tag)
+
+      const response = await fetch(`/api/v1/trends?${params.toString()}`)
+      if (!response.ok) {
+        setLoadError('trends', await loadErrorFrom(response))
+        return
+      }
+
+      const { data: series } = await response.json()
+      setTrends(series)
+      setLoadError('trends', null)
+    } catch (error) {
+      console.error('Error loading trends:', error)
+      setLoadError('trends', NETWORK_ERROR)
+    }
+  }
+
+  // Run the failed requests again with the current filters
+  const retryFailed = () => {
+    const failed = Object.keys(loadErrors) as DataSource[]
+    if (failed.includes('metadata')) fetchMetadata()
+    if (failed.includes('aggregates')) fetchAggregates(searchTerm, selectedCategory, selectedSource, selectedTag)
+    if (failed.includes('content')) fetchContent(searchTerm, selectedCategory, selectedSource, selectedTag, contentSort)
+    if (failed.includes('trends')) fetchTrends(selectedCategory, selectedSource, selectedTag)
+  }
+
   // Load initial data and metadata
   useEffect(() => {
     fetchMetadata()
-    fetchData()
   }, [])
 
   // Handle search and filter changes
   useEffect(() => {
-    fetchData(searchTerm, selectedCategory, selectedSource)
-  }, [searchTerm, selectedCategory, selectedSource])
-
-
-  // Calculate aggregated data for charts
-  const categoryStats = categories.map(category => {
-    const categoryData = filteredData.filter(item => item.Category === category)
-    return {
-      category,
-      avgTimeSpent: categoryData.length > 0 ? categoryData.reduce((sum, item) => sum + item.Time_Spent_Minutes, 0) / categoryData.length : 0,
-      totalUpvotes: categoryData.reduce((sum, item) => sum + item.Upvotes, 0),
-      totalViews: categoryData.reduce((sum, item) => sum + item.Views, 0),
-      avgEngagement: categoryData.length > 0 ? categoryData.reduce((sum, item) => sum + item.Engagement_Score, 0) / categoryData.length : 0,
-      count: categoryData.length
-    }
-  })
+    fetchAggregates(searchTerm, selectedCategory, selectedSource, selectedTag)
+  }, [searchTerm, selectedCategory, selectedSource, selectedTag])
 
-  const topContent = [...filteredData]
-    .sort((a, b) => b.Time_Spent_Minutes - a.Time_Spent_Minutes)
-    .slice(0, 10)
+  useEffect(() => {
+    fetchTrends(selectedCategory, selectedSource, selectedTag)
+  }, [selectedCategory, selectedSource, selectedTag])
 
-  const topUpvoted = [...filteredData]
-    .sort((a, b) => b.Upvotes - a.Upvotes)
-    .slice(0, 10)
+  useEffect(() => {
+    fetchContent(searchTerm, selectedCategory, selectedSource, selectedTag, contentSort)
+  }, [searchTerm, selectedCategory, selectedSource, selectedTag, contentSort])
 
-  const sourceDistribution = sources.map(source => {
-    const sourceData = filteredData.filter(item => item.Source === source)
-    return {
-      source,
-      count: sourceData.length,
-      percentage: filteredData.length > 0 ? (sourceData.length / filteredData.length) * 100 : 0
-    }
+
+  // Chart data from the SQL aggregates
+  const categoryStats = (performanceGroup === 'tag' ? aggregates.byTag : aggregates.byCategory).map(category => ({
+    category: category.displayName,
+    avgTimeSpent: category.avgTimeSpent,
+    totalUpvotes: category.totalUpvotes,
+    totalViews: category.totalViews,
+    count: category.count
+  }))
+
+  const topContent = sortRows(aggregates.topTimeSpent, topTimeSort)
+
+  const topUpvoted = sortRows(aggregates.topUpvoted, topUpvotedSort)
+
+  const sourceDistribution = aggregates.bySource.map((source, index) => ({
+    source: source.displayName,
+    color: source.color || COLORS[index % COLORS.length],
+    count: source.count,
+    percentage: source.percentage
+  }))
+
+  // Trend series are keyed by category display name
+  const categoryColor = (name: string, index: number) =>
+    categories.find(category => category.displayName === name)?.color || COLORS[index % COLORS.length]
+
+  // Pivot trend series into one row per period for the area chart
+  const trendPeriods = Array.from(
+    new Set(trends.flatMap(series => series.points.map(point => point.period)))
+  ).sort()
+
+  const trendChartData = trendPeriods.map(period => {
+    const row: Record<string, string | number> = { period }
+    trends.forEach(series => {
+      const point = series.points.find(p => p.period === period)
+      if (point) row[series.label] = point.avgEngagementScore
+    })
+    return row
   })
 
-  const totalMetrics = {
-    totalContent: filteredData.length,
-    avgTimeSpent: filteredData.length > 0 ? filteredData.reduce((sum, item) => sum + item.Time_Spent_Minutes, 0) / filteredData.length : 0,
-    totalUpvotes: filteredData.reduce((sum, item) => sum + item.Upvotes, 0),
-    totalViews: filteredData.reduce((sum, item) => sum + item.Views, 0)
-  }
+  const totalMetrics = aggregates.totals
 
   if (isLoading) {
     return (
@@ -166,10 +489,33 @@ export default function Dashboard() {
               <p className="text-gray-600 mt-1">Business Intelligence for Fashion Content Analytics</p>
             </div>
             <div className="flex items-center space-x-4">
-              <button className="btn-secondary flex items-center">
-                <Download className="h-4 w-4 mr-2" />
-                Export Data
-              </button>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="input-field w-auto"
+                  aria-label="Export format"
+                >
+                  {EXPORT_FORMATS.map(format => (
+                    <option key={format.value} value={format.value}>{format.label}</option>
+                  ))}
+                </select>
+                {EXPORT_FORMATS.find(format => format.value === exportFormat)?.stats && (
+                  <label className="flex items-center text-sm text-gray-600 whitespace-nowrap">
+                    <input
+                      type="checkbox"
+                      checked={exportStats}
+                      onChange={(e) => setExportStats(e.target.checked)}
+                      className="mr-1"
+                    />
+                    With stats
+                  </label>
+                )}
+                <button onClick={exportData} className="btn-secondary flex items-center">
+                  <Download className="h-4 w-4 mr-2" />
+                  Export Data
+                </button>
+              </div>
               <button className="btn-primary flex items-center">
                 <RefreshCw className="h-4 w-4 mr-2" />
                 Refresh
@@ -180,6 +526,31 @@ export default function Dashboard() {
       </header>
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Load errors */}
+        {Object.keys(loadErrors).length > 0 && (
+          <div className="mb-8 rounded-lg border border-red-200 bg-red-50 p-4" role="alert">
+            <div className="flex items-start justify-between gap-4">
+              <div className="flex items-start">
+                <AlertTriangle className="h-5 w-5 text-red-600 mr-3 mt-0.5 flex-shrink-0" />
+                <ul className="space-y-1 text-sm text-red-800">
+                  {(Object.entries(loadErrors) as [DataSource, LoadError][]).map(([source, error]) => (
+                    <li key={source}>
+                      <span className="font-medium">{SOURCE_LABELS[source]}:</span> {error.message}
+                      {error.requestId && (
+                        <span className="ml-2 text-xs text-red-600">Request ID: <code>{error.requestId}</code></span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <button onClick={retryFailed} className="btn-secondary flex items-center whitespace-nowrap">
+                <RefreshCw className="h-4 w-4 mr-2" />
+                Try again
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Search and Filters */}
         <div className="mb-8">
           <div className="card">
@@ -189,7 +560,7 @@ export default function Dashboard() {
                   <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
                   <input
                     type="text"
-                    placeholder="Search categories, sources, or content types..."
+                    placeholder='Search categories, sources, content types or URLs (use "quotes" for phrases)...'
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
                     className="input-field pl-10"
@@ -204,7 +575,7 @@ export default function Dashboard() {
                 >
                   <option value="All">All Categories</option>
                   {categories.map(category => (
-                    <option key={category} value={category}>{category}</option>
+                    <option key={category.key} value={category.displayName}>{category.displayName}</option>
                   ))}
                 </select>
                 <select
@@ -214,7 +585,17 @@ export default function Dashboard() {
                 >
                   <option value="All">All Sources</option>
                   {sources.map(source => (
-                    <option key={source} value={source}>{source}</option>
+                    <option key={source.key} value={source.displayName}>{source.displayName}</option>
+                  ))}
+                </select>
+                <select
+                  value={selectedTag}
+                  onChange={(e) => setSelectedTag(e.target.value)}
+                  className="input-field"
+                >
+                  <option value="All">All Tags</option>
+                  {tags.map(tag => (
+                    <option key={tag.key} value={tag.displayName}>{tag.displayName}</option>
                   ))}
                 </select>
               </div>
@@ -285,7 +666,18 @@ export default function Dashboard() {
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
           {/* Category Performance */}
           <div className="card">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Category Performance</h3>
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Category Performance</h3>
+              <select
+                value={performanceGroup}
+                onChange={(e) => setPerformanceGroup(e.target.value as 'category' | 'tag')}
+                className="input-field w-auto"
+                aria-label="Group performance by"
+              >
+                <option value="category">By category</option>
+                <option value="tag">By tag</option>
+              </select>
+            </div>
             <div className="h-80">
               <ResponsiveContainer width="100%" height="100%">
                 <BarChart data={categoryStats}>
@@ -322,7 +714,7 @@ export default function Dashboard() {
                     dataKey="count"
                   >
                     {sourceDistribution.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                      <Cell key={`cell-${index}`} fill={entry.color} />
                     ))}
                   </Pie>
                   <Tooltip />
@@ -341,28 +733,22 @@ export default function Dashboard() {
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Content
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Time (min)
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Source
-                    </th>
+                    <SortableHeader label="Content" field="category" sort={topTimeSort} onSort={field => setTopTimeSort(toggleSort(topTimeSort, field))} />
+                    <SortableHeader label="Time (min)" field="timeSpentMinutes" sort={topTimeSort} onSort={field => setTopTimeSort(toggleSort(topTimeSort, field))} />
+                    <SortableHeader label="Source" field="source" sort={topTimeSort} onSort={field => setTopTimeSort(toggleSort(topTimeSort, field))} />
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {topContent.map((item, index) => (
                     <tr key={index}>
                       <td className="px-4 py-3 text-sm text-gray-900 max-w-xs truncate">
-                        {item.Category}
+                        <ContentCell item={item} />
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-900">
-                        {item.Time_Spent_Minutes.toFixed(1)}
+                        {item.timeSpentMinutes.toFixed(1)}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-500">
-                        {item.Source}
+                        {item.source}
                       </td>
                     </tr>
                   ))}
@@ -378,28 +764,22 @@ export default function Dashboard() {
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Content
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Upvotes
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Source
-                    </th>
+                    <SortableHeader label="Content" field="category" sort={topUpvotedSort} onSort={field => setTopUpvotedSort(toggleSort(topUpvotedSort, field))} />
+                    <SortableHeader label="Upvotes" field="upvotes" sort={topUpvotedSort} onSort={field => setTopUpvotedSort(toggleSort(topUpvotedSort, field))} />
+                    <SortableHeader label="Source" field="source" sort={topUpvotedSort} onSort={field => setTopUpvotedSort(toggleSort(topUpvotedSort, field))} />
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {topUpvoted.map((item, index) => (
                     <tr key={index}>
                       <td className="px-4 py-3 text-sm text-gray-900 max-w-xs truncate">
-                        {item.Category}
+                        <ContentCell item={item} />
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-900">
-                        {item.Upvotes}
+                        {item.upvotes}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-500">
-                        {item.Source}
+                        {item.source}
                       </td>
                     </tr>
                   ))}
@@ -409,25 +789,96 @@ export default function Dashboard() {
           </div>
         </div>
 
+        {/* All Content */}
+        <div className="mt-8">
+          <div className="card">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">All Content</h3>
+              <p className="text-sm text-gray-500">
+                Showing {content.length} of {contentTotal.toLocaleString()}
+              </p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Content
+                    </th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Source
+                    </th>
+                    {[
+                      ['Time (min)', 'timeSpentMinutes'],
+                      ['Upvotes', 'upvotes'],
+                      ['Views', 'views'],
+                      ['Engagement', 'engagementScore'],
+                      ['Trending', 'trendingScore'],
+                      ['Added', 'createdAt']
+                    ].map(([label, field]) => (
+                      <SortableHeader
+                        key={field}
+                        label={label}
+                        field={field}
+                        sort={contentSort}
+                        onSort={sortBy => setContentSort(toggleSort(contentSort, sortBy))}
+                      />
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {content.map(item => (
+                    <tr key={item.id}>
+                      <td className="px-4 py-3 text-sm text-gray-900 max-w-xs truncate">
+                        <ContentCell item={item} />
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-500">{item.source}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatMetric(item.timeSpentMinutes, 1)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatMetric(item.upvotes)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatMetric(item.views)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatMetric(item.engagementScore, 2)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{formatMetric(item.trendingScore, 2)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-500">{item.createdAt?.slice(0, 10)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {nextCursor && (
+              <div className="mt-4 text-center">
+                <button
+                  className="btn-secondary"
+                  onClick={() => fetchContent(searchTerm, selectedCategory, selectedSource, selectedTag, contentSort, nextCursor)}
+                >
+                  Load more
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
         {/* Engagement Trends */}
         <div className="mt-8">
           <div className="card">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Engagement Score Trends by Category</h3>
             <div className="h-80">
               <ResponsiveContainer width="100%" height="100%">
-                <AreaChart data={categoryStats}>
+                <AreaChart data={trendChartData}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="category" />
-                  <YAxis />
+                  <XAxis dataKey="period" />
+                  <YAxis domain={[0, 1]} />
                   <Tooltip />
-                  <Area 
-                    type="monotone" 
-                    dataKey="avgEngagement" 
-                    stroke="#0ea5e9" 
-                    fill="#0ea5e9" 
-                    fillOpacity={0.3}
-                    name="Avg Engagement Score"
-                  />
+                  {trends.map((series, index) => (
+                    <Area
+                      key={series.key}
+                      type="monotone"
+                      dataKey={series.label}
+                      stroke={categoryColor(series.label, index)}
+                      fill={categoryColor(series.label, index)}
+                      fillOpacity={0.1}
+                      name={series.label}
+                    />
+                  ))}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
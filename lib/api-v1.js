@@ -0,0 +1,183 @@
+const { V1_OPERATIONS, camelCase, parseQuery } = require('./schemas');
+const { describeError } = require('./errors');
+
+// Response shapes of the /api/v1 routes. JSON bodies are { data, meta } and
+// errors { error, meta }, where meta always has the API version and request
+// id. Field names are camelCase in bodies, parameters and field errors; the
+// storage and validation layers keep their snake_case names underneath.
+
+const API_VERSION = 'v1';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the query of a request against the parameters of its v1 operation
+ * @param {string} operationId - Key of V1_OPERATIONS
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {{ values: Object<string, *>, errors: Array }} Typed parameter values, and { field, message } errors
+ */
+function parseV1Query(operationId, searchParams) {
+  return parseQuery(V1_OPERATIONS[operationId].query, searchParams);
+}
+
+/**
+ * Rename the keys of objects, at any depth, to camelCase
+ * @param {*} value - Value with snake_case keys, such as an audit snapshot
+ * @returns {*} Copy with camelCase keys
+ */
+function camelCaseKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(camelCaseKeys);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [camelCase(key), camelCaseKeys(item)]));
+  }
+
+  return value;
+}
+
+/**
+ * Convert a content row to the v1 content shape (V1Content)
+ * @param {Object} item - Row from a storage adapter
+ * @returns {Object} Content item with camelCase fields
+ */
+function toContent(item) {
+  return {
+    id: item.id,
+    category: item.category,
+    url: item.url,
+    source: item.source,
+    contentType: item.content_type,
+    difficultyLevel: item.difficulty_level,
+    timeSpentMinutes: item.time_spent_minutes,
+    upvotes: item.upvotes,
+    views: item.views,
+    engagementScore: item.engagement_score,
+    trendingScore: item.trending_score,
+    tags: item.tags,
+    createdAt: item.created_at,
+    updatedAt: item.updated_at,
+    deletedAt: item.deleted_at,
+    ...(item.highlights ? { highlights: camelCaseKeys(item.highlights) } : {})
+  };
+}
+
+/**
+ * Convert an audit log entry to v1 field names, in its snapshots and its list of changed fields
+ * @param {Object} entry - Entry from getAuditLog()
+ * @returns {Object} Entry with camelCase fields
+ */
+function toAuditEntry(entry) {
+  return { ...camelCaseKeys(entry), changes: entry.changes.map(camelCase) };
+}
+
+/**
+ * Convert an import preview to v1 field names, in its records and changed fields
+ * @param {Object} preview - Result of previewImport()
+ * @returns {Object} Preview with camelCase fields
+ */
+function toImportPreview(preview) {
+  const converted = camelCaseKeys(preview);
+  return {
+    ...converted,
+    updates: converted.updates.map(update => ({
+      ...update,
+      changes: update.changes.map(change => ({ ...change, field: camelCase(change.field) }))
+    }))
+  };
+}
+
+/**
+ * Convert a v1 content body (V1ContentInput) to the payload lib/content.js
+ * writes. Field names must be camelCase; snake_case names are refused so a
+ * body has one spelling of each field.
+ * @param {*} input - Parsed request body
+ * @returns {{ payload: *, errors: Array }} Payload, and { field, message } errors for refused names
+ */
+function contentPayloadFromInput(input) {
+  if (!isPlainObject(input)) {
+    return { payload: input, errors: [] };
+  }
+
+  const names = Object.keys(input);
+  return {
+    payload: Object.fromEntries(names
+      .filter(name => !name.includes('_'))
+      .map(name => [name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`), input[name]])),
+    errors: names
+      .filter(name => name.includes('_'))
+      .map(name => ({ field: name, message: `is not a writable field (use ${camelCase(name)})` }))
+  };
+}
+
+/**
+ * Rename the fields of { field, message } errors to camelCase
+ * @param {Array} errors - Field errors from lib/validation.js or lib/content.js
+ * @returns {Array} Errors with camelCase fields
+ */
+function toFieldErrors(errors) {
+  return errors.map(error => ({ ...error, field: camelCase(error.field) }));
+}
+
+/**
+ * Pagination of a page for meta.pagination
+ * @param {number} limit - Page size asked for
+ * @param {string|number|null} nextCursor - Cursor of the next page, or null on the last page
+ * @param {number} [total] - Items matching the query, when known
+ * @returns {Object} { limit, nextCursor, hasMore, total? }
+ */
+function paginationMeta(limit, nextCursor, total) {
+  return {
+    limit,
+    nextCursor: nextCursor === null || nextCursor === undefined ? null : String(nextCursor),
+    hasMore: nextCursor !== null && nextCursor !== undefined,
+    ...(total === undefined ? {} : { total })
+  };
+}
+
+/**
+ * Build a v1 JSON response: { data, meta }
+ * @param {*} data - Response data
+ * @param {string} requestId - Id from requestIdFromRequest()
+ * @param {Object} [meta] - Extra meta fields, such as pagination
+ * @param {number} [status] - HTTP status (default 200)
+ * @returns {Response} Response with the X-Request-Id header
+ */
+function dataResponse(data, requestId, meta = {}, status = 200) {
+  return Response.json(
+    { data, meta: { apiVersion: API_VERSION, requestId, ...meta } },
+    { status, headers: { 'X-Request-Id': requestId } }
+  );
+}
+
+/**
+ * Build a v1 error response: { error: { code, message, ...details }, meta }
+ * @param {*} error - apiError(), validationError() or any thrown value
+ * @param {string} requestId - Id from requestIdFromRequest()
+ * @param {string} [fallbackMessage] - Message sent for unexpected errors, such as 'Failed to load aggregates'
+ * @returns {Response} Error response with the X-Request-Id header
+ */
+function errorEnvelopeResponse(error, requestId, fallbackMessage) {
+  const { status, body, headers } = describeError(error, requestId, fallbackMessage);
+  const { error: message, code, requestId: id, ...details } = body;
+
+  return Response.json(
+    { error: { code, message, ...details }, meta: { apiVersion: API_VERSION, requestId: id } },
+    { status, headers }
+  );
+}
+
+module.exports = {
+  API_VERSION,
+  parseV1Query,
+  camelCaseKeys,
+  toContent,
+  toAuditEntry,
+  toImportPreview,
+  contentPayloadFromInput,
+  toFieldErrors,
+  paginationMeta,
+  dataResponse,
+  errorEnvelopeResponse
+};
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const { parseFilters } = require('./filters');
+const { SORT_FIELDS, resolveSort, decodeCursor } = require('./storage/pagination');
+const { UPLOAD_FORMATS } = require('./import-previews');
+const { OPERATIONS, parseQuery } = require('./schemas');
+const { getStorageConfig } = require('./storage');
+const { apiError, validationError, describeError } = require('./errors');
+const { formatValidationErrors } = require('./validation');
+
+// Largest file POST /api/import accepts
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Cache-Control of responses with an ETag: kept by browsers only, and
+// revalidated before each use. Responses can depend on the admin token.
+const CACHE_CONTROL = 'private, no-cache';
+
+/**
+ * Check the query of a request against the parameters of its operation (lib/schemas.js)
+ * @param {string} operationId - Key of OPERATIONS
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {{ values: Object<string, *>, errors: Array }} Typed parameter values, and { field, message } errors
+ */
+function queryFromParams(operationId, searchParams) {
+  return parseQuery(OPERATIONS[operationId].query, searchParams);
+}
+
+/**
+ * Read the content filters shared by /api/data, /api/aggregates and
+ * /api/export: search, the single-value lookup and tag parameters and
+ * `filter` expressions (see lib/filters.js)
+ * @param {Object<string, *>} query - Values from queryFromParams()
+ * @returns {{ search: string, category: string, source: string, contentType?: string, difficultyLevel?: string, tag?: string, conditions: Array, includeDeleted: boolean, errors: Array }} Filters, with an error for each invalid filter expression
+ */
+function contentFiltersFromQuery(query) {
+  const { conditions, errors } = parseFilters(query.filter || []);
+
+  return {
+    search: (query.search || '').trim(),
+    category: query.category || 'All',
+    source: query.source || 'All',
+    contentType: query.contentType,
+    difficultyLevel: query.difficultyLevel,
+    tag: query.tag,
+    conditions,
+    includeDeleted: Boolean(query.includeDeleted),
+    errors: errors.map(({ clause, message }) => ({ field: 'filter', message: `has an invalid clause "${clause}": ${message}` }))
+  };
+}
+
+/**
+ * Check the sorting and paging parameters of a listing beyond their schema:
+ * relevance needs a search, and a cursor must belong to the sort
+ * @param {Object<string, *>} query - Values from queryFromParams()
+ * @param {boolean} isSearch - Whether the request is a search, which can also sort by relevance
+ * @returns {{ sortBy?: string, sortDir?: string, limit?: number, cursor?: string, errors: Array }} Sorting and paging options, with any errors
+ */
+function pageFromQuery(query, isSearch) {
+  const { sortBy, sortDir, limit, cursor } = query;
+
+  if (sortBy === 'relevance' && !isSearch) {
+    const sortFields = Object.keys(SORT_FIELDS).filter(field => field !== 'relevance');
+    return { errors: [{ field: 'sortBy', message: `must be one of: ${sortFields.join(', ')} (relevance needs a search)` }] };
+  }
+
+  if (cursor && !decodeCursor(cursor, resolveSort({ sortBy, sortDir }, isSearch))) {
+    return { errors: [{ field: 'cursor', message: 'is not valid for this query' }] };
+  }
+
+  return { sortBy, sortDir, limit, cursor, errors: [] };
+}
+
+/**
+ * Build the JSON response of an error (see lib/errors.js)
+ * @param {*} error - apiError(), validationError() or any thrown value
+ * @param {string} requestId - Id from requestIdFromRequest()
+ * @param {string} [fallbackMessage] - Message sent for unexpected errors, such as 'Failed to load aggregates'
+ * @returns {Response} Error response with the X-Request-Id header
+ */
+function errorResponse(error, requestId, fallbackMessage) {
+  const { status, body, headers } = describeError(error, requestId, fallbackMessage);
+  return Response.json(body, { status, headers });
+}
+
+/**
+ * Turn a refused content write into an error: conflict when the URL already
+ * belongs to other content, validation_failed otherwise
+ * @param {Object} result - { errors, duplicateOf? } from createContent() or updateContent()
+ * @returns {Error} apiError() with the field errors
+ */
+function contentWriteError(result) {
+  return result.duplicateOf
+    ? apiError('conflict', formatValidationErrors(result.errors), { errors: result.errors, duplicateOf: result.duplicateOf })
+    : validationError(result.errors);
+}
+
+/**
+ * Read the file uploaded to POST /api/import: a raw CSV or JSON body, or the
+ * `file` field of a multipart form. The format comes from the `format` query
+ * parameter, else the file name or content type.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<{ text: string, format: string }>} The upload
+ * @throws {Error} payload_too_large, unsupported_media_type or validation_failed apiError() when the upload is refused
+ */
+async function readUpload(request) {
+  const { searchParams } = new URL(request.url);
+  const contentType = (request.headers.get('content-type') || '').toLowerCase();
+  const tooLarge = () => apiError('payload_too_large', `Uploads are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, { maxBytes: MAX_UPLOAD_BYTES });
+  let text;
+
+  if (Number(request.headers.get('content-length')) > MAX_UPLOAD_BYTES) {
+    throw tooLarge();
+  }
+
+  let hint = contentType;
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const file = (await request.formData()).get('file');
+    if (!file || typeof file === 'string') {
+      throw apiError('validation_failed', 'Upload the file in a "file" form field', { errors: [{ field: 'file', message: 'is required' }] });
+    }
+    text = await file.text();
+    hint = `${file.name} ${file.type}`.toLowerCase();
+  } else {
+    text = await request.text();
+  }
+
+  const format = searchParams.get('format') ||
+    UPLOAD_FORMATS.find(candidate => hint.includes(candidate)) ||
+    (hint.includes('text/plain') ? 'csv' : null);
+
+  if (!UPLOAD_FORMATS.includes(format)) {
+    throw apiError('unsupported_media_type', `Upload ${UPLOAD_FORMATS.join(' or ')}; set format or the Content-Type header`, { formats: UPLOAD_FORMATS });
+  }
+
+  if (Buffer.byteLength(text) > MAX_UPLOAD_BYTES) {
+    throw tooLarge();
+  }
+
+  if (text.trim() === '') {
+    throw apiError('validation_failed', 'The upload is empty', { errors: [{ field: 'file', message: 'is empty' }] });
+  }
+
+  return { text, format };
+}
+
+/**
+ * Check the admin token of a request to an endpoint that changes data.
+ * Set ADMIN_TOKEN to require "Authorization: Bearer <token>"; without it
+ * these endpoints only run outside production.
+ * @param {Request} request - Incoming request
+ * @returns {Error|null} forbidden or unauthorized apiError(), or null if the request may proceed
+ */
+function checkAdminToken(request) {
+  const token = process.env.ADMIN_TOKEN;
+
+  if (!token) {
+    return process.env.NODE_ENV === 'production'
+      ? apiError('forbidden', 'Admin endpoints are disabled; set ADMIN_TOKEN to enable them')
+      : null;
+  }
+
+  if (request.headers.get('authorization') !== `Bearer ${token}`) {
+    return apiError('unauthorized');
+  }
+
+  return null;
+}
+
+/**
+ * Check a request asking for soft-deleted content. Deleted rows are only
+ * shown to admins, as the audit log is, so includeDeleted needs the admin
+ * token; requests without it are not checked.
+ * @param {Request} request - Incoming request
+ * @param {Object<string, *>} query - Values from queryFromParams()
+ * @returns {Error|null} checkAdminToken() error when includeDeleted is set, or null if the request may proceed
+ */
+function checkIncludeDeleted(request, query) {
+  return query.includeDeleted ? checkAdminToken(request) : null;
+}
+
+/**
+ * Check that the server accepts writes. Content, imports and score
+ * recalculation write to SQLite, and the postgres storage driver serves a
+ * copy of it that only changes with npm run db:postgres:sync, so its
+ * listings would not show them.
+ * @returns {Error|null} forbidden apiError() under the postgres driver, or null if the write may proceed
+ */
+function checkWritable() {
+  if (getStorageConfig().driver !== 'postgres') {
+    return null;
+  }
+
+  return apiError(
+    'forbidden',
+    'Writes are disabled with STORAGE_DRIVER=postgres, which serves a read-only copy of SQLite; ' +
+    'write through a server using SQLite, then run npm run db:postgres:sync'
+  );
+}
+
+/**
+ * Name the actor of a write for the audit log: the X-Actor header, or 'api'
+ * @param {Request} request - Incoming request
+ * @returns {string} Actor
+ */
+function actorFromRequest(request) {
+  const actor = (request.headers.get('x-actor') || '').trim();
+  return actor ? actor.slice(0, 100) : 'api';
+}
+
+/**
+ * Read the id segment of a /api/content/[id] request
+ * @param {string} value - Route parameter
+ * @returns {number|null} Content id, or null if it is not a positive integer
+ */
+function contentIdFromParam(value) {
+  return /^[1-9]\d*$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Build the ETag of a GET response from the data version it was read at and
+ * the request URL. It is weak: v1 bodies also carry the request id.
+ * @param {Request} request - Incoming request
+ * @param {number} version - getDataVersion() or getRecordVersion() of the data the response reads
+ * @returns {string} ETag, such as W/"1760691120000-hT0Rz3jK8wQa"
+ */
+function dataEtag(request, version) {
+  const { pathname, search } = new URL(request.url);
+  const digest = crypto.createHash('sha1').update(`${pathname}${search}`).digest('base64url').slice(0, 12);
+  return `W/"${version}-${digest}"`;
+}
+
+/**
+ * Answer a conditional GET whose If-None-Match names the current ETag
+ * @param {Request} request - Incoming request
+ * @param {string} etag - ETag from dataEtag()
+ * @param {string} requestId - Id from requestIdFromRequest()
+ * @returns {Response|null} 304 Not Modified response, or null if the client needs the full response
+ */
+function checkNotModified(request, etag, requestId) {
+  const header = request.headers.get('if-none-match');
+  if (!header) {
+    return null;
+  }
+
+  // Weak comparison: W/ prefixes are ignored
+  const opaque = value => value.trim().replace(/^W\//, '');
+  const matches = header.trim() === '*' || header.split(',').some(value => opaque(value) === opaque(etag));
+  if (!matches) {
+    return null;
+  }
+
+  return new Response(null, {
+    status: 304,
+    headers: { ETag: etag, 'Cache-Control': CACHE_CONTROL, 'X-Request-Id': requestId }
+  });
+}
+
+/**
+ * Tag a GET response with its ETag. Clients may keep it, but must check it
+ * is current (If-None-Match) before using it again.
+ * @param {Response} response - Successful response
+ * @param {string} etag - ETag from dataEtag()
+ * @returns {Response} The same response
+ */
+function withEtag(response, etag) {
+  response.headers.set('ETag', etag);
+  response.headers.set('Cache-Control', CACHE_CONTROL);
+  return response;
+}
+
+/**
+ * Convert a content row to the shape the dashboard expects
+ * @param {Object} item - Row from a storage adapter
+ * @returns {Object} Content item with CSV-style field names
+ */
+function toContentData(item) {
+  return {
+    Category: item.category,
+    URL: item.url,
+    Source: item.source,
+    Time_Spent_Minutes: item.time_spent_minutes,
+    Upvotes: item.upvotes,
+    Views: item.views,
+    Engagement_Score: item.engagement_score,
+    Content_Type: item.content_type,
+    Difficulty_Level: item.difficulty_level,
+    Trending_Score: item.trending_score,
+    Tags: item.tags,
+    id: item.id,
+    created_at: item.created_at,
+    updated_at: item.updated_at,
+    deleted_at: item.deleted_at,
+    ...(item.highlights ? { highlights: item.highlights } : {})
+  };
+}
+
+module.exports = {
+  queryFromParams,
+  contentFiltersFromQuery,
+  pageFromQuery,
+  errorResponse,
+  contentWriteError,
+  readUpload,
+  checkAdminToken,
+  checkIncludeDeleted,
+  checkWritable,
+  actorFromRequest,
+  contentIdFromParam,
+  dataEtag,
+  checkNotModified,
+  withEtag,
+  toContentData
+};
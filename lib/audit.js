@@ -0,0 +1,178 @@
+const { CONTENT_JOINS, CONTENT_TAGS } = require('./storage/sqlite');
+const { databaseError } = require('./errors');
+
+// Content audit log (content_audit). Writers take a snapshot of a row before
+// changing it and record the change afterwards, inside the same transaction.
+
+const AUDIT_ACTIONS = ['insert', 'update', 'delete', 'restore'];
+
+// Actor recorded when a writer does not name one
+const DEFAULT_ACTOR = 'system';
+
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+
+// Audited fields, with lookups and tags as display names. created_at and
+// updated_at are left out: the log has its own timestamp.
+const SNAPSHOT_COLUMNS = `
+  cat.display_name AS category,
+  c.url,
+  src.display_name AS source,
+  ct.display_name AS content_type,
+  dl.display_name AS difficulty_level,
+  c.time_spent_minutes,
+  c.upvotes,
+  c.views,
+  c.engagement_score,
+  c.trending_score,
+  c.published_at,
+  c.growth_rate,
+  c.score_version,
+  c.scored_at,
+  c.canonical_url,
+  c.removed_at,
+  c.deleted_at,
+  ${CONTENT_TAGS} AS tags
+`;
+
+/**
+ * Read the audited fields of a content row
+ * @param {Database} db - SQLite database instance
+ * @param {number} id - Content id
+ * @returns {Object|null} Snapshot, or null if there is no such row
+ */
+function snapshotContent(db, id) {
+  const row = db.prepare(`
+    SELECT ${SNAPSHOT_COLUMNS}
+    FROM content c
+    ${CONTENT_JOINS}
+    WHERE c.id = ?
+  `).get(id);
+
+  return row ? { ...row, tags: JSON.parse(row.tags) } : null;
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Array} Field names
+ */
+function changedFields(before, after) {
+  const fields = Object.keys(before || after || {});
+  // Compared as JSON so tag lists are compared by value
+  const value = (snapshot, field) => JSON.stringify(snapshot && snapshot[field] !== undefined ? snapshot[field] : null);
+  return fields.filter(field => value(before, field) !== value(after, field));
+}
+
+/**
+ * Record a change to a content row. The row is read again for the after
+ * snapshot; an update that changed no audited field is not recorded.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} change - Change to record
+ * @param {number} change.contentId - Content id
+ * @param {string} change.action - One of AUDIT_ACTIONS
+ * @param {Object|null} change.before - Snapshot taken before the change (null for inserts)
+ * @param {string} [change.actor] - Who made the change (default 'system')
+ * @returns {boolean} True if an entry was recorded
+ */
+function recordChange(db, { contentId, action, before, actor }) {
+  const after = snapshotContent(db, contentId);
+
+  if (action === 'update' && changedFields(before, after).length === 0) {
+    return false;
+  }
+
+  db.prepare(`
+    INSERT INTO content_audit (content_id, action, actor, before_values, after_values)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    contentId,
+    action,
+    actor || DEFAULT_ACTOR,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null
+  );
+
+  return true;
+}
+
+/**
+ * Browse the audit log, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Optional filters and paging
+ * @param {number} [options.contentId] - Only this content item
+ * @param {string} [options.action] - Only this action
+ * @param {string} [options.actor] - Only changes by this actor
+ * @param {number} [options.before] - Only entries older than this entry id (nextBefore of the previous page)
+ * @param {number} [options.limit] - Page size (default 50, at most 200)
+ * @returns {Object} { entries: [{ id, contentId, action, actor, changedAt, changes, before, after }], nextBefore }
+ */
+function getAuditLog(db, options = {}) {
+  const limit = Math.min(Math.max(Math.floor(options.limit || DEFAULT_AUDIT_LIMIT), 1), MAX_AUDIT_LIMIT);
+  const conditions = [];
+  const params = [];
+
+  if (options.contentId) {
+    conditions.push('content_id = ?');
+    params.push(options.contentId);
+  }
+
+  if (options.action) {
+    conditions.push('action = ?');
+    params.push(options.action);
+  }
+
+  if (options.actor) {
+    conditions.push('actor = ?');
+    params.push(options.actor);
+  }
+
+  if (options.before) {
+    conditions.push('id < ?');
+    params.push(options.before);
+  }
+
+  try {
+    const rows = db.prepare(`
+      SELECT id, content_id, action, actor, before_values, after_values, changed_at
+      FROM content_audit
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(...params, limit + 1);
+
+    const entries = rows.slice(0, limit).map(row => {
+      const before = row.before_values ? JSON.parse(row.before_values) : null;
+      const after = row.after_values ? JSON.parse(row.after_values) : null;
+      return {
+        id: row.id,
+        contentId: row.content_id,
+        action: row.action,
+        actor: row.actor,
+        changedAt: row.changed_at,
+        changes: changedFields(before, after),
+        before,
+        after
+      };
+    });
+
+    return {
+      entries,
+      nextBefore: rows.length > limit ? entries[entries.length - 1].id : null
+    };
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    throw databaseError(error, 'Failed to fetch audit log');
+  }
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  DEFAULT_AUDIT_LIMIT,
+  MAX_AUDIT_LIMIT,
+  snapshotContent,
+  changedFields,
+  recordChange,
+  getAuditLog
+};
@@ -0,0 +1,320 @@
+const { findLookupId, isOpenLookup, resolveLookupId } = require('./lookups');
+const { canonicalizeUrl } = require('./urls');
+const { validateContent } = require('./validation');
+const { LOOKUP_FIELDS, METRIC_FIELDS, SCORE_FIELDS } = require('./importer');
+const { CONTENT_COLUMNS, CONTENT_JOINS, readContentRow } = require('./storage/sqlite');
+const { snapshotContent, recordChange } = require('./audit');
+const { parseTags, checkTags, setContentTags } = require('./tags');
+const { apiError, databaseError } = require('./errors');
+
+// Single content rows by id, for the content API. Bulk changes go through
+// lib/importer.js, which shares the validation and lookup rules. Every write
+// is recorded in the audit log (lib/audit.js) under options.actor.
+
+// Fields a payload may set; lookups are given by key or display name, tags
+// as an array of names or a semicolon-separated string
+const WRITABLE_FIELDS = ['url', ...Object.keys(LOOKUP_FIELDS), ...METRIC_FIELDS, ...SCORE_FIELDS, 'tags'];
+
+// Fields that must be strings when present
+const TEXT_FIELDS = ['url', ...Object.keys(LOOKUP_FIELDS), 'published_at'];
+
+// Values of fields missing from a full record (create or replace), as the column defaults
+const FIELD_DEFAULTS = { upvotes: 0, views: 0 };
+
+/**
+ * Get one content row by id, including rows removed by an import
+ * @param {Database} db - SQLite database instance
+ * @param {number} id - Content id
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.includeDeleted] - Also return a deleted row
+ * @returns {Object|null} Row in the storage adapter shape, or null if there is none
+ */
+function getContent(db, id, options = {}) {
+  try {
+    const row = db.prepare(`
+      SELECT ${CONTENT_COLUMNS}
+      FROM content c
+      ${CONTENT_JOINS}
+      WHERE c.id = ?${options.includeDeleted ? '' : ' AND c.deleted_at IS NULL'}
+    `).get(id);
+
+    return row ? readContentRow(row) : null;
+  } catch (error) {
+    console.error('Error fetching content item:', error);
+    throw databaseError(error, 'Failed to fetch content item');
+  }
+}
+
+/**
+ * Check a payload against the content schema
+ * @param {Database} db - SQLite database instance
+ * @param {Object} payload - Fields to write
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.partial] - Only check the fields present
+ * @returns {Array} Array of { field, message }; empty if the payload is valid
+ */
+function checkPayload(db, payload, options = {}) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ field: 'body', message: 'must be a JSON object' }];
+  }
+
+  const errors = Object.keys(payload)
+    .filter(field => !WRITABLE_FIELDS.includes(field))
+    .map(field => ({ field, message: 'is not a writable field' }));
+
+  const wrongType = TEXT_FIELDS.filter(field =>
+    payload[field] !== undefined && payload[field] !== null && typeof payload[field] !== 'string'
+  );
+  errors.push(...wrongType.map(field => ({ field, message: 'must be a string' })));
+
+  errors.push(...validateContent(payload, options).filter(error => !wrongType.includes(error.field)));
+
+  const invalidTags = checkTags(payload.tags);
+  if (invalidTags) {
+    errors.push({ field: 'tags', message: invalidTags });
+  }
+
+  // Only categories are created on the fly
+  Object.entries(LOOKUP_FIELDS).forEach(([field, lookup]) => {
+    const value = payload[field];
+    if (typeof value === 'string' && value.trim() !== '' && !isOpenLookup(lookup) && findLookupId(db, lookup, value) === null) {
+      errors.push({ field, message: `has no value "${value}"` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Turn payload fields other than tags into content column values, resolving lookups
+ * @param {Database} db - SQLite database instance
+ * @param {Object} fields - Valid payload fields
+ * @returns {Object} Column name to value
+ */
+function columnValues(db, fields) {
+  const values = {};
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (field === 'tags') {
+      return;
+    }
+
+    const blank = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+    if (field === 'url') {
+      values.url = value.trim();
+      values.canonical_url = canonicalizeUrl(value);
+    } else if (LOOKUP_FIELDS[field]) {
+      values[`${field}_id`] = blank ? null : resolveLookupId(db, LOOKUP_FIELDS[field], value);
+    } else {
+      values[field] = blank ? null : value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Find content other than `id` that already has a URL's canonical form,
+ * deleted content included
+ * @param {Database} db - SQLite database instance
+ * @param {string} url - URL to check
+ * @param {number|null} id - Content being written (null when creating)
+ * @returns {Object|null} { id, deleted_at } of the existing content
+ */
+function findDuplicate(db, url, id) {
+  return db
+    .prepare('SELECT id, deleted_at FROM content WHERE canonical_url = ? AND id IS NOT ?')
+    .get(canonicalizeUrl(url), id) || null;
+}
+
+/**
+ * Validate a payload and work out the row it writes
+ * @param {Database} db - SQLite database instance
+ * @param {Object} payload - Fields to write
+ * @param {number|null} id - Content being written (null when creating)
+ * @param {boolean} partial - Whether missing fields keep their values
+ * @returns {Object} { fields } to write, or { errors, duplicateOf? }
+ */
+function prepareWrite(db, payload, id, partial) {
+  const errors = checkPayload(db, payload, { partial });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  if (payload.url !== undefined) {
+    const duplicate = findDuplicate(db, payload.url, id);
+    if (duplicate) {
+      const message = duplicate.deleted_at
+        ? `is already used by deleted content ${duplicate.id}; restore it instead`
+        : `is already used by content ${duplicate.id}`;
+      return { errors: [{ field: 'url', message }], duplicateOf: duplicate.id };
+    }
+  }
+
+  // A full record replaces every field, falling back to the column defaults
+  const fields = partial
+    ? payload
+    : Object.fromEntries(WRITABLE_FIELDS.map(field => [
+      field,
+      payload[field] !== undefined ? payload[field] : (field in FIELD_DEFAULTS ? FIELD_DEFAULTS[field] : null)
+    ]));
+
+  return { fields };
+}
+
+/**
+ * Create a content row, tagged with its category and any given tags
+ * @param {Database} db - SQLite database instance
+ * @param {Object} payload - Record with category, url, source and optional metrics and tags
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {Object} { content } on success, or { errors: [{ field, message }], duplicateOf? } when the
+ *   payload is invalid or its URL is already used (duplicateOf is that content's id)
+ */
+function createContent(db, payload, options = {}) {
+  const prepared = prepareWrite(db, payload, null, false);
+  if (prepared.errors) {
+    return prepared;
+  }
+
+  try {
+    const id = db.transaction(() => {
+      const values = columnValues(db, prepared.fields);
+      const columns = Object.keys(values);
+      const result = db
+        .prepare(`INSERT INTO content (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+        .run(...columns.map(column => values[column]));
+      const contentId = Number(result.lastInsertRowid);
+      setContentTags(db, contentId, parseTags(prepared.fields.tags));
+      recordChange(db, { contentId, action: 'insert', before: null, actor: options.actor });
+      return contentId;
+    })();
+
+    return { content: getContent(db, id) };
+  } catch (error) {
+    console.error('Error creating content:', error);
+    throw databaseError(error, 'Failed to create content');
+  }
+}
+
+/**
+ * Update a content row. updated_at is maintained by a trigger. Given tags
+ * replace the current ones; a new category is added to the tags either way.
+ * @param {Database} db - SQLite database instance
+ * @param {number} id - Content id
+ * @param {Object} payload - Fields to write
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.partial] - Only change the fields present (PATCH); otherwise replace the record (PUT)
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {Object|null} null if there is no such content (or it is deleted), else as for createContent()
+ */
+function updateContent(db, id, payload, options = {}) {
+  if (!getContent(db, id)) {
+    return null;
+  }
+
+  const prepared = prepareWrite(db, payload, id, Boolean(options.partial));
+  if (prepared.errors) {
+    return prepared;
+  }
+
+  try {
+    db.transaction(() => {
+      const values = columnValues(db, prepared.fields);
+      const columns = Object.keys(values);
+      const before = snapshotContent(db, id);
+      if (columns.length > 0) {
+        db.prepare(`UPDATE content SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`)
+          .run(...columns.map(column => values[column]), id);
+      }
+      setContentTags(db, id, prepared.fields.tags === undefined ? undefined : parseTags(prepared.fields.tags));
+      recordChange(db, { contentId: id, action: 'update', before, actor: options.actor });
+    })();
+
+    return { content: getContent(db, id) };
+  } catch (error) {
+    console.error('Error updating content:', error);
+    throw databaseError(error, 'Failed to update content');
+  }
+}
+
+/**
+ * Set or clear deleted_at on a content row, recording the change
+ * @param {Database} db - SQLite database instance
+ * @param {number} id - Content id
+ * @param {string} action - 'delete' or 'restore'
+ * @param {string} [actor] - Who makes the change
+ * @returns {boolean} True if the row changed
+ */
+function setDeleted(db, id, action, actor) {
+  return db.transaction(() => {
+    const before = snapshotContent(db, id);
+    const deleting = action === 'delete';
+
+    if (!before || (before.deleted_at !== null) === deleting) {
+      return false;
+    }
+
+    // A merged duplicate gave up its canonical URL; it takes it back when it
+    // is restored, unless the content it was merged into still has it
+    if (!deleting && before.canonical_url === null) {
+      const duplicate = findDuplicate(db, before.url, id);
+      if (duplicate) {
+        throw apiError('conflict', `Content ${id} was merged into content ${duplicate.id}`, { duplicateOf: duplicate.id });
+      }
+      db.prepare('UPDATE content SET canonical_url = ? WHERE id = ?').run(canonicalizeUrl(before.url), id);
+    }
+
+    db.prepare(`UPDATE content SET deleted_at = ${deleting ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`).run(id);
+    recordChange(db, { contentId: id, action, before, actor });
+    return true;
+  })();
+}
+
+/**
+ * Soft-delete a content row: it keeps its metric history and audit log and
+ * can be restored, but no longer appears in listings, search or aggregates
+ * @param {Database} db - SQLite database instance
+ * @param {number} id - Content id
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {boolean} True if the row existed and was not deleted yet
+ */
+function deleteContent(db, id, options = {}) {
+  try {
+    return setDeleted(db, id, 'delete', options.actor);
+  } catch (error) {
+    console.error('Error deleting content:', error);
+    throw databaseError(error, 'Failed to delete content');
+  }
+}
+
+/**
+ * Restore a soft-deleted content row. Restoring a row that is not deleted
+ * changes nothing; restoring a merged duplicate while the content it was
+ * merged into exists throws a conflict apiError() with its id in duplicateOf.
+ * @param {Database} db - SQLite database instance
+ * @param {number} id - Content id
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {Object|null} The restored row, or null if there is no such content
+ */
+function restoreContent(db, id, options = {}) {
+  try {
+    setDeleted(db, id, 'restore', options.actor);
+    return getContent(db, id);
+  } catch (error) {
+    console.error('Error restoring content:', error);
+    throw databaseError(error, 'Failed to restore content');
+  }
+}
+
+module.exports = {
+  WRITABLE_FIELDS,
+  getContent,
+  createContent,
+  updateContent,
+  deleteContent,
+  restoreContent
+};
@@ -0,0 +1,254 @@
+/**
+ * Parse CSV text following RFC 4180.
+ * Handles quoted fields containing commas, quotes ("") and line breaks,
+ * CRLF/LF/CR line endings and a leading UTF-8 byte order mark. Blank lines
+ * are skipped. A malformed record is reported instead of aborting the parse.
+ * @param {string} text - CSV content
+ * @returns {Object} { records: [{ line, fields }], errors: [{ line, reason }] }
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  const errors = [];
+
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let fieldWasQuoted = false;
+  let malformed = null;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    fieldWasQuoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (malformed) {
+      errors.push({ line: recordLine, reason: malformed });
+    } else if (!(fields.length === 1 && fields[0] === '')) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    malformed = null;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (field === '' && !fieldWasQuoted) {
+        quoted = true;
+        fieldWasQuoted = true;
+      } else {
+        malformed = malformed || 'unexpected quote inside an unquoted field';
+        field += char;
+      }
+    } else if (fieldWasQuoted && char !== ',' && char !== '\r' && char !== '\n') {
+      malformed = malformed || 'unexpected characters after a closing quote';
+      field += char;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    errors.push({ line: recordLine, reason: 'unterminated quoted field' });
+  } else if (field !== '' || fields.length > 0 || fieldWasQuoted) {
+    endRecord();
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Normalize a header for matching ("Time Spent (Minutes)" -> "time_spent_minutes")
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Parse CSV text into objects keyed by normalized header name.
+ * Rows whose field count differs from the header are reported as errors.
+ * @param {string} text - CSV content with a header row
+ * @returns {Object} { headers, rows: [{ line, values }], errors: [{ line, reason }] }
+ */
+function readCsv(text) {
+  const { records, errors } = parseCsv(text);
+
+  if (records.length === 0) {
+    return { headers: [], rows: [], errors };
+  }
+
+  const [headerRecord, ...dataRecords] = records;
+  const headers = headerRecord.fields.map(normalizeHeader);
+  const rows = [];
+
+  dataRecords.forEach(({ line, fields }) => {
+    if (fields.length !== headers.length) {
+      errors.push({ line, reason: `expected ${headers.length} fields, found ${fields.length}` });
+      return;
+    }
+
+    const values = {};
+    headers.forEach((header, index) => {
+      values[header] = fields[index].trim();
+    });
+    rows.push({ line, values });
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { headers, rows, errors };
+}
+
+/**
+ * Parse one cell according to its column type
+ * @param {string} column - Normalized column name
+ * @param {string} type - 'text', 'decimal' or 'integer'
+ * @param {string} value - Trimmed cell value
+ * @param {*} blankNumber - Value used for a blank numeric cell
+ * @returns {Object} { value } on success or { error } with a reason
+ */
+function parseTypedValue(column, type, value, blankNumber) {
+  if (type === 'text') {
+    return { value: value === '' ? null : value };
+  }
+
+  if (value === '') {
+    return { value: blankNumber };
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return { error: `${column} must be a number, got "${value}"` };
+  }
+
+  if (type === 'integer' && !Number.isInteger(number)) {
+    return { error: `${column} must be a whole number, got "${value}"` };
+  }
+
+  return { value: number };
+}
+
+/**
+ * Read CSV text into typed records, mapping columns by header name so the
+ * column order does not matter. Every rejected row is reported with its line
+ * number and the reason.
+ * @param {string} text - CSV content with a header row
+ * @param {Object} columns - Map of normalized column name to 'text', 'decimal' or 'integer'
+ * @param {Object} options - See readTypedRows()
+ * @returns {Object} { records, errors: [{ line, reason }], totalRows, missingColumns, unknownColumns }
+ */
+function readTypedCsv(text, columns, options = {}) {
+  return readTypedRows(readCsv(text), columns, options);
+}
+
+/**
+ * Type rows of string values keyed by normalized column name, as returned by
+ * readCsv(). Other formats (JSON uploads) are read by building the same shape.
+ * @param {Object} table - { headers, rows: [{ line, values }], errors: [{ line, reason }] }
+ * @param {Object} columns - Map of normalized column name to 'text', 'decimal' or 'integer'
+ * @param {Object} options - Optional settings
+ * @param {Array} [options.required] - Columns that must be present and non-empty
+ * @param {*} [options.blankNumber] - Value for blank numeric cells (default null)
+ * @returns {Object} { records, errors: [{ line, reason }], totalRows, missingColumns, unknownColumns }
+ */
+function readTypedRows(table, columns, options = {}) {
+  const required = options.required || [];
+  const blankNumber = options.blankNumber === undefined ? null : options.blankNumber;
+  const { headers, rows, errors } = table;
+
+  const missingRequired = required.filter(column => !headers.includes(column));
+  if (missingRequired.length > 0) {
+    throw new Error(`Missing required columns: ${missingRequired.join(', ')}`);
+  }
+
+  const records = [];
+
+  rows.forEach(({ line, values }) => {
+    const record = { line };
+    const reasons = [];
+
+    Object.entries(columns).forEach(([column, type]) => {
+      const raw = values[column] === undefined ? '' : values[column];
+      const parsed = parseTypedValue(column, type, raw, blankNumber);
+      if (parsed.error) {
+        reasons.push(parsed.error);
+      } else {
+        record[column] = parsed.value;
+      }
+    });
+
+    required.forEach(column => {
+      if (!reasons.some(reason => reason.startsWith(column)) && record[column] === null) {
+        reasons.push(`missing ${column}`);
+      }
+    });
+
+    if (reasons.length > 0) {
+      errors.push({ line, reason: reasons.join('; ') });
+    } else {
+      records.push(record);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+
+  return {
+    records,
+    errors,
+    totalRows: records.length + errors.length,
+    missingColumns: Object.keys(columns).filter(column => !headers.includes(column)),
+    unknownColumns: headers.filter(header => !columns[header])
+  };
+}
+
+/**
+ * Format one CSV record, quoting fields that contain commas, quotes or line
+ * breaks so parseCsv() reads them back unchanged
+ * @param {Array} values - Field values; null and undefined become empty fields
+ * @returns {string} Record followed by CRLF
+ */
+function formatCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+  normalizeHeader,
+  readCsv,
+  readTypedCsv,
+  readTypedRows
+};
@@ -1,236 +1,448 @@
-const Database = require('better-sqlite3');
-const path = require('path');
+const { recomputeScores } = require('./scoring');
+const content = require('./content');
+const audit = require('./audit');
+const importPreviews = require('./import-previews');
+const { CONTENT_JOINS, lookupCondition, openSqliteDatabase } = require('./storage/sqlite');
+const { getStorageConfig, createStorage } = require('./storage');
+const { databaseError } = require('./errors');
+const { queryKey, createQueryCache } = require('./query-cache');
 
-// Database configuration
-const DB_PATH = path.join(process.cwd(), 'data', 'fashion_dashboard.db');
-
-// Singleton database instance
+// Singleton database and storage instances
 let dbInstance = null;
+let storageInstance = null;
+
+// Results of storage reads, emptied when the data version changes
+const queryCache = createQueryCache();
 
 /**
- * Get database instance (singleton pattern)
+ * Get the SQLite database instance (singleton pattern).
+ * Imports, metric history and score recalculation always use SQLite,
+ * whichever storage driver serves content.
+ * Refuses to serve from a database whose schema is not at the latest migration.
  * @returns {Database} SQLite database instance
  */
 function getDatabase() {
   if (!dbInstance) {
-    try {
-      dbInstance = new Database(DB_PATH);
-      // Enable foreign keys and optimize for performance
-      dbInstance.pragma('foreign_keys = ON');
-      dbInstance.pragma('journal_mode = WAL');
-      dbInstance.pragma('synchronous = NORMAL');
-      dbInstance.pragma('cache_size = 1000');
-      dbInstance.pragma('temp_store = MEMORY');
-    } catch (error) {
-      console.error('Failed to connect to database:', error);
-      throw new Error('Database connection failed');
-    }
+    dbInstance = openSqliteDatabase(getStorageConfig().sqlitePath);
   }
   return dbInstance;
 }
 
 /**
- * Get all content data with optional filtering
- * @param {Object} filters - Optional filters
- * @param {string} filters.category - Filter by category
- * @param {string} filters.source - Filter by source
- * @param {string} filters.contentType - Filter by content type
- * @param {string} filters.difficultyLevel - Filter by difficulty level
- * @param {number} filters.limit - Limit number of results
- * @param {number} filters.offset - Offset for pagination
- * @returns {Array} Array of content objects
+ * Get the storage adapter selected by configuration (singleton pattern)
+ * @returns {Object} Storage adapter, see lib/storage/index.js
  */
-function getAllContent(filters = {}) {
-  const db = getDatabase();
-  
-  let sql = `
-    SELECT 
-      id,
-      category,
-      url,
-      source,
-      time_spent_minutes,
-      upvotes,
-      views,
-      engagement_score,
-      content_type,
-      difficulty_level,
-      trending_score,
-      created_at,
-      updated_at
-    FROM content
-  `;
-  
-  const conditions = [];
-  const params = [];
-  
-  // Apply filters
-  if (filters.category && filters.category !== 'All') {
-    conditions.push('category = ?');
-    params.push(filters.category);
-  }
-  
-  if (filters.source && filters.source !== 'All') {
-    conditions.push('source = ?');
-    params.push(filters.source);
+function getStorage() {
+  if (!storageInstance) {
+    const config = getStorageConfig();
+    storageInstance = createStorage(config, config.driver === 'sqlite' ? { db: getDatabase() } : {});
   }
-  
-  if (filters.contentType) {
-    conditions.push('content_type = ?');
-    params.push(filters.contentType);
-  }
-  
-  if (filters.difficultyLevel) {
-    conditions.push('difficulty_level = ?');
-    params.push(filters.difficultyLevel);
-  }
-  
-  // Add WHERE clause if filters exist
-  if (conditions.length > 0) {
-    sql += ' WHERE ' + conditions.join(' AND ');
-  }
-  
-  // Add ordering
-  sql += ' ORDER BY engagement_score DESC, trending_score DESC';
-  
-  // Add pagination
-  if (filters.limit) {
-    sql += ' LIMIT ?';
-    params.push(filters.limit);
-    
-    if (filters.offset) {
-      sql += ' OFFSET ?';
-      params.push(filters.offset);
-    }
-  }
-  
+  return storageInstance;
+}
+
+/**
+ * Get the version of the data served by the storage adapter. It changes on
+ * every write (with the postgres driver, on every sync), so it tells cached
+ * results and ETags apart from current ones.
+ * @returns {Promise<number>} Data version
+ */
+function getDataVersion() {
+  return getStorage().getDataVersion();
+}
+
+/**
+ * Get the version of the data in the SQLite system of record, which changes
+ * on every write. It covers getContentById(), getAuditLog() and
+ * getMetricsTrends(); with the sqlite driver it equals getDataVersion().
+ * @returns {number} Data version
+ */
+function getRecordVersion() {
   try {
-    const stmt = db.prepare(sql);
-    return stmt.all(...params);
+    return getDatabase().prepare('SELECT version FROM data_version WHERE id = 1').get().version;
   } catch (error) {
-    console.error('Error fetching content:', error);
-    throw new Error('Failed to fetch content data');
+    console.error('Error fetching data version:', error);
+    throw databaseError(error, 'Failed to fetch data version');
   }
 }
 
 /**
- * Search content by text query
+ * Run a storage read through the query cache
+ * @param {string} name - Storage adapter method
+ * @param {Array} args - Its arguments
+ * @returns {Promise<*>} The cached or new result, shared with other callers
+ */
+async function cachedQuery(name, args) {
+  const version = await getDataVersion();
+  return queryCache.get(queryKey(name, args), version, () => getStorage()[name](...args));
+}
+
+/**
+ * Get a page of content with optional filtering and sorting. Pages are
+ * keyset-paginated over the sort columns and id: pass the previous page's
+ * nextCursor, with the same sort, to get the next one.
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.category] - Filter by category
+ * @param {string} [filters.source] - Filter by source
+ * @param {string} [filters.contentType] - Filter by content type
+ * @param {string} [filters.difficultyLevel] - Filter by difficulty level
+ * @param {Array} [filters.conditions] - Conditions parsed from filter expressions, see lib/filters.js
+ * @param {boolean} [filters.includeDeleted] - Also list soft-deleted content
+ * @param {string} [filters.sortBy] - views, upvotes, timeSpentMinutes, engagementScore (default), trendingScore or createdAt
+ * @param {string} [filters.sortDir] - 'asc' or 'desc' (default); missing values sort last either way
+ * @param {number} [filters.limit] - Page size (default 50, at most 100)
+ * @param {string} [filters.cursor] - nextCursor of the previous page
+ * @returns {Promise<{ items: Array, nextCursor: string|null, total: number }>} Page of content objects
+ */
+function getAllContent(filters = {}) {
+  return cachedQuery('getAllContent', [filters]);
+}
+
+/**
+ * Search content with the backend's full-text index.
+ * Bare words match as prefixes, "quoted text" as phrases. Results are ranked
+ * by text relevance blended with engagement_score, and carry per-column
+ * highlights showing why each row matched. Sorted by relevance (search_rank)
+ * unless filters.sortBy picks one of the getAllContent() sort fields.
  * @param {string} query - Search query
- * @param {Object} filters - Additional filters
- * @returns {Array} Array of matching content objects
+ * @param {Object} filters - Additional filters, sorting and paging, as for getAllContent()
+ * @returns {Promise<{ items: Array, nextCursor: string|null, total: number }>} Page of matches with `highlights` and `search_rank`
  */
 function searchContent(query, filters = {}) {
-  const db = getDatabase();
-  
-  let sql = `
-    SELECT 
-      id,
-      category,
-      url,
-      source,
-      time_spent_minutes,
-      upvotes,
-      views,
-      engagement_score,
-      content_type,
-      difficulty_level,
-      trending_score,
-      created_at,
-      updated_at
-    FROM content
-    WHERE (
-      category LIKE ? OR 
-      source LIKE ? OR 
-      content_type LIKE ? OR
-      difficulty_level LIKE ?
-    )
-  `;
-  
-  const params = [`%${query}%`, `%${query}%`, `%${query}%`, `%${query}%`];
-  
-  // Apply additional filters
-  if (filters.category && filters.category !== 'All') {
-    sql += ' AND category = ?';
-    params.push(filters.category);
-  }
-  
-  if (filters.source && filters.source !== 'All') {
-    sql += ' AND source = ?';
-    params.push(filters.source);
-  }
-  
-  sql += ' ORDER BY engagement_score DESC, trending_score DESC';
-  
-  try {
-    const stmt = db.prepare(sql);
-    return stmt.all(...params);
-  } catch (error) {
-    console.error('Error searching content:', error);
-    throw new Error('Failed to search content');
-  }
+  return cachedQuery('searchContent', [query, filters]);
+}
+
+/**
+ * Get a page of content for an export, as getAllContent() or searchContent()
+ * would return it, straight from the storage adapter. An export reads every
+ * page once, so caching its pages would only push the results other requests
+ * reuse out of the query cache.
+ * @param {string} [search] - Search query; without one, content is listed as by getAllContent()
+ * @param {Object} filters - Filters, sorting and paging, as for getAllContent()
+ * @returns {Promise<{ items: Array, nextCursor: string|null, total: number }>} Page of content objects
+ */
+function getExportPage(search, filters = {}) {
+  return search ? getStorage().searchContent(search, filters) : getStorage().getAllContent(filters);
 }
 
 /**
  * Get content statistics
- * @returns {Object} Statistics object
+ * @returns {Promise<Object>} Statistics object
  */
 function getContentStats() {
-  const db = getDatabase();
-  
-  try {
-    const totalContent = db.prepare('SELECT COUNT(*) as count FROM content').get();
-    const avgTimeSpent = db.prepare('SELECT AVG(time_spent_minutes) as avg FROM content').get();
-    const totalUpvotes = db.prepare('SELECT SUM(upvotes) as total FROM content').get();
-    const totalViews = db.prepare('SELECT SUM(views) as total FROM content').get();
-    
-    return {
-      totalContent: totalContent.count,
-      avgTimeSpent: Math.round(avgTimeSpent.avg * 100) / 100,
-      totalUpvotes: totalUpvotes.total,
-      totalViews: totalViews.total
-    };
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    throw new Error('Failed to fetch content statistics');
-  }
+  return cachedQuery('getContentStats', []);
+}
+
+/**
+ * Aggregate the content matching the /api/data filters in SQL: totals,
+ * per-category, per-tag and per-source metrics and the top content lists
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.search] - Only count rows matching this search
+ * @param {string} [filters.category] - Filter by category
+ * @param {string} [filters.source] - Filter by source
+ * @param {string} [filters.contentType] - Filter by content type
+ * @param {string} [filters.difficultyLevel] - Filter by difficulty level
+ * @param {string} [filters.tag] - Only count content carrying this tag
+ * @param {Array} [filters.conditions] - Conditions parsed from filter expressions, see lib/filters.js
+ * @returns {Promise<{ totals: Object, byCategory: Array, byTag: Array, bySource: Array, topTimeSpent: Array, topUpvoted: Array }>} Aggregates
+ */
+function getAggregates(filters = {}) {
+  return cachedQuery('getAggregates', [filters]);
+}
+
+/**
+ * Count, sum and average content metrics grouped by any combination of
+ * dimensions, for the content matching the /api/data filters. Only groups
+ * with matching content are returned, in the display order of each dimension.
+ * @param {Array} groupBy - 'category', 'source', 'contentType', 'difficultyLevel' and/or 'tag', outermost first
+ * @param {Object} filters - Optional filters, as for getAggregates()
+ * @param {number} [filters.limit] - Groups to return (default 100, at most 1000)
+ * @returns {Promise<{ groups: Array, hasMore: boolean }>} Groups of { <dimension>: { key, displayName }|null, count, sum, avg },
+ *   with sum and avg keyed by metric (views, upvotes, timeSpentMinutes, engagementScore, trendingScore)
+ */
+function getGroupedMetrics(groupBy, filters = {}) {
+  return cachedQuery('getGroupedMetrics', [groupBy, filters]);
 }
 
 /**
- * Get unique categories
- * @returns {Array} Array of unique categories
+ * Get categories in display order
+ * @returns {Promise<Array>} Array of { id, key, displayName, sortOrder, color }
  */
 function getCategories() {
-  const db = getDatabase();
-  
-  try {
-    const result = db.prepare('SELECT DISTINCT category FROM content ORDER BY category').all();
-    return result.map(row => row.category);
-  } catch (error) {
-    console.error('Error fetching categories:', error);
-    throw new Error('Failed to fetch categories');
-  }
+  return cachedQuery('getCategories', []);
 }
 
 /**
- * Get unique sources
- * @returns {Array} Array of unique sources
+ * Get tags in display order
+ * @returns {Promise<Array>} Array of { id, key, displayName, sortOrder, color }
+ */
+function getTags() {
+  return cachedQuery('getTags', []);
+}
+
+/**
+ * Get sources in display order
+ * @returns {Promise<Array>} Array of { id, key, displayName, sortOrder, color }
  */
 function getSources() {
+  return cachedQuery('getSources', []);
+}
+
+// Supported trend groupings and bucket sizes
+const TREND_GROUPS = {
+  content: 'c.id',
+  category: 'cat.display_name',
+  source: 'src.display_name'
+};
+
+const TREND_INTERVALS = {
+  day: { bucket: 'date(recorded_at)', length: '+1 day' },
+  week: { bucket: "date(recorded_at, 'weekday 0', '-6 days')", length: '+7 days' }
+};
+
+/**
+ * Get metric time series built from content_metrics_history.
+ * Each item contributes its latest snapshot at the end of every period, so
+ * items that did not change during a period still count towards it.
+ * @param {Object} options - Optional settings
+ * @param {string} [options.groupBy] - 'content', 'category' or 'source' (default 'category')
+ * @param {string} [options.interval] - 'day' or 'week' (default 'day'; weeks start on Monday)
+ * @param {number} [options.contentId] - Only include this content item
+ * @param {string} [options.category] - Only include this category
+ * @param {string} [options.source] - Only include this source
+ * @param {string} [options.tag] - Only include content carrying this tag
+ * @param {string} [options.from] - First period to include (YYYY-MM-DD)
+ * @param {string} [options.to] - Last period to include (YYYY-MM-DD)
+ * @returns {Array} Array of { key, label, points } series
+ */
+function getMetricsTrends(options = {}) {
+  const groupBy = options.groupBy || 'category';
+  const interval = options.interval || 'day';
+
+  if (!TREND_GROUPS[groupBy]) {
+    throw new Error(`Invalid trend grouping: ${groupBy}`);
+  }
+  if (!TREND_INTERVALS[interval]) {
+    throw new Error(`Invalid trend interval: ${interval}`);
+  }
+
   const db = getDatabase();
-  
+  const { bucket, length } = TREND_INTERVALS[interval];
+  const groupColumn = TREND_GROUPS[groupBy];
+
+  const conditions = ['c.removed_at IS NULL', 'c.deleted_at IS NULL'];
+  const params = [];
+
+  if (options.from) {
+    conditions.push('p.period >= ?');
+    params.push(options.from);
+  }
+
+  if (options.to) {
+    conditions.push('p.period <= ?');
+    params.push(options.to);
+  }
+
+  if (options.contentId) {
+    conditions.push('c.id = ?');
+    params.push(options.contentId);
+  }
+
+  if (options.category && options.category !== 'All') {
+    conditions.push(lookupCondition('cat', options.category, params));
+  }
+
+  if (options.source && options.source !== 'All') {
+    conditions.push(lookupCondition('src', options.source, params));
+  }
+
+  if (options.tag && options.tag !== 'All') {
+    conditions.push(
+      'EXISTS (SELECT 1 FROM content_tags ctg JOIN tags tg ON tg.id = ctg.tag_id ' +
+      `WHERE ctg.content_id = c.id AND ${lookupCondition('tg', options.tag, params)})`
+    );
+  }
+
+  const sql = `
+    WITH periods AS (
+      SELECT DISTINCT ${bucket} AS period
+      FROM content_metrics_history
+    )
+    SELECT
+      ${groupColumn} AS series_key,
+      ${groupBy === 'content' ? 'c.url' : groupColumn} AS series_label,
+      p.period,
+      COUNT(*) AS content_count,
+      AVG(h.time_spent_minutes) AS avg_time_spent,
+      SUM(h.upvotes) AS total_upvotes,
+      SUM(h.views) AS total_views,
+      AVG(h.engagement_score) AS avg_engagement_score,
+      AVG(h.trending_score) AS avg_trending_score
+    FROM periods p
+    CROSS JOIN content c
+    ${CONTENT_JOINS}
+    JOIN content_metrics_history h ON h.id = (
+      SELECT id FROM content_metrics_history
+      WHERE content_id = c.id AND recorded_at < date(p.period, '${length}')
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT 1
+    )
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY series_key, p.period
+    ORDER BY series_key, p.period
+  `;
+
   try {
-    const result = db.prepare('SELECT DISTINCT source FROM content ORDER BY source').all();
-    return result.map(row => row.source);
+    const rows = db.prepare(sql).all(...params);
+    const series = new Map();
+
+    rows.forEach(row => {
+      if (!series.has(row.series_key)) {
+        series.set(row.series_key, { key: row.series_key, label: row.series_label, points: [] });
+      }
+      series.get(row.series_key).points.push({
+        period: row.period,
+        contentCount: row.content_count,
+        avgTimeSpent: Math.round(row.avg_time_spent * 100) / 100,
+        totalUpvotes: row.total_upvotes,
+        totalViews: row.total_views,
+        avgEngagementScore: Math.round(row.avg_engagement_score * 100) / 100,
+        avgTrendingScore: Math.round(row.avg_trending_score * 100) / 100
+      });
+    });
+
+    return Array.from(series.values());
   } catch (error) {
-    console.error('Error fetching sources:', error);
-    throw new Error('Failed to fetch sources');
+    console.error('Error fetching trends:', error);
+    throw databaseError(error, 'Failed to fetch metric trends');
   }
 }
 
 /**
- * Close database connection
+ * Regenerate engagement and trending scores with the current formulas
+ * @param {Object} options - See recomputeScores() in lib/scoring.js
+ * @returns {Object} { version, scored, updated, unchanged, changes, skipped }
+ */
+function recomputeContentScores(options = {}) {
+  return recomputeScores(getDatabase(), options);
+}
+
+/**
+ * Get one content item by id. Reads the SQLite system of record, so writes
+ * are visible at once whichever storage driver serves listings.
+ * @param {number} id - Content id
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.includeDeleted] - Also return soft-deleted content
+ * @returns {Object|null} Content object, or null if there is none
  */
-function closeDatabase() {
+function getContentById(id, options = {}) {
+  return content.getContent(getDatabase(), id, options);
+}
+
+/**
+ * Create a content item. Categories are created on first use; sources,
+ * content types and difficulty levels must already exist.
+ * @param {Object} payload - { category, url, source, ... } with the validation field names
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {{ content: Object } | { errors: Array<{ field: string, message: string }>, duplicateOf?: number }}
+ *   The created content, or errors if the payload is invalid or its canonical URL is taken (duplicateOf is the existing id)
+ */
+function createContent(payload, options = {}) {
+  return content.createContent(getDatabase(), payload, options);
+}
+
+/**
+ * Replace (PUT) or partially update (PATCH) a content item
+ * @param {number} id - Content id
+ * @param {Object} payload - Fields to write
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.partial] - Only change the fields present
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {{ content: Object } | { errors: Array<{ field: string, message: string }>, duplicateOf?: number } | null}
+ *   null if there is no such (or deleted) content, else as for createContent()
+ */
+function updateContent(id, payload, options = {}) {
+  return content.updateContent(getDatabase(), id, payload, options);
+}
+
+/**
+ * Soft-delete a content item. It disappears from listings, search and
+ * aggregates but keeps its metric history, and can be restored.
+ * @param {number} id - Content id
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {boolean} True if it existed and was not deleted yet
+ */
+function deleteContent(id, options = {}) {
+  return content.deleteContent(getDatabase(), id, options);
+}
+
+/**
+ * Restore a soft-deleted content item
+ * @param {number} id - Content id
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who makes the change, for the audit log
+ * @returns {Object|null} The content object, or null if there is none
+ */
+function restoreContent(id, options = {}) {
+  return content.restoreContent(getDatabase(), id, options);
+}
+
+/**
+ * Browse the content audit log, newest first
+ * @param {Object} options - Optional filters and paging
+ * @param {number} [options.contentId] - Only this content item
+ * @param {string} [options.action] - 'insert', 'update', 'delete' or 'restore'
+ * @param {string} [options.actor] - Only changes by this actor
+ * @param {number} [options.before] - nextBefore of the previous page
+ * @param {number} [options.limit] - Page size (default 50, at most 200)
+ * @returns {{ entries: Array<{ id: number, contentId: number, action: string, actor: string, changedAt: string, changes: Array<string>, before: Object|null, after: Object|null }>, nextBefore: number|null }}
+ *   A page of entries with the changed field names and snapshots of the row
+ */
+function getAuditLog(options = {}) {
+  return audit.getAuditLog(getDatabase(), options);
+}
+
+/**
+ * Plan an import of uploaded records without writing it, and keep it for
+ * confirmation by token (see lib/import-previews.js)
+ * @param {Object} input - Parsed upload from parseUpload() in lib/import-previews.js
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.markRemoved] - Mark rows missing from the upload as removed
+ * @param {number} [options.maxErrorRate] - Refuse the import above this share of rejected rows (default 0.1)
+ * @returns {Object} Preview with the token, counts, rows to insert, update and remove, and errors
+ */
+function previewImport(input, options = {}) {
+  return importPreviews.previewImport(getDatabase(), input, options);
+}
+
+/**
+ * Apply a previewed import
+ * @param {string} token - Token of the preview
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who confirms the import, for the audit log
+ * @returns {{ summary: Object } | { stale: true } | null}
+ *   The import summary, stale if the data changed since the preview, or null if the token is unknown or expired
+ */
+function confirmImport(token, options = {}) {
+  return importPreviews.confirmImport(getDatabase(), token, options);
+}
+
+/**
+ * Close database connections
+ * @returns {Promise<void>} Resolves once every connection is closed
+ */
+async function closeDatabase() {
+  queryCache.clear();
+
+  if (storageInstance) {
+    const storage = storageInstance;
+    storageInstance = null;
+    if (storage.driver !== 'sqlite') {
+      await storage.close();
+    }
+  }
+
   if (dbInstance) {
     dbInstance.close();
     dbInstance = null;
@@ -239,10 +451,27 @@ function closeDatabase() {
 
 module.exports = {
   getDatabase,
+  getStorage,
+  getDataVersion,
+  getRecordVersion,
   getAllContent,
   searchContent,
+  getExportPage,
   getContentStats,
+  getAggregates,
+  getGroupedMetrics,
   getCategories,
+  getTags,
   getSources,
+  getMetricsTrends,
+  recomputeContentScores,
+  getContentById,
+  createContent,
+  updateContent,
+  deleteContent,
+  restoreContent,
+  getAuditLog,
+  previewImport,
+  confirmImport,
   closeDatabase
 };
@@ -0,0 +1,143 @@
+const { canonicalizeUrl } = require('./urls');
+const { snapshotContent, recordChange } = require('./audit');
+const { applyMigrations, getCurrentVersion } = require('./schema');
+const { databaseError } = require('./errors');
+
+// Migration that makes canonical URLs unique
+const UNIQUE_URL_VERSION = 8;
+
+// Migration that adds soft delete and the audit log
+const AUDIT_VERSION = 10;
+
+// Columns a surviving row takes from a duplicate when its own value is empty
+const FILLABLE_COLUMNS = [
+  'content_type_id', 'difficulty_level_id', 'time_spent_minutes', 'engagement_score',
+  'trending_score', 'published_at', 'growth_rate', 'score_version', 'scored_at'
+];
+
+/**
+ * Find content rows whose URLs share a canonical form.
+ * The canonical form is recomputed from each URL rather than read from
+ * canonical_url, so rows stored under an older canonicalizer are caught too.
+ * Rows merged earlier have no canonical_url and are left out.
+ * @param {Database} db - SQLite database instance
+ * @returns {Array} Array of { canonicalUrl, keep, duplicates } where keep is the oldest row
+ */
+function findDuplicates(db) {
+  const groups = new Map();
+
+  db.prepare('SELECT * FROM content WHERE canonical_url IS NOT NULL ORDER BY id').all().forEach(row => {
+    const canonicalUrl = canonicalizeUrl(row.url);
+    if (!groups.has(canonicalUrl)) {
+      groups.set(canonicalUrl, []);
+    }
+    groups.get(canonicalUrl).push(row);
+  });
+
+  return Array.from(groups.entries())
+    .filter(([, rows]) => rows.length > 1)
+    .map(([canonicalUrl, [keep, ...duplicates]]) => ({ canonicalUrl, keep, duplicates }));
+}
+
+/**
+ * Merge each group of duplicates into its oldest row.
+ * The kept row keeps its own values, fills empty ones from the duplicates,
+ * takes over their metric history and stays active (not removed or deleted)
+ * if any of them was. The duplicates give up their canonical URL and are
+ * soft-deleted, keeping their values and tags; each change is recorded in the
+ * audit log. A database stopped before migration 8 by these duplicates has no
+ * soft delete or audit log yet, so there they are marked removed instead.
+ * @param {Database} db - SQLite database instance
+ * @param {Array} groups - Groups from findDuplicates()
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who merges, for the audit log (default 'system')
+ * @returns {Object} { groups, merged } - number of groups and of merged rows
+ */
+function mergeDuplicates(db, groups, options = {}) {
+  const audited = getCurrentVersion(db) >= AUDIT_VERSION;
+  const moveHistory = db.prepare('UPDATE content_metrics_history SET content_id = ? WHERE content_id = ?');
+  const retire = db.prepare(`
+    UPDATE content SET canonical_url = NULL, ${audited ? 'deleted_at' : 'removed_at'} = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  // Run a write, recording it in the audit log when the database has one
+  const write = (id, action, change) => {
+    const before = audited ? snapshotContent(db, id) : null;
+    change();
+    if (audited) recordChange(db, { contentId: id, action, before, actor: options.actor });
+  };
+
+  try {
+    db.transaction(() => {
+      groups.forEach(({ canonicalUrl, keep, duplicates }) => {
+        const values = { canonical_url: canonicalUrl };
+
+        FILLABLE_COLUMNS.forEach(column => {
+          if (keep[column] === null) {
+            const donor = duplicates.find(row => row[column] !== null);
+            if (donor) values[column] = donor[column];
+          }
+        });
+
+        if (keep.removed_at !== null && duplicates.some(row => row.removed_at === null)) {
+          values.removed_at = null;
+        }
+
+        if (audited && keep.deleted_at !== null && duplicates.some(row => row.deleted_at === null)) {
+          values.deleted_at = null;
+        }
+
+        // The duplicates release the canonical URL before the kept row takes it
+        duplicates.forEach(row => {
+          moveHistory.run(keep.id, row.id);
+          write(row.id, 'delete', () => retire.run(row.id));
+        });
+
+        const columns = Object.keys(values);
+        write(keep.id, 'update', () => {
+          db.prepare(`
+            UPDATE content SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+          `).run(...columns.map(column => values[column]), keep.id);
+        });
+      });
+    })();
+  } catch (error) {
+    console.error('Error merging duplicates:', error);
+    throw databaseError(error, 'Failed to merge duplicate content');
+  }
+
+  return {
+    groups: groups.length,
+    merged: groups.reduce((total, group) => total + group.duplicates.length, 0)
+  };
+}
+
+/**
+ * Apply pending migrations, merging duplicates just before migration 8 makes
+ * canonical URLs unique. The migration itself refuses to run while rows
+ * collide, so this is how setup brings a database with duplicates up to date.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who merges, for the audit log (default 'system')
+ * @returns {Object} { applied, merged } - applied migrations ({ version, name }) and mergeDuplicates() counts
+ */
+function applyMigrationsMergingDuplicates(db, options = {}) {
+  const applied = [];
+  let merged = { groups: 0, merged: 0 };
+
+  if (getCurrentVersion(db) < UNIQUE_URL_VERSION) {
+    applied.push(...applyMigrations(db, { target: UNIQUE_URL_VERSION - 1 }));
+    merged = mergeDuplicates(db, findDuplicates(db), options);
+  }
+
+  applied.push(...applyMigrations(db));
+  return { applied, merged };
+}
+
+module.exports = {
+  findDuplicates,
+  mergeDuplicates,
+  applyMigrationsMergingDuplicates
+};
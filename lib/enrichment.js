@@ -0,0 +1,161 @@
+const { readTypedCsv } = require('./csv');
+const { canonicalizeUrl, detectPlatform } = require('./urls');
+const { SCORE_VERSION, toSqlTimestamp, daysSince, scoreContent } = require('./scoring');
+
+// Raw content columns ("Cleaned Content.csv" has only the first three)
+const RAW_CONTENT_COLUMNS = {
+  category: 'text',
+  url: 'text',
+  source: 'text',
+  content_type: 'text',
+  difficulty_level: 'text'
+};
+
+// Raw metric columns, read from a separate metrics file or inline in the content file
+const RAW_METRIC_COLUMNS = {
+  views: 'integer',
+  likes: 'integer',
+  comments: 'integer',
+  time_spent_minutes: 'decimal',
+  published_at: 'text',
+  growth_rate: 'decimal'
+};
+
+// Metrics the engagement score cannot be computed without
+const REQUIRED_METRICS = ['views', 'likes', 'time_spent_minutes'];
+
+// Content type implied by each platform
+const PLATFORM_CONTENT_TYPES = {
+  instagram: 'Video',
+  tiktok: 'Video',
+  substack: 'Article'
+};
+
+/**
+ * Infer the content type from the platform a URL belongs to
+ * @param {string} url - Content URL
+ * @returns {string|null} 'Video', 'Article', or null for an unknown platform
+ */
+function inferContentType(url) {
+  return PLATFORM_CONTENT_TYPES[detectPlatform(url)] || null;
+}
+
+/**
+ * Read a raw metrics CSV keyed by canonical URL.
+ * When a URL appears more than once, the first row wins.
+ * @param {string} text - CSV content with a url column
+ * @returns {Object} { metrics: Map, errors: [{ line, reason }] }
+ */
+function readMetricsCsv(text) {
+  const csv = readTypedCsv(text, { url: 'text', ...RAW_METRIC_COLUMNS }, { required: ['url'] });
+  const metrics = new Map();
+  const errors = [...csv.errors];
+
+  csv.records.forEach(record => {
+    const canonicalUrl = canonicalizeUrl(record.url);
+    if (metrics.has(canonicalUrl)) {
+      errors.push({ line: record.line, reason: `duplicate metrics for ${record.url}` });
+    } else {
+      metrics.set(canonicalUrl, record);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { metrics, errors };
+}
+
+/**
+ * Turn a raw content row and its raw metrics into an import record with
+ * computed scores. Likes count as upvotes; comments are read but are not
+ * part of the documented formulas.
+ * @param {Object} row - Raw content row ({ line, category, url, source, ... })
+ * @param {Object} metrics - Raw metrics ({ views, likes, time_spent_minutes, ... })
+ * @param {Date} now - Reference time for recency
+ * @returns {Object} { record } on success or { error: { line, reason } }
+ */
+function enrichRow(row, metrics, now) {
+  const missing = REQUIRED_METRICS.filter(field => metrics[field] === null || metrics[field] === undefined);
+  if (missing.length > 0) {
+    return { error: { line: row.line, reason: `missing metrics: ${missing.join(', ')}` } };
+  }
+
+  if (metrics.published_at && daysSince(metrics.published_at, now) === null) {
+    return { error: { line: row.line, reason: `published_at is not a date, got "${metrics.published_at}"` } };
+  }
+
+  const inputs = {
+    time_spent_minutes: metrics.time_spent_minutes,
+    upvotes: metrics.likes,
+    views: metrics.views,
+    published_at: metrics.published_at || null,
+    growth_rate: metrics.growth_rate === undefined ? null : metrics.growth_rate
+  };
+  const scores = scoreContent(inputs, now);
+
+  return {
+    record: {
+      line: row.line,
+      category: row.category,
+      url: row.url,
+      source: row.source,
+      ...inputs,
+      ...scores,
+      content_type: row.content_type || inferContentType(row.url),
+      difficulty_level: row.difficulty_level,
+      score_version: SCORE_VERSION,
+      scored_at: toSqlTimestamp(now)
+    }
+  };
+}
+
+/**
+ * Enrich raw content CSV text into scored import records.
+ * Metrics come from the metrics file (matched by canonical URL) or, when no
+ * metrics file is given or it has no row for a URL, from metric columns in
+ * the content file itself. Rows without usable metrics are rejected.
+ * @param {string} contentText - Raw content CSV (Category, URL, Source, ...)
+ * @param {string|null} metricsText - Raw metrics CSV (URL, Views, Likes, ...), optional
+ * @param {Object} options - Optional settings
+ * @param {Date} [options.now] - Reference time for recency (default now)
+ * @returns {Object} { records, errors, totalRows, metricsErrors } ready for importRecords()
+ */
+function enrichContent(contentText, metricsText, options = {}) {
+  const now = options.now || new Date();
+  const content = readTypedCsv(
+    contentText,
+    { ...RAW_CONTENT_COLUMNS, ...RAW_METRIC_COLUMNS },
+    { required: ['category', 'url', 'source'] }
+  );
+  const { metrics, errors: metricsErrors } = metricsText
+    ? readMetricsCsv(metricsText)
+    : { metrics: new Map(), errors: [] };
+
+  const records = [];
+  const errors = [...content.errors];
+
+  content.records.forEach(row => {
+    const rowMetrics = metrics.get(canonicalizeUrl(row.url)) || row;
+    const hasMetrics = Object.keys(RAW_METRIC_COLUMNS).some(field => rowMetrics[field] !== null);
+
+    if (!hasMetrics) {
+      errors.push({ line: row.line, reason: `no metrics for ${row.url}` });
+      return;
+    }
+
+    const result = enrichRow(row, rowMetrics, now);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      records.push(result.record);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { records, errors, totalRows: content.totalRows, metricsErrors };
+}
+
+module.exports = {
+  inferContentType,
+  readMetricsCsv,
+  enrichContent
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { formatValidationErrors } = require('./validation');
+
+// Error taxonomy of the API. Every error response carries a stable `code`
+// that clients branch on, the request id that appears in the server log,
+// a message that is safe to show and, for some codes, `details`. Library
+// code throws apiError() for failures it can name; anything else is an
+// internal_error whose message is never sent to the client.
+
+const ERROR_CODES = {
+  validation_failed: { status: 400, message: 'The request is invalid' },
+  query_too_complex: { status: 400, message: 'The query is too deep or asks for too much at once' },
+  unauthorized: { status: 401, message: 'Missing or invalid admin token' },
+  forbidden: { status: 403, message: 'This endpoint is disabled' },
+  not_found: { status: 404, message: 'Not found' },
+  conflict: { status: 409, message: 'The request conflicts with the current data' },
+  payload_too_large: { status: 413, message: 'The request body is too large' },
+  unsupported_media_type: { status: 415, message: 'Unsupported content type' },
+  rate_limited: { status: 429, message: 'Too many requests; try again later' },
+  internal_error: { status: 500, message: 'Something went wrong' },
+  database_unavailable: { status: 503, message: 'The database is unavailable; try again later' },
+  schema_outdated: { status: 503, message: 'The database schema is out of date' }
+};
+
+// Driver error codes meaning the database cannot be reached or used right now:
+// SQLite busy, locked, unopenable or I/O errors, PostgreSQL connection failures
+// (class 08), shutdowns (57P01-57P03) and too many connections (53300)
+const UNAVAILABLE_CODES = /^(SQLITE_(BUSY|LOCKED|CANTOPEN|IOERR|READONLY)|ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|08\w{3}|57P0[123]|53300)/;
+
+// Request ids passed in by a proxy are kept when they look like ids
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+/**
+ * Create an error with a code of ERROR_CODES
+ * @param {string} code - Error code
+ * @param {string} [message] - Message safe to show to clients (default: the code's message)
+ * @param {Object} [details] - Extra fields safe to show to clients
+ * @returns {Error} Error with code, status and details
+ */
+function apiError(code, message, details) {
+  const error = new Error(message || ERROR_CODES[code].message);
+  error.code = code;
+  error.status = ERROR_CODES[code].status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Create a validation_failed error listing invalid fields
+ * @param {Array} errors - { field, message } errors
+ * @returns {Error} Error whose message joins the fields ("limit must be an integer; ...")
+ */
+function validationError(errors) {
+  return apiError('validation_failed', formatValidationErrors(errors), { errors });
+}
+
+/**
+ * Check whether an error was created by apiError()
+ * @param {*} error - Thrown value
+ * @returns {boolean} True if it has a code of ERROR_CODES
+ */
+function isApiError(error) {
+  return Boolean(error) && Object.prototype.hasOwnProperty.call(ERROR_CODES, error.code) && typeof error.status === 'number';
+}
+
+/**
+ * Rethrowable error for a failed database operation: database_unavailable
+ * when the driver could not reach the database, the error itself if it is
+ * already an API error, and otherwise a plain Error with the given message
+ * @param {Error} error - Error thrown by the driver
+ * @param {string} message - Message of the operation, such as 'Failed to fetch tags'
+ * @returns {Error} Error to throw
+ */
+function databaseError(error, message) {
+  if (isApiError(error)) {
+    return error;
+  }
+
+  if (error && UNAVAILABLE_CODES.test(String(error.code || ''))) {
+    return apiError('database_unavailable');
+  }
+
+  return new Error(message);
+}
+
+/**
+ * Pick the request id of a request: a sane X-Request-Id header, or a new id
+ * @param {Request} request - Incoming request
+ * @returns {string} Request id
+ */
+function requestIdFromRequest(request) {
+  const header = request.headers.get('x-request-id');
+  return header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+}
+
+/**
+ * Describe an error as an API error response. Server errors are logged with
+ * the request id; internal errors are sent with the fallback message only.
+ * @param {*} error - Thrown value or apiError()
+ * @param {string} requestId - Id from requestIdFromRequest()
+ * @param {string} [fallbackMessage] - Message for internal errors, such as 'Failed to load aggregates'
+ * @returns {{ status: number, body: Object, headers: Object }} Response status, JSON body and headers
+ */
+function describeError(error, requestId, fallbackMessage) {
+  const known = isApiError(error) ? error : apiError('internal_error', fallbackMessage);
+
+  if (known.status >= 500) {
+    console.error(`Request ${requestId} failed (${known.code}):`, error);
+  }
+
+  const headers = { 'X-Request-Id': requestId };
+  if (known.details && known.details.retryAfter) {
+    headers['Retry-After'] = String(known.details.retryAfter);
+  }
+
+  return {
+    status: known.status,
+    body: {
+      error: known.message,
+      code: known.code,
+      requestId,
+      ...(known.details || {})
+    },
+    headers
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  apiError,
+  validationError,
+  isApiError,
+  databaseError,
+  requestIdFromRequest,
+  describeError
+};
@@ -0,0 +1,161 @@
+const { formatCsvRow } = require('./csv');
+const { TAG_SEPARATOR } = require('./tags');
+const { createXlsx } = require('./xlsx');
+const { MAX_PAGE_SIZE } = require('./storage/pagination');
+
+// Content exports for /api/export. Rows are read page by page with the
+// listing's keyset cursor and written as they arrive, except for XLSX,
+// which is a zip archive and is built once every row is read.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Formats that can carry the category, tag and source stats next to the rows
+const AGGREGATE_FORMATS = ['json', 'xlsx'];
+
+// Exported fields of toContentData() rows. The first ten are the columns of
+// enhanced_fashion_data.csv and Tags is read by imports too, so a CSV export
+// can be imported again.
+const EXPORT_COLUMNS = [
+  'Category', 'URL', 'Source', 'Time_Spent_Minutes', 'Upvotes', 'Views', 'Engagement_Score',
+  'Content_Type', 'Difficulty_Level', 'Trending_Score', 'Tags', 'id', 'created_at', 'updated_at'
+];
+
+const AGGREGATE_COLUMNS = ['Group', 'Name', 'Count', 'Avg_Time_Spent', 'Total_Upvotes', 'Total_Views', 'Percentage'];
+
+function pickColumns(row) {
+  return Object.fromEntries(EXPORT_COLUMNS.map(column => [column, row[column] === undefined ? null : row[column]]));
+}
+
+// Cell values for CSV and XLSX, with tags joined as imports read them
+function flatRow(row) {
+  return { ...row, Tags: Array.isArray(row.Tags) ? row.Tags.join(`${TAG_SEPARATOR} `) : row.Tags };
+}
+
+/**
+ * Flatten the category, tag and source groups of getAggregates() into sheet rows
+ * @param {Object} aggregates - Result of getAggregates()
+ * @returns {Array} Rows keyed by AGGREGATE_COLUMNS
+ */
+function aggregateRows(aggregates) {
+  const rows = (group, items) => items.map(item => ({
+    Group: group,
+    Name: item.displayName,
+    Count: item.count,
+    Avg_Time_Spent: item.avgTimeSpent,
+    Total_Upvotes: item.totalUpvotes,
+    Total_Views: item.totalViews,
+    Percentage: item.percentage === undefined ? null : item.percentage
+  }));
+
+  return [
+    ...rows('Category', aggregates.byCategory),
+    ...rows('Tag', aggregates.byTag),
+    ...rows('Source', aggregates.bySource)
+  ];
+}
+
+/**
+ * Read every page of a listing
+ * @param {Function} fetchPage - ({ limit, cursor }) => Promise<{ items, nextCursor }>
+ * @returns {AsyncGenerator<Array>} Pages of rows
+ */
+async function* readPages(fetchPage) {
+  let cursor;
+  do {
+    const page = await fetchPage({ limit: MAX_PAGE_SIZE, cursor });
+    yield page.items;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+async function* exportChunks(format, fetchPage, aggregates) {
+  const pages = readPages(fetchPage);
+
+  if (format === 'xlsx') {
+    const rows = [];
+    for await (const items of pages) {
+      rows.push(...items.map(flatRow));
+    }
+
+    const sheets = [{ name: 'Content', columns: EXPORT_COLUMNS, rows }];
+    if (aggregates) {
+      sheets.push({ name: 'Aggregates', columns: AGGREGATE_COLUMNS, rows: aggregateRows(aggregates) });
+    }
+    yield createXlsx(sheets);
+    return;
+  }
+
+  if (format === 'csv') {
+    yield formatCsvRow(EXPORT_COLUMNS);
+    for await (const items of pages) {
+      yield items.map(flatRow).map(row => formatCsvRow(EXPORT_COLUMNS.map(column => row[column]))).join('');
+    }
+    return;
+  }
+
+  if (format === 'ndjson') {
+    for await (const items of pages) {
+      yield items.map(row => JSON.stringify(pickColumns(row)) + '\n').join('');
+    }
+    return;
+  }
+
+  // JSON: { "items": [...], "aggregates": {...} }
+  let separator = '';
+  yield '{"items":[';
+  for await (const items of pages) {
+    if (items.length > 0) {
+      yield separator + items.map(row => JSON.stringify(pickColumns(row))).join(',');
+      separator = ',';
+    }
+  }
+  yield aggregates
+    ? `],"aggregates":${JSON.stringify({ totals: aggregates.totals, byCategory: aggregates.byCategory, byTag: aggregates.byTag, bySource: aggregates.bySource })}}`
+    : ']}';
+}
+
+/**
+ * Stream every row of a listing in an export format
+ * @param {string} format - 'csv', 'json', 'ndjson' or 'xlsx'
+ * @param {Function} fetchPage - ({ limit, cursor }) => Promise<{ items, nextCursor }> returning toContentData() rows
+ * @param {Object} options - Optional settings
+ * @param {Object} [options.aggregates] - getAggregates() result to include (JSON and XLSX only)
+ * @returns {ReadableStream<Uint8Array>} File content
+ */
+function createExportStream(format, fetchPage, options = {}) {
+  const encoder = new TextEncoder();
+  const chunks = exportChunks(format, fetchPage, options.aggregates);
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(typeof value === 'string' ? encoder.encode(value) : new Uint8Array(value));
+        }
+      } catch (error) {
+        console.error('Error exporting content:', error);
+        controller.error(new Error('Failed to export content'));
+      }
+    },
+
+    async cancel() {
+      await chunks.return();
+    }
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  AGGREGATE_FORMATS,
+  EXPORT_COLUMNS,
+  aggregateRows,
+  createExportStream
+};
@@ -0,0 +1,272 @@
+// Filter language for content listings, shared by listing, search, aggregation
+// and export. A filter is one or more clauses, joined with AND:
+//
+//   category:"Style Principles","Body Positivity"   any of these values
+//   source!:substack                                none of these values
+//   tag:"Body Positivity"                           carries any of these tags (tag:a;tag:b for both)
+//   views:1000..5000                                inclusive range (either end may be left open)
+//   engagementScore>=0.8                            comparison: >=, >, <=, <
+//
+// Clauses come from repeated `filter` parameters or are separated by `;`.
+// Values are split on commas and may be double-quoted ("" for a literal quote).
+
+// Filterable fields. Lookups and tags match by key or display name; metrics compare numerically.
+const FILTER_FIELDS = {
+  category: { type: 'lookup', alias: 'cat' },
+  source: { type: 'lookup', alias: 'src' },
+  contentType: { type: 'lookup', alias: 'ct' },
+  difficultyLevel: { type: 'lookup', alias: 'dl' },
+  tag: { type: 'tag', alias: 'tg' },
+  views: { type: 'number', column: 'c.views' },
+  upvotes: { type: 'number', column: 'c.upvotes' },
+  timeSpentMinutes: { type: 'number', column: 'c.time_spent_minutes' },
+  engagementScore: { type: 'number', column: 'c.engagement_score' },
+  trendingScore: { type: 'number', column: 'c.trending_score' }
+};
+
+// Clause operators, longest first so "!:" and ">=" win over ":" and ">"
+const OPERATORS = [
+  ['!:', 'not_in'],
+  ['>=', 'gte'],
+  ['<=', 'lte'],
+  [':', 'in'],
+  ['>', 'gt'],
+  ['<', 'lt']
+];
+
+const COMPARISONS = { gte: '>=', gt: '>', lte: '<=', lt: '<' };
+
+// Keeps a single filter within a reasonable number of bound parameters
+const MAX_FILTER_VALUES = 50;
+
+// Field names are matched ignoring case and underscores (engagement_score = engagementScore)
+const FIELD_NAMES = new Map(
+  Object.keys(FILTER_FIELDS).map(field => [field.toLowerCase(), field])
+);
+
+function findField(name) {
+  return FIELD_NAMES.get(name.toLowerCase().replace(/_/g, '')) || null;
+}
+
+/**
+ * Split text on a separator, ignoring separators inside double quotes
+ * @param {string} text - Text to split
+ * @param {string} separator - Single character
+ * @returns {Array|null} Parts with quotes kept, or null if a quote is unterminated
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Trim a value and remove its surrounding quotes
+function unquote(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/""/g, '"');
+  }
+  return trimmed;
+}
+
+function parseNumber(value) {
+  return value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+/**
+ * Parse one clause into conditions
+ * @param {string} clause - e.g. "views:1000..5000"
+ * @returns {Object} { conditions } on success or { error }
+ */
+function parseClause(clause) {
+  const match = clause.match(/^\s*([A-Za-z_]+)\s*(!:|>=|<=|:|>|<)(.*)$/s);
+  if (!match) {
+    return { error: 'expected field, operator (: !: >= > <= <) and value' };
+  }
+
+  const [, name, symbol, rawValue] = match;
+  const field = findField(name);
+  if (!field) {
+    return { error: `unknown field "${name}"; expected one of: ${Object.keys(FILTER_FIELDS).join(', ')}` };
+  }
+
+  const op = OPERATORS.find(([candidate]) => candidate === symbol)[1];
+  const { type } = FILTER_FIELDS[field];
+
+  if (type !== 'number' && COMPARISONS[op]) {
+    return { error: `${field} only supports : and !:` };
+  }
+
+  // Numeric range: min..max with either end optional
+  const range = type === 'number' && op === 'in' ? rawValue.trim().match(/^(.*?)\.\.(.*)$/) : null;
+  if (range) {
+    const [min, max] = [range[1].trim(), range[2].trim()];
+    const conditions = [];
+
+    for (const [bound, boundOp] of [[min, 'gte'], [max, 'lte']]) {
+      if (bound === '') continue;
+      const value = parseNumber(bound);
+      if (value === null) {
+        return { error: `${field} range bounds must be numbers, got "${bound}"` };
+      }
+      conditions.push({ field, op: boundOp, values: [value] });
+    }
+
+    if (conditions.length === 0) {
+      return { error: `${field} range needs at least one bound` };
+    }
+    if (conditions.length === 2 && conditions[0].values[0] > conditions[1].values[0]) {
+      return { error: `${field} range minimum is greater than its maximum` };
+    }
+    return { conditions };
+  }
+
+  const parts = splitOutsideQuotes(rawValue, ',');
+  if (!parts) {
+    return { error: 'unterminated quote' };
+  }
+
+  const values = parts.map(unquote);
+  if (values.some(value => value === '')) {
+    return { error: `${field} needs a value` };
+  }
+  if (COMPARISONS[op] && values.length > 1) {
+    return { error: `${field}${symbol} takes a single value` };
+  }
+  if (values.length > MAX_FILTER_VALUES) {
+    return { error: `${field} accepts at most ${MAX_FILTER_VALUES} values` };
+  }
+
+  if (type === 'number') {
+    const numbers = values.map(parseNumber);
+    const invalid = values.find((value, index) => numbers[index] === null);
+    if (invalid !== undefined) {
+      return { error: `${field} must be a number, got "${invalid}"` };
+    }
+    return { conditions: [{ field, op, values: numbers }] };
+  }
+
+  return { conditions: [{ field, op, values }] };
+}
+
+/**
+ * Parse filter expressions into validated conditions
+ * @param {string|Array} input - One expression or several (e.g. repeated query parameters)
+ * @returns {Object} { conditions: [{ field, op, values }], errors: [{ clause, message }] }
+ */
+function parseFilters(input) {
+  const expressions = (Array.isArray(input) ? input : [input]).filter(value => value !== null && value !== undefined);
+  const conditions = [];
+  const errors = [];
+
+  expressions.forEach(expression => {
+    const clauses = splitOutsideQuotes(String(expression), ';');
+    if (!clauses) {
+      errors.push({ clause: String(expression), message: 'unterminated quote' });
+      return;
+    }
+
+    clauses
+      .filter(clause => clause.trim() !== '')
+      .forEach(clause => {
+        const parsed = parseClause(clause);
+        if (parsed.error) {
+          errors.push({ clause: clause.trim(), message: parsed.error });
+        } else {
+          conditions.push(...parsed.conditions);
+        }
+      });
+  });
+
+  return { conditions, errors };
+}
+
+/**
+ * Format filter errors as a single readable message
+ * @param {Array} errors - Errors from parseFilters()
+ * @returns {string} Message such as 'Invalid filter "views:abc": views must be a number, got "abc"'
+ */
+function formatFilterErrors(errors) {
+  return errors.map(({ clause, message }) => `Invalid filter "${clause}": ${message}`).join('; ');
+}
+
+/**
+ * Collect every filter condition of a listing request: the single-value
+ * lookup filters (category, source, contentType, difficultyLevel, tag; 'All'
+ * or empty for any) and parsed filter conditions
+ * @param {Object} filters - Listing filters
+ * @param {Array} [filters.conditions] - Conditions from parseFilters()
+ * @returns {Array} Conditions
+ */
+function filterConditions(filters) {
+  const conditions = [];
+
+  ['category', 'source', 'contentType', 'difficultyLevel', 'tag'].forEach(field => {
+    const value = filters[field];
+    if (value && value !== 'All') {
+      conditions.push({ field, op: 'in', values: [value] });
+    }
+  });
+
+  return [...conditions, ...(filters.conditions || [])];
+}
+
+/**
+ * Compile conditions into parameterized SQL over the CONTENT_JOINS aliases.
+ * Tags are matched in a subquery on content_tags, as tg.
+ * @param {Array} conditions - Conditions from filterConditions()
+ * @param {Object} dialect - Backend specifics
+ * @param {Function} dialect.param - Adds a parameter and returns its placeholder
+ * @param {Function} dialect.lookupIn - (alias, values) => condition matching a lookup by key or display name
+ * @param {string} dialect.false - Literal for false
+ * @returns {Array} SQL conditions
+ */
+function compileFilters(conditions, dialect) {
+  return conditions.map(({ field, op, values }) => {
+    const definition = FILTER_FIELDS[field];
+
+    if (COMPARISONS[op]) {
+      return `${definition.column} ${COMPARISONS[op]} ${dialect.param(values[0])}`;
+    }
+
+    let matches;
+    if (definition.type === 'tag') {
+      matches = 'EXISTS (SELECT 1 FROM content_tags ctg JOIN tags tg ON tg.id = ctg.tag_id ' +
+        `WHERE ctg.content_id = c.id AND ${dialect.lookupIn(definition.alias, values)})`;
+    } else if (definition.type === 'lookup') {
+      matches = dialect.lookupIn(definition.alias, values);
+    } else {
+      matches = `${definition.column} IN (${values.map(value => dialect.param(value)).join(', ')})`;
+    }
+
+    // A missing value (NULL) is not any of the listed values
+    return op === 'not_in' ? `NOT COALESCE(${matches}, ${dialect.false})` : matches;
+  });
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  MAX_FILTER_VALUES,
+  parseFilters,
+  formatFilterErrors,
+  filterConditions,
+  compileFilters
+};
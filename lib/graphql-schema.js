@@ -0,0 +1,372 @@
+const { printSchema } = require('graphql');
+const { buildExecutableSchema, runQuery } = require('./graphql');
+const {
+  getAllContent,
+  searchContent,
+  getGroupedMetrics,
+  getContentById,
+  getCategories,
+  getSources
+} = require('./database');
+const { contentFiltersFromQuery, pageFromQuery } = require('./api');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./storage/pagination');
+const { DEFAULT_GROUP_LIMIT, MAX_GROUP_LIMIT } = require('./storage/aggregates');
+const { validationError, describeError } = require('./errors');
+
+// The /api/graphql schema: content, categories and sources, and grouped
+// metrics for reporting. Everything resolves through lib/database.js.
+
+// Deepest field nesting and highest cost of a query, see measure() in lib/graphql.js
+const MAX_QUERY_DEPTH = 8;
+const MAX_QUERY_COST = 5000;
+
+// Items assumed in the category and source lists when costing a query
+const LOOKUP_LIST_SIZE = 25;
+
+// Enum values by their GraphQL name; resolvers receive the names
+const METRICS = {
+  VIEWS: 'views',
+  UPVOTES: 'upvotes',
+  TIME_SPENT_MINUTES: 'timeSpentMinutes',
+  ENGAGEMENT_SCORE: 'engagementScore',
+  TRENDING_SCORE: 'trendingScore'
+};
+
+const DIMENSIONS = {
+  CATEGORY: 'category',
+  SOURCE: 'source',
+  CONTENT_TYPE: 'contentType',
+  DIFFICULTY_LEVEL: 'difficultyLevel',
+  TAG: 'tag'
+};
+
+const SORT_FIELDS = { ...METRICS, RELEVANCE: 'relevance', CREATED_AT: 'createdAt' };
+const SORT_DIRECTIONS = { ASC: 'asc', DESC: 'desc' };
+
+const enumValues = values => Object.keys(values).join('\n  ');
+
+// Arguments selecting content, shared by the listings and the aggregate
+const FILTER_ARGS = `
+    """Full-text search; bare words match as prefixes, "quoted text" as phrases"""
+    search: String
+    """Filter expressions, as the filter parameter of /api/v1/content (e.g. "views>=1000")"""
+    filter: [String!]`;
+
+const PAGE_ARGS = `${FILTER_ARGS}
+    "Default RELEVANCE for searches, ENGAGEMENT_SCORE otherwise"
+    sortBy: SortField
+    sortDir: SortDirection = DESC
+    "Page size, at most ${MAX_PAGE_SIZE}"
+    limit: Int = ${DEFAULT_PAGE_SIZE}
+    "nextCursor of the previous page, with the same arguments"
+    cursor: String
+  `;
+
+// Category and Source share their fields; contents lists the content under one
+const lookupType = (name, description) => `
+"${description}"
+type ${name} {
+  id: Int!
+  "Stable identifier, accepted by filters"
+  key: String!
+  displayName: String!
+  "Hex color used by the dashboard"
+  color: String
+  "Display position"
+  sortOrder: Int!
+  "Content in this group"
+  contents(${PAGE_ARGS}): ContentPage!
+}`;
+
+const TYPE_DEFS = `
+type Query {
+  "One content item, or null if there is none"
+  content(id: Int!): Content
+  "A page of content, filtered, searched and sorted like /api/v1/content"
+  contents(${PAGE_ARGS}): ContentPage!
+  "Categories in display order"
+  categories: [Category!]!
+  "A category by key or display name"
+  category(key: String!): Category
+  "Sources in display order"
+  sources: [Source!]!
+  "A source by key or display name"
+  source(key: String!): Source
+  """
+  Count, sum and average metrics of the matching content, grouped by any dimensions. Only groups with matching content are returned, in the display order of each dimension.
+  """
+  aggregate(
+    "Dimensions, outermost first; none for one group of everything"
+    groupBy: [Dimension!]! = []${FILTER_ARGS}
+    "Groups to return, at most ${MAX_GROUP_LIMIT}"
+    limit: Int = ${DEFAULT_GROUP_LIMIT}
+  ): Aggregate!
+}
+
+"A piece of fashion content"
+type Content {
+  id: Int!
+  url: String!
+  category: Category!
+  source: Source!
+  "Content type display name"
+  contentType: String
+  "Difficulty level display name"
+  difficultyLevel: String
+  "Tag display names in display order"
+  tags: [String!]!
+  timeSpentMinutes: Float
+  upvotes: Int
+  views: Int
+  engagementScore: Float
+  trendingScore: Float
+  createdAt: String
+  updatedAt: String
+}
+
+"One page of a content listing"
+type ContentPage {
+  items: [Content!]!
+  "Cursor of the next page, null on the last page"
+  nextCursor: String
+  hasMore: Boolean!
+  "Matching items on every page"
+  total: Int!
+}
+${lookupType('Category', 'A content category')}
+${lookupType('Source', 'A platform content comes from')}
+
+type Aggregate {
+  groups: [AggregateGroup!]!
+  "Whether the limit left out groups"
+  hasMore: Boolean!
+}
+
+"""
+Metrics of one combination of the grouped dimensions. Dimensions not grouped by are null, as are grouped ones the content has no value for (no content type, no tags).
+"""
+type AggregateGroup {
+  category: Category
+  source: Source
+  contentType: String
+  difficultyLevel: String
+  "Grouped by tag, content counts under every tag it carries"
+  tag: String
+  "Content items in the group"
+  count: Int!
+  "Sum of a metric; missing values count as 0"
+  sum(metric: Metric!): Float!
+  "Average of a metric over the items that have it; null if none do"
+  avg(metric: Metric!): Float
+}
+
+"Dimensions aggregates group by"
+enum Dimension {
+  ${enumValues(DIMENSIONS)}
+}
+
+"Content metrics"
+enum Metric {
+  ${enumValues(METRICS)}
+}
+
+enum SortField {
+  ${enumValues(SORT_FIELDS)}
+}
+
+enum SortDirection {
+  ${enumValues(SORT_DIRECTIONS)}
+}
+`;
+
+const pageListSize = args => Math.min(args.limit, MAX_PAGE_SIZE);
+
+/**
+ * Read the filter arguments into lib/database.js filters
+ * @param {Object} args - search and filter arguments
+ * @returns {Object} { search, filters } with the parsed filter conditions
+ * @throws {Error} validation_failed for invalid filter expressions
+ */
+function filtersFromArgs(args) {
+  const { search, errors, ...filters } = contentFiltersFromQuery({ search: args.search, filter: args.filter || [] });
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return { search, filters };
+}
+
+/**
+ * Resolve a page of content
+ * @param {Object} args - Arguments of a contents field
+ * @param {Object} [scope] - Filters every page is limited to, such as { category }
+ * @returns {Promise<Object>} { items, nextCursor, total, hasMore }
+ */
+async function contentPage(args, scope = {}) {
+  const { search, filters } = filtersFromArgs(args);
+  const sort = { sortBy: args.sortBy && SORT_FIELDS[args.sortBy], sortDir: SORT_DIRECTIONS[args.sortDir] };
+  if (sort.sortBy === 'relevance' && !search) {
+    throw validationError([{ field: 'sortBy', message: 'RELEVANCE needs a search' }]);
+  }
+
+  const { sortBy, sortDir, limit, cursor, errors } = pageFromQuery({ ...args, ...sort }, Boolean(search));
+
+  if (args.limit < 1 || args.limit > MAX_PAGE_SIZE) {
+    errors.push({ field: 'limit', message: `must be between 1 and ${MAX_PAGE_SIZE}` });
+  }
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+
+  const options = { ...filters, ...scope, sortBy, sortDir, limit, cursor };
+  const page = search ? await searchContent(search, options) : await getAllContent(options);
+
+  return { ...page, hasMore: page.nextCursor !== null };
+}
+
+/**
+ * Create the per-request state of resolvers. Lookups are loaded once per
+ * request however many fields refer to them.
+ * @returns {Object} Resolver context
+ */
+function createContext() {
+  const loaded = {};
+  const load = (name, fetch) => {
+    if (!loaded[name]) {
+      loaded[name] = fetch();
+    }
+    return loaded[name];
+  };
+
+  return {
+    categories: () => load('categories', getCategories),
+    sources: () => load('sources', getSources)
+  };
+}
+
+// Find a lookup by key or display name, ignoring case as filters do
+const findLookup = (values, name) => values.find(value =>
+  value.key === name || value.displayName.toLowerCase() === String(name).toLowerCase()) || null;
+
+// contents of a Category or Source
+const lookupFields = filter => ({
+  contents: { listSize: pageListSize, resolve: (lookup, args) => contentPage(args, { [filter]: lookup.key }) }
+});
+
+// Field reading a snake_case column of a content row
+const column = name => ({ resolve: row => row[name] });
+
+const displayName = dimension => ({ resolve: group => (group[dimension] ? group[dimension].displayName : null) });
+
+const schema = buildExecutableSchema(TYPE_DEFS, {
+  Query: {
+    content: { resolve: (root, { id }) => getContentById(id) },
+    contents: { listSize: pageListSize, resolve: (root, args) => contentPage(args) },
+    categories: { listSize: () => LOOKUP_LIST_SIZE, resolve: (root, args, context) => context.categories() },
+    category: { resolve: async (root, { key }, context) => findLookup(await context.categories(), key) },
+    sources: { listSize: () => LOOKUP_LIST_SIZE, resolve: (root, args, context) => context.sources() },
+    source: { resolve: async (root, { key }, context) => findLookup(await context.sources(), key) },
+    aggregate: {
+      listSize: args => Math.min(args.limit, MAX_GROUP_LIMIT),
+      resolve: (root, args) => {
+        if (args.limit < 1 || args.limit > MAX_GROUP_LIMIT) {
+          throw validationError([{ field: 'limit', message: `must be between 1 and ${MAX_GROUP_LIMIT}` }]);
+        }
+        const { search, filters } = filtersFromArgs(args);
+        const groupBy = args.groupBy.map(name => DIMENSIONS[name]);
+        return getGroupedMetrics(groupBy, { ...filters, search, limit: args.limit });
+      }
+    }
+  },
+  Content: {
+    category: { resolve: async (row, args, context) => findLookup(await context.categories(), row.category) },
+    source: { resolve: async (row, args, context) => findLookup(await context.sources(), row.source) },
+    contentType: column('content_type'),
+    difficultyLevel: column('difficulty_level'),
+    timeSpentMinutes: column('time_spent_minutes'),
+    engagementScore: column('engagement_score'),
+    trendingScore: column('trending_score'),
+    createdAt: column('created_at'),
+    updatedAt: column('updated_at')
+  },
+  Category: lookupFields('category'),
+  Source: lookupFields('source'),
+  AggregateGroup: {
+    category: {
+      resolve: async (group, args, context) => (group.category ? findLookup(await context.categories(), group.category.key) : null)
+    },
+    source: {
+      resolve: async (group, args, context) => (group.source ? findLookup(await context.sources(), group.source.key) : null)
+    },
+    contentType: displayName('contentType'),
+    difficultyLevel: displayName('difficultyLevel'),
+    tag: displayName('tag'),
+    sum: { resolve: (group, { metric }) => group.sum[METRICS[metric]] },
+    avg: { resolve: (group, { metric }) => group.avg[METRICS[metric]] }
+  }
+});
+
+/**
+ * Run a GraphQL request against the schema, within the depth and cost limits
+ * @param {Object} request - Request body: { query, variables?, operationName? }
+ * @param {Object} options - Optional settings
+ * @param {string} [options.requestId] - Id logged with server errors
+ * @returns {Promise<Object>} { errors } for a request that cannot run, otherwise { errors?, data }
+ */
+function executeGraphql(request, options = {}) {
+  return runQuery(schema, request, {
+    maxDepth: MAX_QUERY_DEPTH,
+    maxCost: MAX_QUERY_COST,
+    context: createContext(),
+    requestId: options.requestId
+  });
+}
+
+/**
+ * The schema as GraphQL SDL
+ * @returns {string} SDL
+ */
+function graphqlSchemaSdl() {
+  return printSchema(schema);
+}
+
+/**
+ * Build the response of a GraphQL result, with the request id in extensions.
+ * A request that could not run (no data) is a 400; field errors come with
+ * partial data and a 200.
+ * @param {Object} result - Result of executeGraphql()
+ * @param {string} requestId - Id from requestIdFromRequest()
+ * @returns {Response} Response with the X-Request-Id header
+ */
+function graphqlResponse(result, requestId) {
+  return Response.json(
+    { ...result, extensions: { requestId } },
+    { status: 'data' in result ? 200 : 400, headers: { 'X-Request-Id': requestId } }
+  );
+}
+
+/**
+ * Build the response of an error raised outside query execution, in the
+ * GraphQL response shape so clients find it in errors
+ * @param {*} error - apiError(), validationError() or any thrown value
+ * @param {string} requestId - Id from requestIdFromRequest()
+ * @param {string} [fallbackMessage] - Message sent for unexpected errors
+ * @returns {Response} Error response with the X-Request-Id header
+ */
+function graphqlErrorResponse(error, requestId, fallbackMessage) {
+  const { status, body, headers } = describeError(error, requestId, fallbackMessage);
+  const { error: message, code, requestId: id, ...details } = body;
+
+  return Response.json(
+    { errors: [{ message, extensions: { code, ...details } }], extensions: { requestId: id } },
+    { status, headers }
+  );
+}
+
+module.exports = {
+  MAX_QUERY_DEPTH,
+  MAX_QUERY_COST,
+  executeGraphql,
+  graphqlSchemaSdl,
+  graphqlResponse,
+  graphqlErrorResponse
+};
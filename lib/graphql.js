@@ -0,0 +1,221 @@
+const {
+  Kind,
+  buildSchema,
+  execute,
+  getArgumentValues,
+  getDirectiveValues,
+  getLocation,
+  getNamedType,
+  getOperationAST,
+  getVariableValues,
+  GraphQLIncludeDirective,
+  GraphQLSkipDirective,
+  NoSchemaIntrospectionCustomRule,
+  parse,
+  specifiedRules,
+  validate
+} = require('graphql');
+const { describeError } = require('./errors');
+
+// Runs /api/graphql requests with the graphql package. What this module adds
+// is the depth and cost limits: requests are measured with their variables
+// and refused before anything is resolved, since one query can otherwise ask
+// for every page of every category. Only queries are supported, without
+// introspection.
+
+/**
+ * Create a request error, reported with its locations in the query
+ * @param {string} message - Message for the client
+ * @param {Array} [locations] - { line, column } positions in the query
+ * @param {string} [code] - Error code of lib/errors.js (default validation_failed)
+ * @returns {Object} GraphQL error { message, locations?, extensions }
+ */
+function requestError(message, locations = [], code = 'validation_failed') {
+  return {
+    message,
+    ...(locations.length > 0 ? { locations } : {}),
+    extensions: { code }
+  };
+}
+
+/**
+ * Build an executable schema from SDL. Fields resolve with resolve(source,
+ * args, context), or read the property of the same name. A field returning
+ * many objects declares listSize(args), the number of items it can return,
+ * which multiplies the cost of the fields selected under it.
+ * @param {string} typeDefs - Schema as GraphQL SDL
+ * @param {Object} fields - { TypeName: { fieldName: { resolve?, listSize? } } }
+ * @returns {GraphQLSchema} Schema
+ * @throws {Error} If fields names a type or field the SDL does not define
+ */
+function buildExecutableSchema(typeDefs, fields) {
+  const schema = buildSchema(typeDefs);
+
+  Object.entries(fields).forEach(([typeName, typeFields]) => {
+    const type = schema.getType(typeName);
+    if (!type || !type.getFields) {
+      throw new Error(`Unknown object type "${typeName}"`);
+    }
+    Object.entries(typeFields).forEach(([fieldName, { resolve, listSize }]) => {
+      const field = type.getFields()[fieldName];
+      if (!field) {
+        throw new Error(`Unknown field "${typeName}.${fieldName}"`);
+      }
+      if (resolve) field.resolve = resolve;
+      if (listSize) field.extensions = { ...field.extensions, listSize };
+    });
+  });
+
+  return schema;
+}
+
+/**
+ * Measure an operation. Depth counts nested fields (a top-level field is
+ * depth 1). Each field costs 1, and the fields selected under a field with a
+ * listSize count once per item it can return. Fields left out by @include
+ * or @skip are not counted.
+ * @param {GraphQLSchema} schema - Schema from buildExecutableSchema()
+ * @param {Object} document - Validated document
+ * @param {Object} operation - Operation node
+ * @param {Object} variables - Coerced variable values
+ * @returns {{ depth: number, cost: number }} Depth and cost
+ */
+function measure(schema, document, operation, variables) {
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(fragment => [fragment.name.value, fragment]));
+
+  const included = node => {
+    const skip = getDirectiveValues(GraphQLSkipDirective, node, variables);
+    const include = getDirectiveValues(GraphQLIncludeDirective, node, variables);
+    return !(skip && skip.if) && !(include && !include.if);
+  };
+
+  let depth = 0;
+
+  const visit = (selectionSet, parentType, level) => selectionSet.selections.reduce((cost, selection) => {
+    if (!included(selection)) {
+      return cost;
+    }
+
+    // The document is validated, so fragments exist, apply to their parent type and do not cycle
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      return cost + visit(fragments[selection.name.value].selectionSet, parentType, level);
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      return cost + visit(selection.selectionSet, parentType, level);
+    }
+
+    depth = Math.max(depth, level + 1);
+    if (!selection.selectionSet) {
+      return cost + 1;
+    }
+
+    const field = parentType.getFields()[selection.name.value];
+    const { listSize } = field.extensions;
+    const items = listSize ? listSize(getArgumentValues(field, selection, variables)) : 1;
+    return cost + 1 + items * visit(selection.selectionSet, getNamedType(field.type), level + 1);
+  }, 0);
+
+  const cost = visit(operation.selectionSet, schema.getQueryType(), 0);
+  return { depth, cost };
+}
+
+/**
+ * Turn an error raised while resolving into a GraphQL error with the code of
+ * lib/errors.js; unexpected errors are logged and not shown to the client
+ * @param {GraphQLError} error - Located error from execute()
+ * @param {string} [requestId] - Id logged with server errors
+ * @returns {Object} GraphQL error { message, locations, path, extensions }
+ */
+function fieldError(error, requestId) {
+  const { body } = describeError(error.originalError || error, requestId, 'Failed to resolve this field');
+  const { error: message, code, requestId: id, ...details } = body;
+  return { message, locations: error.locations, path: error.path, extensions: { code, ...details } };
+}
+
+/**
+ * Run a GraphQL request: parse and validate it, check its depth and cost,
+ * then resolve it. Field errors are listed in `errors` beside partial data;
+ * a request that cannot run gets `errors` only.
+ * @param {GraphQLSchema} schema - Schema from buildExecutableSchema()
+ * @param {Object} request - Request body: { query, variables?, operationName? }
+ * @param {Object} options - Execution settings
+ * @param {number} options.maxDepth - Deepest field nesting allowed
+ * @param {number} options.maxCost - Highest cost allowed
+ * @param {*} [options.context] - Passed to every resolver
+ * @param {string} [options.requestId] - Id logged with server errors
+ * @returns {Promise<Object>} { errors } for a request that cannot run, otherwise { errors?, data }
+ */
+async function runQuery(schema, request, options) {
+  const { query, variables = {}, operationName = null } = request || {};
+
+  if (typeof query !== 'string' || query.trim() === '') {
+    return { errors: [requestError('query must be a GraphQL query string')] };
+  }
+  if (variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return { errors: [requestError('variables must be an object')] };
+  }
+  if (operationName !== null && typeof operationName !== 'string') {
+    return { errors: [requestError('operationName must be a string')] };
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { errors: [requestError(error.message, error.locations)] };
+  }
+
+  // Clients read the schema as SDL from GET /api/graphql instead of introspecting it
+  const invalid = validate(schema, document, [...specifiedRules, NoSchemaIntrospectionCustomRule]);
+  if (invalid.length > 0) {
+    return { errors: invalid.map(error => requestError(error.message, error.locations)) };
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return {
+      errors: [requestError(operationName
+        ? `Unknown operation named "${operationName}".`
+        : 'Must provide operation name if query contains multiple operations.')]
+    };
+  }
+  if (operation.operation !== 'query') {
+    return { errors: [requestError(`Only queries are supported, not ${operation.operation} operations.`, [getLocation(document.loc.source, operation.loc.start)])] };
+  }
+
+  const coerced = getVariableValues(schema, operation.variableDefinitions || [], variables || {});
+  if (coerced.errors) {
+    return { errors: coerced.errors.map(error => requestError(error.message, error.locations)) };
+  }
+
+  const { depth, cost } = measure(schema, document, operation, coerced.coerced);
+  const limitErrors = [];
+  if (depth > options.maxDepth) {
+    limitErrors.push(requestError(`Query depth ${depth} exceeds the limit of ${options.maxDepth}.`, [], 'query_too_complex'));
+  }
+  if (cost > options.maxCost) {
+    limitErrors.push(requestError(`Query cost ${cost} exceeds the limit of ${options.maxCost}; ask for fewer items or fields.`, [], 'query_too_complex'));
+  }
+  if (limitErrors.length > 0) {
+    return { errors: limitErrors };
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    operationName,
+    variableValues: variables || {},
+    contextValue: options.context
+  });
+
+  return result.errors
+    ? { errors: result.errors.map(error => fieldError(error, options.requestId)), data: result.data }
+    : { data: result.data };
+}
+
+module.exports = {
+  buildExecutableSchema,
+  runQuery
+};
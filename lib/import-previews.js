@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { recordsFromCsv, recordsFromJson, importRecords, applyImport, summarizePlan } = require('./importer');
+const { databaseError } = require('./errors');
+
+// Two-step imports for POST /api/import. An upload is planned as a dry run
+// and stored under a preview token (import_previews); confirming the token
+// applies the same records, provided the plan has not changed meanwhile.
+
+const UPLOAD_FORMATS = ['csv', 'json'];
+
+// How long a preview can be confirmed
+const PREVIEW_TTL_MINUTES = 30;
+
+/**
+ * Parse an uploaded file into import records
+ * @param {string} text - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {{ input: Object } | { error: string }} The parsed
+ *   { records, errors, totalRows, missingColumns, unknownColumns }, or why the file cannot be read at all
+ */
+function parseUpload(text, format) {
+  try {
+    return { input: format === 'json' ? recordsFromJson(text) : recordsFromCsv(text) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Fingerprint the parts of a plan that depend on the database: which rows
+ * are inserted, updated (with their current values), unchanged or removed,
+ * and which records are rejected
+ * @param {Object} plan - Plan from planImport()
+ * @returns {string} Hex digest
+ */
+function planDigest(plan) {
+  const snapshot = {
+    inserts: plan.inserts.map(insert => insert.canonicalUrl),
+    updates: plan.updates.map(update => [
+      update.id,
+      update.restore,
+      update.changes.map(field => [field, update.existing[field]])
+    ]),
+    unchanged: plan.unchanged.map(row => row.id),
+    removals: plan.removals.map(removal => removal.id),
+    errors: plan.errors.map(error => [error.line, error.reason])
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+}
+
+/**
+ * Describe what an import would change
+ * @param {Object} result - Dry-run result of importRecords()
+ * @returns {Object} Counts and the rows to insert, update and remove
+ */
+function describePlan(result) {
+  const { plan } = result;
+  const withoutLine = ({ line, ...record }) => record;
+
+  return {
+    aborted: result.aborted,
+    errorRate: result.errorRate,
+    removalsSkipped: result.removalsSkipped,
+    counts: { ...summarizePlan(plan), rejected: result.errors.length },
+    inserts: plan.inserts.map(({ record }) => ({ line: record.line, record: withoutLine(record) })),
+    updates: plan.updates.map(({ id, record, changes, restore, existing }) => ({
+      id,
+      line: record.line,
+      url: record.url,
+      restore,
+      changes: changes.map(field => ({ field, before: existing[field], after: record[field] }))
+    })),
+    removals: plan.removals.map(({ id, url }) => ({ id, url })),
+    duplicates: plan.duplicates.map(({ record }) => ({ line: record.line, url: record.url })),
+    errors: result.errors
+  };
+}
+
+/**
+ * Plan an import without writing it and store it for confirmation.
+ * Expired previews are dropped on the way.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} input - Parsed upload from parseUpload()
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.markRemoved] - Mark rows missing from the upload as removed
+ * @param {number} [options.maxErrorRate] - Refuse the import when more than this share of rows is rejected (default 0.1)
+ * @returns {Object} { token, expiresAt, missingColumns, unknownColumns, ...describePlan() };
+ *   token is null when the error rate is too high to import
+ */
+function previewImport(db, input, options = {}) {
+  const importOptions = {
+    markRemoved: Boolean(options.markRemoved),
+    maxErrorRate: options.maxErrorRate !== undefined ? options.maxErrorRate : 0.1
+  };
+
+  try {
+    const result = importRecords(db, input, { ...importOptions, dryRun: true });
+    let token = null;
+    let expiresAt = null;
+
+    db.prepare('DELETE FROM import_previews WHERE expires_at <= CURRENT_TIMESTAMP').run();
+
+    if (!result.aborted) {
+      token = crypto.randomBytes(16).toString('hex');
+      const stored = { records: input.records, errors: input.errors, totalRows: input.totalRows };
+      expiresAt = db.prepare(`
+        INSERT INTO import_previews (token, input, options, plan_digest, expires_at)
+        VALUES (?, ?, ?, ?, datetime('now', '+${PREVIEW_TTL_MINUTES} minutes'))
+        RETURNING expires_at
+      `).get(token, JSON.stringify(stored), JSON.stringify(importOptions), planDigest(result.plan)).expires_at;
+    }
+
+    return {
+      token,
+      expiresAt,
+      missingColumns: input.missingColumns || [],
+      unknownColumns: input.unknownColumns || [],
+      ...describePlan(result)
+    };
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    throw databaseError(error, 'Failed to preview import');
+  }
+}
+
+/**
+ * Apply a previewed import. A token can be used once; when the data changed
+ * since the preview the import is refused and has to be previewed again.
+ * @param {Database} db - SQLite database instance
+ * @param {string} token - Token from previewImport()
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who confirms the import, for the audit log
+ * @returns {Object|null} { summary } when applied, { stale: true } when the plan changed,
+ *   or null if the token is unknown or expired
+ */
+function confirmImport(db, token, options = {}) {
+  try {
+    return db.transaction(() => {
+      const preview = db.prepare(`
+        SELECT input, options, plan_digest FROM import_previews
+        WHERE token = ? AND expires_at > CURRENT_TIMESTAMP
+      `).get(token);
+
+      if (!preview) {
+        return null;
+      }
+
+      db.prepare('DELETE FROM import_previews WHERE token = ?').run(token);
+
+      const result = importRecords(db, JSON.parse(preview.input), { ...JSON.parse(preview.options), dryRun: true });
+      if (result.aborted || planDigest(result.plan) !== preview.plan_digest) {
+        return { stale: true };
+      }
+
+      return { summary: applyImport(db, result.plan, { actor: options.actor }) };
+    })();
+  } catch (error) {
+    console.error('Error confirming import:', error);
+    throw databaseError(error, 'Failed to confirm import');
+  }
+}
+
+module.exports = {
+  UPLOAD_FORMATS,
+  parseUpload,
+  previewImport,
+  confirmImport
+};
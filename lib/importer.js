@@ -0,0 +1,445 @@
+const { resolveLookupId, findLookupId, isOpenLookup, toLookupKey } = require('./lookups');
+const { canonicalizeUrl } = require('./urls');
+const { normalizeHeader, readTypedCsv, readTypedRows } = require('./csv');
+const { validateContent, formatValidationErrors } = require('./validation');
+const { snapshotContent, recordChange } = require('./audit');
+const { TAG_SEPARATOR, parseTags, checkTags, tagKeys, setContentTags } = require('./tags');
+
+// Record fields that map to a lookup table
+const LOOKUP_FIELDS = {
+  category: 'category',
+  source: 'source',
+  content_type: 'contentType',
+  difficulty_level: 'difficultyLevel'
+};
+
+// Record fields stored as-is
+const METRIC_FIELDS = ['time_spent_minutes', 'upvotes', 'views', 'engagement_score', 'trending_score'];
+
+// Score inputs and provenance; absent (null) when scores are imported as-is
+const SCORE_FIELDS = ['published_at', 'growth_rate', 'score_version'];
+
+// CSV columns (by normalized header) and how their values are parsed
+const CSV_COLUMNS = {
+  category: 'text',
+  url: 'text',
+  source: 'text',
+  time_spent_minutes: 'decimal',
+  upvotes: 'integer',
+  views: 'integer',
+  engagement_score: 'decimal',
+  content_type: 'text',
+  difficulty_level: 'text',
+  trending_score: 'decimal',
+  tags: 'text'
+};
+
+const REQUIRED_CSV_COLUMNS = ['category', 'url', 'source'];
+
+// Actor recorded in the audit log when the caller does not name one
+const DEFAULT_IMPORT_ACTOR = 'import';
+
+/**
+ * Turn the tags cell of parsed records into an array of names. Without a
+ * tags column, records carry no `tags` and imports keep the current tags.
+ * @param {Object} result - Result of readTypedRows()
+ * @returns {Object} The same result
+ */
+function withTags(result) {
+  const hasTags = !result.missingColumns.includes('tags');
+  result.records.forEach(record => {
+    if (hasTags) {
+      record.tags = parseTags(record.tags);
+    } else {
+      delete record.tags;
+    }
+  });
+  return result;
+}
+
+/**
+ * Turn CSV text into import records, mapping columns by header name.
+ * Blank metrics default to 0, as they always have. Tags are separated by
+ * semicolons ("Body Positivity; Style Principles").
+ * @param {string} text - CSV content with a header row
+ * @returns {Object} { records, errors: [{ line, reason }], totalRows, missingColumns, unknownColumns }
+ */
+function recordsFromCsv(text) {
+  return withTags(readTypedCsv(text, CSV_COLUMNS, { required: REQUIRED_CSV_COLUMNS, blankNumber: 0 }));
+}
+
+/**
+ * Turn JSON text into import records with the same columns and rules as
+ * recordsFromCsv(). The input is an array of objects, or { records: [...] };
+ * each record's `line` is its position in the array, counting from 1. Tags
+ * may also be given as an array of names.
+ * @param {string} text - JSON content
+ * @returns {Object} { records, errors: [{ line, reason }], totalRows, missingColumns, unknownColumns }
+ */
+function recordsFromJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.records;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON must be an array of records or an object with a "records" array');
+  }
+
+  const headers = new Set();
+  const rows = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const line = index + 1;
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ line, reason: 'record must be an object' });
+      return;
+    }
+
+    // Values are read as CSV cells would be, so both formats share one set of rules
+    const values = {};
+    const reasons = [];
+    Object.entries(item).forEach(([key, value]) => {
+      const column = normalizeHeader(key);
+      headers.add(column);
+      if (column === 'tags' && Array.isArray(value) && value.every(name => typeof name === 'string')) {
+        values[column] = value.join(TAG_SEPARATOR);
+      } else if (value !== null && typeof value === 'object') {
+        reasons.push(`${column} must be a number or text`);
+      } else {
+        values[column] = value === null || value === undefined ? '' : String(value).trim();
+      }
+    });
+
+    if (reasons.length > 0) {
+      errors.push({ line, reason: reasons.join('; ') });
+    } else {
+      rows.push({ line, values });
+    }
+  });
+
+  // An empty input has no columns to check
+  if (items.length === 0) {
+    REQUIRED_CSV_COLUMNS.forEach(column => headers.add(column));
+  }
+
+  return withTags(readTypedRows({ headers: Array.from(headers), rows, errors }, CSV_COLUMNS, {
+    required: REQUIRED_CSV_COLUMNS,
+    blankNumber: 0
+  }));
+}
+
+/**
+ * Load every content row (including removed ones) keyed by canonical URL,
+ * with its sorted tag keys. If several rows share a canonical URL, the
+ * oldest one is used.
+ * @param {Database} db - SQLite database instance
+ * @returns {Map} Map of canonical URL to row
+ */
+function loadExistingContent(db) {
+  const rows = db.prepare(`
+    SELECT
+      c.id, c.url, c.canonical_url, c.removed_at,
+      c.time_spent_minutes, c.upvotes, c.views, c.engagement_score, c.trending_score,
+      c.published_at, c.growth_rate, c.score_version,
+      cat.key AS category, src.key AS source, ct.key AS content_type, dl.key AS difficulty_level,
+      (
+        SELECT json_group_array(key) FROM (
+          SELECT tg.key FROM content_tags ctg JOIN tags tg ON tg.id = ctg.tag_id
+          WHERE ctg.content_id = c.id ORDER BY tg.key
+        )
+      ) AS tags
+    FROM content c
+    JOIN categories cat ON cat.id = c.category_id
+    JOIN sources src ON src.id = c.source_id
+    LEFT JOIN content_types ct ON ct.id = c.content_type_id
+    LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id
+    ORDER BY c.id
+  `).all();
+
+  const existing = new Map();
+  rows.forEach(row => {
+    const canonicalUrl = row.canonical_url || canonicalizeUrl(row.url);
+    if (!existing.has(canonicalUrl)) {
+      existing.set(canonicalUrl, { ...row, tags: JSON.parse(row.tags) });
+    }
+  });
+
+  return existing;
+}
+
+/**
+ * List the fields of an existing row that an import record would change.
+ * Tags are compared by key, with the record's category counted as a tag.
+ * @param {Object} existing - Row from loadExistingContent()
+ * @param {Object} record - Import record
+ * @returns {Array} Changed field names
+ */
+function diffRecord(existing, record) {
+  const changes = [];
+
+  if (existing.url !== record.url) {
+    changes.push('url');
+  }
+
+  Object.keys(LOOKUP_FIELDS).forEach(field => {
+    const key = record[field] ? toLookupKey(record[field]) : null;
+    if ((existing[field] || null) !== key) {
+      changes.push(field);
+    }
+  });
+
+  METRIC_FIELDS.forEach(field => {
+    if (Number(existing[field]) !== Number(record[field])) {
+      changes.push(field);
+    }
+  });
+
+  SCORE_FIELDS.forEach(field => {
+    const value = record[field] === undefined ? null : record[field];
+    if ((existing[field] === null ? null : String(existing[field])) !== (value === null ? null : String(value))) {
+      changes.push(field);
+    }
+  });
+
+  if (record.tags !== undefined && tagKeys(record.category, parseTags(record.tags)).join() !== existing.tags.join()) {
+    changes.push('tags');
+  }
+
+  return changes;
+}
+
+/**
+ * Find lookup values of a record that do not exist and will not be created
+ * @param {Database} db - SQLite database instance
+ * @param {Object} record - Import record
+ * @returns {Array} Reasons, empty if every lookup resolves
+ */
+function unknownLookups(db, record) {
+  return Object.entries(LOOKUP_FIELDS)
+    .filter(([field, lookup]) =>
+      record[field] && !isOpenLookup(lookup) && findLookupId(db, lookup, record[field]) === null
+    )
+    .map(([field]) => `unknown ${field} "${record[field]}"`);
+}
+
+/**
+ * Work out what an import would do without writing anything.
+ * Records are matched to existing rows by canonical URL; when the same URL
+ * appears more than once in the input, the first occurrence wins. Records
+ * that fail validation, reference an unknown source, content type or
+ * difficulty level, or carry too many tags are rejected into `errors`.
+ * @param {Database} db - SQLite database instance
+ * @param {Array} records - Parsed records ({ category, url, source, ... })
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.markRemoved] - Mark rows missing from the input as removed
+ * @returns {Object} Plan with inserts, updates (with the `existing` row), unchanged, removals, duplicates and errors
+ */
+function planImport(db, records, options = {}) {
+  const existing = loadExistingContent(db);
+  const seen = new Set();
+  const plan = { inserts: [], updates: [], unchanged: [], removals: [], duplicates: [], errors: [] };
+
+  records.forEach(record => {
+    const invalid = validateContent(record);
+    const invalidTags = checkTags(record.tags);
+    const reasons = [
+      ...(invalid.length > 0 ? [formatValidationErrors(invalid)] : []),
+      ...unknownLookups(db, record),
+      ...(invalidTags ? [`tags ${invalidTags}`] : [])
+    ];
+    const canonicalUrl = canonicalizeUrl(record.url);
+
+    if (reasons.length > 0) {
+      // Still counts as seen so a rejected row is never marked removed
+      seen.add(canonicalUrl);
+      plan.errors.push({ line: record.line, reason: reasons.join('; '), record });
+      return;
+    }
+
+    if (seen.has(canonicalUrl)) {
+      plan.duplicates.push({ record, canonicalUrl });
+      return;
+    }
+    seen.add(canonicalUrl);
+
+    const row = existing.get(canonicalUrl);
+    if (!row) {
+      plan.inserts.push({ record, canonicalUrl });
+      return;
+    }
+
+    const changes = diffRecord(row, record);
+    const restore = row.removed_at !== null;
+
+    if (changes.length > 0 || restore) {
+      plan.updates.push({ id: row.id, record, canonicalUrl, changes, restore, existing: row });
+    } else {
+      plan.unchanged.push({ id: row.id, record, canonicalUrl });
+    }
+  });
+
+  if (options.markRemoved) {
+    existing.forEach((row, canonicalUrl) => {
+      if (!seen.has(canonicalUrl) && row.removed_at === null) {
+        plan.removals.push({ id: row.id, url: row.url, canonicalUrl });
+      }
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Write an import plan in a single transaction, recording every written row
+ * in the audit log. Soft-deleted rows are updated but stay deleted. Records
+ * without `tags` keep the current tags of their row.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} plan - Plan from planImport()
+ * @param {Object} options - Optional settings
+ * @param {string} [options.actor] - Who runs the import, for the audit log (default 'import')
+ * @returns {Object} Summary counts
+ */
+function applyImport(db, plan, options = {}) {
+  const actor = options.actor || DEFAULT_IMPORT_ACTOR;
+
+  const insert = db.prepare(`
+    INSERT INTO content (
+      category_id, url, canonical_url, source_id, time_spent_minutes, upvotes, views,
+      engagement_score, content_type_id, difficulty_level_id, trending_score,
+      published_at, growth_rate, score_version, scored_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const update = db.prepare(`
+    UPDATE content SET
+      category_id = ?, url = ?, canonical_url = ?, source_id = ?, time_spent_minutes = ?,
+      upvotes = ?, views = ?, engagement_score = ?, content_type_id = ?,
+      difficulty_level_id = ?, trending_score = ?, published_at = ?, growth_rate = ?,
+      score_version = ?, scored_at = ?, removed_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  const remove = db.prepare(`
+    UPDATE content SET removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  const values = (record, canonicalUrl) => [
+    resolveLookupId(db, LOOKUP_FIELDS.category, record.category),
+    record.url,
+    canonicalUrl,
+    resolveLookupId(db, LOOKUP_FIELDS.source, record.source),
+    record.time_spent_minutes,
+    record.upvotes,
+    record.views,
+    record.engagement_score,
+    resolveLookupId(db, LOOKUP_FIELDS.content_type, record.content_type),
+    resolveLookupId(db, LOOKUP_FIELDS.difficulty_level, record.difficulty_level),
+    record.trending_score,
+    ...SCORE_FIELDS.map(field => (record[field] === undefined ? null : record[field])),
+    record.scored_at || null
+  ];
+
+  const tags = record => (record.tags === undefined ? undefined : parseTags(record.tags));
+
+  const audited = (id, write) => {
+    const before = snapshotContent(db, id);
+    write();
+    recordChange(db, { contentId: id, action: 'update', before, actor });
+  };
+
+  db.transaction(() => {
+    plan.inserts.forEach(({ record, canonicalUrl }) => {
+      const contentId = Number(insert.run(...values(record, canonicalUrl)).lastInsertRowid);
+      setContentTags(db, contentId, tags(record));
+      recordChange(db, { contentId, action: 'insert', before: null, actor });
+    });
+    plan.updates.forEach(({ id, record, canonicalUrl }) => audited(id, () => {
+      update.run(...values(record, canonicalUrl), id);
+      setContentTags(db, id, tags(record));
+    }));
+    plan.removals.forEach(({ id }) => audited(id, () => remove.run(id)));
+  })();
+
+  return summarizePlan(plan);
+}
+
+/**
+ * Count the changes in an import plan
+ * @param {Object} plan - Plan from planImport()
+ * @returns {Object} { inserted, updated, restored, unchanged, removed, duplicates, rejected }
+ */
+function summarizePlan(plan) {
+  return {
+    inserted: plan.inserts.length,
+    updated: plan.updates.length,
+    restored: plan.updates.filter(u => u.restore).length,
+    unchanged: plan.unchanged.length,
+    removed: plan.removals.length,
+    duplicates: plan.duplicates.length,
+    rejected: plan.errors.length
+  };
+}
+
+/**
+ * Upsert records by canonical URL
+ * @param {Database} db - SQLite database instance
+ * @param {Array} records - Parsed records
+ * @param {Object} options - See planImport() and applyImport()
+ * @returns {Object} Summary counts
+ */
+function importContent(db, records, options = {}) {
+  return applyImport(db, planImport(db, records, options), options);
+}
+
+/**
+ * Plan and (unless aborted) apply an import of parsed records, enforcing an
+ * error-rate threshold across parse and plan errors. When some input rows
+ * could not be parsed, nothing is marked removed since their URLs are unknown.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} input - Parsed input
+ * @param {Array} input.records - Valid records
+ * @param {Array} [input.errors] - Rows rejected while parsing ({ line, reason })
+ * @param {number} [input.totalRows] - Number of input rows (default records + errors)
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.markRemoved] - Mark rows missing from the input as removed
+ * @param {number} [options.maxErrorRate] - Abort when more than this share of rows is rejected (default 0.1)
+ * @param {boolean} [options.dryRun] - Plan only, never write
+ * @param {string} [options.actor] - Who runs the import, for the audit log (default 'import')
+ * @returns {Object} { plan, errors, errorRate, aborted, removalsSkipped, summary }
+ */
+function importRecords(db, input, options = {}) {
+  const parseErrors = input.errors || [];
+  const totalRows = input.totalRows !== undefined ? input.totalRows : input.records.length + parseErrors.length;
+  const maxErrorRate = options.maxErrorRate !== undefined ? options.maxErrorRate : 0.1;
+  const removalsSkipped = Boolean(options.markRemoved) && parseErrors.length > 0;
+
+  const plan = planImport(db, input.records, { markRemoved: options.markRemoved && !removalsSkipped });
+  const errors = [...parseErrors, ...plan.errors].sort((a, b) => (a.line || 0) - (b.line || 0));
+  const errorRate = totalRows > 0 ? errors.length / totalRows : 0;
+  const aborted = errorRate > maxErrorRate;
+
+  const summary = aborted || options.dryRun ? null : applyImport(db, plan, { actor: options.actor });
+
+  return { plan, errors, errorRate, aborted, removalsSkipped, summary };
+}
+
+module.exports = {
+  LOOKUP_FIELDS,
+  METRIC_FIELDS,
+  SCORE_FIELDS,
+  CSV_COLUMNS,
+  recordsFromCsv,
+  recordsFromJson,
+  planImport,
+  applyImport,
+  summarizePlan,
+  importContent,
+  importRecords
+};
@@ -0,0 +1,116 @@
+// Lookup tables backing the content table's foreign keys, and content tags
+const LOOKUP_TABLES = {
+  category: 'categories',
+  source: 'sources',
+  contentType: 'content_types',
+  difficultyLevel: 'difficulty_levels',
+  tag: 'tags'
+};
+
+// Lookups that accept new values on import; the rest must already exist
+const OPEN_LOOKUPS = ['category', 'tag'];
+
+const PALETTE = ['#0ea5e9', '#d946ef', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+
+/**
+ * Build the stable key for a lookup value ("Style Principles" -> "style-principles")
+ * @param {string} value - Display name or raw value
+ * @returns {string} Lowercase slug
+ */
+function toLookupKey(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get all values of a lookup in display order
+ * @param {Database} db - SQLite database instance
+ * @param {string} lookup - One of category, source, contentType, difficultyLevel, tag
+ * @returns {Array} Array of { id, key, displayName, sortOrder, color }
+ */
+function getLookupValues(db, lookup) {
+  const table = LOOKUP_TABLES[lookup];
+  if (!table) {
+    throw new Error(`Unknown lookup: ${lookup}`);
+  }
+
+  return db
+    .prepare(`SELECT id, key, display_name, sort_order, color FROM ${table} ORDER BY sort_order, display_name`)
+    .all()
+    .map(row => ({
+      id: row.id,
+      key: row.key,
+      displayName: row.display_name,
+      sortOrder: row.sort_order,
+      color: row.color
+    }));
+}
+
+/**
+ * Find the id of an existing lookup value, matching on key or display name
+ * @param {Database} db - SQLite database instance
+ * @param {string} lookup - One of category, source, contentType, difficultyLevel, tag
+ * @param {string} value - Raw value, e.g. "Tiktok"
+ * @returns {number|null} Lookup id, or null if the value is empty or unknown
+ */
+function findLookupId(db, lookup, value) {
+  const table = LOOKUP_TABLES[lookup];
+  if (!table) {
+    throw new Error(`Unknown lookup: ${lookup}`);
+  }
+
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const existing = db
+    .prepare(`SELECT id FROM ${table} WHERE key = ? OR display_name = ?`)
+    .get(toLookupKey(value), String(value).trim());
+
+  return existing ? existing.id : null;
+}
+
+/**
+ * Check whether a lookup accepts values that are not in its table yet
+ * @param {string} lookup - One of category, source, contentType, difficultyLevel, tag
+ * @returns {boolean} True if unknown values are created on import
+ */
+function isOpenLookup(lookup) {
+  return OPEN_LOOKUPS.includes(lookup);
+}
+
+/**
+ * Resolve a raw value to its lookup id, matching on key or display name.
+ * Unknown categories and tags are created; unknown values of other lookups throw.
+ * @param {Database} db - SQLite database instance
+ * @param {string} lookup - One of category, source, contentType, difficultyLevel, tag
+ * @param {string} value - Raw value, e.g. "Tiktok"
+ * @returns {number|null} Lookup id, or null for an empty value
+ */
+function resolveLookupId(db, lookup, value) {
+  const existing = findLookupId(db, lookup, value);
+
+  if (existing !== null || value === null || value === undefined || String(value).trim() === '') {
+    return existing;
+  }
+
+  if (!isOpenLookup(lookup)) {
+    throw new Error(`Unknown ${lookup}: ${value}`);
+  }
+
+  const table = LOOKUP_TABLES[lookup];
+  const { next } = db.prepare(`SELECT COALESCE(MAX(sort_order), 0) + 1 as next FROM ${table}`).get();
+  const result = db
+    .prepare(`INSERT INTO ${table} (key, display_name, sort_order, color) VALUES (?, ?, ?, ?)`)
+    .run(toLookupKey(value), String(value).trim(), next, PALETTE[(next - 1) % PALETTE.length]);
+
+  return Number(result.lastInsertRowid);
+}
+
+module.exports = {
+  LOOKUP_TABLES,
+  toLookupKey,
+  getLookupValues,
+  findLookupId,
+  isOpenLookup,
+  resolveLookupId
+};
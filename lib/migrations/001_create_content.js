@@ -0,0 +1,41 @@
+/**
+ * Baseline schema: the content table and its indexes.
+ *
+ * Uses IF NOT EXISTS so databases created by the original one-shot setup
+ * script are adopted in place instead of failing.
+ */
+module.exports = {
+  version: 1,
+  name: 'create_content',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS content (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        source VARCHAR(100) NOT NULL,
+        time_spent_minutes DECIMAL(5,2),
+        upvotes INTEGER DEFAULT 0,
+        views INTEGER DEFAULT 0,
+        engagement_score DECIMAL(3,2),
+        content_type VARCHAR(100),
+        difficulty_level VARCHAR(50),
+        trending_score DECIMAL(3,2),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_content_category ON content(category);
+      CREATE INDEX IF NOT EXISTS idx_content_source ON content(source);
+      CREATE INDEX IF NOT EXISTS idx_content_engagement ON content(engagement_score);
+      CREATE INDEX IF NOT EXISTS idx_content_trending ON content(trending_score);
+      CREATE INDEX IF NOT EXISTS idx_content_type ON content(content_type);
+      CREATE INDEX IF NOT EXISTS idx_content_difficulty ON content(difficulty_level);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS content');
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Metric snapshots for trend charts.
+ *
+ * Triggers record a row whenever content is inserted or one of its metrics
+ * changes, so every writer (imports, scripts, API) is covered. Existing rows
+ * are backfilled with a single snapshot.
+ */
+module.exports = {
+  version: 2,
+  name: 'content_metrics_history',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE content_metrics_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content_id INTEGER NOT NULL REFERENCES content(id) ON DELETE CASCADE,
+        time_spent_minutes DECIMAL(5,2),
+        upvotes INTEGER,
+        views INTEGER,
+        engagement_score DECIMAL(3,2),
+        trending_score DECIMAL(3,2),
+        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX idx_metrics_history_content ON content_metrics_history(content_id, recorded_at);
+      CREATE INDEX idx_metrics_history_recorded ON content_metrics_history(recorded_at);
+
+      INSERT INTO content_metrics_history (
+        content_id, time_spent_minutes, upvotes, views, engagement_score, trending_score, recorded_at
+      )
+      SELECT
+        id, time_spent_minutes, upvotes, views, engagement_score, trending_score,
+        COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+      FROM content;
+
+      CREATE TRIGGER trg_content_metrics_insert
+      AFTER INSERT ON content
+      BEGIN
+        INSERT INTO content_metrics_history (
+          content_id, time_spent_minutes, upvotes, views, engagement_score, trending_score
+        ) VALUES (
+          NEW.id, NEW.time_spent_minutes, NEW.upvotes, NEW.views, NEW.engagement_score, NEW.trending_score
+        );
+      END;
+
+      CREATE TRIGGER trg_content_metrics_update
+      AFTER UPDATE OF time_spent_minutes, upvotes, views, engagement_score, trending_score ON content
+      WHEN NEW.time_spent_minutes IS NOT OLD.time_spent_minutes
+        OR NEW.upvotes IS NOT OLD.upvotes
+        OR NEW.views IS NOT OLD.views
+        OR NEW.engagement_score IS NOT OLD.engagement_score
+        OR NEW.trending_score IS NOT OLD.trending_score
+      BEGIN
+        INSERT INTO content_metrics_history (
+          content_id, time_spent_minutes, upvotes, views, engagement_score, trending_score
+        ) VALUES (
+          NEW.id, NEW.time_spent_minutes, NEW.upvotes, NEW.views, NEW.engagement_score, NEW.trending_score
+        );
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS trg_content_metrics_update;
+      DROP TRIGGER IF EXISTS trg_content_metrics_insert;
+      DROP TABLE IF EXISTS content_metrics_history;
+    `);
+  }
+};
@@ -0,0 +1,233 @@
+/**
+ * Normalize category, source, content type and difficulty level into lookup
+ * tables referenced by foreign keys.
+ *
+ * Existing free-text values are matched case-insensitively on a slug key, so
+ * "Tiktok" and "TikTok" collapse into a single source. The content table is
+ * rebuilt (SQLite cannot add NOT NULL foreign keys in place), which drops its
+ * triggers, so the metric history triggers from migration 002 are recreated.
+ */
+
+const PALETTE = ['#0ea5e9', '#d946ef', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+
+// Known values with curated display names, ordering and colors
+const SEED = {
+  sources: [
+    { key: 'instagram', displayName: 'Instagram', color: '#d946ef' },
+    { key: 'tiktok', displayName: 'TikTok', color: '#0ea5e9' },
+    { key: 'substack', displayName: 'Substack', color: '#f59e0b' }
+  ],
+  content_types: [
+    { key: 'video', displayName: 'Video', color: '#0ea5e9' },
+    { key: 'article', displayName: 'Article', color: '#10b981' }
+  ],
+  difficulty_levels: [
+    { key: 'beginner', displayName: 'Beginner', color: '#10b981' },
+    { key: 'intermediate', displayName: 'Intermediate', color: '#f59e0b' },
+    { key: 'advanced', displayName: 'Advanced', color: '#ef4444' }
+  ]
+};
+
+// Lookup table for each free-text content column
+const COLUMNS = {
+  category: 'categories',
+  source: 'sources',
+  content_type: 'content_types',
+  difficulty_level: 'difficulty_levels'
+};
+
+function toKey(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function createMetricTriggers(db) {
+  db.exec(`
+    CREATE TRIGGER trg_content_metrics_insert
+    AFTER INSERT ON content
+    BEGIN
+      INSERT INTO content_metrics_history (
+        content_id, time_spent_minutes, upvotes, views, engagement_score, trending_score
+      ) VALUES (
+        NEW.id, NEW.time_spent_minutes, NEW.upvotes, NEW.views, NEW.engagement_score, NEW.trending_score
+      );
+    END;
+
+    CREATE TRIGGER trg_content_metrics_update
+    AFTER UPDATE OF time_spent_minutes, upvotes, views, engagement_score, trending_score ON content
+    WHEN NEW.time_spent_minutes IS NOT OLD.time_spent_minutes
+      OR NEW.upvotes IS NOT OLD.upvotes
+      OR NEW.views IS NOT OLD.views
+      OR NEW.engagement_score IS NOT OLD.engagement_score
+      OR NEW.trending_score IS NOT OLD.trending_score
+    BEGIN
+      INSERT INTO content_metrics_history (
+        content_id, time_spent_minutes, upvotes, views, engagement_score, trending_score
+      ) VALUES (
+        NEW.id, NEW.time_spent_minutes, NEW.upvotes, NEW.views, NEW.engagement_score, NEW.trending_score
+      );
+    END;
+  `);
+}
+
+module.exports = {
+  version: 3,
+  name: 'lookup_tables',
+  disableForeignKeys: true,
+
+  up(db) {
+    Object.values(COLUMNS).forEach(table => {
+      db.exec(`
+        CREATE TABLE ${table} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key VARCHAR(100) NOT NULL UNIQUE,
+          display_name VARCHAR(255) NOT NULL UNIQUE COLLATE NOCASE,
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          color VARCHAR(7)
+        )
+      `);
+    });
+
+    // Seed curated values, then add any other value found in existing rows
+    Object.entries(COLUMNS).forEach(([column, table]) => {
+      const insert = db.prepare(
+        `INSERT OR IGNORE INTO ${table} (key, display_name, sort_order, color) VALUES (?, ?, ?, ?)`
+      );
+      const seeded = SEED[table] || [];
+      seeded.forEach((item, index) => insert.run(item.key, item.displayName, index + 1, item.color));
+
+      const existing = db
+        .prepare(`SELECT DISTINCT TRIM(${column}) AS value FROM content WHERE TRIM(COALESCE(${column}, '')) != '' ORDER BY value`)
+        .all()
+        .filter(row => !seeded.some(item => item.key === toKey(row.value)));
+
+      existing.forEach((row, index) => {
+        const order = seeded.length + index + 1;
+        insert.run(toKey(row.value), row.value, order, PALETTE[(order - 1) % PALETTE.length]);
+      });
+    });
+
+    // Rebuild content with foreign keys instead of free text
+    db.exec(`
+      CREATE TABLE content_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER NOT NULL REFERENCES categories(id),
+        url TEXT NOT NULL,
+        source_id INTEGER NOT NULL REFERENCES sources(id),
+        time_spent_minutes DECIMAL(5,2),
+        upvotes INTEGER DEFAULT 0,
+        views INTEGER DEFAULT 0,
+        engagement_score DECIMAL(3,2),
+        content_type_id INTEGER REFERENCES content_types(id),
+        difficulty_level_id INTEGER REFERENCES difficulty_levels(id),
+        trending_score DECIMAL(3,2),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const rows = db.prepare('SELECT * FROM content').all();
+    const lookupIds = {};
+    Object.entries(COLUMNS).forEach(([column, table]) => {
+      lookupIds[column] = new Map(
+        db.prepare(`SELECT id, key FROM ${table}`).all().map(row => [row.key, row.id])
+      );
+    });
+
+    const resolve = (column, value) => {
+      if (value === null || value === undefined || String(value).trim() === '') return null;
+      return lookupIds[column].get(toKey(value));
+    };
+
+    const insert = db.prepare(`
+      INSERT INTO content_new (
+        id, category_id, url, source_id, time_spent_minutes, upvotes, views,
+        engagement_score, content_type_id, difficulty_level_id, trending_score,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    rows.forEach(row => {
+      insert.run(
+        row.id,
+        resolve('category', row.category),
+        row.url,
+        resolve('source', row.source),
+        row.time_spent_minutes,
+        row.upvotes,
+        row.views,
+        row.engagement_score,
+        resolve('content_type', row.content_type),
+        resolve('difficulty_level', row.difficulty_level),
+        row.trending_score,
+        row.created_at,
+        row.updated_at
+      );
+    });
+
+    db.exec(`
+      DROP TABLE content;
+      ALTER TABLE content_new RENAME TO content;
+
+      CREATE INDEX idx_content_category ON content(category_id);
+      CREATE INDEX idx_content_source ON content(source_id);
+      CREATE INDEX idx_content_engagement ON content(engagement_score);
+      CREATE INDEX idx_content_trending ON content(trending_score);
+      CREATE INDEX idx_content_type ON content(content_type_id);
+      CREATE INDEX idx_content_difficulty ON content(difficulty_level_id);
+    `);
+
+    createMetricTriggers(db);
+  },
+
+  down(db) {
+    db.exec(`
+      CREATE TABLE content_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category VARCHAR(255) NOT NULL,
+        url TEXT NOT NULL,
+        source VARCHAR(100) NOT NULL,
+        time_spent_minutes DECIMAL(5,2),
+        upvotes INTEGER DEFAULT 0,
+        views INTEGER DEFAULT 0,
+        engagement_score DECIMAL(3,2),
+        content_type VARCHAR(100),
+        difficulty_level VARCHAR(50),
+        trending_score DECIMAL(3,2),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT INTO content_old (
+        id, category, url, source, time_spent_minutes, upvotes, views,
+        engagement_score, content_type, difficulty_level, trending_score,
+        created_at, updated_at
+      )
+      SELECT
+        c.id, cat.display_name, c.url, src.display_name, c.time_spent_minutes, c.upvotes, c.views,
+        c.engagement_score, ct.display_name, dl.display_name, c.trending_score,
+        c.created_at, c.updated_at
+      FROM content c
+      JOIN categories cat ON cat.id = c.category_id
+      JOIN sources src ON src.id = c.source_id
+      LEFT JOIN content_types ct ON ct.id = c.content_type_id
+      LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id;
+
+      DROP TABLE content;
+      ALTER TABLE content_old RENAME TO content;
+
+      CREATE INDEX idx_content_category ON content(category);
+      CREATE INDEX idx_content_source ON content(source);
+      CREATE INDEX idx_content_engagement ON content(engagement_score);
+      CREATE INDEX idx_content_trending ON content(trending_score);
+      CREATE INDEX idx_content_type ON content(content_type);
+      CREATE INDEX idx_content_difficulty ON content(difficulty_level);
+
+      DROP TABLE difficulty_levels;
+      DROP TABLE content_types;
+      DROP TABLE sources;
+      DROP TABLE categories;
+    `);
+
+    createMetricTriggers(db);
+  }
+};
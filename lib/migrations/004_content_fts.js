@@ -0,0 +1,97 @@
+/**
+ * Full-text search index over content.
+ *
+ * content_fts holds the display names of each row's lookups plus its URL,
+ * keyed by content id. Triggers keep it in sync with content and with
+ * renames in the lookup tables.
+ */
+
+// Lookup table and FTS column for each content foreign key
+const LOOKUPS = [
+  { table: 'categories', column: 'category', foreignKey: 'category_id' },
+  { table: 'sources', column: 'source', foreignKey: 'source_id' },
+  { table: 'content_types', column: 'content_type', foreignKey: 'content_type_id' },
+  { table: 'difficulty_levels', column: 'difficulty_level', foreignKey: 'difficulty_level_id' }
+];
+
+const INSERT_FTS_ROW = `
+  INSERT INTO content_fts (rowid, category, source, content_type, difficulty_level, url)
+  VALUES (
+    NEW.id,
+    (SELECT display_name FROM categories WHERE id = NEW.category_id),
+    (SELECT display_name FROM sources WHERE id = NEW.source_id),
+    (SELECT display_name FROM content_types WHERE id = NEW.content_type_id),
+    (SELECT display_name FROM difficulty_levels WHERE id = NEW.difficulty_level_id),
+    NEW.url
+  );
+`;
+
+module.exports = {
+  version: 4,
+  name: 'content_fts',
+
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE content_fts USING fts5(
+        category,
+        source,
+        content_type,
+        difficulty_level,
+        url,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+
+      INSERT INTO content_fts (rowid, category, source, content_type, difficulty_level, url)
+      SELECT c.id, cat.display_name, src.display_name, ct.display_name, dl.display_name, c.url
+      FROM content c
+      JOIN categories cat ON cat.id = c.category_id
+      JOIN sources src ON src.id = c.source_id
+      LEFT JOIN content_types ct ON ct.id = c.content_type_id
+      LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id;
+
+      CREATE TRIGGER trg_content_fts_insert
+      AFTER INSERT ON content
+      BEGIN
+        ${INSERT_FTS_ROW}
+      END;
+
+      CREATE TRIGGER trg_content_fts_update
+      AFTER UPDATE OF category_id, source_id, content_type_id, difficulty_level_id, url ON content
+      BEGIN
+        DELETE FROM content_fts WHERE rowid = OLD.id;
+        ${INSERT_FTS_ROW}
+      END;
+
+      CREATE TRIGGER trg_content_fts_delete
+      AFTER DELETE ON content
+      BEGIN
+        DELETE FROM content_fts WHERE rowid = OLD.id;
+      END;
+    `);
+
+    LOOKUPS.forEach(({ table, column, foreignKey }) => {
+      db.exec(`
+        CREATE TRIGGER trg_${table}_fts_rename
+        AFTER UPDATE OF display_name ON ${table}
+        BEGIN
+          UPDATE content_fts SET ${column} = NEW.display_name
+          WHERE rowid IN (SELECT id FROM content WHERE ${foreignKey} = NEW.id);
+        END;
+      `);
+    });
+  },
+
+  down(db) {
+    LOOKUPS.forEach(({ table }) => {
+      db.exec(`DROP TRIGGER IF EXISTS trg_${table}_fts_rename`);
+    });
+
+    db.exec(`
+      DROP TRIGGER IF EXISTS trg_content_fts_delete;
+      DROP TRIGGER IF EXISTS trg_content_fts_update;
+      DROP TRIGGER IF EXISTS trg_content_fts_insert;
+      DROP TABLE IF EXISTS content_fts;
+    `);
+  }
+};
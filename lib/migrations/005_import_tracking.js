@@ -0,0 +1,65 @@
+/**
+ * Columns for incremental imports.
+ *
+ * canonical_url is the key imports upsert on; removed_at marks rows that
+ * disappeared from the source file so they can be hidden without losing
+ * their id, history or created_at.
+ */
+
+// Snapshot of lib/urls.js canonicalizeUrl() at the time of this migration
+const TRACKING_PARAMS = [/^utm_/, /^igsh$/, /^igshid$/, /^fbclid$/, /^gclid$/];
+
+function canonicalizeUrl(url) {
+  const raw = String(url || '').trim();
+  let parsed;
+
+  try {
+    parsed = new URL(raw);
+  } catch (error) {
+    return raw;
+  }
+
+  const params = new URLSearchParams();
+  parsed.searchParams.forEach((value, key) => {
+    if (!TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase()))) {
+      params.append(key, value);
+    }
+  });
+  params.sort();
+
+  const host = parsed.host.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const query = params.toString();
+
+  return `https://${host}${pathname}${query ? '?' + query : ''}`;
+}
+
+module.exports = {
+  version: 5,
+  name: 'import_tracking',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE content ADD COLUMN canonical_url TEXT;
+      ALTER TABLE content ADD COLUMN removed_at DATETIME;
+    `);
+
+    const update = db.prepare('UPDATE content SET canonical_url = ? WHERE id = ?');
+    db.prepare('SELECT id, url FROM content').all()
+      .forEach(row => update.run(canonicalizeUrl(row.url), row.id));
+
+    db.exec(`
+      CREATE INDEX idx_content_canonical_url ON content(canonical_url);
+      CREATE INDEX idx_content_removed ON content(removed_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_content_removed;
+      DROP INDEX IF EXISTS idx_content_canonical_url;
+      ALTER TABLE content DROP COLUMN removed_at;
+      ALTER TABLE content DROP COLUMN canonical_url;
+    `);
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Store the inputs and formula version behind each score.
+ *
+ * views, upvotes and time_spent_minutes were already stored; published_at and
+ * growth_rate complete the inputs of the trending score. score_version is the
+ * formula version that produced the scores (NULL when they were imported
+ * as-is) and scored_at the reference time used for recency.
+ */
+
+module.exports = {
+  version: 6,
+  name: 'score_inputs',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE content ADD COLUMN published_at DATETIME;
+      ALTER TABLE content ADD COLUMN growth_rate DECIMAL(5,2);
+      ALTER TABLE content ADD COLUMN score_version INTEGER;
+      ALTER TABLE content ADD COLUMN scored_at DATETIME;
+
+      CREATE INDEX idx_content_score_version ON content(score_version);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_content_score_version;
+      ALTER TABLE content DROP COLUMN scored_at;
+      ALTER TABLE content DROP COLUMN score_version;
+      ALTER TABLE content DROP COLUMN growth_rate;
+      ALTER TABLE content DROP COLUMN published_at;
+    `);
+  }
+};
@@ -0,0 +1,107 @@
+/**
+ * CHECK constraints on content values.
+ *
+ * Metrics must be numbers (SQLite would otherwise store text such as "abc"),
+ * counts and time spent non-negative, scores between 0 and 1, and URLs
+ * non-empty http(s) addresses. SQLite cannot add CHECK constraints in place,
+ * so content is rebuilt; its indexes and the triggers that reference it are
+ * captured from sqlite_master and recreated as they were.
+ *
+ * The migration refuses to run while existing rows violate a constraint,
+ * listing them so they can be fixed first (see npm run data:quality).
+ */
+
+const COLUMNS = [
+  'id', 'category_id', 'url', 'source_id', 'time_spent_minutes', 'upvotes', 'views',
+  'engagement_score', 'content_type_id', 'difficulty_level_id', 'trending_score',
+  'created_at', 'updated_at', 'canonical_url', 'removed_at', 'published_at',
+  'growth_rate', 'score_version', 'scored_at'
+];
+
+function createTable(name, withChecks) {
+  const check = condition => (withChecks ? ` CHECK (${condition})` : '');
+  const number = column => `${column} IS NULL OR typeof(${column}) IN ('integer', 'real')`;
+  const count = column => `${column} IS NULL OR (typeof(${column}) = 'integer' AND ${column} >= 0)`;
+  const score = column => `${number(column)} AND (${column} IS NULL OR ${column} BETWEEN 0 AND 1)`;
+
+  return `
+    CREATE TABLE ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category_id INTEGER NOT NULL REFERENCES categories(id),
+      url TEXT NOT NULL${check("url LIKE 'http://_%' OR url LIKE 'https://_%'")},
+      source_id INTEGER NOT NULL REFERENCES sources(id),
+      time_spent_minutes DECIMAL(5,2)${check(`${number('time_spent_minutes')} AND (time_spent_minutes IS NULL OR time_spent_minutes >= 0)`)},
+      upvotes INTEGER DEFAULT 0${check(count('upvotes'))},
+      views INTEGER DEFAULT 0${check(count('views'))},
+      engagement_score DECIMAL(3,2)${check(score('engagement_score'))},
+      content_type_id INTEGER REFERENCES content_types(id),
+      difficulty_level_id INTEGER REFERENCES difficulty_levels(id),
+      trending_score DECIMAL(3,2)${check(score('trending_score'))},
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      canonical_url TEXT,
+      removed_at DATETIME,
+      published_at DATETIME,
+      growth_rate DECIMAL(5,2)${check(number('growth_rate'))},
+      score_version INTEGER${check('score_version IS NULL OR (typeof(score_version) = \'integer\' AND score_version >= 1)')},
+      scored_at DATETIME
+    )
+  `;
+}
+
+function rebuildContent(db, withChecks) {
+  // Indexes and triggers on content, plus triggers elsewhere whose body uses it
+  const dependents = db
+    .prepare("SELECT type, name, tbl_name, sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND sql IS NOT NULL")
+    .all()
+    .filter(item => item.tbl_name === 'content' || (item.type === 'trigger' && /\bcontent\b/.test(item.sql)));
+
+  dependents
+    .filter(item => item.type === 'trigger' && item.tbl_name !== 'content')
+    .forEach(item => db.exec(`DROP TRIGGER ${item.name}`));
+
+  db.exec(createTable('content_new', withChecks));
+  db.exec(`
+    INSERT INTO content_new (${COLUMNS.join(', ')})
+    SELECT ${COLUMNS.join(', ')} FROM content;
+
+    DROP TABLE content;
+    ALTER TABLE content_new RENAME TO content;
+  `);
+
+  dependents.forEach(item => db.exec(item.sql));
+}
+
+module.exports = {
+  version: 7,
+  name: 'content_constraints',
+  disableForeignKeys: true,
+
+  up(db) {
+    const invalid = db.prepare(`
+      SELECT id FROM content
+      WHERE NOT (url LIKE 'http://_%' OR url LIKE 'https://_%')
+        OR (time_spent_minutes IS NOT NULL AND (typeof(time_spent_minutes) NOT IN ('integer', 'real') OR time_spent_minutes < 0))
+        OR (upvotes IS NOT NULL AND (typeof(upvotes) != 'integer' OR upvotes < 0))
+        OR (views IS NOT NULL AND (typeof(views) != 'integer' OR views < 0))
+        OR (engagement_score IS NOT NULL AND (typeof(engagement_score) NOT IN ('integer', 'real') OR engagement_score NOT BETWEEN 0 AND 1))
+        OR (trending_score IS NOT NULL AND (typeof(trending_score) NOT IN ('integer', 'real') OR trending_score NOT BETWEEN 0 AND 1))
+        OR (growth_rate IS NOT NULL AND typeof(growth_rate) NOT IN ('integer', 'real'))
+        OR (score_version IS NOT NULL AND (typeof(score_version) != 'integer' OR score_version < 1))
+      ORDER BY id
+    `).all();
+
+    if (invalid.length > 0) {
+      throw new Error(
+        `${invalid.length} content rows violate the new constraints (ids ${invalid.map(row => row.id).join(', ')}). ` +
+        'Run "npm run data:quality" to see why and fix them before migrating.'
+      );
+    }
+
+    rebuildContent(db, true);
+  },
+
+  down(db) {
+    rebuildContent(db, false);
+  }
+};
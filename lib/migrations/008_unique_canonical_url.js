@@ -0,0 +1,106 @@
+/**
+ * One row per piece of content.
+ *
+ * Recomputes canonical_url with the platform-aware canonicalizer (Instagram,
+ * TikTok and Substack URLs reduce to their stable ids) and makes it unique.
+ * Rows that already collide are not touched: the migration fails with their
+ * ids, and `npm run data:duplicates -- --merge` merges them before it is run
+ * again.
+ */
+
+// Snapshot of lib/urls.js canonicalizeUrl() at the time of this migration
+const TRACKING_PARAMS = [/^utm_/, /^igsh$/, /^igshid$/, /^fbclid$/, /^gclid$/];
+
+const PLATFORMS = [
+  {
+    host: /(^|\.)instagram\.com$/,
+    pattern: /^(?:\/[^/]+)?\/(?:p|reels?|tv)\/([A-Za-z0-9_-]+)/,
+    canonical: id => `https://instagram.com/p/${id}`
+  },
+  {
+    host: /(^|\.)tiktok\.com$/,
+    pattern: /^\/@[^/]*\/(?:video|photo)\/(\d+)/,
+    canonical: id => `https://tiktok.com/video/${id}`
+  },
+  {
+    host: /(^|\.)substack\.com$/,
+    pattern: /^\/(?:home\/post|@[^/]+)\/(p-\d+)/,
+    canonical: id => `https://substack.com/home/post/${id}`,
+    dropQuery: /^\/p\//
+  }
+];
+
+function canonicalizeUrl(url, platformAware = true) {
+  const raw = String(url || '').trim();
+  let parsed;
+
+  try {
+    parsed = new URL(raw);
+  } catch (error) {
+    return raw;
+  }
+
+  const platform = platformAware && PLATFORMS.find(item => item.host.test(parsed.hostname.toLowerCase()));
+  if (platform) {
+    const match = parsed.pathname.match(platform.pattern);
+    if (match) return platform.canonical(match[1]);
+    if (platform.dropQuery && platform.dropQuery.test(parsed.pathname)) parsed.search = '';
+  }
+
+  const params = new URLSearchParams();
+  parsed.searchParams.forEach((value, key) => {
+    if (!TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase()))) {
+      params.append(key, value);
+    }
+  });
+  params.sort();
+
+  const host = parsed.host.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const query = params.toString();
+
+  return `https://${host}${pathname}${query ? '?' + query : ''}`;
+}
+
+// Rows merged into another one by `npm run data:duplicates -- --merge` have
+// given up their canonical URL and are left out
+function recanonicalize(db, platformAware) {
+  const update = db.prepare('UPDATE content SET canonical_url = ? WHERE id = ?');
+  db.prepare('SELECT id, url FROM content WHERE canonical_url IS NOT NULL').all()
+    .forEach(row => update.run(canonicalizeUrl(row.url, platformAware), row.id));
+}
+
+module.exports = {
+  version: 8,
+  name: 'unique_canonical_url',
+
+  up(db) {
+    const groups = new Map();
+    db.prepare('SELECT id, url FROM content WHERE canonical_url IS NOT NULL ORDER BY id').all().forEach(row => {
+      const key = canonicalizeUrl(row.url);
+      groups.set(key, [...(groups.get(key) || []), row.id]);
+    });
+
+    const collisions = Array.from(groups.entries()).filter(([, ids]) => ids.length > 1);
+    if (collisions.length > 0) {
+      const list = collisions.map(([url, ids]) => `${url} (ids ${ids.join(', ')})`).join('; ');
+      throw new Error(
+        `Rows share a canonical URL: ${list}. ` +
+        'Merge them with "npm run data:duplicates -- --merge", then apply the migrations again'
+      );
+    }
+
+    recanonicalize(db, true);
+
+    db.exec(`
+      DROP INDEX IF EXISTS idx_content_canonical_url;
+      CREATE UNIQUE INDEX idx_content_canonical_url ON content(canonical_url);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_content_canonical_url');
+    recanonicalize(db, false);
+    db.exec('CREATE INDEX idx_content_canonical_url ON content(canonical_url)');
+  }
+};
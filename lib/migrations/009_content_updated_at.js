@@ -0,0 +1,35 @@
+/**
+ * Keep content.updated_at current.
+ *
+ * A trigger stamps updated_at whenever an update changes any other column,
+ * so every writer (API, imports, scripts) is covered. Updates that change
+ * nothing leave it alone, as do writers that set updated_at themselves.
+ */
+
+// Every content column except the timestamps themselves
+const TRACKED_COLUMNS = [
+  'category_id', 'url', 'source_id', 'time_spent_minutes', 'upvotes', 'views',
+  'engagement_score', 'content_type_id', 'difficulty_level_id', 'trending_score',
+  'canonical_url', 'removed_at', 'published_at', 'growth_rate', 'score_version', 'scored_at'
+];
+
+module.exports = {
+  version: 9,
+  name: 'content_updated_at',
+
+  up(db) {
+    db.exec(`
+      CREATE TRIGGER trg_content_updated_at
+      AFTER UPDATE ON content
+      WHEN NEW.updated_at IS OLD.updated_at
+        AND (${TRACKED_COLUMNS.map(column => `NEW.${column} IS NOT OLD.${column}`).join('\n          OR ')})
+      BEGIN
+        UPDATE content SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TRIGGER IF EXISTS trg_content_updated_at');
+  }
+};
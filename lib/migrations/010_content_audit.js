@@ -0,0 +1,69 @@
+/**
+ * Audit log and soft delete for content.
+ *
+ * content_audit keeps one row per insert, update, delete and restore made
+ * by the content API, imports and score recalculation: the actor, the time
+ * and JSON snapshots of the row before and after. It has no foreign key,
+ * so history outlives the content it describes.
+ *
+ * Deleting content now sets deleted_at instead of removing the row, and the
+ * updated_at trigger of migration 9 is recreated to cover the new column.
+ */
+
+// Snapshot of TRACKED_COLUMNS in 009_content_updated_at
+const TRACKED_COLUMNS = [
+  'category_id', 'url', 'source_id', 'time_spent_minutes', 'upvotes', 'views',
+  'engagement_score', 'content_type_id', 'difficulty_level_id', 'trending_score',
+  'canonical_url', 'removed_at', 'published_at', 'growth_rate', 'score_version', 'scored_at'
+];
+
+function createUpdatedAtTrigger(db, columns) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS trg_content_updated_at;
+
+    CREATE TRIGGER trg_content_updated_at
+    AFTER UPDATE ON content
+    WHEN NEW.updated_at IS OLD.updated_at
+      AND (${columns.map(column => `NEW.${column} IS NOT OLD.${column}`).join('\n        OR ')})
+    BEGIN
+      UPDATE content SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END;
+  `);
+}
+
+module.exports = {
+  version: 10,
+  name: 'content_audit',
+
+  up(db) {
+    db.exec(`
+      ALTER TABLE content ADD COLUMN deleted_at DATETIME;
+      CREATE INDEX idx_content_deleted ON content(deleted_at);
+
+      CREATE TABLE content_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content_id INTEGER NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete', 'restore')),
+        actor TEXT NOT NULL,
+        before_values TEXT,
+        after_values TEXT,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX idx_content_audit_content ON content_audit(content_id, id);
+      CREATE INDEX idx_content_audit_action ON content_audit(action, id);
+    `);
+
+    createUpdatedAtTrigger(db, [...TRACKED_COLUMNS, 'deleted_at']);
+  },
+
+  down(db) {
+    createUpdatedAtTrigger(db, TRACKED_COLUMNS);
+
+    db.exec(`
+      DROP TABLE IF EXISTS content_audit;
+      DROP INDEX IF EXISTS idx_content_deleted;
+      ALTER TABLE content DROP COLUMN deleted_at;
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Pending uploads of POST /api/import.
+ *
+ * An upload is first planned as a dry run and kept here under a random
+ * token with a digest of the plan. Confirming the token replans the stored
+ * records and applies them only if the plan still matches the preview.
+ */
+
+module.exports = {
+  version: 11,
+  name: 'import_previews',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE import_previews (
+        token TEXT PRIMARY KEY,
+        input TEXT NOT NULL,
+        options TEXT NOT NULL,
+        plan_digest TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX idx_import_previews_expires ON import_previews(expires_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS import_previews');
+  }
+};
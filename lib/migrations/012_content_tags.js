@@ -0,0 +1,49 @@
+/**
+ * Tags: any number of labels per content row, next to its single category.
+ *
+ * tags has the shape of the lookup tables of migration 3 and content_tags
+ * links it to content. Every category becomes a tag with the same key, name,
+ * order and color, and every row is tagged with its category, so per-tag
+ * counts start out equal to the per-category ones.
+ */
+
+module.exports = {
+  version: 12,
+  name: 'content_tags',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key VARCHAR(100) NOT NULL UNIQUE,
+        display_name VARCHAR(255) NOT NULL UNIQUE COLLATE NOCASE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        color VARCHAR(7)
+      );
+
+      CREATE TABLE content_tags (
+        content_id INTEGER NOT NULL REFERENCES content(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id),
+        PRIMARY KEY (content_id, tag_id)
+      );
+
+      CREATE INDEX idx_content_tags_tag ON content_tags(tag_id);
+
+      INSERT INTO tags (key, display_name, sort_order, color)
+      SELECT key, display_name, sort_order, color FROM categories ORDER BY id;
+
+      INSERT INTO content_tags (content_id, tag_id)
+      SELECT c.id, t.id
+      FROM content c
+      JOIN categories cat ON cat.id = c.category_id
+      JOIN tags t ON t.key = cat.key;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS content_tags;
+      DROP TABLE IF EXISTS tags;
+    `);
+  }
+};
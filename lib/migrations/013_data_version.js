@@ -0,0 +1,63 @@
+/**
+ * Data version counter for HTTP caching and the query cache.
+ *
+ * data_version holds one row whose version changes on every write to the
+ * tables the API reads. Triggers bump it, so every writer (API, imports,
+ * scripts) is covered. Each bump moves it to at least the current time in
+ * milliseconds, so a recreated database never repeats the versions of the
+ * one it replaced and clients cannot mistake its data for what they cached.
+ */
+
+// Tables the API reads, and the writes that change them
+const TRACKED_TABLES = {
+  content: ['INSERT', 'UPDATE', 'DELETE'],
+  content_tags: ['INSERT', 'UPDATE', 'DELETE'],
+  content_metrics_history: ['INSERT', 'UPDATE', 'DELETE'],
+  content_audit: ['INSERT'],
+  categories: ['INSERT', 'UPDATE', 'DELETE'],
+  sources: ['INSERT', 'UPDATE', 'DELETE'],
+  content_types: ['INSERT', 'UPDATE', 'DELETE'],
+  difficulty_levels: ['INSERT', 'UPDATE', 'DELETE'],
+  tags: ['INSERT', 'UPDATE', 'DELETE']
+};
+
+// Milliseconds since the Unix epoch
+const NOW_MS = "CAST((julianday('now') - 2440587.5) * 86400000 AS INTEGER)";
+
+const triggers = () => Object.entries(TRACKED_TABLES).flatMap(([table, events]) =>
+  events.map(event => ({ table, event, name: `trg_${table}_data_version_${event.toLowerCase()}` }))
+);
+
+module.exports = {
+  version: 13,
+  name: 'data_version',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE data_version (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        version INTEGER NOT NULL
+      );
+
+      INSERT INTO data_version (id, version) VALUES (1, ${NOW_MS});
+    `);
+
+    triggers().forEach(({ table, event, name }) => {
+      db.exec(`
+        CREATE TRIGGER ${name}
+        AFTER ${event} ON ${table}
+        BEGIN
+          UPDATE data_version SET version = MAX(version + 1, ${NOW_MS}) WHERE id = 1;
+        END;
+      `);
+    });
+  },
+
+  down(db) {
+    triggers().forEach(({ name }) => {
+      db.exec(`DROP TRIGGER IF EXISTS ${name}`);
+    });
+
+    db.exec('DROP TABLE IF EXISTS data_version');
+  }
+};
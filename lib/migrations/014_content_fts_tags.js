@@ -0,0 +1,131 @@
+/**
+ * Tag names in the full-text search index.
+ *
+ * Rebuilds content_fts (migration 4) with a tags column holding the display
+ * names of each row's tags in display order, separated by ", ". Triggers keep
+ * it in sync when tags are added to or removed from a row and when a tag is
+ * renamed or reordered.
+ */
+
+// FTS columns of migration 4, and the lookup each is read from
+const LOOKUP_COLUMNS = `
+  (SELECT display_name FROM categories WHERE id = NEW.category_id),
+  (SELECT display_name FROM sources WHERE id = NEW.source_id),
+  (SELECT display_name FROM content_types WHERE id = NEW.content_type_id),
+  (SELECT display_name FROM difficulty_levels WHERE id = NEW.difficulty_level_id),
+  NEW.url
+`;
+
+// Tag display names of a content row in the order the API lists them
+const tagNames = contentId => `(
+  SELECT group_concat(display_name, ', ') FROM (
+    SELECT tg.display_name FROM content_tags ctg JOIN tags tg ON tg.id = ctg.tag_id
+    WHERE ctg.content_id = ${contentId} ORDER BY tg.sort_order, tg.display_name
+  )
+)`;
+
+const updateTags = contentId => `
+  UPDATE content_fts SET tags = ${tagNames(contentId)} WHERE rowid = ${contentId};
+`;
+
+// Recreates content_fts with the given columns, filled from content
+function createFtsTable(db, withTags) {
+  db.exec(`
+    DROP TABLE IF EXISTS content_fts;
+
+    CREATE VIRTUAL TABLE content_fts USING fts5(
+      category,
+      source,
+      content_type,
+      difficulty_level,
+      url,
+      ${withTags ? 'tags,' : ''}
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    );
+
+    INSERT INTO content_fts (rowid, category, source, content_type, difficulty_level, url${withTags ? ', tags' : ''})
+    SELECT c.id, cat.display_name, src.display_name, ct.display_name, dl.display_name, c.url${withTags ? `, ${tagNames('c.id')}` : ''}
+    FROM content c
+    JOIN categories cat ON cat.id = c.category_id
+    JOIN sources src ON src.id = c.source_id
+    LEFT JOIN content_types ct ON ct.id = c.content_type_id
+    LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id;
+  `);
+}
+
+// Recreates the content triggers of migration 4, which write whole FTS rows
+function createContentTriggers(db, withTags) {
+  const insertRow = `
+    INSERT INTO content_fts (rowid, category, source, content_type, difficulty_level, url${withTags ? ', tags' : ''})
+    VALUES (NEW.id, ${LOOKUP_COLUMNS}${withTags ? `, ${tagNames('NEW.id')}` : ''});
+  `;
+
+  db.exec(`
+    DROP TRIGGER IF EXISTS trg_content_fts_insert;
+    DROP TRIGGER IF EXISTS trg_content_fts_update;
+
+    CREATE TRIGGER trg_content_fts_insert
+    AFTER INSERT ON content
+    BEGIN
+      ${insertRow}
+    END;
+
+    CREATE TRIGGER trg_content_fts_update
+    AFTER UPDATE OF category_id, source_id, content_type_id, difficulty_level_id, url ON content
+    BEGIN
+      DELETE FROM content_fts WHERE rowid = OLD.id;
+      ${insertRow}
+    END;
+  `);
+}
+
+module.exports = {
+  version: 14,
+  name: 'content_fts_tags',
+
+  up(db) {
+    createFtsTable(db, true);
+    createContentTriggers(db, true);
+
+    db.exec(`
+      CREATE TRIGGER trg_content_tags_fts_insert
+      AFTER INSERT ON content_tags
+      BEGIN
+        ${updateTags('NEW.content_id')}
+      END;
+
+      CREATE TRIGGER trg_content_tags_fts_update
+      AFTER UPDATE ON content_tags
+      BEGIN
+        ${updateTags('OLD.content_id')}
+        ${updateTags('NEW.content_id')}
+      END;
+
+      CREATE TRIGGER trg_content_tags_fts_delete
+      AFTER DELETE ON content_tags
+      BEGIN
+        ${updateTags('OLD.content_id')}
+      END;
+
+      CREATE TRIGGER trg_tags_fts_rename
+      AFTER UPDATE OF display_name, sort_order ON tags
+      BEGIN
+        UPDATE content_fts SET tags = ${tagNames('content_fts.rowid')}
+        WHERE rowid IN (SELECT content_id FROM content_tags WHERE tag_id = NEW.id);
+      END;
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS trg_tags_fts_rename;
+      DROP TRIGGER IF EXISTS trg_content_tags_fts_delete;
+      DROP TRIGGER IF EXISTS trg_content_tags_fts_update;
+      DROP TRIGGER IF EXISTS trg_content_tags_fts_insert;
+    `);
+
+    createFtsTable(db, false);
+    createContentTriggers(db, false);
+  }
+};
@@ -0,0 +1,19 @@
+// Ordered list of schema migrations.
+// Migrations are required explicitly (rather than read from disk) so the
+// Next.js bundler can include them with lib/database.js.
+module.exports = [
+  require('./001_create_content'),
+  require('./002_content_metrics_history'),
+  require('./003_lookup_tables'),
+  require('./004_content_fts'),
+  require('./005_import_tracking'),
+  require('./006_score_inputs'),
+  require('./007_content_constraints'),
+  require('./008_unique_canonical_url'),
+  require('./009_content_updated_at'),
+  require('./010_content_audit'),
+  require('./011_import_previews'),
+  require('./012_content_tags'),
+  require('./013_data_version'),
+  require('./014_content_fts_tags')
+];
@@ -0,0 +1,151 @@
+const { COMPONENTS, OPERATIONS, V1_OPERATIONS } = require('./schemas');
+const { version } = require('../package.json');
+
+// OpenAPI 3.1 documents of the API, built from the route schemas in
+// lib/schemas.js: the v1 API at /api/v1/openapi.json and the deprecated
+// first API at /api/openapi.json.
+
+const ADMIN_NOTE = 'Admin endpoints need "Authorization: Bearer <ADMIN_TOKEN>" when ADMIN_TOKEN is set.';
+
+/**
+ * Describe one operation as an OpenAPI operation object
+ * @param {string} operationId - Key of OPERATIONS or V1_OPERATIONS
+ * @param {Object} operation - Operation schema
+ * @param {Object} options - Document settings
+ * @param {string} options.errorSchema - Component of error bodies ('Error' or 'V1Error'); GraphQL operations use GraphqlResponse
+ * @param {boolean} [options.deprecated] - Mark the operation as deprecated
+ * @returns {Object} Operation object
+ */
+function describeOperation(operationId, operation, { errorSchema, deprecated }) {
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${operation.graphql ? 'GraphqlResponse' : errorSchema}` } } }
+  });
+
+  const parameters = [
+    ...(operation.path || []).map(param => ({ ...param, in: 'path', required: true })),
+    ...Object.entries(operation.query).map(([name, { description, ...schema }]) => ({
+      name,
+      in: 'query',
+      ...(description ? { description } : {}),
+      schema,
+      ...(schema.type === 'array' ? { style: 'form', explode: true } : {})
+    })),
+    ...(operation.etag ? [{
+      name: 'If-None-Match',
+      in: 'header',
+      description: 'ETag of a copy the client has; answered with 304 while it is current',
+      schema: { type: 'string' }
+    }] : [])
+  ];
+
+  const described = {
+    operationId,
+    summary: operation.summary,
+    ...(deprecated ? { deprecated: true } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    responses: {
+      ...operation.responses,
+      ...(operation.etag ? { 304: { description: 'The copy named by If-None-Match is current' } } : {}),
+      400: errorResponse(operation.graphql ? 'The query is invalid, too deep or too costly' : 'Invalid request; errors lists each invalid field'),
+      ...(operation.admin ? {
+        401: errorResponse('Missing or invalid admin token'),
+        403: errorResponse(operation.method === 'get'
+          ? 'Admin endpoints are disabled'
+          : 'Admin endpoints are disabled, or writes are because STORAGE_DRIVER=postgres')
+      } : {}),
+      ...(!operation.admin && operation.query.includeDeleted ? {
+        401: errorResponse('includeDeleted without a valid admin token'),
+        403: errorResponse('includeDeleted while admin endpoints are disabled')
+      } : {}),
+      ...(operation.rateLimited ? { 429: errorResponse('Too many requests; see the Retry-After header') } : {}),
+      500: errorResponse('Server error'),
+      503: errorResponse('The database is unavailable or its schema is out of date')
+    }
+  };
+
+  if (operation.body) {
+    described.requestBody = { required: true, content: { 'application/json': { schema: operation.body } } };
+  }
+
+  if (operation.upload) {
+    described.requestBody = {
+      required: true,
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': { schema: { type: 'array', items: { type: 'object' } } },
+        'multipart/form-data': { schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } } }
+      }
+    };
+  }
+
+  if (operation.admin) {
+    described.security = [{ adminToken: [] }];
+  }
+
+  return described;
+}
+
+/**
+ * Build an OpenAPI document of a set of operations
+ * @param {Object} operations - OPERATIONS or V1_OPERATIONS
+ * @param {Object} options - Document settings, see describeOperation()
+ * @param {string} options.description - Description of the API
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildDocument(operations, { description, ...options }) {
+  const paths = {};
+
+  Object.entries(operations).forEach(([operationId, operation]) => {
+    paths[operation.route] = {
+      ...paths[operation.route],
+      [operation.method]: describeOperation(operationId, operation, options)
+    };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Fashion Dashboard API',
+      version,
+      description
+    },
+    paths,
+    components: {
+      schemas: COMPONENTS,
+      securitySchemes: {
+        adminToken: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
+
+/**
+ * Build the OpenAPI document of the /api/v1 routes
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildV1OpenApiDocument() {
+  return buildDocument(V1_OPERATIONS, {
+    errorSchema: 'V1Error',
+    description: 'Content listings, aggregates and exports, plus the admin endpoints that change content. ' +
+      'JSON responses are { data, meta } with camelCase fields; errors are { error, meta }. ' +
+      'POST /api/graphql runs GraphQL queries over the same data. ' + ADMIN_NOTE
+  });
+}
+
+/**
+ * Build the OpenAPI document of the deprecated routes outside /api/v1
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument() {
+  return buildDocument(OPERATIONS, {
+    errorSchema: 'Error',
+    deprecated: true,
+    description: 'The first API, kept for existing clients; use /api/v1 (see /api/v1/openapi.json) instead. ' + ADMIN_NOTE
+  });
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  buildV1OpenApiDocument
+};
@@ -0,0 +1,120 @@
+const { readTypedCsv } = require('./csv');
+const { CSV_COLUMNS } = require('./importer');
+const { REQUIRED_FIELDS, NUMBER_RULES, DEFAULTED_FIELDS, isValidUrl, validateContent } = require('./validation');
+
+// Issue types, in report order
+const ISSUE_TYPES = {
+  out_of_range: 'Out-of-range values',
+  defaulted_zero: 'Defaulted zeros',
+  missing: 'Missing fields',
+  invalid_url: 'Invalid URLs',
+  unreadable: 'Unreadable rows'
+};
+
+// Optional fields worth flagging when empty
+const EXPECTED_FIELDS = ['content_type', 'difficulty_level', 'time_spent_minutes', 'engagement_score', 'trending_score'];
+
+/**
+ * Find quality issues in one record
+ * @param {Object} record - Content record (values as stored, blanks as null)
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.blankIsDefaulted] - Blank metrics will be stored as 0 (CSV input)
+ * @returns {Array} Array of { type, field, message }
+ */
+function checkRecord(record, options = {}) {
+  const issues = [];
+  const blank = field => record[field] === null || record[field] === undefined || String(record[field]).trim() === '';
+
+  validateContent(record)
+    .filter(error => NUMBER_RULES[error.field])
+    .forEach(error => issues.push({ type: 'out_of_range', field: error.field, message: `${record[error.field]} ${error.message}` }));
+
+  DEFAULTED_FIELDS.forEach(field => {
+    if (options.blankIsDefaulted && blank(field)) {
+      issues.push({ type: 'defaulted_zero', field, message: 'blank, will be imported as 0' });
+    } else if (record[field] === 0) {
+      issues.push({ type: 'defaulted_zero', field, message: 'is 0, likely a defaulted value' });
+    }
+  });
+
+  [...REQUIRED_FIELDS, ...EXPECTED_FIELDS].forEach(field => {
+    if (blank(field) && !(options.blankIsDefaulted && DEFAULTED_FIELDS.includes(field))) {
+      issues.push({ type: 'missing', field, message: REQUIRED_FIELDS.includes(field) ? 'is required' : 'is empty' });
+    }
+  });
+
+  if (!blank('url') && !isValidUrl(record.url)) {
+    issues.push({ type: 'invalid_url', field: 'url', message: `"${record.url}" is not an http(s) URL` });
+  }
+
+  return issues;
+}
+
+/**
+ * Summarize issues into per-type counts
+ * @param {Array} issues - Issues with a type
+ * @returns {Object} Count per issue type
+ */
+function countIssues(issues) {
+  const counts = {};
+  Object.keys(ISSUE_TYPES).forEach(type => {
+    counts[type] = issues.filter(issue => issue.type === type).length;
+  });
+  return counts;
+}
+
+/**
+ * Check every active content row in the database.
+ * Only reads plain columns, so it also works on a database whose rows keep
+ * migration 007 (CHECK constraints) from being applied.
+ * @param {Database} db - SQLite database instance
+ * @returns {Object} { checked, issues: [{ id, url, type, field, message }], counts }
+ */
+function checkDatabase(db) {
+  const rows = db.prepare(`
+    SELECT
+      c.*,
+      cat.display_name AS category,
+      src.display_name AS source,
+      ct.display_name AS content_type,
+      dl.display_name AS difficulty_level
+    FROM content c
+    LEFT JOIN categories cat ON cat.id = c.category_id
+    LEFT JOIN sources src ON src.id = c.source_id
+    LEFT JOIN content_types ct ON ct.id = c.content_type_id
+    LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id
+    ORDER BY c.id
+  `).all().filter(row => !row.removed_at && !row.deleted_at);
+
+  const issues = [];
+  rows.forEach(row => {
+    checkRecord(row).forEach(issue => issues.push({ id: row.id, url: row.url, ...issue }));
+  });
+
+  return { checked: rows.length, issues, counts: countIssues(issues) };
+}
+
+/**
+ * Check an import CSV before it is imported
+ * @param {string} text - CSV content with a header row
+ * @returns {Object} { checked, issues: [{ line, url, type, field, message }], counts }
+ */
+function checkCsv(text) {
+  const csv = readTypedCsv(text, CSV_COLUMNS);
+  const issues = csv.errors.map(error => ({ line: error.line, url: null, type: 'unreadable', field: null, message: error.reason }));
+
+  csv.records.forEach(record => {
+    checkRecord(record, { blankIsDefaulted: true })
+      .forEach(issue => issues.push({ line: record.line, url: record.url, ...issue }));
+  });
+
+  issues.sort((a, b) => a.line - b.line);
+  return { checked: csv.totalRows, issues, counts: countIssues(issues) };
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  checkRecord,
+  checkDatabase,
+  checkCsv
+};
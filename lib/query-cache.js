@@ -0,0 +1,113 @@
+// In-process LRU cache of query results. Entries belong to one data version
+// (see migration 13): the first lookup under a new version empties the cache,
+// so results are never served after the data they came from has changed.
+// Like the rate limits, the cache is per server process.
+
+// Entries kept before the least recently used ones are dropped
+const DEFAULT_MAX_ENTRIES = 200;
+
+// Filter values that mean the same as leaving the filter out
+const isUnset = value =>
+  value === undefined || value === null || value === '' || value === 'All' || value === false ||
+  (Array.isArray(value) && value.length === 0);
+
+// Sort object keys at every level; drop unset values from the filters only
+function normalize(value, dropUnset) {
+  if (Array.isArray(value)) {
+    return value.map(item => normalize(item, false));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => !(dropUnset && isUnset(value[key])))
+      .sort()
+      .reduce((result, key) => ({ ...result, [key]: normalize(value[key], false) }), {});
+  }
+
+  return value;
+}
+
+/**
+ * Build the cache key of a query. Filters are normalized so that requests
+ * asking for the same rows share an entry: keys are sorted and unset filters
+ * (undefined, null, '', 'All', false, []) are left out.
+ * @param {string} name - Query name, such as 'getAllContent'
+ * @param {Array} args - Query arguments; object arguments are filters
+ * @returns {string} Cache key
+ */
+function queryKey(name, args) {
+  return `${name}:${JSON.stringify(args.map(arg => normalize(arg, true)))}`;
+}
+
+/**
+ * Create an LRU cache of query results
+ * @param {Object} options - Optional settings
+ * @param {number} [options.maxEntries] - Entries kept (default 200)
+ * @returns {Object} { get(key, version, load), clear(), stats() }
+ */
+function createQueryCache(options = {}) {
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+  let version = null;
+  let hits = 0;
+  let misses = 0;
+
+  /**
+   * Get the result of a query, running it on a miss. Results are cached as
+   * returned, promises included, so concurrent identical queries run once;
+   * a rejected promise is dropped so the next lookup retries. Callers share
+   * cached results and must not modify them.
+   * @param {string} key - Key from queryKey()
+   * @param {number|string} dataVersion - Current data version
+   * @param {Function} load - Runs the query
+   * @returns {*} The cached or new result
+   */
+  function get(key, dataVersion, load) {
+    if (dataVersion !== version) {
+      entries.clear();
+      version = dataVersion;
+    }
+
+    if (entries.has(key)) {
+      const value = entries.get(key);
+      // Move to the most recently used end
+      entries.delete(key);
+      entries.set(key, value);
+      hits++;
+      return value;
+    }
+
+    misses++;
+    const value = load();
+    entries.set(key, value);
+
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    if (value && typeof value.then === 'function') {
+      value.catch(() => {
+        if (entries.get(key) === value) entries.delete(key);
+      });
+    }
+
+    return value;
+  }
+
+  return {
+    get,
+    clear() {
+      entries.clear();
+      version = null;
+    },
+    stats() {
+      return { version, size: entries.size, hits, misses };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_ENTRIES,
+  queryKey,
+  createQueryCache
+};
@@ -0,0 +1,103 @@
+const { apiError } = require('./errors');
+
+// In-process rate limits for the endpoints that read or write the whole
+// dataset. Each client gets a fixed number of requests per window. Limits are
+// per server process, which is enough for the single-process deployments this
+// app runs in.
+//
+// Clients are told apart by X-Forwarded-For only behind proxies, set with
+// TRUSTED_PROXY to their number: each appends the address it received the
+// request from, so the address the outermost one recorded is the client and
+// anything before it was sent by the client. Without a proxy the header is
+// whatever the client sent, and a route handler cannot see the peer address,
+// so all requests share one limit.
+
+const RATE_LIMITS = {
+  export: { limit: 10, windowMs: 60 * 1000 },
+  import: { limit: 20, windowMs: 60 * 1000 }
+};
+
+// Windows kept; the least recently used one is dropped beyond this
+const MAX_TRACKED_WINDOWS = 1000;
+
+const windows = new Map();
+
+/**
+ * Number of reverse proxies in front of the server, from TRUSTED_PROXY
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {number} Proxy count, 0 when unset or invalid
+ */
+function trustedProxyCount(env = process.env) {
+  const count = parseInt(env.TRUSTED_PROXY || '0', 10);
+  return Number.isNaN(count) || count < 0 ? 0 : count;
+}
+
+/**
+ * Identify the client of a request by the X-Forwarded-For address that the
+ * outermost trusted proxy recorded. Addresses before it were sent by the
+ * client and are ignored; without TRUSTED_PROXY the header is not read.
+ * @param {Request} request - Incoming request
+ * @returns {string} Client address, or 'shared' when there is none to trust
+ */
+function clientKey(request) {
+  const proxies = trustedProxyCount();
+  const addresses = (request.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+
+  if (proxies === 0 || addresses.length === 0) {
+    return 'shared';
+  }
+
+  return addresses[Math.max(addresses.length - proxies, 0)];
+}
+
+/**
+ * Count a request against the limit of its endpoint group
+ * @param {Request} request - Incoming request
+ * @param {string} group - Key of RATE_LIMITS
+ * @param {number} [now] - Current time in ms (default Date.now())
+ * @returns {Error|null} rate_limited apiError() with retryAfter seconds, or null if the request may proceed
+ */
+function checkRateLimit(request, group, now = Date.now()) {
+  const { limit, windowMs } = RATE_LIMITS[group];
+  const key = `${group}:${clientKey(request)}`;
+  let window = windows.get(key);
+  windows.delete(key);
+
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + windowMs };
+  }
+
+  // Reinserted as the most recently used window
+  windows.set(key, window);
+  if (windows.size > MAX_TRACKED_WINDOWS) {
+    windows.delete(windows.keys().next().value);
+  }
+
+  window.count++;
+
+  if (window.count > limit) {
+    const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+    return apiError('rate_limited', `Too many ${group} requests; try again in ${retryAfter} s`, { retryAfter });
+  }
+
+  return null;
+}
+
+/**
+ * Number of client windows currently tracked
+ * @returns {number} Tracked windows
+ */
+function trackedWindows() {
+  return windows.size;
+}
+
+module.exports = {
+  RATE_LIMITS,
+  MAX_TRACKED_WINDOWS,
+  clientKey,
+  checkRateLimit,
+  trackedWindows
+};
@@ -0,0 +1,228 @@
+const migrations = require('./migrations');
+const { apiError } = require('./errors');
+
+const SCHEMA_TABLE = 'schema_version';
+
+/**
+ * Get all migrations in ascending version order
+ * @returns {Array} Array of migration objects ({ version, name, up, down })
+ */
+function getMigrations() {
+  const sorted = [...migrations].sort((a, b) => a.version - b.version);
+
+  sorted.forEach((migration, index) => {
+    if (index > 0 && migration.version === sorted[index - 1].version) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+  });
+
+  return sorted;
+}
+
+/**
+ * Get the version the code expects the database to be at
+ * @returns {number} Latest migration version
+ */
+function getLatestVersion() {
+  const all = getMigrations();
+  return all.length > 0 ? all[all.length - 1].version : 0;
+}
+
+/**
+ * Check whether the schema_version table exists
+ * @param {Database} db - SQLite database instance
+ * @returns {boolean} True if the table exists
+ */
+function hasSchemaTable(db) {
+  const row = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .get(SCHEMA_TABLE);
+  return Boolean(row);
+}
+
+/**
+ * Create the schema_version table if it does not exist
+ * @param {Database} db - SQLite database instance
+ */
+function ensureSchemaTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${SCHEMA_TABLE} (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get the current schema version of a database
+ * @param {Database} db - SQLite database instance
+ * @returns {number} Highest applied migration version (0 if none)
+ */
+function getCurrentVersion(db) {
+  if (!hasSchemaTable(db)) {
+    return 0;
+  }
+
+  const row = db.prepare(`SELECT MAX(version) as version FROM ${SCHEMA_TABLE}`).get();
+  return row.version || 0;
+}
+
+/**
+ * Get the applied/pending state of every migration
+ * @param {Database} db - SQLite database instance
+ * @returns {Array} Array of { version, name, applied, appliedAt }
+ */
+function getMigrationStatus(db) {
+  const applied = new Map();
+
+  if (hasSchemaTable(db)) {
+    db.prepare(`SELECT version, applied_at FROM ${SCHEMA_TABLE}`).all()
+      .forEach(row => applied.set(row.version, row.applied_at));
+  }
+
+  return getMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version) || null
+  }));
+}
+
+/**
+ * Run a single migration step inside a transaction.
+ * Migrations that rebuild tables can set `disableForeignKeys`, since SQLite
+ * ignores the foreign_keys pragma while a transaction is open.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} migration - Migration to run
+ * @param {Function} step - Callback performing the step
+ */
+function runStep(db, migration, step) {
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+
+  if (migration.disableForeignKeys) {
+    db.pragma('foreign_keys = OFF');
+  }
+
+  try {
+    db.transaction(() => {
+      step();
+
+      if (migration.disableForeignKeys) {
+        const violations = db.pragma('foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`Migration ${migration.version} left ${violations.length} foreign key violations`);
+        }
+      }
+    })();
+  } finally {
+    if (migration.disableForeignKeys) {
+      db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+    }
+  }
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Optional settings
+ * @param {number} [options.target] - Stop after this version (defaults to latest)
+ * @returns {Array} Array of applied migrations ({ version, name })
+ */
+function applyMigrations(db, options = {}) {
+  const target = options.target !== undefined ? options.target : getLatestVersion();
+
+  ensureSchemaTable(db);
+  const current = getCurrentVersion(db);
+  const pending = getMigrations().filter(m => m.version > current && m.version <= target);
+  const record = db.prepare(`INSERT INTO ${SCHEMA_TABLE} (version, name) VALUES (?, ?)`);
+
+  for (const migration of pending) {
+    try {
+      runStep(db, migration, () => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      });
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Optional settings
+ * @param {number} [options.target] - Roll back until the schema is at this version
+ * @param {number} [options.steps] - Number of migrations to roll back (default 1)
+ * @returns {Array} Array of rolled back migrations ({ version, name })
+ */
+function rollbackMigrations(db, options = {}) {
+  const current = getCurrentVersion(db);
+  const applied = getMigrations()
+    .filter(m => m.version <= current)
+    .reverse();
+
+  let toRollback;
+  if (options.target !== undefined) {
+    toRollback = applied.filter(m => m.version > options.target);
+  } else {
+    toRollback = applied.slice(0, options.steps || 1);
+  }
+
+  const remove = db.prepare(`DELETE FROM ${SCHEMA_TABLE} WHERE version = ?`);
+
+  for (const migration of toRollback) {
+    try {
+      runStep(db, migration, () => {
+        migration.down(db);
+        remove.run(migration.version);
+      });
+    } catch (error) {
+      throw new Error(`Rollback of migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+  }
+
+  return toRollback.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Throw if the database schema does not match the version the code expects
+ * @param {Database} db - SQLite database instance
+ * @throws {Error} schema_outdated apiError() with currentVersion and expectedVersion
+ */
+function assertSchemaCurrent(db) {
+  const current = getCurrentVersion(db);
+  const latest = getLatestVersion();
+
+  const details = { currentVersion: current, expectedVersion: latest };
+
+  if (current < latest) {
+    throw apiError(
+      'schema_outdated',
+      `Database schema is outdated (version ${current}, expected ${latest}). ` +
+      'Run "npm run db:setup" to apply pending migrations.',
+      details
+    );
+  }
+
+  if (current > latest) {
+    throw apiError(
+      'schema_outdated',
+      `Database schema version ${current} is newer than this application supports (${latest}).`,
+      details
+    );
+  }
+}
+
+module.exports = {
+  getMigrations,
+  getLatestVersion,
+  getCurrentVersion,
+  getMigrationStatus,
+  applyMigrations,
+  rollbackMigrations,
+  assertSchemaCurrent
+};
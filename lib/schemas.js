@@ -0,0 +1,968 @@
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SORT_FIELDS, SORT_DIRECTIONS } = require('./storage/pagination');
+const { AUDIT_ACTIONS, DEFAULT_AUDIT_LIMIT, MAX_AUDIT_LIMIT } = require('./audit');
+const { EXPORT_FORMATS } = require('./export');
+const { UPLOAD_FORMATS } = require('./import-previews');
+const { MAX_TAGS } = require('./tags');
+const { ERROR_CODES } = require('./errors');
+
+// Schemas of the API routes, written as JSON Schema: the query parameters of
+// every operation, its request body and its responses. Routes check their
+// query with parseQuery(), and lib/openapi.js publishes the same definitions
+// at /api/v1/openapi.json (V1_OPERATIONS) and /api/openapi.json (OPERATIONS,
+// the deprecated routes).
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+
+// Field names of the v1 API: time_spent_minutes becomes timeSpentMinutes
+const camelCase = name => name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Query parameters shared by the content listings
+const CONTENT_FILTER_PARAMS = {
+  search: { type: 'string', description: 'Full-text search over category, source, content type, difficulty level, URL and tag names' },
+  category: { type: 'string', description: 'Category key or display name' },
+  tag: { type: 'string', description: 'Tag key or display name' },
+  source: { type: 'string', description: 'Source key or display name' },
+  contentType: { type: 'string', description: 'Content type key or display name' },
+  difficultyLevel: { type: 'string', description: 'Difficulty level key or display name' },
+  filter: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filter expression such as views:1000..5000 or source!:substack; repeat to add clauses'
+  },
+  includeDeleted: { type: 'boolean', default: false, description: 'Also list soft-deleted content; needs the admin token' }
+};
+
+const SORT_PARAMS = {
+  sortBy: {
+    type: 'string',
+    enum: Object.keys(SORT_FIELDS),
+    description: 'Sort field; relevance (the default for searches) needs a search, engagementScore is the default otherwise'
+  },
+  sortDir: { type: 'string', enum: SORT_DIRECTIONS, default: 'desc' }
+};
+
+const CONTENT_NUMBERS = {
+  Time_Spent_Minutes: nullable('number'),
+  Upvotes: nullable('integer'),
+  Views: nullable('integer'),
+  Engagement_Score: nullable('number'),
+  Trending_Score: nullable('number')
+};
+
+const GROUP_STATS = {
+  count: { type: 'integer' },
+  avgTimeSpent: { type: 'number' },
+  totalUpvotes: { type: 'integer' },
+  totalViews: { type: 'integer' }
+};
+
+// Fields of an error beyond its message, for some codes (lib/errors.js)
+const ERROR_DETAILS = {
+  code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code' },
+  errors: { type: 'array', items: ref('FieldError'), description: 'Invalid fields (validation_failed, conflict)' },
+  duplicateOf: { type: 'integer', description: 'Content already using the URL (conflict)' },
+  retryAfter: { type: 'integer', description: 'Seconds until requests are accepted again (rate_limited)' },
+  currentVersion: { ...nullable('integer'), description: 'Schema version of the database (schema_outdated)' },
+  expectedVersion: { type: 'integer', description: 'Schema version the server needs (schema_outdated)' },
+  maxBytes: { type: 'integer', description: 'Largest accepted upload (payload_too_large)' },
+  formats: { type: 'array', items: { type: 'string' }, description: 'Accepted upload formats (unsupported_media_type)' }
+};
+
+const HIGHLIGHTS = {
+  type: 'object',
+  description: 'Matched fields of a search result, split into segments',
+  additionalProperties: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['text', 'match'],
+      properties: { text: { type: 'string' }, match: { type: 'boolean' } }
+    }
+  }
+};
+
+// Writable content fields (lib/content.js)
+const PAYLOAD_FIELDS = {
+  category: { type: 'string' },
+  url: { type: 'string', format: 'uri' },
+  source: { type: 'string' },
+  content_type: nullable('string'),
+  difficulty_level: nullable('string'),
+  time_spent_minutes: { type: ['number', 'null'], minimum: 0 },
+  upvotes: { type: ['integer', 'null'], minimum: 0 },
+  views: { type: ['integer', 'null'], minimum: 0 },
+  engagement_score: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+  trending_score: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+  published_at: nullable('string'),
+  growth_rate: nullable('number'),
+  score_version: { type: ['integer', 'null'], minimum: 1 },
+  tags: {
+    description: `Tag names, at most ${MAX_TAGS}; replaces the current tags`,
+    oneOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string' }, { type: 'null' }]
+  }
+};
+
+const PAYLOAD_DESCRIPTION = 'Lookups take a key or display name. Fields left out of a PUT are reset; a PATCH only changes the fields sent.';
+
+// Response and body shapes, published under components.schemas
+const COMPONENTS = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code', 'requestId'],
+    properties: {
+      error: { type: 'string', description: 'Message safe to show to users' },
+      requestId: { type: 'string', description: 'Id of the request in the server log' },
+      ...ERROR_DETAILS
+    }
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  ContentItem: {
+    type: 'object',
+    required: ['Category', 'URL', 'Source', 'id'],
+    properties: {
+      Category: { type: 'string' },
+      URL: { type: 'string' },
+      Source: { type: 'string' },
+      ...CONTENT_NUMBERS,
+      Content_Type: nullable('string'),
+      Difficulty_Level: nullable('string'),
+      Tags: { type: 'array', items: { type: 'string' } },
+      id: { type: 'integer' },
+      created_at: nullable('string'),
+      updated_at: nullable('string'),
+      deleted_at: nullable('string'),
+      highlights: HIGHLIGHTS
+    }
+  },
+  ContentPayload: {
+    type: 'object',
+    description: PAYLOAD_DESCRIPTION,
+    additionalProperties: false,
+    properties: PAYLOAD_FIELDS
+  },
+  ContentPage: {
+    type: 'object',
+    required: ['items', 'nextCursor', 'total'],
+    properties: {
+      items: { type: 'array', items: ref('ContentItem') },
+      nextCursor: { ...nullable('string'), description: 'Cursor of the next page; null on the last page' },
+      total: { type: 'integer' }
+    }
+  },
+  Totals: {
+    type: 'object',
+    required: ['totalContent', 'avgTimeSpent', 'totalUpvotes', 'totalViews'],
+    properties: {
+      totalContent: { type: 'integer' },
+      avgTimeSpent: { type: 'number' },
+      totalUpvotes: { type: 'integer' },
+      totalViews: { type: 'integer' }
+    }
+  },
+  LookupValue: {
+    type: 'object',
+    required: ['id', 'key', 'displayName'],
+    properties: {
+      id: { type: 'integer' },
+      key: { type: 'string' },
+      displayName: { type: 'string' },
+      sortOrder: { type: 'integer' },
+      color: nullable('string')
+    }
+  },
+  AggregateGroup: {
+    type: 'object',
+    required: ['id', 'key', 'displayName', 'count'],
+    properties: {
+      id: { type: 'integer' },
+      key: { type: 'string' },
+      displayName: { type: 'string' },
+      color: nullable('string'),
+      ...GROUP_STATS,
+      percentage: { type: 'number', description: 'Share of the matching content (sources only)' }
+    }
+  },
+  Aggregates: {
+    type: 'object',
+    required: ['totals', 'byCategory', 'byTag', 'bySource', 'topTimeSpent', 'topUpvoted'],
+    properties: {
+      totals: ref('Totals'),
+      byCategory: { type: 'array', items: ref('AggregateGroup') },
+      byTag: { type: 'array', items: ref('AggregateGroup'), description: 'A row counts under each of its tags' },
+      bySource: { type: 'array', items: ref('AggregateGroup') },
+      topTimeSpent: { type: 'array', items: ref('ContentItem') },
+      topUpvoted: { type: 'array', items: ref('ContentItem') }
+    }
+  },
+  Stats: {
+    type: 'object',
+    required: ['stats', 'categories', 'tags', 'sources'],
+    properties: {
+      stats: ref('Totals'),
+      categories: { type: 'array', items: ref('LookupValue') },
+      tags: { type: 'array', items: ref('LookupValue') },
+      sources: { type: 'array', items: ref('LookupValue') }
+    }
+  },
+  Trends: {
+    type: 'object',
+    required: ['groupBy', 'interval', 'series'],
+    properties: {
+      groupBy: { type: 'string' },
+      interval: { type: 'string' },
+      series: { type: 'array', items: ref('TrendSeries') }
+    }
+  },
+  TrendSeries: {
+    type: 'object',
+    required: ['key', 'label', 'points'],
+    properties: {
+      key: { type: ['string', 'integer'] },
+      label: { type: 'string' },
+      points: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['period', 'contentCount'],
+          properties: {
+            period: { type: 'string', format: 'date' },
+            contentCount: { type: 'integer' },
+            avgTimeSpent: nullable('number'),
+            totalUpvotes: nullable('integer'),
+            totalViews: nullable('integer'),
+            avgEngagementScore: nullable('number'),
+            avgTrendingScore: nullable('number')
+          }
+        }
+      }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    required: ['id', 'contentId', 'action', 'actor', 'changedAt', 'changes'],
+    properties: {
+      id: { type: 'integer' },
+      contentId: { type: 'integer' },
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      actor: { type: 'string' },
+      changedAt: { type: 'string' },
+      changes: { type: 'array', items: { type: 'string' } },
+      before: { ...nullable('object'), description: 'Row before the change; null for inserts' },
+      after: nullable('object')
+    }
+  },
+  AuditPage: {
+    type: 'object',
+    required: ['entries', 'nextBefore'],
+    properties: {
+      entries: { type: 'array', items: ref('AuditEntry') },
+      nextBefore: { ...nullable('integer'), description: 'before of the next page; null on the last page' }
+    }
+  },
+  ImportCounts: {
+    type: 'object',
+    required: ['inserted', 'updated', 'restored', 'unchanged', 'removed', 'duplicates', 'rejected'],
+    properties: {
+      inserted: { type: 'integer' },
+      updated: { type: 'integer' },
+      restored: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      removed: { type: 'integer' },
+      duplicates: { type: 'integer' },
+      rejected: { type: 'integer' }
+    }
+  },
+  ImportPreview: {
+    type: 'object',
+    required: ['format', 'token', 'counts'],
+    properties: {
+      format: { type: 'string', enum: UPLOAD_FORMATS },
+      token: { ...nullable('string'), description: 'Token for /api/import/confirm; null when the upload is aborted' },
+      expiresAt: nullable('string'),
+      missingColumns: { type: 'array', items: { type: 'string' } },
+      unknownColumns: { type: 'array', items: { type: 'string' } },
+      aborted: { type: 'boolean' },
+      errorRate: { type: 'number' },
+      removalsSkipped: { type: 'boolean' },
+      counts: ref('ImportCounts'),
+      inserts: { type: 'array', items: { type: 'object' } },
+      updates: { type: 'array', items: { type: 'object' } },
+      removals: { type: 'array', items: { type: 'object' } },
+      duplicates: { type: 'array', items: { type: 'object' } },
+      errors: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  RecomputeResult: {
+    type: 'object',
+    required: ['dryRun', 'outdatedOnly', 'version', 'scored', 'updated', 'unchanged', 'changes', 'skipped'],
+    properties: {
+      dryRun: { type: 'boolean' },
+      outdatedOnly: { type: 'boolean' },
+      version: { type: 'integer' },
+      scored: { type: 'integer' },
+      updated: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      changes: { type: 'array', items: { type: 'object' } },
+      skipped: {
+        type: 'array',
+        description: 'Rows imported with their scores, kept as-is because score inputs are missing',
+        items: {
+          type: 'object',
+          required: ['id', 'url', 'missing'],
+          properties: {
+            id: { type: 'integer' },
+            url: { type: 'string' },
+            missing: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+
+  // v1 shapes: camelCase fields, and { data, meta } around every JSON body
+  V1Meta: {
+    type: 'object',
+    required: ['apiVersion', 'requestId'],
+    properties: {
+      apiVersion: { type: 'string', enum: ['v1'] },
+      requestId: { type: 'string', description: 'Id of the request in the server log' },
+      pagination: ref('V1Pagination'),
+      groupBy: { type: 'string', description: 'Grouping of trend series' },
+      interval: { type: 'string', description: 'Period of trend points' }
+    }
+  },
+  V1Pagination: {
+    type: 'object',
+    required: ['limit', 'nextCursor', 'hasMore'],
+    properties: {
+      limit: { type: 'integer' },
+      nextCursor: { ...nullable('string'), description: 'cursor of the next page; null on the last page' },
+      hasMore: { type: 'boolean' },
+      total: { type: 'integer', description: 'Items matching the query (content listings)' }
+    }
+  },
+  V1Error: {
+    type: 'object',
+    required: ['error', 'meta'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          message: { type: 'string', description: 'Message safe to show to users' },
+          ...ERROR_DETAILS
+        }
+      },
+      meta: ref('V1Meta')
+    }
+  },
+  V1Content: {
+    type: 'object',
+    required: ['id', 'category', 'url', 'source'],
+    properties: {
+      id: { type: 'integer' },
+      category: { type: 'string' },
+      url: { type: 'string' },
+      source: { type: 'string' },
+      contentType: nullable('string'),
+      difficultyLevel: nullable('string'),
+      timeSpentMinutes: nullable('number'),
+      upvotes: nullable('integer'),
+      views: nullable('integer'),
+      engagementScore: nullable('number'),
+      trendingScore: nullable('number'),
+      tags: { type: 'array', items: { type: 'string' } },
+      createdAt: nullable('string'),
+      updatedAt: nullable('string'),
+      deletedAt: nullable('string'),
+      highlights: HIGHLIGHTS
+    }
+  },
+  V1ContentInput: {
+    type: 'object',
+    description: PAYLOAD_DESCRIPTION,
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.entries(PAYLOAD_FIELDS).map(([name, schema]) => [camelCase(name), schema]))
+  },
+  V1Aggregates: {
+    type: 'object',
+    required: ['totals', 'byCategory', 'byTag', 'bySource', 'topTimeSpent', 'topUpvoted'],
+    properties: {
+      totals: ref('Totals'),
+      byCategory: { type: 'array', items: ref('AggregateGroup') },
+      byTag: { type: 'array', items: ref('AggregateGroup'), description: 'A row counts under each of its tags' },
+      bySource: { type: 'array', items: ref('AggregateGroup') },
+      topTimeSpent: { type: 'array', items: ref('V1Content') },
+      topUpvoted: { type: 'array', items: ref('V1Content') }
+    }
+  },
+  V1Stats: {
+    type: 'object',
+    required: ['totals', 'categories', 'tags', 'sources'],
+    properties: {
+      totals: ref('Totals'),
+      categories: { type: 'array', items: ref('LookupValue') },
+      tags: { type: 'array', items: ref('LookupValue') },
+      sources: { type: 'array', items: ref('LookupValue') }
+    }
+  },
+  GraphqlRequest: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', description: 'GraphQL query; the schema is served by GET /api/graphql' },
+      variables: { type: ['object', 'null'] },
+      operationName: nullable('string')
+    }
+  },
+  GraphqlError: {
+    type: 'object',
+    required: ['message', 'extensions'],
+    properties: {
+      message: { type: 'string' },
+      locations: {
+        type: 'array',
+        items: { type: 'object', properties: { line: { type: 'integer' }, column: { type: 'integer' } } }
+      },
+      path: { type: 'array', items: { type: ['string', 'integer'] }, description: 'Response path of the failed field' },
+      extensions: {
+        type: 'object',
+        required: ['code'],
+        properties: ERROR_DETAILS
+      }
+    }
+  },
+  GraphqlResponse: {
+    type: 'object',
+    required: ['extensions'],
+    properties: {
+      data: { type: ['object', 'null'], description: 'Left out when the request could not run' },
+      errors: { type: 'array', items: ref('GraphqlError') },
+      extensions: {
+        type: 'object',
+        required: ['requestId'],
+        properties: { requestId: { type: 'string', description: 'Id of the request in the server log' } }
+      }
+    }
+  }
+};
+
+const CONTENT_ID = { name: 'id', schema: { type: 'integer', minimum: 1 }, description: 'Content id' };
+
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+
+// Operations of the first API by operationId, deprecated in favour of
+// V1_OPERATIONS but still served. `admin` operations need ADMIN_TOKEN,
+// `rateLimited` ones are limited per client (lib/rate-limit.js), `etag` ones
+// answer a current If-None-Match with 304 Not Modified and `path` lists the
+// path parameters.
+const OPERATIONS = {
+  listContent: {
+    method: 'get',
+    route: '/api/data',
+    summary: 'List or search content a page at a time',
+    etag: true,
+    query: {
+      ...CONTENT_FILTER_PARAMS,
+      ...SORT_PARAMS,
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+      cursor: { type: 'string', description: 'nextCursor of the previous page' }
+    },
+    responses: { 200: json(ref('ContentPage'), 'A page of content') }
+  },
+  getAggregates: {
+    method: 'get',
+    route: '/api/aggregates',
+    summary: 'Totals, per-group stats and top content of the matching content',
+    etag: true,
+    query: CONTENT_FILTER_PARAMS,
+    responses: { 200: json(ref('Aggregates'), 'Aggregates') }
+  },
+  exportContent: {
+    method: 'get',
+    route: '/api/export',
+    summary: 'Download every matching row as a file',
+    rateLimited: true,
+    query: {
+      ...CONTENT_FILTER_PARAMS,
+      ...SORT_PARAMS,
+      format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' },
+      aggregates: { type: 'boolean', default: false, description: 'Add the category, tag and source stats (json and xlsx only)' }
+    },
+    responses: {
+      200: {
+        description: 'Export file',
+        content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) =>
+          [contentType.split(';')[0], { schema: { type: 'string' } }]
+        ))
+      }
+    }
+  },
+  getStats: {
+    method: 'get',
+    route: '/api/stats',
+    summary: 'Totals and the categories, tags and sources',
+    etag: true,
+    query: {},
+    responses: { 200: json(ref('Stats'), 'Statistics') }
+  },
+  getTrends: {
+    method: 'get',
+    route: '/api/trends',
+    summary: 'Metric time series from the metric history',
+    etag: true,
+    query: {
+      groupBy: { type: 'string', enum: ['category', 'source', 'content'], default: 'category' },
+      interval: { type: 'string', enum: ['day', 'week'], default: 'day' },
+      category: { type: 'string', description: 'Category key or display name' },
+      tag: { type: 'string', description: 'Tag key or display name' },
+      source: { type: 'string', description: 'Source key or display name' },
+      contentId: { type: 'integer', minimum: 1 },
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' }
+    },
+    responses: { 200: json(ref('Trends'), 'Series by group') }
+  },
+  createContent: {
+    method: 'post',
+    route: '/api/content',
+    summary: 'Create a content item',
+    admin: true,
+    query: {},
+    body: ref('ContentPayload'),
+    responses: {
+      201: json(ref('ContentItem'), 'Created item'),
+      409: json(ref('Error'), 'The URL is already used by another item')
+    }
+  },
+  getContent: {
+    method: 'get',
+    route: '/api/content/{id}',
+    summary: 'Get a content item',
+    etag: true,
+    path: [CONTENT_ID],
+    query: {
+      includeDeleted: { type: 'boolean', default: false, description: 'Also return a deleted item; needs the admin token' }
+    },
+    responses: {
+      200: json(ref('ContentItem'), 'The item'),
+      404: json(ref('Error'), 'No such item')
+    }
+  },
+  replaceContent: {
+    method: 'put',
+    route: '/api/content/{id}',
+    summary: 'Replace a content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    body: ref('ContentPayload'),
+    responses: {
+      200: json(ref('ContentItem'), 'Updated item'),
+      404: json(ref('Error'), 'No such item'),
+      409: json(ref('Error'), 'The URL is already used by another item')
+    }
+  },
+  updateContent: {
+    method: 'patch',
+    route: '/api/content/{id}',
+    summary: 'Change some fields of a content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    body: ref('ContentPayload'),
+    responses: {
+      200: json(ref('ContentItem'), 'Updated item'),
+      404: json(ref('Error'), 'No such item'),
+      409: json(ref('Error'), 'The URL is already used by another item')
+    }
+  },
+  deleteContent: {
+    method: 'delete',
+    route: '/api/content/{id}',
+    summary: 'Soft-delete a content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    responses: {
+      204: { description: 'Deleted' },
+      404: json(ref('Error'), 'No such item')
+    }
+  },
+  restoreContent: {
+    method: 'post',
+    route: '/api/content/{id}/restore',
+    summary: 'Restore a deleted content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    responses: {
+      200: json(ref('ContentItem'), 'Restored item'),
+      404: json(ref('Error'), 'No such item'),
+      409: json(ref('Error'), 'The item was merged into another item that still exists')
+    }
+  },
+  getAuditLog: {
+    method: 'get',
+    route: '/api/audit',
+    summary: 'Browse the content audit log, newest first',
+    etag: true,
+    admin: true,
+    query: {
+      contentId: { type: 'integer', minimum: 1 },
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      actor: { type: 'string' },
+      before: { type: 'integer', minimum: 1, description: 'nextBefore of the previous page' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_AUDIT_LIMIT, default: DEFAULT_AUDIT_LIMIT }
+    },
+    responses: { 200: json(ref('AuditPage'), 'A page of entries') }
+  },
+  previewImport: {
+    method: 'post',
+    route: '/api/import',
+    summary: 'Preview what importing an upload would change',
+    admin: true,
+    rateLimited: true,
+    query: {
+      format: { type: 'string', enum: UPLOAD_FORMATS, description: 'Upload format; read from the content type or file name when left out' },
+      markRemoved: { type: 'boolean', default: false, description: 'Mark rows missing from the upload as removed' },
+      maxErrorRate: { type: 'number', minimum: 0, maximum: 1, default: 0.1, description: 'Share of rejected rows above which the upload is refused' }
+    },
+    upload: true,
+    responses: {
+      200: json(ref('ImportPreview'), 'Preview'),
+      413: json(ref('Error'), 'The upload is too large'),
+      415: json(ref('Error'), 'Unsupported upload format')
+    }
+  },
+  confirmImport: {
+    method: 'post',
+    route: '/api/import/confirm',
+    summary: 'Apply a previewed import',
+    admin: true,
+    query: {},
+    body: {
+      type: 'object',
+      required: ['token'],
+      properties: { token: { type: 'string' } }
+    },
+    responses: {
+      200: json(ref('ImportCounts'), 'Applied counts'),
+      404: json(ref('Error'), 'Preview not found or expired'),
+      409: json(ref('Error'), 'The data changed since the preview')
+    }
+  },
+  recomputeScores: {
+    method: 'post',
+    route: '/api/admin/recompute',
+    summary: 'Recompute engagement and trending scores',
+    admin: true,
+    query: {
+      dryRun: { type: 'boolean', default: false, description: 'Report the changes without writing them' },
+      outdatedOnly: { type: 'boolean', default: false, description: 'Only rescore rows scored by an older formula' }
+    },
+    responses: { 200: json(ref('RecomputeResult'), 'Recalculation result') }
+  },
+  getOpenApi: {
+    method: 'get',
+    route: '/api/openapi.json',
+    summary: 'This OpenAPI document',
+    query: {},
+    responses: { 200: json({ type: 'object' }, 'OpenAPI 3.1 document') }
+  }
+};
+
+// A v1 JSON response: { data, meta }
+const envelope = (data, description) => json({
+  type: 'object',
+  required: ['data', 'meta'],
+  properties: { data, meta: ref('V1Meta') }
+}, description);
+
+const v1Error = description => json(ref('V1Error'), description);
+
+// The same operations under /api/v1, with camelCase fields and enveloped
+// responses. Parameters are shared with OPERATIONS except for the audit log,
+// which pages with `cursor` like the content listing. The `graphql`
+// operations of /api/graphql answer with GraphQL responses, errors included.
+const V1_OPERATIONS = {
+  listContent: {
+    method: 'get',
+    route: '/api/v1/content',
+    summary: 'List or search content a page at a time',
+    etag: true,
+    query: OPERATIONS.listContent.query,
+    responses: { 200: envelope({ type: 'array', items: ref('V1Content') }, 'A page of content; meta.pagination has the next cursor') }
+  },
+  createContent: {
+    method: 'post',
+    route: '/api/v1/content',
+    summary: 'Create a content item',
+    admin: true,
+    query: {},
+    body: ref('V1ContentInput'),
+    responses: {
+      201: envelope(ref('V1Content'), 'Created item'),
+      409: v1Error('The URL is already used by another item')
+    }
+  },
+  getContent: {
+    method: 'get',
+    route: '/api/v1/content/{id}',
+    summary: 'Get a content item',
+    etag: true,
+    path: [CONTENT_ID],
+    query: OPERATIONS.getContent.query,
+    responses: {
+      200: envelope(ref('V1Content'), 'The item'),
+      404: v1Error('No such item')
+    }
+  },
+  replaceContent: {
+    method: 'put',
+    route: '/api/v1/content/{id}',
+    summary: 'Replace a content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    body: ref('V1ContentInput'),
+    responses: {
+      200: envelope(ref('V1Content'), 'Updated item'),
+      404: v1Error('No such item'),
+      409: v1Error('The URL is already used by another item')
+    }
+  },
+  updateContent: {
+    method: 'patch',
+    route: '/api/v1/content/{id}',
+    summary: 'Change some fields of a content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    body: ref('V1ContentInput'),
+    responses: {
+      200: envelope(ref('V1Content'), 'Updated item'),
+      404: v1Error('No such item'),
+      409: v1Error('The URL is already used by another item')
+    }
+  },
+  deleteContent: {
+    method: 'delete',
+    route: '/api/v1/content/{id}',
+    summary: 'Soft-delete a content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    responses: {
+      204: { description: 'Deleted' },
+      404: v1Error('No such item')
+    }
+  },
+  restoreContent: {
+    method: 'post',
+    route: '/api/v1/content/{id}/restore',
+    summary: 'Restore a deleted content item',
+    admin: true,
+    path: [CONTENT_ID],
+    query: {},
+    responses: {
+      200: envelope(ref('V1Content'), 'Restored item'),
+      404: v1Error('No such item'),
+      409: v1Error('The item was merged into another item that still exists')
+    }
+  },
+  getAggregates: {
+    method: 'get',
+    route: '/api/v1/aggregates',
+    summary: 'Totals, per-group stats and top content of the matching content',
+    etag: true,
+    query: OPERATIONS.getAggregates.query,
+    responses: { 200: envelope(ref('V1Aggregates'), 'Aggregates') }
+  },
+  getStats: {
+    method: 'get',
+    route: '/api/v1/stats',
+    summary: 'Totals and the categories, tags and sources',
+    etag: true,
+    query: {},
+    responses: { 200: envelope(ref('V1Stats'), 'Statistics') }
+  },
+  getTrends: {
+    method: 'get',
+    route: '/api/v1/trends',
+    summary: 'Metric time series from the metric history',
+    etag: true,
+    query: OPERATIONS.getTrends.query,
+    responses: { 200: envelope({ type: 'array', items: ref('TrendSeries') }, 'Series by group; meta has groupBy and interval') }
+  },
+  exportContent: {
+    ...OPERATIONS.exportContent,
+    route: '/api/v1/export'
+  },
+  getAuditLog: {
+    method: 'get',
+    route: '/api/v1/audit',
+    summary: 'Browse the content audit log, newest first',
+    etag: true,
+    admin: true,
+    query: {
+      contentId: { type: 'integer', minimum: 1 },
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      actor: { type: 'string' },
+      cursor: { type: 'string', description: 'meta.pagination.nextCursor of the previous page' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_AUDIT_LIMIT, default: DEFAULT_AUDIT_LIMIT }
+    },
+    responses: { 200: envelope({ type: 'array', items: ref('AuditEntry') }, 'A page of entries; before and after use camelCase fields') }
+  },
+  previewImport: {
+    ...OPERATIONS.previewImport,
+    route: '/api/v1/import',
+    responses: {
+      200: envelope(ref('ImportPreview'), 'Preview; records and changed fields use camelCase names'),
+      413: v1Error('The upload is too large'),
+      415: v1Error('Unsupported upload format')
+    }
+  },
+  confirmImport: {
+    ...OPERATIONS.confirmImport,
+    route: '/api/v1/import/confirm',
+    responses: {
+      200: envelope(ref('ImportCounts'), 'Applied counts'),
+      404: v1Error('Preview not found or expired'),
+      409: v1Error('The data changed since the preview')
+    }
+  },
+  recomputeScores: {
+    ...OPERATIONS.recomputeScores,
+    route: '/api/v1/admin/recompute',
+    responses: { 200: envelope(ref('RecomputeResult'), 'Recalculation result') }
+  },
+  queryGraphql: {
+    method: 'post',
+    route: '/api/graphql',
+    summary: 'Run a GraphQL query over content, categories, sources and grouped metrics',
+    graphql: true,
+    query: {},
+    body: ref('GraphqlRequest'),
+    responses: {
+      200: json(ref('GraphqlResponse'), 'Query result; failed fields are null and listed in errors')
+    }
+  },
+  getGraphqlSchema: {
+    method: 'get',
+    route: '/api/graphql',
+    summary: 'The GraphQL schema as SDL',
+    graphql: true,
+    query: {},
+    responses: { 200: { description: 'GraphQL SDL', content: { 'text/plain': { schema: { type: 'string' } } } } }
+  },
+  getOpenApi: {
+    method: 'get',
+    route: '/api/v1/openapi.json',
+    summary: 'This OpenAPI document',
+    query: {},
+    responses: { 200: json({ type: 'object' }, 'OpenAPI 3.1 document') }
+  }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convert one query value to the type of its schema
+ * @param {Object} schema - Parameter schema
+ * @param {string} raw - Query value
+ * @returns {{ value?: *, message?: string }} Value, or why it is invalid
+ */
+function readParam(schema, raw) {
+  const range = schema.maximum !== undefined
+    ? `between ${schema.minimum} and ${schema.maximum}`
+    : `at least ${schema.minimum}`;
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const value = Number(raw);
+    const valid = schema.type === 'integer' ? /^-?\d+$/.test(raw) : raw.trim() !== '' && Number.isFinite(value);
+    const article = schema.type === 'integer' ? 'an integer' : 'a number';
+
+    if (!valid || (schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      return { message: schema.minimum !== undefined ? `must be ${article} ${range}` : `must be ${article}` };
+    }
+    return { value };
+  }
+
+  if (schema.type === 'boolean') {
+    return raw === 'true' || raw === 'false' ? { value: raw === 'true' } : { message: 'must be true or false' };
+  }
+
+  if (schema.enum && !schema.enum.includes(raw)) {
+    return { message: `must be one of: ${schema.enum.join(', ')}` };
+  }
+
+  if (schema.format === 'date' && (!DATE_PATTERN.test(raw) || Number.isNaN(Date.parse(raw)))) {
+    return { message: 'must be a date in YYYY-MM-DD format' };
+  }
+
+  return { value: raw };
+}
+
+/**
+ * Check a request's query against the parameters of an operation. Unknown
+ * parameters, repeated single-value parameters and values of the wrong type
+ * are errors; empty values count as left out and get the default.
+ * @param {Object} params - `query` of an operation in OPERATIONS
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {{ values: Object, errors: Array }} Typed values by name, and { field, message } errors
+ */
+function parseQuery(params, searchParams) {
+  const values = {};
+  const errors = [];
+
+  Array.from(new Set(searchParams.keys()))
+    .filter(name => !Object.prototype.hasOwnProperty.call(params, name))
+    .forEach(name => errors.push({ field: name, message: 'is not a known parameter' }));
+
+  Object.entries(params).forEach(([name, schema]) => {
+    const given = searchParams.getAll(name);
+
+    if (schema.type === 'array') {
+      values[name] = given;
+      return;
+    }
+
+    if (given.length > 1) {
+      errors.push({ field: name, message: 'must only be given once' });
+      return;
+    }
+
+    if (given.length === 0 || given[0] === '') {
+      if (schema.default !== undefined) {
+        values[name] = schema.default;
+      }
+      return;
+    }
+
+    const { value, message } = readParam(schema, given[0]);
+    if (message) {
+      errors.push({ field: name, message });
+    } else {
+      values[name] = value;
+    }
+  });
+
+  return { values, errors };
+}
+
+module.exports = {
+  COMPONENTS,
+  OPERATIONS,
+  V1_OPERATIONS,
+  camelCase,
+  parseQuery
+};
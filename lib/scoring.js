@@ -0,0 +1,214 @@
+const { snapshotContent, recordChange } = require('./audit');
+const { databaseError } = require('./errors');
+
+// Engagement and trending scores as documented in docs/DATA_FLOW.md
+
+// Bump whenever a cap, weight or formula below changes, then run the
+// recalculation (npm run db:recompute) so stored scores follow
+const SCORE_VERSION = 1;
+
+// Metric values at which each normalized input reaches 1.0
+const ENGAGEMENT_CAPS = { views: 5000, upvotes: 300, timeSpentMinutes: 20 };
+const ENGAGEMENT_WEIGHTS = { views: 0.4, upvotes: 0.4, timeSpentMinutes: 0.2 };
+
+// Content older than this many days gets no recency boost
+const RECENCY_WINDOW_DAYS = 30;
+const TRENDING_WEIGHTS = { engagement: 0.6, recency: 0.2, growth: 0.2 };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Inputs of the trending score that legacy rows may not have
+const OPTIONAL_INPUTS = ['published_at', 'growth_rate'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Format a time the way SQLite's CURRENT_TIMESTAMP does
+ * @param {Date} date - Time to format
+ * @returns {string} "YYYY-MM-DD HH:MM:SS" in UTC
+ */
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Number of whole days between a publication date and a reference time
+ * @param {string|null} publishedAt - Date string
+ * @param {Date} now - Reference time
+ * @returns {number|null} Days old, or null if the date is missing or invalid
+ */
+function daysSince(publishedAt, now) {
+  if (!publishedAt) return null;
+  const time = Date.parse(publishedAt);
+  if (Number.isNaN(time)) return null;
+  return Math.max(0, Math.floor((now.getTime() - time) / MS_PER_DAY));
+}
+
+/**
+ * Calculate the engagement score (0-1) from raw metrics
+ * @param {Object} metrics - Raw metrics
+ * @param {number} metrics.views - View count
+ * @param {number} metrics.upvotes - Upvote/like count
+ * @param {number} metrics.timeSpentMinutes - Average time spent in minutes
+ * @returns {number} Score rounded to two decimals
+ */
+function calculateEngagementScore({ views, upvotes, timeSpentMinutes }) {
+  const normalizedViews = Math.min((views || 0) / ENGAGEMENT_CAPS.views, 1);
+  const normalizedUpvotes = Math.min((upvotes || 0) / ENGAGEMENT_CAPS.upvotes, 1);
+  const normalizedTime = Math.min((timeSpentMinutes || 0) / ENGAGEMENT_CAPS.timeSpentMinutes, 1);
+
+  return round2(
+    normalizedViews * ENGAGEMENT_WEIGHTS.views +
+    normalizedUpvotes * ENGAGEMENT_WEIGHTS.upvotes +
+    normalizedTime * ENGAGEMENT_WEIGHTS.timeSpentMinutes
+  );
+}
+
+/**
+ * Calculate the trending score (0-1).
+ * An unknown age or growth rate contributes nothing rather than a guess.
+ * @param {Object} inputs - Score inputs
+ * @param {number} inputs.engagementScore - Engagement score (0-1)
+ * @param {number|null} [inputs.daysOld] - Days since publication
+ * @param {number|null} [inputs.growthRate] - Recent growth rate (2 or more counts as maximum)
+ * @returns {number} Score rounded to two decimals
+ */
+function calculateTrendingScore({ engagementScore, daysOld = null, growthRate = null }) {
+  const recencyFactor = daysOld === null ? 0 : Math.max(0, 1 - daysOld / RECENCY_WINDOW_DAYS);
+  const growthFactor = growthRate === null ? 0 : Math.min(Math.max(growthRate, 0) / 2, 1);
+
+  return round2(
+    (engagementScore || 0) * TRENDING_WEIGHTS.engagement +
+    recencyFactor * TRENDING_WEIGHTS.recency +
+    growthFactor * TRENDING_WEIGHTS.growth
+  );
+}
+
+/**
+ * Score one content row from its stored inputs
+ * @param {Object} inputs - Row with views, upvotes, time_spent_minutes, published_at, growth_rate
+ * @param {Date} now - Reference time for recency
+ * @returns {Object} { engagement_score, trending_score }
+ */
+function scoreContent(inputs, now) {
+  const engagementScore = calculateEngagementScore({
+    views: inputs.views,
+    upvotes: inputs.upvotes,
+    timeSpentMinutes: inputs.time_spent_minutes
+  });
+
+  const trendingScore = calculateTrendingScore({
+    engagementScore,
+    daysOld: daysSince(inputs.published_at, now),
+    growthRate: inputs.growth_rate === undefined ? null : inputs.growth_rate
+  });
+
+  return { engagement_score: engagementScore, trending_score: trendingScore };
+}
+
+/**
+ * Score inputs a row needs before its stored scores can be regenerated.
+ * Rows scored by a formula version were scored without the inputs they lack,
+ * so only rows imported with their scores as-is (no score_version) can miss
+ * any: rescoring those would replace real scores with ones lacking a boost.
+ * @param {Object} row - Row with score_version, published_at and growth_rate
+ * @returns {string[]} Names of the missing inputs
+ */
+function missingScoreInputs(row) {
+  if (row.score_version !== null && row.score_version !== undefined) return [];
+  return OPTIONAL_INPUTS.filter(field => row[field] === null || row[field] === undefined);
+}
+
+/**
+ * Regenerate stored scores from their inputs with the current formulas.
+ * Every row is scored, including removed ones and rows whose scores were
+ * imported as-is; only rows whose scores or version change are written.
+ * Imported rows without a publication date or growth rate keep their stored
+ * scores and are reported in `skipped`.
+ * @param {Database} db - SQLite database instance
+ * @param {Object} options - Optional settings
+ * @param {Date} [options.now] - Reference time for recency (default now)
+ * @param {boolean} [options.outdatedOnly] - Only rescore rows not produced by SCORE_VERSION
+ * @param {boolean} [options.dryRun] - Compute the changes without writing them
+ * @param {string} [options.actor] - Who runs the recalculation, for the audit log (default 'recompute')
+ * @returns {Object} { version, scored, updated, unchanged, changes: [{ id, url, before, after }], skipped: [{ id, url, missing }] }
+ */
+function recomputeScores(db, options = {}) {
+  const now = options.now || new Date();
+  const scoredAt = toSqlTimestamp(now);
+
+  try {
+    const rows = db.prepare(`
+      SELECT id, url, views, upvotes, time_spent_minutes, published_at, growth_rate,
+        engagement_score, trending_score, score_version
+      FROM content
+      ${options.outdatedOnly ? 'WHERE score_version IS NULL OR score_version != ?' : ''}
+      ORDER BY id
+    `).all(...(options.outdatedOnly ? [SCORE_VERSION] : []));
+
+    const changes = [];
+    const skipped = [];
+    rows.forEach(row => {
+      const missing = missingScoreInputs(row);
+      if (missing.length > 0) {
+        skipped.push({ id: row.id, url: row.url, missing });
+        return;
+      }
+
+      const after = scoreContent(row, now);
+      const scoresChanged = Number(row.engagement_score) !== after.engagement_score ||
+        Number(row.trending_score) !== after.trending_score;
+
+      if (scoresChanged || row.score_version !== SCORE_VERSION) {
+        changes.push({
+          id: row.id,
+          url: row.url,
+          before: { engagement_score: row.engagement_score, trending_score: row.trending_score, score_version: row.score_version },
+          after: { ...after, score_version: SCORE_VERSION }
+        });
+      }
+    });
+
+    if (!options.dryRun) {
+      const update = db.prepare(`
+        UPDATE content SET
+          engagement_score = ?, trending_score = ?, score_version = ?, scored_at = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+      db.transaction(() => {
+        changes.forEach(({ id, after }) => {
+          const before = snapshotContent(db, id);
+          update.run(after.engagement_score, after.trending_score, SCORE_VERSION, scoredAt, id);
+          recordChange(db, { contentId: id, action: 'update', before, actor: options.actor || 'recompute' });
+        });
+      })();
+    }
+
+    return {
+      version: SCORE_VERSION,
+      scored: rows.length - skipped.length,
+      updated: changes.length,
+      unchanged: rows.length - skipped.length - changes.length,
+      changes,
+      skipped
+    };
+  } catch (error) {
+    console.error('Error recomputing scores:', error);
+    throw databaseError(error, 'Failed to recompute scores');
+  }
+}
+
+module.exports = {
+  SCORE_VERSION,
+  toSqlTimestamp,
+  daysSince,
+  calculateEngagementScore,
+  calculateTrendingScore,
+  scoreContent,
+  missingScoreInputs,
+  recomputeScores
+};
@@ -0,0 +1,192 @@
+// Private-use characters wrapped around matches by highlight(); they do not
+// occur in display names or URLs, so splitting on them is unambiguous
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_END = '\uE001';
+
+// Columns of content_fts, in index order
+const FTS_COLUMNS = ['category', 'source', 'content_type', 'difficulty_level', 'url', 'tags'];
+
+// bm25 weight per column: category matches count most, URL fragments least
+const FTS_WEIGHTS = [2.0, 1.0, 1.0, 1.0, 0.5, 1.0];
+
+// Separator of the tag names in the tags column (migration 14)
+const FTS_TAG_SEPARATOR = ', ';
+
+// Share of the final rank taken by text relevance; the rest is engagement_score
+const RELEVANCE_WEIGHT = 0.7;
+
+/**
+ * Split a user search string into terms.
+ * Bare words are prefix matches ("fash" finds "Fashion"), double-quoted text
+ * is an exact phrase, and a trailing * makes a phrase a prefix match too.
+ * Punctuated words ("high-waisted") become a phrase of their parts, and
+ * operators and special characters are dropped.
+ * @param {string} input - Raw search text
+ * @returns {Array} Array of { words, prefix }
+ */
+function parseSearchTerms(input) {
+  const terms = [];
+  const pattern = /"([^"]*)"(\*?)|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input))) !== null) {
+    const isPhrase = match[1] !== undefined;
+    const text = (isPhrase ? match[1] : match[3].replace(/\*+$/, '')).replace(/"/g, ' ');
+    const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+    if (words.length === 0) continue;
+
+    terms.push({ words, prefix: isPhrase ? match[2] === '*' : true });
+  }
+
+  return terms;
+}
+
+/**
+ * Turn a user search string into an FTS5 query (SQLite). All terms must match.
+ * @param {string} input - Raw search text, see parseSearchTerms()
+ * @returns {string|null} FTS5 MATCH expression, or null if nothing is searchable
+ */
+function buildFtsQuery(input) {
+  const terms = parseSearchTerms(input).map(({ words, prefix }) => `"${words.join(' ')}"${prefix ? '*' : ''}`);
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * Turn a user search string into a tsquery (PostgreSQL, 'simple' configuration).
+ * All terms must match; phrase words must be adjacent.
+ * @param {string} input - Raw search text, see parseSearchTerms()
+ * @returns {string|null} to_tsquery() input, or null if nothing is searchable
+ */
+function buildTsQuery(input) {
+  const terms = parseSearchTerms(input).map(({ words, prefix }) => {
+    const lexemes = words.map(word => `'${word.toLowerCase()}'`);
+    if (prefix) {
+      lexemes[lexemes.length - 1] += ':*';
+    }
+    return `(${lexemes.join(' <-> ')})`;
+  });
+  return terms.length > 0 ? terms.join(' & ') : null;
+}
+
+// Lowercase and strip diacritics, as the unicode61 tokenizer does
+function foldToken(token) {
+  return token.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Mark the parts of a text that match search terms, for backends without a
+ * highlight() function. Tokens are compared the way the FTS5 index compares
+ * them: case- and diacritic-insensitive, split on anything but letters and digits.
+ * @param {string|null} text - Column value
+ * @param {Array} terms - Terms from parseSearchTerms()
+ * @returns {Array|null} Array of { text, match }, or null if nothing matched
+ */
+function highlightText(text, terms) {
+  if (!text) {
+    return null;
+  }
+
+  const tokens = [];
+  const tokenPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    tokens.push({ start: match.index, end: match.index + match[0].length, value: foldToken(match[0]) });
+  }
+
+  // Token ranges [first, last] of every phrase instance that matched
+  const ranges = [];
+  terms.forEach(({ words, prefix }) => {
+    const folded = words.map(foldToken);
+    for (let i = 0; i + folded.length <= tokens.length; i++) {
+      const isMatch = folded.every((word, offset) => {
+        const token = tokens[i + offset].value;
+        const last = offset === folded.length - 1;
+        return last && prefix ? token.startsWith(word) : token === word;
+      });
+      if (isMatch) {
+        ranges.push([i, i + folded.length - 1]);
+      }
+    }
+  });
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  // Like highlight(), overlapping matches are merged and separate terms are not
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(range => {
+    const previous = merged[merged.length - 1];
+    if (previous && range[0] <= previous[1]) {
+      previous[1] = Math.max(previous[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+
+  let marked = '';
+  let position = 0;
+  merged.forEach(([first, last]) => {
+    const start = tokens[first].start;
+    const end = tokens[last].end;
+    marked += text.slice(position, start) + HIGHLIGHT_START + text.slice(start, end) + HIGHLIGHT_END;
+    position = end;
+  });
+  marked += text.slice(position);
+
+  return parseHighlight(marked);
+}
+
+/**
+ * Get the text a content row has in an FTS column, as it is indexed: tags
+ * are listed by display name, other columns are the row's value
+ * @param {Object} row - Content row with `tags` as an array of display names
+ * @param {string} column - One of FTS_COLUMNS
+ * @returns {string|null} Column text
+ */
+function columnText(row, column) {
+  return column === 'tags' ? (row.tags || []).join(FTS_TAG_SEPARATOR) : row[column];
+}
+
+/**
+ * Split highlight() output into plain and matched segments
+ * @param {string|null} text - Column value with highlight markers
+ * @returns {Array|null} Array of { text, match }, or null if nothing matched
+ */
+function parseHighlight(text) {
+  if (!text || !text.includes(HIGHLIGHT_START)) {
+    return null;
+  }
+
+  const segments = [];
+  const parts = text.split(HIGHLIGHT_START);
+
+  parts.forEach((part, index) => {
+    if (index === 0) {
+      if (part) segments.push({ text: part, match: false });
+      return;
+    }
+
+    const [matched, rest] = part.split(HIGHLIGHT_END);
+    segments.push({ text: matched, match: true });
+    if (rest) segments.push({ text: rest, match: false });
+  });
+
+  return segments;
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  FTS_COLUMNS,
+  FTS_WEIGHTS,
+  RELEVANCE_WEIGHT,
+  parseSearchTerms,
+  buildFtsQuery,
+  buildTsQuery,
+  highlightText,
+  columnText,
+  parseHighlight
+};
@@ -0,0 +1,191 @@
+const { FTS_COLUMNS, parseSearchTerms, highlightText, columnText } = require('../search');
+const { FILTER_FIELDS } = require('../filters');
+const { validationError } = require('../errors');
+
+// Rows in each top content list
+const TOP_CONTENT_LIMIT = 10;
+
+// Metric columns per group, over the `matched` rows aliased m. PostgreSQL
+// returns COUNT and SUM as strings, so formatAggregates() converts them.
+const GROUP_METRICS = `
+  COUNT(m.id) AS count,
+  AVG(m.time_spent_minutes) AS avg_time_spent,
+  COALESCE(SUM(m.upvotes), 0) AS total_upvotes,
+  COALESCE(SUM(m.views), 0) AS total_views
+`;
+
+// Dimensions getGroupedMetrics() groups by: the lookups through their
+// CONTENT_JOINS alias, tags through GROUP_TAG_JOINS
+const GROUP_DIMENSIONS = {
+  category: 'cat',
+  source: 'src',
+  contentType: 'ct',
+  difficultyLevel: 'dl',
+  tag: 'gtg'
+};
+
+// Joins a row once per tag it carries (once with no tag if it has none)
+const GROUP_TAG_JOINS = `
+  LEFT JOIN content_tags gctg ON gctg.content_id = c.id
+  LEFT JOIN tags gtg ON gtg.id = gctg.tag_id
+`;
+
+// Metrics getGroupedMetrics() sums and averages: the numeric filter fields
+const GROUP_METRIC_COLUMNS = Object.fromEntries(
+  Object.entries(FILTER_FIELDS)
+    .filter(([, definition]) => definition.type === 'number')
+    .map(([metric, definition]) => [metric, definition.column])
+);
+
+// Largest number of groups getGroupedMetrics() returns, and the default
+const DEFAULT_GROUP_LIMIT = 100;
+const MAX_GROUP_LIMIT = 1000;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Shape raw aggregate query results into the getAggregates() result, which
+ * is identical for every adapter
+ * @param {Object} raw - Query results
+ * @param {Object} raw.totals - { count, avg_time_spent, total_upvotes, total_views }
+ * @param {Array} raw.categories - Lookup rows with the group metrics
+ * @param {Array} raw.tags - Tag rows with the group metrics
+ * @param {Array} raw.sources - Lookup rows with the group metrics
+ * @param {Array} raw.topTimeSpent - Content rows
+ * @param {Array} raw.topUpvoted - Content rows
+ * @param {string} [search] - Search text the results were filtered by
+ * @returns {Object} { totals, byCategory, byTag, bySource, topTimeSpent, topUpvoted }
+ */
+function formatAggregates(raw, search) {
+  const totalContent = Number(raw.totals.count);
+  const terms = search ? parseSearchTerms(search) : [];
+
+  const group = row => ({
+    id: row.id,
+    key: row.key,
+    displayName: row.display_name,
+    color: row.color,
+    count: Number(row.count),
+    avgTimeSpent: round2(row.avg_time_spent),
+    totalUpvotes: Number(row.total_upvotes),
+    totalViews: Number(row.total_views)
+  });
+
+  // Top rows carry highlights like search results so the UI can show why they matched
+  const withHighlights = row => {
+    if (terms.length === 0) {
+      return row;
+    }
+
+    const highlights = {};
+    FTS_COLUMNS.forEach(column => {
+      const segments = highlightText(columnText(row, column), terms);
+      if (segments) {
+        highlights[column] = segments;
+      }
+    });
+    return { ...row, highlights };
+  };
+
+  return {
+    totals: {
+      totalContent,
+      avgTimeSpent: round2(raw.totals.avg_time_spent),
+      totalUpvotes: Number(raw.totals.total_upvotes),
+      totalViews: Number(raw.totals.total_views)
+    },
+    byCategory: raw.categories.map(group),
+    byTag: raw.tags.map(group),
+    bySource: raw.sources.map(row => ({
+      ...group(row),
+      percentage: totalContent > 0 ? round2((Number(row.count) / totalContent) * 100) : 0
+    })),
+    topTimeSpent: raw.topTimeSpent.map(withHighlights),
+    topUpvoted: raw.topUpvoted.map(withHighlights)
+  };
+}
+
+/**
+ * Build the parts of the getGroupedMetrics() query over content c with the
+ * CONTENT_JOINS. Groups come in the display order of each dimension, with
+ * content missing a value (no content type, no tags) last.
+ * @param {Array} groupBy - Keys of GROUP_DIMENSIONS, outermost first
+ * @param {Object} dialect - Backend specifics
+ * @param {Function} dialect.number - (expression) => the expression read as a JavaScript number
+ * @param {Function} dialect.collate - (expression) => the expression ordered case-insensitively
+ * @returns {Object} { columns, joins, groupBy, orderBy } SQL fragments; groupBy and orderBy may be empty
+ * @throws {Error} validation_failed if groupBy names an unknown dimension or one twice
+ */
+function groupedMetricsQuery(groupBy, dialect) {
+  const unknown = groupBy.filter(dimension => !GROUP_DIMENSIONS[dimension]);
+  if (unknown.length > 0 || new Set(groupBy).size < groupBy.length) {
+    throw validationError([{
+      field: 'groupBy',
+      message: `must list distinct dimensions of: ${Object.keys(GROUP_DIMENSIONS).join(', ')}`
+    }]);
+  }
+
+  const aliases = groupBy.map(dimension => GROUP_DIMENSIONS[dimension]);
+  const metrics = Object.values(GROUP_METRIC_COLUMNS).map(column => {
+    const name = column.replace(/^c\./, '');
+    return `${dialect.number(`COALESCE(SUM(${column}), 0)`)} AS sum_${name}, ${dialect.number(`AVG(${column})`)} AS avg_${name}`;
+  });
+
+  return {
+    columns: [
+      ...aliases.map((alias, index) => `${alias}.key AS g${index}_key, ${alias}.display_name AS g${index}_name`),
+      `${dialect.number('COUNT(c.id)')} AS count`,
+      ...metrics
+    ].join(',\n'),
+    joins: groupBy.includes('tag') ? GROUP_TAG_JOINS : '',
+    groupBy: aliases.map(alias => `${alias}.id`).join(', '),
+    orderBy: aliases
+      .map(alias => `${alias}.sort_order NULLS LAST, ${dialect.collate(`${alias}.display_name`)} NULLS LAST`)
+      .join(', ')
+  };
+}
+
+/**
+ * Shape rows of the groupedMetricsQuery() query into the getGroupedMetrics()
+ * result, which is identical for every adapter
+ * @param {Array} rows - Query rows, at most limit + 1
+ * @param {Array} groupBy - Dimensions the rows are grouped by
+ * @param {number} limit - Groups to return
+ * @returns {Object} { groups, hasMore }; sums and averages are rounded to 4 decimals
+ */
+function formatGroupedMetrics(rows, groupBy, limit) {
+  const metric = (row, prefix) => Object.fromEntries(
+    Object.entries(GROUP_METRIC_COLUMNS).map(([name, column]) => {
+      // Rounded so float arithmetic differences between backends do not show
+      const value = row[`${prefix}_${column.replace(/^c\./, '')}`];
+      return [name, value === null ? null : Math.round(Number(value) * 10000) / 10000];
+    })
+  );
+
+  return {
+    groups: rows.slice(0, limit).map(row => ({
+      ...Object.fromEntries(groupBy.map((dimension, index) => [
+        dimension,
+        row[`g${index}_key`] === null ? null : { key: row[`g${index}_key`], displayName: row[`g${index}_name`] }
+      ])),
+      count: Number(row.count),
+      sum: metric(row, 'sum'),
+      avg: metric(row, 'avg')
+    })),
+    hasMore: rows.length > limit
+  };
+}
+
+module.exports = {
+  TOP_CONTENT_LIMIT,
+  GROUP_METRICS,
+  GROUP_DIMENSIONS,
+  GROUP_METRIC_COLUMNS,
+  DEFAULT_GROUP_LIMIT,
+  MAX_GROUP_LIMIT,
+  formatAggregates,
+  groupedMetricsQuery,
+  formatGroupedMetrics
+};
@@ -0,0 +1,72 @@
+const path = require('path');
+const { createSqliteStorage, openSqliteDatabase } = require('./sqlite');
+
+/**
+ * Storage adapters serve content reads from one backend. Every adapter
+ * implements the same asynchronous interface, returning identical shapes:
+ *
+ *   driver                     'sqlite' or 'postgres'
+ *   getAllContent(filters)     Page of content, sorted by filters.sortBy/sortDir: { items, nextCursor, total }
+ *   searchContent(query, filters)  Page of ranked matches with `highlights` and `search_rank`
+ *   getContentStats()          { totalContent, avgTimeSpent, totalUpvotes, totalViews }
+ *   getAggregates(filters)     { totals, byCategory, byTag, bySource, topTimeSpent, topUpvoted }
+ *   getGroupedMetrics(groupBy, filters)  { groups: [{ <dimension>, count, sum, avg }], hasMore }
+ *   getCategories()            [{ id, key, displayName, sortOrder, color }]
+ *   getTags()                  [{ id, key, displayName, sortOrder, color }]
+ *   getSources()               [{ id, key, displayName, sortOrder, color }]
+ *   getDataVersion()           Number that changes whenever the data served changes
+ *   close()                    Release connections
+ */
+
+const DRIVERS = ['sqlite', 'postgres'];
+
+/**
+ * Read the storage configuration from the environment.
+ * STORAGE_DRIVER picks the backend; without it, a postgres:// DATABASE_URL
+ * selects PostgreSQL and anything else SQLite. SQLITE_PATH overrides the
+ * SQLite file (default data/fashion_dashboard.db).
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} { driver, sqlitePath, databaseUrl }
+ */
+function getStorageConfig(env = process.env) {
+  const databaseUrl = env.DATABASE_URL || null;
+  const driver = env.STORAGE_DRIVER ||
+    (databaseUrl && /^postgres(ql)?:\/\//.test(databaseUrl) ? 'postgres' : 'sqlite');
+
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"; expected one of: ${DRIVERS.join(', ')}`);
+  }
+
+  if (driver === 'postgres' && !databaseUrl) {
+    throw new Error('STORAGE_DRIVER=postgres requires DATABASE_URL');
+  }
+
+  return {
+    driver,
+    sqlitePath: path.resolve(env.SQLITE_PATH || path.join(process.cwd(), 'data', 'fashion_dashboard.db')),
+    databaseUrl
+  };
+}
+
+/**
+ * Create the storage adapter for a configuration
+ * @param {Object} config - Result of getStorageConfig()
+ * @param {Object} options - Optional settings
+ * @param {Database} [options.db] - Already open SQLite database to serve from
+ * @returns {Object} Storage adapter
+ */
+function createStorage(config, options = {}) {
+  if (config.driver === 'postgres') {
+    // Required lazily so SQLite deployments never load the pg driver
+    const { createPostgresStorage } = require('./postgres');
+    return createPostgresStorage({ connectionString: config.databaseUrl });
+  }
+
+  return createSqliteStorage({ db: options.db || openSqliteDatabase(config.sqlitePath) });
+}
+
+module.exports = {
+  DRIVERS,
+  getStorageConfig,
+  createStorage
+};
@@ -0,0 +1,214 @@
+// Page size when none is requested, and the largest page served
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Sortable fields (sortBy values) and the listing columns they sort on.
+// relevance is only available to searches.
+const SORT_FIELDS = {
+  relevance: 'search_rank',
+  engagementScore: 'engagement_score',
+  trendingScore: 'trending_score',
+  views: 'views',
+  upvotes: 'upvotes',
+  timeSpentMinutes: 'time_spent_minutes',
+  createdAt: 'created_at'
+};
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Columns breaking ties of the default orders, before the final id
+const TIE_BREAKERS = {
+  relevance: ['engagement_score', 'trending_score'],
+  engagementScore: ['trending_score']
+};
+
+/**
+ * Resolve the sort of a listing. Searches sort by relevance and other
+ * listings by engagementScore unless asked otherwise, both descending.
+ * Missing values always sort last and id ascending breaks ties, so every
+ * row has a unique position.
+ * @param {Object} options - Listing options
+ * @param {string} [options.sortBy] - Key of SORT_FIELDS
+ * @param {string} [options.sortDir] - 'asc' or 'desc'
+ * @param {boolean} isSearch - Whether the listing is a search
+ * @returns {Object|null} { sortBy, sortDir, keys: [{ column, descending }] }, or null if the sort is not valid
+ */
+function resolveSort({ sortBy, sortDir } = {}, isSearch) {
+  const field = sortBy || (isSearch ? 'relevance' : 'engagementScore');
+  const direction = sortDir || 'desc';
+
+  if (!SORT_FIELDS[field] || (field === 'relevance' && !isSearch) || !SORT_DIRECTIONS.includes(direction)) {
+    return null;
+  }
+
+  const descending = direction === 'desc';
+  const keys = [SORT_FIELDS[field], ...(TIE_BREAKERS[field] || [])].map(column => ({ column, descending }));
+
+  return {
+    sortBy: field,
+    sortDir: direction,
+    keys: [...keys, { column: 'id', descending: false }]
+  };
+}
+
+/**
+ * Resolve the sort of a listing request
+ * @param {Object} options - Listing options with sortBy and sortDir
+ * @param {boolean} isSearch - Whether the listing is a search
+ * @returns {Object} Sort, see resolveSort()
+ */
+function readSort(options, isSearch) {
+  const sort = resolveSort(options, isSearch);
+  if (!sort) {
+    throw new Error('Invalid sort');
+  }
+  return sort;
+}
+
+/**
+ * Build the ORDER BY clause of a listing, over the columns of its query
+ * @param {Object} sort - Sort, see resolveSort()
+ * @returns {string} ORDER BY expression list
+ */
+function sortOrder(sort) {
+  return sort.keys
+    .map(({ column, descending }) =>
+      column === 'id' ? 'id' : `${column} ${descending ? 'DESC' : 'ASC'} NULLS LAST`)
+    .join(', ');
+}
+
+/**
+ * Encode the sort key values of a row as an opaque cursor
+ * @param {Object} row - Last row of a page
+ * @param {Object} sort - Sort, see resolveSort()
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor(row, sort) {
+  const values = sort.keys.map(({ column }) => (row[column] === undefined ? null : row[column]));
+  return Buffer.from(JSON.stringify({ sort: `${sort.sortBy}:${sort.sortDir}`, values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor() for a listing with the same sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} sort - Sort, see resolveSort()
+ * @returns {Array|null} Sort key values, or null if the cursor is not valid for this listing
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  // Cursors only continue the sort they were made for
+  const values = decoded && decoded.values;
+  if (!values || decoded.sort !== `${sort.sortBy}:${sort.sortDir}` || !Array.isArray(values) || values.length !== sort.keys.length) {
+    return null;
+  }
+
+  const valid = sort.keys.every(({ column }, index) => {
+    const value = values[index];
+    if (column === 'id') return Number.isInteger(value) && value > 0;
+    if (column === 'search_rank') return Number.isFinite(value);
+    if (column === 'created_at') return value === null || typeof value === 'string';
+    return value === null || Number.isFinite(value);
+  });
+
+  return valid ? values : null;
+}
+
+/**
+ * Decode the cursor of a listing request
+ * @param {string} [cursor] - nextCursor of the previous page
+ * @param {Object} sort - Sort, see resolveSort()
+ * @returns {Array|null} Sort key values, or null for the first page
+ */
+function readCursor(cursor, sort) {
+  if (!cursor) {
+    return null;
+  }
+
+  const values = decodeCursor(cursor, sort);
+  if (!values) {
+    throw new Error('Invalid cursor');
+  }
+  return values;
+}
+
+/**
+ * Build the condition selecting rows that sort after a cursor. Compared
+ * column by column: a row comes later if it sorts after the cursor in the
+ * first column, or ties there and comes later in the remaining columns.
+ * @param {Object} sort - Sort, see resolveSort()
+ * @param {Array} values - Decoded cursor
+ * @param {Function} param - Adds a parameter and returns its placeholder
+ * @returns {string} SQL condition
+ */
+function keysetCondition(sort, values, param) {
+  const after = index => {
+    const { column, descending } = sort.keys[index];
+    const value = values[index];
+
+    if (column === 'id') {
+      return `id > ${param(value)}`;
+    }
+
+    // NULLs sort last in both directions: nothing sorts after NULL except other NULLs
+    const later = value === null
+      ? null
+      : `(${column} ${descending ? '<' : '>'} ${param(value)} OR ${column} IS NULL)`;
+    const tie = value === null ? `${column} IS NULL` : `${column} = ${param(value)}`;
+    const tied = `(${tie} AND ${after(index + 1)})`;
+
+    return later ? `(${later} OR ${tied})` : tied;
+  };
+
+  return after(0);
+}
+
+/**
+ * Clamp a requested page size
+ * @param {number} [limit] - Requested page size
+ * @returns {number} Page size between 1 and MAX_PAGE_SIZE
+ */
+function pageSize(limit) {
+  if (!limit) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  return Math.min(Math.max(Math.floor(limit), 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Turn the rows fetched for a page (one more than the page size) into a page
+ * @param {Array} rows - Up to limit + 1 rows in sort order
+ * @param {number} limit - Page size
+ * @param {number} total - Rows matching the query across all pages
+ * @param {Object} sort - Sort, see resolveSort()
+ * @returns {Object} { items, nextCursor, total }
+ */
+function toPage(rows, limit, total, sort) {
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1], sort) : null,
+    total: Number(total)
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  SORT_DIRECTIONS,
+  resolveSort,
+  readSort,
+  sortOrder,
+  encodeCursor,
+  decodeCursor,
+  readCursor,
+  keysetCondition,
+  pageSize,
+  toPage
+};
@@ -0,0 +1,206 @@
+/**
+ * PostgreSQL copy of the content database.
+ *
+ * SQLite stays the system of record: imports, migrations and score
+ * recalculation write there, and syncToPostgres() copies the result into
+ * PostgreSQL for the postgres storage adapter to serve. The copy mirrors the
+ * SQLite schema (lookup tables, tags, constraints, unique canonical URL) plus
+ * a precomputed search_document for full-text search. storage_meta records
+ * the SQLite data version copied, so caches of the copy change with it.
+ */
+
+const { databaseError } = require('../errors');
+
+// Bump when the tables below or their search documents change; the next
+// sync recreates them
+const POSTGRES_SCHEMA_VERSION = 5;
+
+const LOOKUP_TABLES = ['categories', 'sources', 'content_types', 'difficulty_levels', 'tags'];
+
+// Columns copied from SQLite, in order
+const CONTENT_COLUMNS = [
+  'id', 'category_id', 'url', 'source_id', 'time_spent_minutes', 'upvotes', 'views',
+  'engagement_score', 'content_type_id', 'difficulty_level_id', 'trending_score',
+  'created_at', 'updated_at', 'canonical_url', 'removed_at', 'published_at',
+  'growth_rate', 'score_version', 'scored_at', 'deleted_at'
+];
+
+const CREATE_SCHEMA = `
+  ${LOOKUP_TABLES.map(table => `
+    CREATE TABLE ${table} (
+      id INTEGER PRIMARY KEY,
+      key VARCHAR(100) NOT NULL UNIQUE,
+      display_name VARCHAR(255) NOT NULL,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      color VARCHAR(7)
+    );
+    CREATE UNIQUE INDEX idx_${table}_display_name ON ${table} (lower(display_name));
+  `).join('')}
+
+  CREATE TABLE content (
+    id INTEGER PRIMARY KEY,
+    category_id INTEGER NOT NULL REFERENCES categories(id),
+    url TEXT NOT NULL CHECK (url ~* '^https?://.'),
+    source_id INTEGER NOT NULL REFERENCES sources(id),
+    time_spent_minutes DOUBLE PRECISION CHECK (time_spent_minutes >= 0),
+    upvotes INTEGER DEFAULT 0 CHECK (upvotes >= 0),
+    views INTEGER DEFAULT 0 CHECK (views >= 0),
+    engagement_score DOUBLE PRECISION CHECK (engagement_score BETWEEN 0 AND 1),
+    content_type_id INTEGER REFERENCES content_types(id),
+    difficulty_level_id INTEGER REFERENCES difficulty_levels(id),
+    trending_score DOUBLE PRECISION CHECK (trending_score BETWEEN 0 AND 1),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    canonical_url TEXT UNIQUE,
+    removed_at TIMESTAMP,
+    published_at TIMESTAMP,
+    growth_rate DOUBLE PRECISION,
+    score_version INTEGER CHECK (score_version >= 1),
+    scored_at TIMESTAMP,
+    deleted_at TIMESTAMP,
+    search_document TSVECTOR
+  );
+
+  CREATE INDEX idx_content_category ON content(category_id);
+  CREATE INDEX idx_content_source ON content(source_id);
+  CREATE INDEX idx_content_engagement ON content(engagement_score);
+  CREATE INDEX idx_content_trending ON content(trending_score);
+  CREATE INDEX idx_content_removed ON content(removed_at);
+  CREATE INDEX idx_content_deleted ON content(deleted_at);
+  CREATE INDEX idx_content_search ON content USING GIN (search_document);
+
+  CREATE TABLE content_tags (
+    content_id INTEGER NOT NULL REFERENCES content(id),
+    tag_id INTEGER NOT NULL REFERENCES tags(id),
+    PRIMARY KEY (content_id, tag_id)
+  );
+
+  CREATE INDEX idx_content_tags_tag ON content_tags(tag_id);
+
+  CREATE TABLE storage_meta (
+    schema_version INTEGER NOT NULL,
+    sqlite_schema_version INTEGER NOT NULL,
+    data_version BIGINT NOT NULL,
+    synced_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+const DROP_SCHEMA = `
+  DROP TABLE IF EXISTS storage_meta;
+  DROP TABLE IF EXISTS content_tags;
+  DROP TABLE IF EXISTS content;
+  ${LOOKUP_TABLES.map(table => `DROP TABLE IF EXISTS ${table};`).join('\n  ')}
+`;
+
+// Split text on anything but letters and digits, as the SQLite FTS5 tokenizer does
+const tokens = column => `to_tsvector('simple', regexp_replace(COALESCE(${column}, ''), '[^[:alnum:]]+', ' ', 'g'))`;
+
+// Weight classes: A for categories, B for the other lookups and tags, D for URLs.
+// Tags are listed in display order, as in the SQLite content_fts.tags column
+// (migration 14).
+const BUILD_SEARCH_DOCUMENTS = `
+  UPDATE content SET search_document = d.document
+  FROM (
+    SELECT
+      c.id,
+      setweight(${tokens('cat.display_name')}, 'A') ||
+      setweight(${tokens('src.display_name')}, 'B') ||
+      setweight(${tokens('ct.display_name')}, 'B') ||
+      setweight(${tokens('dl.display_name')}, 'B') ||
+      setweight(${tokens('c.url')}, 'D') ||
+      setweight(${tokens(`(
+        SELECT string_agg(tg.display_name, ', ' ORDER BY tg.sort_order, lower(tg.display_name))
+        FROM content_tags ctg JOIN tags tg ON tg.id = ctg.tag_id
+        WHERE ctg.content_id = c.id
+      )`)}, 'B') AS document
+    FROM content c
+    JOIN categories cat ON cat.id = c.category_id
+    JOIN sources src ON src.id = c.source_id
+    LEFT JOIN content_types ct ON ct.id = c.content_type_id
+    LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id
+  ) d
+  WHERE d.id = content.id
+`;
+
+/**
+ * Read the schema version of the PostgreSQL copy
+ * @param {Object} client - pg client or pool
+ * @returns {Promise<number|null>} Version, or null if the copy does not exist
+ */
+async function getPostgresSchemaVersion(client) {
+  const { rows } = await client.query("SELECT to_regclass('public.storage_meta') AS meta");
+  if (!rows[0].meta) {
+    return null;
+  }
+  const result = await client.query('SELECT schema_version FROM storage_meta LIMIT 1');
+  return result.rows.length > 0 ? result.rows[0].schema_version : null;
+}
+
+/**
+ * Replace the PostgreSQL copy with the contents of the SQLite database.
+ * Runs in one transaction, so readers see either the old or the new copy.
+ * @param {Database} db - SQLite database instance (schema must be current)
+ * @param {Object} client - Connected pg client (not a pool; a transaction is used)
+ * @param {Object} options - Optional settings
+ * @param {number} options.sqliteSchemaVersion - Schema version of the SQLite database
+ * @returns {Promise<Object>} Row counts per table
+ */
+async function syncToPostgres(db, client, options) {
+  const counts = {};
+
+  await client.query('BEGIN');
+  try {
+    if ((await getPostgresSchemaVersion(client)) === POSTGRES_SCHEMA_VERSION) {
+      await client.query(`TRUNCATE content_tags, content, ${LOOKUP_TABLES.join(', ')}, storage_meta`);
+    } else {
+      await client.query(DROP_SCHEMA);
+      await client.query(CREATE_SCHEMA);
+    }
+
+    for (const table of LOOKUP_TABLES) {
+      const rows = db.prepare(`SELECT id, key, display_name, sort_order, color FROM ${table} ORDER BY id`).all();
+      for (const row of rows) {
+        await client.query(
+          `INSERT INTO ${table} (id, key, display_name, sort_order, color) VALUES ($1, $2, $3, $4, $5)`,
+          [row.id, row.key, row.display_name, row.sort_order, row.color]
+        );
+      }
+      counts[table] = rows.length;
+    }
+
+    const placeholders = CONTENT_COLUMNS.map((column, index) => `$${index + 1}`).join(', ');
+    const rows = db.prepare(`SELECT ${CONTENT_COLUMNS.join(', ')} FROM content ORDER BY id`).all();
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO content (${CONTENT_COLUMNS.join(', ')}) VALUES (${placeholders})`,
+        CONTENT_COLUMNS.map(column => row[column])
+      );
+    }
+    counts.content = rows.length;
+
+    const tags = db.prepare('SELECT content_id, tag_id FROM content_tags ORDER BY content_id, tag_id').all();
+    for (const row of tags) {
+      await client.query('INSERT INTO content_tags (content_id, tag_id) VALUES ($1, $2)', [row.content_id, row.tag_id]);
+    }
+    counts.content_tags = tags.length;
+
+    await client.query(BUILD_SEARCH_DOCUMENTS);
+    await client.query(
+      'INSERT INTO storage_meta (schema_version, sqlite_schema_version, data_version) VALUES ($1, $2, $3)',
+      [POSTGRES_SCHEMA_VERSION, options.sqliteSchemaVersion, db.prepare('SELECT version FROM data_version WHERE id = 1').get().version]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error syncing to PostgreSQL:', error);
+    throw databaseError(error, 'Failed to sync content to PostgreSQL');
+  }
+
+  return counts;
+}
+
+module.exports = {
+  POSTGRES_SCHEMA_VERSION,
+  getPostgresSchemaVersion,
+  syncToPostgres
+};
@@ -0,0 +1,501 @@
+const { Pool } = require('pg');
+const { POSTGRES_SCHEMA_VERSION, getPostgresSchemaVersion } = require('./postgres-schema');
+const { FTS_COLUMNS, RELEVANCE_WEIGHT, parseSearchTerms, buildTsQuery, highlightText, columnText } = require('../search');
+const {
+  TOP_CONTENT_LIMIT,
+  GROUP_METRICS,
+  DEFAULT_GROUP_LIMIT,
+  MAX_GROUP_LIMIT,
+  formatAggregates,
+  groupedMetricsQuery,
+  formatGroupedMetrics
+} = require('./aggregates');
+const { filterConditions, compileFilters } = require('../filters');
+const { readSort, sortOrder, readCursor, keysetCondition, pageSize, toPage } = require('./pagination');
+const { apiError, databaseError } = require('../errors');
+
+// Content columns with lookup ids resolved to display names, in the same
+// shape the SQLite adapter returns: timestamps formatted as SQLite stores
+// them ('YYYY-MM-DD HH:MM:SS' text rather than Date objects) and tags as an
+// array of display names, which node-postgres reads from the ARRAY directly
+const CONTENT_COLUMNS = `
+  c.id,
+  cat.display_name AS category,
+  c.url,
+  src.display_name AS source,
+  c.time_spent_minutes,
+  c.upvotes,
+  c.views,
+  c.engagement_score,
+  ct.display_name AS content_type,
+  dl.display_name AS difficulty_level,
+  c.trending_score,
+  to_char(c.created_at, 'YYYY-MM-DD HH24:MI:SS') AS created_at,
+  to_char(c.updated_at, 'YYYY-MM-DD HH24:MI:SS') AS updated_at,
+  to_char(c.deleted_at, 'YYYY-MM-DD HH24:MI:SS') AS deleted_at,
+  ARRAY(
+    SELECT tg.display_name FROM content_tags ctg JOIN tags tg ON tg.id = ctg.tag_id
+    WHERE ctg.content_id = c.id ORDER BY tg.sort_order, lower(tg.display_name)
+  ) AS tags
+`;
+
+const CONTENT_JOINS = `
+  JOIN categories cat ON cat.id = c.category_id
+  JOIN sources src ON src.id = c.source_id
+  LEFT JOIN content_types ct ON ct.id = c.content_type_id
+  LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id
+`;
+
+// ts_rank weights for classes {D, C, B, A}: the FTS5 column weights
+// (category 2, other lookups and tags 1, URL 0.5) scaled into ts_rank's 0-1 range
+const RANK_WEIGHTS = '{0.25, 0, 0.5, 1}';
+
+// Lookup tables served by getCategories(), getTags() and getSources()
+const LOOKUP_TABLES = { category: 'categories', tag: 'tags', source: 'sources' };
+
+/**
+ * Create the PostgreSQL storage adapter. It serves the copy written by
+ * `npm run db:postgres:sync` and refuses to serve a missing or outdated copy.
+ * The adapter only reads: content is written to SQLite and copied over by
+ * the sync, so with STORAGE_DRIVER=postgres the write routes are refused by
+ * checkWritable() in lib/api.js before they reach any storage.
+ * @param {Object} options - Adapter settings
+ * @param {string} options.connectionString - postgres:// connection URL
+ * @returns {Object} Storage adapter (see lib/storage/index.js)
+ */
+function createPostgresStorage({ connectionString }) {
+  const pool = new Pool({ connectionString });
+  let schemaChecked = null;
+
+  /**
+   * Run a query once the copy's schema version has been checked. The check
+   * runs on the first query and is repeated after a failed one, so syncing
+   * the copy fixes a running server.
+   * @param {string} sql - Query with $1, $2, ... placeholders
+   * @param {Array} [params] - Query parameters
+   * @returns {Promise<Array>} Result rows
+   * @throws {Error} schema_outdated apiError() if the copy is missing or outdated
+   */
+  async function query(sql, params = []) {
+    if (!schemaChecked) {
+      schemaChecked = getPostgresSchemaVersion(pool).then(version => {
+        if (version !== POSTGRES_SCHEMA_VERSION) {
+          throw apiError(
+            'schema_outdated',
+            `PostgreSQL copy is ${version === null ? 'missing' : `at version ${version}, expected ${POSTGRES_SCHEMA_VERSION}`}. ` +
+            'Run "npm run db:postgres:sync" to create it.',
+            { currentVersion: version, expectedVersion: POSTGRES_SCHEMA_VERSION }
+          );
+        }
+      });
+      // Check again on the next query if this one failed
+      schemaChecked.catch(() => { schemaChecked = null; });
+    }
+
+    await schemaChecked;
+    const result = await pool.query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Add the conditions selecting content that matches the filters; the
+   * PostgreSQL counterpart of contentConditions() in the SQLite adapter.
+   * Lookups match by key or case-insensitive display name.
+   * @param {Object} filters - Lookup filters and parsed conditions, see filterConditions()
+   * @param {boolean} [filters.includeDeleted] - Also match soft-deleted content
+   * @param {Array} conditions - SQL conditions on the CONTENT_JOINS aliases to append to
+   * @param {Array} params - Parameter list to append to; placeholders are numbered after it
+   */
+  function contentFilters(filters, conditions, params) {
+    if (!filters.includeDeleted) {
+      conditions.push('c.deleted_at IS NULL');
+    }
+
+    const param = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    conditions.push(...compileFilters(filterConditions(filters), {
+      param,
+      lookupIn: (alias, values) =>
+        `(${alias}.key IN (${values.map(param).join(', ')}) OR ` +
+        `lower(${alias}.display_name) IN (${values.map(value => `lower(${param(value)})`).join(', ')}))`,
+      false: 'false'
+    }));
+  }
+
+  /**
+   * Fetch one page of a listing query with keyset pagination
+   * @param {string} sql - Query selecting the listing's rows and sort keys, unordered
+   * @param {Array} params - Query parameters
+   * @param {Object} sort - Sort, see resolveSort()
+   * @param {Object} options - Paging options with the page size (limit)
+   * @param {Array|null} after - Decoded cursor of the previous page, see readCursor()
+   * @returns {Promise<Object>} { items, nextCursor, total }
+   */
+  async function paginate(sql, params, sort, options, after) {
+    const limit = pageSize(options.limit);
+    const pageParams = [...params];
+    let keyset = '';
+
+    if (after) {
+      keyset = 'WHERE ' + keysetCondition(sort, after, value => {
+        pageParams.push(value);
+        return `$${pageParams.length}`;
+      });
+    }
+
+    pageParams.push(limit + 1);
+    const [rows, [{ total }]] = await Promise.all([
+      query(`
+        SELECT * FROM (${sql}) listing ${keyset}
+        ORDER BY ${sortOrder(sort)}
+        LIMIT $${pageParams.length}
+      `, pageParams),
+      query(`SELECT COUNT(*)::int AS total FROM (${sql}) listing`, params)
+    ]);
+
+    return toPage(rows, limit, total, sort);
+  }
+
+  /**
+   * Get a page of content, best engagement first unless sorted otherwise,
+   * with optional filtering
+   * @param {Object} filters - Filters, sorting and paging, as for the SQLite adapter's getAllContent()
+   * @returns {Promise<Object>} { items, nextCursor, total }
+   */
+  async function getAllContent(filters = {}) {
+    // Rows removed by an import are hidden
+    const conditions = ['c.removed_at IS NULL'];
+    const params = [];
+
+    contentFilters(filters, conditions, params);
+
+    const sort = readSort(filters, false);
+    const after = readCursor(filters.cursor, sort);
+    const sql = `
+      SELECT ${CONTENT_COLUMNS}
+      FROM content c
+      ${CONTENT_JOINS}
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    try {
+      return await paginate(sql, params, sort, filters, after);
+    } catch (error) {
+      console.error('Error fetching content:', error);
+      throw databaseError(error, 'Failed to fetch content data');
+    }
+  }
+
+  /**
+   * Search content using the search_document tsvector, which the sync builds
+   * from the same columns and weights as the SQLite content_fts index.
+   * Results are ranked by ts_rank blended with engagement_score, and carry
+   * per-column highlights computed in JavaScript with highlightText().
+   * @param {string} searchQuery - Search query
+   * @param {Object} filters - Additional filters, sorting and paging, as for getAllContent()
+   * @returns {Promise<Object>} { items, nextCursor, total } with `highlights` and `search_rank` on each item
+   */
+  async function searchContent(searchQuery, filters = {}) {
+    const sort = readSort(filters, true);
+    const after = readCursor(filters.cursor, sort);
+    const tsQuery = buildTsQuery(searchQuery);
+
+    if (!tsQuery) {
+      return { items: [], nextCursor: null, total: 0 };
+    }
+
+    const params = [tsQuery];
+    const conditions = ['c.search_document @@ q.query', 'c.removed_at IS NULL'];
+    contentFilters(filters, conditions, params);
+
+    // ts_rank with normalization 32 is already in 0..1, like the mapped bm25
+    const sql = `
+      SELECT ${CONTENT_COLUMNS},
+        ts_rank('${RANK_WEIGHTS}', c.search_document, q.query, 32) * ${RELEVANCE_WEIGHT}
+          + COALESCE(c.engagement_score, 0) * ${1 - RELEVANCE_WEIGHT} AS search_rank
+      FROM content c
+      ${CONTENT_JOINS}
+      CROSS JOIN (SELECT to_tsquery('simple', $1) AS query) q
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    try {
+      const terms = parseSearchTerms(searchQuery);
+      const page = await paginate(sql, params, sort, filters, after);
+
+      page.items = page.items.map(row => {
+        const result = { ...row, highlights: {} };
+
+        FTS_COLUMNS.forEach(column => {
+          const segments = highlightText(columnText(row, column), terms);
+          if (segments) {
+            result.highlights[column] = segments;
+          }
+        });
+
+        return result;
+      });
+
+      return page;
+    } catch (error) {
+      console.error('Error searching content:', error);
+      throw databaseError(error, 'Failed to search content');
+    }
+  }
+
+  /**
+   * Get content statistics. COUNT is cast to int and AVG and SUM to float8
+   * because node-postgres returns bigint and numeric values as strings;
+   * the casts make them numbers, as the SQLite adapter returns.
+   * @returns {Promise<Object>} Statistics object
+   */
+  async function getContentStats() {
+    try {
+      const [stats] = await query(`
+        SELECT
+          COUNT(*)::int AS count,
+          AVG(time_spent_minutes)::float8 AS avg,
+          SUM(upvotes)::float8 AS total_upvotes,
+          SUM(views)::float8 AS total_views
+        FROM content
+        WHERE removed_at IS NULL AND deleted_at IS NULL
+      `);
+
+      return {
+        totalContent: stats.count,
+        avgTimeSpent: Math.round(stats.avg * 100) / 100,
+        totalUpvotes: stats.total_upvotes,
+        totalViews: stats.total_views
+      };
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      throw databaseError(error, 'Failed to fetch content statistics');
+    }
+  }
+
+  /**
+   * Build the conditions of an aggregation: the content filters and the search
+   * @param {Object} filters - Filters with an optional search
+   * @param {Array} params - Parameter list to append to
+   * @returns {Object} { where, tsQuery } SQL condition and the tsquery of the search, if any
+   */
+  function aggregateConditions(filters, params) {
+    const conditions = ['c.removed_at IS NULL'];
+    contentFilters(filters, conditions, params);
+
+    const tsQuery = filters.search ? buildTsQuery(filters.search) : null;
+    if (filters.search && !tsQuery) {
+      conditions.push('false');
+    } else if (tsQuery) {
+      params.push(tsQuery);
+      conditions.push(`c.search_document @@ to_tsquery('simple', $${params.length})`);
+    }
+
+    return { where: conditions.join(' AND '), tsQuery };
+  }
+
+  /**
+   * Aggregate the content matching the /api/data filters; see the SQLite
+   * adapter's getAggregates(). The group metrics come back as strings here
+   * and formatAggregates() turns them into numbers.
+   * @param {Object} filters - Optional filters, as for the SQLite adapter's getAggregates()
+   * @returns {Promise<Object>} { totals, byCategory, byTag, bySource, topTimeSpent, topUpvoted }
+   */
+  async function getAggregates(filters = {}) {
+    const params = [];
+    const { where, tsQuery } = aggregateConditions(filters, params);
+    const matched = `
+      WITH matched AS (
+        SELECT c.id, c.category_id, c.source_id, c.time_spent_minutes, c.upvotes, c.views
+        FROM content c
+        ${CONTENT_JOINS}
+        WHERE ${where}
+      )
+    `;
+    const byLookup = (table, column) => `
+      ${matched}
+      SELECT l.id, l.key, l.display_name, l.color, ${GROUP_METRICS}
+      FROM ${table} l
+      LEFT JOIN matched m ON m.${column} = l.id
+      GROUP BY l.id
+      ORDER BY l.sort_order, lower(l.display_name)
+    `;
+    const byTag = `
+      ${matched}
+      SELECT l.id, l.key, l.display_name, l.color, ${GROUP_METRICS}
+      FROM tags l
+      LEFT JOIN content_tags ctg ON ctg.tag_id = l.id
+      LEFT JOIN matched m ON m.id = ctg.content_id
+      GROUP BY l.id
+      ORDER BY l.sort_order, lower(l.display_name)
+    `;
+    const top = orderBy => `
+      SELECT ${CONTENT_COLUMNS}
+      FROM content c
+      ${CONTENT_JOINS}
+      WHERE ${where}
+      ORDER BY ${orderBy} NULLS LAST, c.engagement_score DESC NULLS LAST, c.trending_score DESC NULLS LAST, c.id
+      LIMIT ${TOP_CONTENT_LIMIT}
+    `;
+
+    try {
+      const [totals, categories, tags, sources, topTimeSpent, topUpvoted] = await Promise.all([
+        query(`${matched} SELECT ${GROUP_METRICS} FROM matched m`, params).then(rows => rows[0]),
+        query(byLookup('categories', 'category_id'), params),
+        query(byTag, params),
+        query(byLookup('sources', 'source_id'), params),
+        query(top('c.time_spent_minutes DESC'), params),
+        query(top('c.upvotes DESC'), params)
+      ]);
+
+      return formatAggregates(
+        { totals, categories, tags, sources, topTimeSpent, topUpvoted },
+        tsQuery ? filters.search : null
+      );
+    } catch (error) {
+      console.error('Error fetching aggregates:', error);
+      throw databaseError(error, 'Failed to fetch content aggregates');
+    }
+  }
+
+  /**
+   * Count, sum and average the metrics of the matching content grouped by
+   * any combination of dimensions; see the SQLite adapter's
+   * getGroupedMetrics(). Metrics are cast to float8 so they are read as
+   * numbers, and names are compared with lower() to sort like SQLite's
+   * NOCASE collation.
+   * @param {Array} groupBy - Dimensions, see GROUP_DIMENSIONS (none for one group of everything)
+   * @param {Object} filters - Optional filters, as for getAggregates()
+   * @param {number} [filters.limit] - Groups to return (default 100, at most 1000)
+   * @returns {Promise<Object>} { groups: [{ <dimension>: { key, displayName }|null, count, sum, avg }], hasMore }
+   */
+  async function getGroupedMetrics(groupBy, filters = {}) {
+    const limit = Math.min(filters.limit || DEFAULT_GROUP_LIMIT, MAX_GROUP_LIMIT);
+    const grouped = groupedMetricsQuery(groupBy, {
+      number: expression => `(${expression})::float8`,
+      collate: expression => `lower(${expression})`
+    });
+    const params = [];
+    const { where } = aggregateConditions(filters, params);
+    params.push(limit + 1);
+
+    try {
+      const rows = await query(`
+        SELECT ${grouped.columns}
+        FROM content c
+        ${CONTENT_JOINS}
+        ${grouped.joins}
+        WHERE ${where}
+        ${grouped.groupBy ? `GROUP BY ${grouped.groupBy}` : ''}
+        ${grouped.orderBy ? `ORDER BY ${grouped.orderBy}` : ''}
+        LIMIT $${params.length}
+      `, params);
+
+      return formatGroupedMetrics(rows, groupBy, limit);
+    } catch (error) {
+      console.error('Error fetching grouped metrics:', error);
+      throw databaseError(error, 'Failed to fetch grouped metrics');
+    }
+  }
+
+  /**
+   * Get the values of a lookup table in display order, mapped from its
+   * snake_case columns to the camelCase fields getLookupValues() in
+   * lib/lookups.js returns for SQLite
+   * @param {string} lookup - Key of LOOKUP_TABLES
+   * @returns {Promise<Array>} Array of { id, key, displayName, sortOrder, color }
+   */
+  async function getLookupValues(lookup) {
+    const rows = await query(`
+      SELECT id, key, display_name, sort_order, color
+      FROM ${LOOKUP_TABLES[lookup]}
+      ORDER BY sort_order, lower(display_name)
+    `);
+
+    return rows.map(row => ({
+      id: row.id,
+      key: row.key,
+      displayName: row.display_name,
+      sortOrder: row.sort_order,
+      color: row.color
+    }));
+  }
+
+  /**
+   * Get categories in display order
+   * @returns {Promise<Array>} Array of { id, key, displayName, sortOrder, color }
+   */
+  async function getCategories() {
+    try {
+      return await getLookupValues('category');
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      throw databaseError(error, 'Failed to fetch categories');
+    }
+  }
+
+  /**
+   * Get tags in display order
+   * @returns {Promise<Array>} Array of { id, key, displayName, sortOrder, color }
+   */
+  async function getTags() {
+    try {
+      return await getLookupValues('tag');
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      throw databaseError(error, 'Failed to fetch tags');
+    }
+  }
+
+  /**
+   * Get sources in display order
+   * @returns {Promise<Array>} Array of { id, key, displayName, sortOrder, color }
+   */
+  async function getSources() {
+    try {
+      return await getLookupValues('source');
+    } catch (error) {
+      console.error('Error fetching sources:', error);
+      throw databaseError(error, 'Failed to fetch sources');
+    }
+  }
+
+  /**
+   * Get the version of the data, copied from SQLite by the last sync. It is
+   * stored as bigint, which node-postgres returns as a string, so it is
+   * converted to a number.
+   * @returns {Promise<number>} Data version
+   */
+  async function getDataVersion() {
+    try {
+      const [meta] = await query('SELECT data_version FROM storage_meta LIMIT 1');
+      return Number(meta.data_version);
+    } catch (error) {
+      console.error('Error fetching data version:', error);
+      throw databaseError(error, 'Failed to fetch data version');
+    }
+  }
+
+  return {
+    driver: 'postgres',
+    getAllContent,
+    searchContent,
+    getContentStats,
+    getAggregates,
+    getGroupedMetrics,
+    getCategories,
+    getTags,
+    getSources,
+    getDataVersion,
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = {
+  createPostgresStorage
+};
@@ -0,0 +1,515 @@
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../schema');
+const { getLookupValues } = require('../lookups');
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  FTS_COLUMNS,
+  FTS_WEIGHTS,
+  RELEVANCE_WEIGHT,
+  buildFtsQuery,
+  parseHighlight
+} = require('../search');
+const {
+  TOP_CONTENT_LIMIT,
+  GROUP_METRICS,
+  DEFAULT_GROUP_LIMIT,
+  MAX_GROUP_LIMIT,
+  formatAggregates,
+  groupedMetricsQuery,
+  formatGroupedMetrics
+} = require('./aggregates');
+const { filterConditions, compileFilters } = require('../filters');
+const { readSort, sortOrder, readCursor, keysetCondition, pageSize, toPage } = require('./pagination');
+const { apiError, databaseError } = require('../errors');
+
+// Tag display names of content row c in display order, as a JSON array
+const CONTENT_TAGS = `(
+  SELECT json_group_array(display_name) FROM (
+    SELECT tg.display_name FROM content_tags ctg JOIN tags tg ON tg.id = ctg.tag_id
+    WHERE ctg.content_id = c.id ORDER BY tg.sort_order, tg.display_name
+  )
+)`;
+
+// Content columns with lookup ids resolved to display names; read rows
+// with readContentRow() to turn tags into an array
+const CONTENT_COLUMNS = `
+  c.id,
+  cat.display_name AS category,
+  c.url,
+  src.display_name AS source,
+  c.time_spent_minutes,
+  c.upvotes,
+  c.views,
+  c.engagement_score,
+  ct.display_name AS content_type,
+  dl.display_name AS difficulty_level,
+  c.trending_score,
+  c.created_at,
+  c.updated_at,
+  c.deleted_at,
+  ${CONTENT_TAGS} AS tags
+`;
+
+const CONTENT_JOINS = `
+  JOIN categories cat ON cat.id = c.category_id
+  JOIN sources src ON src.id = c.source_id
+  LEFT JOIN content_types ct ON ct.id = c.content_type_id
+  LEFT JOIN difficulty_levels dl ON dl.id = c.difficulty_level_id
+`;
+
+/**
+ * Convert a row selected with CONTENT_COLUMNS to the adapter shape
+ * @param {Object} row - Query result row
+ * @returns {Object} Row with `tags` as an array of display names
+ */
+function readContentRow(row) {
+  return { ...row, tags: JSON.parse(row.tags) };
+}
+
+/**
+ * Build a condition matching a lookup by key or (case-insensitive) display name
+ * @param {string} alias - Table alias of the lookup in CONTENT_JOINS
+ * @param {string} value - Filter value
+ * @param {Array} params - Parameter list to append to
+ * @returns {string} SQL condition
+ */
+function lookupCondition(alias, value, params) {
+  params.push(value, value);
+  return `(${alias}.key = ? OR ${alias}.display_name = ?)`;
+}
+
+/**
+ * Build the conditions selecting active content that matches the filters
+ * @param {Object} filters - Lookup filters and parsed conditions, see filterConditions()
+ * @param {boolean} [filters.includeDeleted] - Also match soft-deleted content
+ * @param {Array} params - Parameter list to append to
+ * @returns {Array} SQL conditions on the CONTENT_JOINS aliases
+ */
+function contentConditions(filters, params) {
+  const param = value => {
+    params.push(value);
+    return '?';
+  };
+
+  // Rows removed by an import are hidden, deleted rows unless asked for
+  const conditions = ['c.removed_at IS NULL'];
+  if (!filters.includeDeleted) {
+    conditions.push('c.deleted_at IS NULL');
+  }
+
+  return [...conditions, ...compileFilters(filterConditions(filters), {
+    param,
+    // display_name is COLLATE NOCASE, so IN matches it case-insensitively
+    lookupIn: (alias, values) =>
+      `(${alias}.key IN (${values.map(param).join(', ')}) OR ${alias}.display_name IN (${values.map(param).join(', ')}))`,
+    false: '0'
+  })];
+}
+
+/**
+ * Open a SQLite database for serving.
+ * Refuses a database whose schema is not at the latest migration.
+ * @param {string} path - Database file
+ * @returns {Database} better-sqlite3 database instance
+ */
+function openSqliteDatabase(path) {
+  let db;
+  try {
+    db = new Database(path);
+    // Enable foreign keys and optimize for performance
+    db.pragma('foreign_keys = ON');
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.pragma('cache_size = 1000');
+    db.pragma('temp_store = MEMORY');
+  } catch (error) {
+    console.error('Failed to connect to database:', error);
+    throw apiError('database_unavailable');
+  }
+
+  try {
+    assertSchemaCurrent(db);
+  } catch (error) {
+    db.close();
+    console.error('Database schema check failed:', error.message);
+    throw error;
+  }
+
+  return db;
+}
+
+/**
+ * Create the SQLite storage adapter
+ * @param {Object} options - Adapter settings
+ * @param {Database} options.db - Open database, see openSqliteDatabase()
+ * @returns {Object} Storage adapter (see lib/storage/index.js)
+ */
+function createSqliteStorage({ db }) {
+  /**
+   * Fetch one page of a listing query with keyset pagination
+   * @param {string} sql - Query selecting the listing's rows and sort keys, unordered
+   * @param {Array} params - Query parameters
+   * @param {Object} sort - Sort, see resolveSort()
+   * @param {Object} options - Paging options with the page size (limit)
+   * @param {Array|null} after - Decoded cursor of the previous page, see readCursor()
+   * @returns {Object} { items, nextCursor, total }
+   */
+  function paginate(sql, params, sort, options, after) {
+    const limit = pageSize(options.limit);
+    const pageParams = [...params];
+    let keyset = '';
+    
+    if (after) {
+      keyset = 'WHERE ' + keysetCondition(sort, after, value => {
+        pageParams.push(value);
+        return '?';
+      });
+    }
+    
+    // Materialized so sort keys computed by FTS functions can be compared
+    const rows = db.prepare(`
+      WITH listing AS MATERIALIZED (${sql})
+      SELECT * FROM listing ${keyset}
+      ORDER BY ${sortOrder(sort)}
+      LIMIT ?
+    `).all(...pageParams, limit + 1);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM (${sql})`).get(...params);
+    
+    return toPage(rows.map(readContentRow), limit, total, sort);
+  }
+  
+  /**
+   * Get a page of content, best engagement first unless sorted otherwise,
+   * with optional filtering
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.category] - Filter by category
+   * @param {string} [filters.source] - Filter by source
+   * @param {string} [filters.contentType] - Filter by content type
+   * @param {string} [filters.difficultyLevel] - Filter by difficulty level
+   * @param {string} [filters.tag] - Only content carrying this tag
+   * @param {Array} [filters.conditions] - Conditions parsed from filter expressions, see lib/filters.js
+   * @param {boolean} [filters.includeDeleted] - Also list soft-deleted content
+   * @param {string} [filters.sortBy] - Sort field, see SORT_FIELDS (default engagementScore)
+   * @param {string} [filters.sortDir] - 'asc' or 'desc' (default)
+   * @param {number} [filters.limit] - Page size (default 50, at most 100)
+   * @param {string} [filters.cursor] - nextCursor of the previous page
+   * @returns {Object} { items, nextCursor, total }
+   */
+  async function getAllContent(filters = {}) {
+    const params = [];
+    const conditions = contentConditions(filters, params);
+    
+    const sort = readSort(filters, false);
+    const after = readCursor(filters.cursor, sort);
+    const sql = `
+      SELECT ${CONTENT_COLUMNS}
+      FROM content c
+      ${CONTENT_JOINS}
+      WHERE ${conditions.join(' AND ')}
+    `;
+    
+    try {
+      return paginate(sql, params, sort, filters, after);
+    } catch (error) {
+      console.error('Error fetching content:', error);
+      throw databaseError(error, 'Failed to fetch content data');
+    }
+  }
+  
+  /**
+   * Search content using the content_fts full-text index.
+   * Bare words match as prefixes, "quoted text" as phrases. Results are ranked
+   * by bm25 relevance blended with engagement_score (sortBy relevance, the
+   * default), and carry per-column highlights showing why each row matched.
+   * @param {string} query - Search query
+   * @param {Object} filters - Additional filters, sorting and paging, as for getAllContent()
+   * @returns {Object} { items, nextCursor, total } with `highlights` and `search_rank` on each item
+   */
+  async function searchContent(query, filters = {}) {
+    const sort = readSort(filters, true);
+    const after = readCursor(filters.cursor, sort);
+    const ftsQuery = buildFtsQuery(query);
+    
+    if (!ftsQuery) {
+      return { items: [], nextCursor: null, total: 0 };
+    }
+    
+    const bm25 = `bm25(content_fts, ${FTS_WEIGHTS.join(', ')})`;
+    const highlights = FTS_COLUMNS.map((column, index) =>
+      `highlight(content_fts, ${index}, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}') AS hl_${column}`
+    );
+    
+    const params = [ftsQuery];
+    const conditions = contentConditions(filters, params);
+    
+    // bm25 is negative with lower meaning better; map it onto 0..1 before blending
+    const sql = `
+      SELECT ${CONTENT_COLUMNS},
+        ${highlights.join(',\n      ')},
+        (-${bm25}) / (1 - ${bm25}) * ${RELEVANCE_WEIGHT}
+          + COALESCE(c.engagement_score, 0) * ${1 - RELEVANCE_WEIGHT} AS search_rank
+      FROM content_fts
+      JOIN content c ON c.id = content_fts.rowid
+      ${CONTENT_JOINS}
+      WHERE content_fts MATCH ?
+        AND ${conditions.join(' AND ')}
+    `;
+    
+    try {
+      const page = paginate(sql, params, sort, filters, after);
+      
+      page.items = page.items.map(row => {
+        const result = { ...row, highlights: {} };
+        
+        FTS_COLUMNS.forEach(column => {
+          delete result[`hl_${column}`];
+          const segments = parseHighlight(row[`hl_${column}`]);
+          if (segments) {
+            result.highlights[column] = segments;
+          }
+        });
+        
+        return result;
+      });
+      
+      return page;
+    } catch (error) {
+      console.error('Error searching content:', error);
+      throw databaseError(error, 'Failed to search content');
+    }
+  }
+  
+  /**
+   * Get content statistics
+   * @returns {Object} Statistics object
+   */
+  async function getContentStats() {
+    try {
+      const stats = db.prepare(`
+        SELECT
+          COUNT(*) AS count,
+          AVG(time_spent_minutes) AS avg,
+          SUM(upvotes) AS total_upvotes,
+          SUM(views) AS total_views
+        FROM content
+        WHERE removed_at IS NULL AND deleted_at IS NULL
+      `).get();
+
+      return {
+        totalContent: stats.count,
+        avgTimeSpent: Math.round(stats.avg * 100) / 100,
+        totalUpvotes: stats.total_upvotes,
+        totalViews: stats.total_views
+      };
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      throw databaseError(error, 'Failed to fetch content statistics');
+    }
+  }
+  
+  /**
+   * Build the conditions of an aggregation: the content filters and the search
+   * @param {Object} filters - Filters with an optional search
+   * @param {Array} params - Parameter list to append to
+   * @returns {Object} { where, ftsQuery } SQL condition and the FTS query of the search, if any
+   */
+  function aggregateConditions(filters, params) {
+    const conditions = contentConditions(filters, params);
+    const ftsQuery = filters.search ? buildFtsQuery(filters.search) : null;
+    
+    if (filters.search && !ftsQuery) {
+      // Nothing searchable matches nothing, as in searchContent()
+      conditions.push('0');
+    } else if (ftsQuery) {
+      conditions.push('c.id IN (SELECT rowid FROM content_fts WHERE content_fts MATCH ?)');
+      params.push(ftsQuery);
+    }
+    
+    return { where: conditions.join(' AND '), ftsQuery };
+  }
+  
+  /**
+   * Aggregate the content matching the /api/data filters with GROUP BY queries:
+   * totals, per-category, per-tag and per-source metrics (every lookup value,
+   * including ones with no matches) and the top content by time spent and by
+   * upvotes. A row counts under every tag it carries, so tag counts can add
+   * up to more than the total.
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.search] - Only count rows matching this search
+   * @param {string} [filters.category] - Filter by category
+   * @param {string} [filters.source] - Filter by source
+   * @param {string} [filters.contentType] - Filter by content type
+   * @param {string} [filters.difficultyLevel] - Filter by difficulty level
+   * @param {string} [filters.tag] - Only count content carrying this tag
+   * @param {Array} [filters.conditions] - Conditions parsed from filter expressions, see lib/filters.js
+   * @returns {Object} { totals, byCategory, byTag, bySource, topTimeSpent, topUpvoted }
+   */
+  async function getAggregates(filters = {}) {
+    const params = [];
+    const { where, ftsQuery } = aggregateConditions(filters, params);
+    const matched = `
+      WITH matched AS (
+        SELECT c.id, c.category_id, c.source_id, c.time_spent_minutes, c.upvotes, c.views
+        FROM content c
+        ${CONTENT_JOINS}
+        WHERE ${where}
+      )
+    `;
+    const byLookup = (table, column) => `
+      ${matched}
+      SELECT l.id, l.key, l.display_name, l.color, ${GROUP_METRICS}
+      FROM ${table} l
+      LEFT JOIN matched m ON m.${column} = l.id
+      GROUP BY l.id
+      ORDER BY l.sort_order, l.display_name
+    `;
+    const byTag = `
+      ${matched}
+      SELECT l.id, l.key, l.display_name, l.color, ${GROUP_METRICS}
+      FROM tags l
+      LEFT JOIN content_tags ctg ON ctg.tag_id = l.id
+      LEFT JOIN matched m ON m.id = ctg.content_id
+      GROUP BY l.id
+      ORDER BY l.sort_order, l.display_name
+    `;
+    const top = orderBy => `
+      SELECT ${CONTENT_COLUMNS}
+      FROM content c
+      ${CONTENT_JOINS}
+      WHERE ${where}
+      ORDER BY ${orderBy}, c.engagement_score DESC, c.trending_score DESC, c.id
+      LIMIT ${TOP_CONTENT_LIMIT}
+    `;
+    
+    try {
+      return formatAggregates({
+        totals: db.prepare(`${matched} SELECT ${GROUP_METRICS} FROM matched m`).get(...params),
+        categories: db.prepare(byLookup('categories', 'category_id')).all(...params),
+        tags: db.prepare(byTag).all(...params),
+        sources: db.prepare(byLookup('sources', 'source_id')).all(...params),
+        topTimeSpent: db.prepare(top('c.time_spent_minutes DESC')).all(...params).map(readContentRow),
+        topUpvoted: db.prepare(top('c.upvotes DESC')).all(...params).map(readContentRow)
+      }, ftsQuery ? filters.search : null);
+    } catch (error) {
+      console.error('Error fetching aggregates:', error);
+      throw databaseError(error, 'Failed to fetch content aggregates');
+    }
+  }
+  
+  /**
+   * Count, sum and average the metrics of the matching content grouped by
+   * any combination of dimensions. Only groups with matching content are
+   * returned; grouped by tag, a row counts under every tag it carries.
+   * @param {Array} groupBy - Dimensions, see GROUP_DIMENSIONS (none for one group of everything)
+   * @param {Object} filters - Optional filters, as for getAggregates()
+   * @param {number} [filters.limit] - Groups to return (default 100, at most 1000)
+   * @returns {Object} { groups: [{ <dimension>: { key, displayName }|null, count, sum, avg }], hasMore }
+   */
+  async function getGroupedMetrics(groupBy, filters = {}) {
+    const limit = Math.min(filters.limit || DEFAULT_GROUP_LIMIT, MAX_GROUP_LIMIT);
+    const grouped = groupedMetricsQuery(groupBy, {
+      number: expression => expression,
+      // display_name is COLLATE NOCASE already
+      collate: expression => expression
+    });
+    const params = [];
+    const { where } = aggregateConditions(filters, params);
+    
+    try {
+      const rows = db.prepare(`
+        SELECT ${grouped.columns}
+        FROM content c
+        ${CONTENT_JOINS}
+        ${grouped.joins}
+        WHERE ${where}
+        ${grouped.groupBy ? `GROUP BY ${grouped.groupBy}` : ''}
+        ${grouped.orderBy ? `ORDER BY ${grouped.orderBy}` : ''}
+        LIMIT ?
+      `).all(...params, limit + 1);
+      
+      return formatGroupedMetrics(rows, groupBy, limit);
+    } catch (error) {
+      console.error('Error fetching grouped metrics:', error);
+      throw databaseError(error, 'Failed to fetch grouped metrics');
+    }
+  }
+  
+  /**
+   * Get categories in display order
+   * @returns {Array} Array of { id, key, displayName, sortOrder, color }
+   */
+  async function getCategories() {
+    try {
+      return getLookupValues(db, 'category');
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      throw databaseError(error, 'Failed to fetch categories');
+    }
+  }
+  
+  /**
+   * Get tags in display order
+   * @returns {Array} Array of { id, key, displayName, sortOrder, color }
+   */
+  async function getTags() {
+    try {
+      return getLookupValues(db, 'tag');
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      throw databaseError(error, 'Failed to fetch tags');
+    }
+  }
+  
+  /**
+   * Get sources in display order
+   * @returns {Array} Array of { id, key, displayName, sortOrder, color }
+   */
+  async function getSources() {
+    try {
+      return getLookupValues(db, 'source');
+    } catch (error) {
+      console.error('Error fetching sources:', error);
+      throw databaseError(error, 'Failed to fetch sources');
+    }
+  }
+
+  /**
+   * Get the version of the data, which changes on every write (migration 13)
+   * @returns {number} Data version
+   */
+  async function getDataVersion() {
+    try {
+      return db.prepare('SELECT version FROM data_version WHERE id = 1').get().version;
+    } catch (error) {
+      console.error('Error fetching data version:', error);
+      throw databaseError(error, 'Failed to fetch data version');
+    }
+  }
+
+  return {
+    driver: 'sqlite',
+    getAllContent,
+    searchContent,
+    getContentStats,
+    getAggregates,
+    getGroupedMetrics,
+    getCategories,
+    getTags,
+    getSources,
+    getDataVersion,
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  CONTENT_TAGS,
+  CONTENT_COLUMNS,
+  CONTENT_JOINS,
+  readContentRow,
+  lookupCondition,
+  openSqliteDatabase,
+  createSqliteStorage
+};
@@ -0,0 +1,115 @@
+const { toLookupKey, resolveLookupId } = require('./lookups');
+
+// Content tags (content_tags). A row carries any number of tags and always
+// the tag of its own category, so per-tag counts include every category.
+// Tags are created the first time they are used, like categories.
+
+// Separates tag names in CSV cells
+const TAG_SEPARATOR = ';';
+
+// Most tags one write may give a content row
+const MAX_TAGS = 20;
+
+/**
+ * Read tag names from a cell such as "Body Positivity; Style Principles" or an array
+ * @param {string|Array|null} value - Separated names, or an array of names
+ * @returns {Array} Trimmed names without blanks, the first of each key kept
+ */
+function parseTags(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  const names = (Array.isArray(value) ? value : String(value).split(TAG_SEPARATOR))
+    .map(name => String(name).trim())
+    .filter(name => toLookupKey(name) !== '');
+
+  const seen = new Set();
+  return names.filter(name => {
+    const key = toLookupKey(name);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Check tags given by a write before they are parsed
+ * @param {*} value - Payload or record value
+ * @returns {string|null} Error message, or null if the value is usable
+ */
+function checkTags(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const names = Array.isArray(value) ? value : [value];
+  if (names.some(name => typeof name !== 'string')) {
+    return 'must be a string or an array of strings';
+  }
+
+  if (parseTags(value).length > MAX_TAGS) {
+    return `accepts at most ${MAX_TAGS} tags`;
+  }
+
+  return null;
+}
+
+/**
+ * List the tag keys a row would carry, for comparing with its current tags
+ * @param {string} category - Category of the row
+ * @param {Array} names - Other tag names
+ * @returns {Array} Sorted keys, the category's included
+ */
+function tagKeys(category, names) {
+  return Array.from(new Set([category, ...names].map(toLookupKey))).sort();
+}
+
+/**
+ * Set the tags of a content row, creating unknown tags. The tag of the row's
+ * category is always added; updated_at is bumped when the tags change.
+ * @param {Database} db - SQLite database instance
+ * @param {number} contentId - Content id
+ * @param {Array} [names] - Tag names replacing the current tags; undefined keeps them
+ * @returns {boolean} True if the tags changed
+ */
+function setContentTags(db, contentId, names) {
+  const row = db.prepare(`
+    SELECT cat.display_name AS category
+    FROM content c
+    JOIN categories cat ON cat.id = c.category_id
+    WHERE c.id = ?
+  `).get(contentId);
+
+  if (!row) {
+    return false;
+  }
+
+  const current = db.prepare('SELECT tag_id FROM content_tags WHERE content_id = ?').all(contentId).map(tag => tag.tag_id);
+  const wanted = parseTags([row.category, ...(names || [])]).map(name => resolveLookupId(db, 'tag', name));
+  const added = wanted.filter(id => !current.includes(id));
+  const dropped = names === undefined ? [] : current.filter(id => !wanted.includes(id));
+
+  if (added.length === 0 && dropped.length === 0) {
+    return false;
+  }
+
+  const insert = db.prepare('INSERT INTO content_tags (content_id, tag_id) VALUES (?, ?)');
+  const remove = db.prepare('DELETE FROM content_tags WHERE content_id = ? AND tag_id = ?');
+  added.forEach(id => insert.run(contentId, id));
+  dropped.forEach(id => remove.run(contentId, id));
+  db.prepare('UPDATE content SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(contentId);
+
+  return true;
+}
+
+module.exports = {
+  TAG_SEPARATOR,
+  MAX_TAGS,
+  parseTags,
+  checkTags,
+  tagKeys,
+  setContentTags
+};
@@ -0,0 +1,123 @@
+// Hosts of the platforms content is collected from
+const PLATFORM_HOSTS = {
+  instagram: /(^|\.)instagram\.com$/,
+  tiktok: /(^|\.)tiktok\.com$/,
+  substack: /(^|\.)substack\.com$/
+};
+
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = [/^utm_/, /^igsh$/, /^igshid$/, /^fbclid$/, /^gclid$/];
+
+// Path patterns that carry a platform's stable content id, and the
+// canonical URL built from it. The first capture group is the id.
+const CONTENT_ID_PATTERNS = {
+  // /reel/ID, /reels/ID, /p/ID and /tv/ID all open the same media, with or
+  // without a leading /username
+  instagram: {
+    pattern: /^(?:\/[^/]+)?\/(?:p|reels?|tv)\/([A-Za-z0-9_-]+)/,
+    canonical: id => `https://instagram.com/p/${id}`
+  },
+  // /@user/video/ID; the handle can change, the numeric id cannot
+  tiktok: {
+    pattern: /^\/@[^/]*\/(?:video|photo)\/(\d+)/,
+    canonical: id => `https://tiktok.com/video/${id}`
+  },
+  // substack.com/home/post/p-ID and substack.com/@user/p-ID
+  substack: {
+    pattern: /^\/(?:home\/post|@[^/]+)\/(p-\d+)/,
+    canonical: id => `https://substack.com/home/post/${id}`
+  }
+};
+
+function parseUrl(url) {
+  try {
+    return new URL(String(url || '').trim());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract a platform's stable content id from a URL
+ * ("https://www.instagram.com/reel/DOxv97ZisjR/?igsh=x" -> { platform: 'instagram', id: 'DOxv97ZisjR' })
+ * @param {string} url - Raw URL
+ * @returns {Object|null} { platform, id }, or null if the URL has no recognizable id
+ */
+function extractContentId(url) {
+  const parsed = parseUrl(url);
+  const platform = detectPlatform(url);
+  const rule = CONTENT_ID_PATTERNS[platform];
+
+  if (!parsed || !rule) {
+    return null;
+  }
+
+  const match = parsed.pathname.match(rule.pattern);
+  return match ? { platform, id: match[1] } : null;
+}
+
+/**
+ * Normalize a content URL so variants of the same link compare equal.
+ * Instagram, TikTok and Substack post URLs reduce to the platform's stable
+ * id, dropping usernames and every query parameter. Other URLs keep their
+ * path: the host is lowercased, "www.", the fragment, tracking parameters
+ * and any trailing slash are dropped, and https is always used. Substack
+ * publication posts (name.substack.com/p/slug) take the generic path
+ * without their query, since Substack only adds sharing parameters.
+ * @param {string} url - Raw URL
+ * @returns {string} Canonical URL (the trimmed input if it cannot be parsed)
+ */
+function canonicalizeUrl(url) {
+  const raw = String(url || '').trim();
+  const parsed = parseUrl(raw);
+
+  if (!parsed) {
+    return raw;
+  }
+
+  const contentId = extractContentId(raw);
+  if (contentId) {
+    return CONTENT_ID_PATTERNS[contentId.platform].canonical(contentId.id);
+  }
+
+  if (detectPlatform(raw) === 'substack' && /^\/p\//.test(parsed.pathname)) {
+    parsed.search = '';
+  }
+
+  const params = new URLSearchParams();
+  parsed.searchParams.forEach((value, key) => {
+    if (!TRACKING_PARAMS.some(pattern => pattern.test(key.toLowerCase()))) {
+      params.append(key, value);
+    }
+  });
+  params.sort();
+
+  const host = parsed.host.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  const query = params.toString();
+
+  return `https://${host}${pathname}${query ? '?' + query : ''}`;
+}
+
+/**
+ * Detect which platform a URL belongs to
+ * @param {string} url - Raw URL
+ * @returns {string|null} 'instagram', 'tiktok', 'substack', or null if unknown
+ */
+function detectPlatform(url) {
+  const parsed = parseUrl(url);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const match = Object.entries(PLATFORM_HOSTS).find(([, pattern]) => pattern.test(host));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  canonicalizeUrl,
+  detectPlatform,
+  extractContentId
+};
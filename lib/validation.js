@@ -0,0 +1,109 @@
+// Content validation shared by imports and write APIs. The rules mirror the
+// CHECK constraints of migration 007 so bad values are reported per field
+// before the database rejects the whole write.
+
+const REQUIRED_FIELDS = ['category', 'url', 'source'];
+
+// Numeric fields: integer counts, non-negative values, and 0-1 scores
+const NUMBER_RULES = {
+  time_spent_minutes: { min: 0 },
+  upvotes: { min: 0, integer: true },
+  views: { min: 0, integer: true },
+  engagement_score: { min: 0, max: 1 },
+  trending_score: { min: 0, max: 1 },
+  growth_rate: {},
+  score_version: { min: 1, integer: true }
+};
+
+// Metrics that an import fills with 0 when the cell is blank
+const DEFAULTED_FIELDS = ['time_spent_minutes', 'upvotes', 'views', 'engagement_score', 'trending_score'];
+
+/**
+ * Check that a value is an absolute http(s) URL with a host
+ * @param {string} url - URL to check
+ * @returns {boolean} True if valid
+ */
+function isValidUrl(url) {
+  try {
+    const parsed = new URL(String(url || '').trim());
+    return (parsed.protocol === 'http:' || parsed.protocol === 'https:') && parsed.hostname.includes('.');
+  } catch (error) {
+    return false;
+  }
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Validate one number against its rule
+ * @param {string} field - Field name
+ * @param {*} value - Value to check (null/undefined is allowed)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateNumber(field, value) {
+  const rule = NUMBER_RULES[field];
+
+  if (isBlank(value)) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+  if (rule.integer && !Number.isInteger(value)) return 'must be a whole number';
+  if (rule.min !== undefined && rule.max !== undefined && (value < rule.min || value > rule.max)) {
+    return `must be between ${rule.min} and ${rule.max}`;
+  }
+  if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+  return null;
+}
+
+/**
+ * Validate a content record
+ * @param {Object} record - Record with category, url, source and metric fields
+ * @param {Object} options - Optional settings
+ * @param {boolean} [options.partial] - Only check the fields present (for partial updates)
+ * @returns {Array} Array of { field, message }; empty if the record is valid
+ */
+function validateContent(record, options = {}) {
+  const errors = [];
+  const present = field => !options.partial || record[field] !== undefined;
+
+  REQUIRED_FIELDS.filter(present).forEach(field => {
+    if (isBlank(record[field])) {
+      errors.push({ field, message: 'is required' });
+    }
+  });
+
+  if (present('url') && !isBlank(record.url) && !isValidUrl(record.url)) {
+    errors.push({ field: 'url', message: 'must be an http(s) URL' });
+  }
+
+  Object.keys(NUMBER_RULES).filter(present).forEach(field => {
+    const message = validateNumber(field, record[field]);
+    if (message) {
+      errors.push({ field, message });
+    }
+  });
+
+  if (present('published_at') && !isBlank(record.published_at) && Number.isNaN(Date.parse(record.published_at))) {
+    errors.push({ field: 'published_at', message: 'must be a date' });
+  }
+
+  return errors;
+}
+
+/**
+ * Join validation errors into one reason ("url must be an http(s) URL; views must be at least 0")
+ * @param {Array} errors - Errors from validateContent()
+ * @returns {string} Reason text
+ */
+function formatValidationErrors(errors) {
+  return errors.map(error => `${error.field} ${error.message}`).join('; ');
+}
+
+module.exports = {
+  REQUIRED_FIELDS,
+  NUMBER_RULES,
+  DEFAULTED_FIELDS,
+  isValidUrl,
+  validateContent,
+  formatValidationErrors
+};
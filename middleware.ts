@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+
+// Routes outside /api/v1 are the deprecated first API. They keep working and
+// name the v1 route replacing them in their headers. /api/graphql is current.
+export function middleware(request: NextRequest) {
+  const { pathname } = request.nextUrl
+  if (pathname.startsWith('/api/v1/') || pathname === '/api/graphql') {
+    return NextResponse.next()
+  }
+
+  const successor = pathname === '/api/data' ? '/api/v1/content' : pathname.replace(/^\/api\//, '/api/v1/')
+  const response = NextResponse.next()
+  response.headers.set('Deprecation', 'true')
+  response.headers.set('Link', `<${successor}>; rel="successor-version"`)
+  return response
+}
+
+export const config = {
+  matcher: '/api/:path*'
+}
@@ -0,0 +1,59 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { ISSUE_TYPES, checkDatabase, checkCsv } = require('../lib/quality');
+const { getStorageConfig } = require('../lib/storage');
+
+// Usage: node scripts/data-quality.js [--csv=<file>] [--json]
+//   Without --csv, checks the active rows of the database.
+const args = process.argv.slice(2);
+const csvArg = args.find(arg => arg.startsWith('--csv='));
+const csvPath = csvArg ? path.resolve(csvArg.slice('--csv='.length)) : null;
+const asJson = args.includes('--json');
+
+const dbPath = getStorageConfig().sqlitePath;
+
+function loadReport() {
+  if (csvPath) {
+    if (!fs.existsSync(csvPath)) {
+      throw new Error(`CSV file not found: ${csvPath}`);
+    }
+    return checkCsv(fs.readFileSync(csvPath, 'utf8'));
+  }
+
+  if (!fs.existsSync(dbPath)) {
+    throw new Error('Database not found. Please run "npm run db:setup" first.');
+  }
+
+  const db = new Database(dbPath, { readonly: true });
+  try {
+    return checkDatabase(db);
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  const report = loadReport();
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`🔍 Data quality report for ${csvPath ? path.basename(csvPath) : 'the database'}`);
+    console.log(`📊 Checked ${report.checked} ${csvPath ? 'rows' : 'active records'}\n`);
+
+    Object.entries(ISSUE_TYPES).forEach(([type, label]) => {
+      const issues = report.issues.filter(issue => issue.type === type);
+      console.log(`${issues.length === 0 ? '✅' : '⚠️ '} ${label}: ${issues.length}`);
+      issues.forEach(issue => {
+        const where = issue.line !== undefined ? `line ${issue.line}` : `#${issue.id}`;
+        console.log(`   ${where}${issue.field ? ` ${issue.field}` : ''}: ${issue.message}${issue.url ? ` (${issue.url})` : ''}`);
+      });
+    });
+
+    console.log(report.issues.length === 0 ? '\n🎉 No data quality issues found' : `\n📋 ${report.issues.length} issues found`);
+  }
+} catch (error) {
+  console.error('❌ Error building data quality report:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,82 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { enrichContent } = require('../lib/enrichment');
+const { importRecords } = require('../lib/importer');
+const { assertSchemaCurrent } = require('../lib/schema');
+const { getStorageConfig } = require('../lib/storage');
+const { isApiError } = require('../lib/errors');
+const { printImportReport } = require('./import-report');
+
+// Usage: node scripts/enrich-data.js [--content=<csv>] [--metrics=<csv>]
+//          [--dry-run] [--mark-removed] [--max-error-rate=0.1]
+const args = process.argv.slice(2);
+const option = name => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+const contentPath = path.resolve(option('content') || 'Cleaned Content.csv');
+const metricsPath = option('metrics') ? path.resolve(option('metrics')) : null;
+const dryRun = args.includes('--dry-run');
+const markRemoved = args.includes('--mark-removed');
+const maxErrorRate = option('max-error-rate') !== null ? parseFloat(option('max-error-rate')) : 0.1;
+
+if (Number.isNaN(maxErrorRate) || maxErrorRate < 0 || maxErrorRate > 1) {
+  console.error('❌ --max-error-rate must be a number between 0 and 1');
+  process.exit(1);
+}
+
+const dbPath = getStorageConfig().sqlitePath;
+
+if (!fs.existsSync(dbPath)) {
+  console.error('❌ Database not found. Please run "npm run db:setup" first.');
+  process.exit(1);
+}
+
+[contentPath, metricsPath].filter(Boolean).forEach(file => {
+  if (!fs.existsSync(file)) {
+    console.error(`❌ CSV file not found: ${file}`);
+    process.exit(1);
+  }
+});
+
+const db = new Database(dbPath);
+db.pragma('foreign_keys = ON');
+
+try {
+  assertSchemaCurrent(db);
+
+  console.log('🔄 Starting content enrichment...');
+  console.log(`📄 Content: ${path.basename(contentPath)}`);
+  console.log(`📄 Metrics: ${metricsPath ? path.basename(metricsPath) : 'inline columns of the content file'}`);
+
+  const enriched = enrichContent(
+    fs.readFileSync(contentPath, 'utf8'),
+    metricsPath ? fs.readFileSync(metricsPath, 'utf8') : null
+  );
+
+  if (enriched.metricsErrors.length > 0) {
+    console.log(`⚠️  Ignored ${enriched.metricsErrors.length} metrics rows:`);
+    enriched.metricsErrors.forEach(error => console.log(`   metrics line ${error.line}: ${error.reason}`));
+  }
+
+  console.log(`📊 Scored ${enriched.records.length} of ${enriched.totalRows} content rows`);
+
+  const result = importRecords(db, enriched, { markRemoved, maxErrorRate, dryRun, actor: 'script:enrich-data' });
+  printImportReport(result, { markRemoved, maxErrorRate, dryRun });
+
+  if (result.aborted) {
+    process.exitCode = 1;
+  } else if (!dryRun) {
+    const count = db.prepare('SELECT COUNT(*) as count FROM content WHERE removed_at IS NULL AND deleted_at IS NULL').get();
+    console.log(`📈 Active records in database: ${count.count}`);
+    console.log('🎉 Enrichment completed successfully!');
+  }
+} catch (error) {
+  // An outdated schema or invalid input is explained by its message alone
+  console.error('❌ Error during enrichment:', isApiError(error) ? error.message : error);
+  process.exit(1);
+} finally {
+  db.close();
+}
@@ -0,0 +1,49 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const { findDuplicates, mergeDuplicates } = require('../lib/duplicates');
+const { getStorageConfig } = require('../lib/storage');
+
+// Usage: node scripts/find-duplicates.js [--merge]
+//   Lists content rows whose URLs share a canonical form; --merge merges
+//   each group into its oldest row.
+const merge = process.argv.slice(2).includes('--merge');
+
+const dbPath = getStorageConfig().sqlitePath;
+
+if (!fs.existsSync(dbPath)) {
+  console.error('❌ Database not found. Please run "npm run db:setup" first.');
+  process.exit(1);
+}
+
+const db = new Database(dbPath);
+db.pragma('foreign_keys = ON');
+
+try {
+  const groups = findDuplicates(db);
+
+  if (groups.length === 0) {
+    console.log('✅ No duplicate content found');
+  } else {
+    console.log(`⚠️  Found ${groups.length} groups of duplicate content:\n`);
+
+    groups.forEach(({ canonicalUrl, keep, duplicates }) => {
+      console.log(`🔗 ${canonicalUrl}`);
+      console.log(`   keep   #${keep.id} ${keep.url}${keep.removed_at ? ' (removed)' : ''}`);
+      duplicates.forEach(row => {
+        console.log(`   merge  #${row.id} ${row.url}${row.removed_at ? ' (removed)' : ''}`);
+      });
+    });
+
+    if (merge) {
+      const result = mergeDuplicates(db, groups, { actor: 'script:find-duplicates' });
+      console.log(`\n✅ Merged ${result.merged} duplicate rows into ${result.groups} kept rows`);
+    } else {
+      console.log('\n💡 Run with --merge to merge each group into its oldest row');
+    }
+  }
+} catch (error) {
+  console.error('❌ Error checking for duplicates:', error.message);
+  process.exit(1);
+} finally {
+  db.close();
+}
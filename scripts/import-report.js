@@ -0,0 +1,46 @@
+const { summarizePlan } = require('../lib/importer');
+
+// Console report shared by the import scripts (migrate-data.js, enrich-data.js)
+
+/**
+ * Print the outcome of importRecords()
+ * @param {Object} result - Result of importRecords()
+ * @param {Object} options - Options the import ran with
+ * @param {boolean} [options.markRemoved] - Whether --mark-removed was passed
+ * @param {number} [options.maxErrorRate] - Allowed share of rejected rows
+ * @param {boolean} [options.dryRun] - Whether this was a dry run
+ */
+function printImportReport(result, options = {}) {
+  const { plan, errors, errorRate, aborted, removalsSkipped, summary } = result;
+
+  if (errors.length > 0) {
+    console.log(`⚠️  Rejected ${errors.length} rows:`);
+    errors.forEach(error => console.log(`   line ${error.line}: ${error.reason}`));
+  }
+
+  if (aborted) {
+    console.error(`❌ Error rate ${(errorRate * 100).toFixed(1)}% exceeds the allowed ${(options.maxErrorRate * 100).toFixed(1)}%. Nothing was imported.`);
+    return;
+  }
+
+  if (removalsSkipped) {
+    console.log('⚠️  Skipping --mark-removed because some rows could not be parsed');
+  }
+
+  const counts = summary || summarizePlan(plan);
+
+  console.log(options.dryRun ? '🔍 Dry run - nothing was written. The import would make these changes:' : '✅ Data imported successfully');
+  console.log(`   ➕ Inserted:  ${counts.inserted}`);
+  console.log(`   ✏️  Updated:   ${counts.updated}${counts.restored ? ` (${counts.restored} restored)` : ''}`);
+  console.log(`   ⏸️  Unchanged: ${counts.unchanged}`);
+  console.log(`   🗑️  Removed:   ${options.markRemoved ? counts.removed : 'skipped (pass --mark-removed to mark missing rows)'}`);
+  console.log(`   🚫 Rejected:  ${errors.length}`);
+
+  if (counts.duplicates > 0) {
+    console.log(`⚠️  Skipped ${counts.duplicates} rows whose URL already appeared earlier in the file`);
+  }
+}
+
+module.exports = {
+  printImportReport
+};
@@ -0,0 +1,79 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const {
+  getMigrationStatus,
+  getCurrentVersion,
+  getLatestVersion,
+  applyMigrations,
+  rollbackMigrations
+} = require('../lib/schema');
+const { getStorageConfig } = require('../lib/storage');
+
+// Usage: node scripts/manage-schema.js <status|apply|rollback> [--to <version>] [--steps <n>]
+const [command = 'status', ...args] = process.argv.slice(2);
+
+function readOption(name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+
+  const value = parseInt(args[index + 1], 10);
+  if (Number.isNaN(value) || value < 0) {
+    console.error(`❌ --${name} expects a non-negative number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+const dbPath = getStorageConfig().sqlitePath;
+
+if (!fs.existsSync(dbPath) && command !== 'apply') {
+  console.error('❌ Database not found. Please run "npm run db:setup" first.');
+  process.exit(1);
+}
+
+const db = new Database(dbPath);
+
+try {
+  switch (command) {
+    case 'status': {
+      console.log(`🔢 Schema version: ${getCurrentVersion(db)} (latest: ${getLatestVersion()})\n`);
+      getMigrationStatus(db).forEach(m => {
+        const state = m.applied ? `✅ applied ${m.appliedAt}` : '⏳ pending';
+        console.log(`   ${String(m.version).padStart(3, '0')} ${m.name} - ${state}`);
+      });
+      break;
+    }
+
+    case 'apply': {
+      const applied = applyMigrations(db, { target: readOption('to') });
+      if (applied.length === 0) {
+        console.log('✅ Schema already up to date');
+      }
+      applied.forEach(m => console.log(`✅ Applied migration ${m.version}: ${m.name}`));
+      console.log(`🔢 Schema version: ${getCurrentVersion(db)}`);
+      break;
+    }
+
+    case 'rollback': {
+      const rolledBack = rollbackMigrations(db, {
+        target: readOption('to'),
+        steps: readOption('steps')
+      });
+      if (rolledBack.length === 0) {
+        console.log('ℹ️  Nothing to roll back');
+      }
+      rolledBack.forEach(m => console.log(`↩️  Rolled back migration ${m.version}: ${m.name}`));
+      console.log(`🔢 Schema version: ${getCurrentVersion(db)}`);
+      break;
+    }
+
+    default:
+      console.error(`❌ Unknown command "${command}". Use status, apply or rollback.`);
+      process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('❌ Schema command failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -1,9 +1,25 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { recordsFromCsv, importRecords } = require('../lib/importer');
+const { assertSchemaCurrent } = require('../lib/schema');
+const { getStorageConfig } = require('../lib/storage');
+const { isApiError } = require('../lib/errors');
+const { printImportReport } = require('./import-report');
+
+// Usage: node scripts/migrate-data.js [--mark-removed] [--max-error-rate=0.1]
+const args = process.argv.slice(2);
+const markRemoved = args.includes('--mark-removed');
+const maxErrorRateArg = args.find(arg => arg.startsWith('--max-error-rate='));
+const maxErrorRate = maxErrorRateArg ? parseFloat(maxErrorRateArg.split('=')[1]) : 0.1;
+
+if (Number.isNaN(maxErrorRate) || maxErrorRate < 0 || maxErrorRate > 1) {
+  console.error('❌ --max-error-rate must be a number between 0 and 1');
+  process.exit(1);
+}
 
 // Database path
-const dbPath = path.join(process.cwd(), 'data', 'fashion_dashboard.db');
+const dbPath = getStorageConfig().sqlitePath;
 const csvPath = path.join(process.cwd(), 'enhanced_fashion_data.csv');
 
 // Check if database exists
@@ -20,68 +36,11 @@ if (!fs.existsSync(csvPath)) {
 
 // Initialize database connection
 const db = new Database(dbPath);
-
-// Read and parse CSV data
-function parseCSV(csvContent) {
-  const lines = csvContent.split('\n');
-  const headers = lines[0].split(',');
-  const data = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    
-    const values = line.split(',');
-    if (values.length >= 10) {
-      data.push({
-        category: values[0],
-        url: values[1],
-        source: values[2],
-        time_spent_minutes: parseFloat(values[3]) || 0,
-        upvotes: parseInt(values[4]) || 0,
-        views: parseInt(values[5]) || 0,
-        engagement_score: parseFloat(values[6]) || 0,
-        content_type: values[7],
-        difficulty_level: values[8],
-        trending_score: parseFloat(values[9]) || 0
-      });
-    }
-  }
-  
-  return data;
-}
-
-// Insert data into database
-function insertData(data) {
-  const insertSQL = `
-    INSERT INTO content (
-      category, url, source, time_spent_minutes, upvotes, views,
-      engagement_score, content_type, difficulty_level, trending_score
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `;
-  
-  const insert = db.prepare(insertSQL);
-  const insertMany = db.transaction((data) => {
-    for (const item of data) {
-      insert.run(
-        item.category,
-        item.url,
-        item.source,
-        item.time_spent_minutes,
-        item.upvotes,
-        item.views,
-        item.engagement_score,
-        item.content_type,
-        item.difficulty_level,
-        item.trending_score
-      );
-    }
-  });
-  
-  return insertMany(data);
-}
+db.pragma('foreign_keys = ON');
 
 try {
+  assertSchemaCurrent(db);
+
   console.log('🔄 Starting data migration...');
   
   // Read CSV file
@@ -89,30 +48,34 @@ try {
   console.log('📄 CSV file read successfully');
   
   // Parse CSV data
-  const data = parseCSV(csvContent);
-  console.log(`📊 Parsed ${data.length} records from CSV`);
+  const csv = recordsFromCsv(csvContent);
+  console.log(`📊 Parsed ${csv.records.length} of ${csv.totalRows} records from CSV`);
   
-  // Clear existing data
-  db.exec('DELETE FROM content');
-  console.log('🗑️  Cleared existing data');
-  
-  // Insert new data
-  insertData(data);
-  console.log('✅ Data inserted successfully');
+  if (csv.missingColumns.length > 0) {
+    console.log(`⚠️  Missing optional columns (defaulted): ${csv.missingColumns.join(', ')}`);
+  }
   
-  // Verify insertion
-  const count = db.prepare('SELECT COUNT(*) as count FROM content').get();
-  console.log(`📈 Total records in database: ${count.count}`);
+  if (csv.unknownColumns.length > 0) {
+    console.log(`⚠️  Ignored unknown columns: ${csv.unknownColumns.join(', ')}`);
+  }
   
-  // Show sample data
-  const sample = db.prepare('SELECT * FROM content LIMIT 3').all();
-  console.log('🔍 Sample data:');
-  console.table(sample);
+  // Upsert by canonical URL
+  const result = importRecords(db, csv, { markRemoved, maxErrorRate, actor: 'script:migrate-data' });
+  printImportReport(result, { markRemoved, maxErrorRate });
   
-  console.log('🎉 Data migration completed successfully!');
+  if (result.aborted) {
+    process.exitCode = 1;
+  } else {
+    // Verify import
+    const count = db.prepare('SELECT COUNT(*) as count FROM content WHERE removed_at IS NULL AND deleted_at IS NULL').get();
+    console.log(`📈 Active records in database: ${count.count}`);
+    
+    console.log('🎉 Data migration completed successfully!');
+  }
   
 } catch (error) {
-  console.error('❌ Error during migration:', error);
+  // An outdated schema or invalid input is explained by its message alone
+  console.error('❌ Error during migration:', isApiError(error) ? error.message : error);
   process.exit(1);
 } finally {
   db.close();
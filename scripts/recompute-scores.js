@@ -0,0 +1,47 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const { assertSchemaCurrent } = require('../lib/schema');
+const { SCORE_VERSION, recomputeScores } = require('../lib/scoring');
+const { getStorageConfig } = require('../lib/storage');
+
+// Usage: node scripts/recompute-scores.js [--dry-run] [--outdated-only]
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const outdatedOnly = args.includes('--outdated-only');
+
+const dbPath = getStorageConfig().sqlitePath;
+
+if (!fs.existsSync(dbPath)) {
+  console.error('❌ Database not found. Please run "npm run db:setup" first.');
+  process.exit(1);
+}
+
+const db = new Database(dbPath);
+
+try {
+  assertSchemaCurrent(db);
+
+  console.log(`🔄 Recomputing scores with formula version ${SCORE_VERSION}${outdatedOnly ? ' (outdated rows only)' : ''}...`);
+  const result = recomputeScores(db, { dryRun, outdatedOnly, actor: 'script:recompute-scores' });
+
+  result.changes.forEach(({ id, url, before, after }) => {
+    console.log(`   #${id} ${url}`);
+    console.log(`      engagement ${before.engagement_score} → ${after.engagement_score}, trending ${before.trending_score} → ${after.trending_score}`);
+  });
+
+  if (result.skipped.length > 0) {
+    console.log(`⚠️  Kept the imported scores of ${result.skipped.length} rows with missing score inputs:`);
+    result.skipped.forEach(({ id, url, missing }) => console.log(`   #${id} ${url} (no ${missing.join(', ')})`));
+  }
+
+  console.log(dryRun ? '🔍 Dry run - nothing was written. Recomputing would make these changes:' : '✅ Scores recomputed');
+  console.log(`   📊 Scored:    ${result.scored}`);
+  console.log(`   ✏️  Updated:   ${result.updated}`);
+  console.log(`   ⏸️  Unchanged: ${result.unchanged}`);
+  console.log(`   ⏭️  Skipped:   ${result.skipped.length}`);
+} catch (error) {
+  console.error('❌ Error recomputing scores:', error.message);
+  process.exit(1);
+} finally {
+  db.close();
+}
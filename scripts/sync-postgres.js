@@ -0,0 +1,45 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const { Client } = require('pg');
+const { assertSchemaCurrent, getCurrentVersion } = require('../lib/schema');
+const { getStorageConfig } = require('../lib/storage');
+const { syncToPostgres } = require('../lib/storage/postgres-schema');
+
+// Usage: DATABASE_URL=postgresql://... node scripts/sync-postgres.js
+//   Copies the SQLite database (SQLITE_PATH, default data/fashion_dashboard.db)
+//   into PostgreSQL for the postgres storage driver.
+if (!process.env.DATABASE_URL) {
+  console.error('❌ DATABASE_URL is not set. Point it at the PostgreSQL database to sync into.');
+  process.exit(1);
+}
+
+const config = getStorageConfig({ ...process.env, STORAGE_DRIVER: 'postgres' });
+
+if (!fs.existsSync(config.sqlitePath)) {
+  console.error('❌ Database not found. Please run "npm run db:setup" first.');
+  process.exit(1);
+}
+
+async function sync() {
+  const db = new Database(config.sqlitePath, { readonly: true });
+  const client = new Client({ connectionString: config.databaseUrl });
+
+  try {
+    assertSchemaCurrent(db);
+    await client.connect();
+
+    console.log('🔄 Copying SQLite data to PostgreSQL...');
+    const counts = await syncToPostgres(db, client, { sqliteSchemaVersion: getCurrentVersion(db) });
+
+    console.log('✅ PostgreSQL copy updated');
+    Object.entries(counts).forEach(([table, count]) => console.log(`   ${table}: ${count} rows`));
+  } finally {
+    db.close();
+    await client.end();
+  }
+}
+
+sync().catch(error => {
+  console.error('❌ Error syncing to PostgreSQL:', error.message);
+  process.exit(1);
+});
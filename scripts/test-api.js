@@ -10,7 +10,10 @@ const endpoints = [
   '/api/data?source=Instagram',
   '/api/data?search=fashion',
   '/api/data?limit=5',
-  '/api/stats'
+  '/api/stats',
+  '/api/v1/content?limit=5',
+  '/api/v1/content?search=fashion',
+  '/api/v1/stats'
 ];
 
 // Helper function to make HTTP requests
@@ -68,11 +71,22 @@ async function testEndpoints() {
       
       if (response.status === 200) {
         console.log(`   ✅ Status: ${response.status}`);
+        if (response.headers.deprecation) {
+          console.log(`   ⏳ Deprecated, use ${response.headers.link}`);
+        }
         
-        if (Array.isArray(response.data)) {
-          console.log(`   📊 Records returned: ${response.data.length}`);
-          if (response.data.length > 0) {
-            const sample = response.data[0];
+        if (response.data.meta) {
+          const { data, meta } = response.data;
+          console.log(`   📦 v1 envelope, request ${meta.requestId}`);
+          if (meta.pagination) {
+            console.log(`   📊 Records returned: ${data.length} of ${meta.pagination.total}`);
+          } else if (data.totals) {
+            console.log(`   📈 Statistics: ${JSON.stringify(data.totals)}`);
+          }
+        } else if (Array.isArray(response.data.items)) {
+          console.log(`   📊 Records returned: ${response.data.items.length} of ${response.data.total}`);
+          if (response.data.items.length > 0) {
+            const sample = response.data.items[0];
             console.log(`   🔍 Sample record keys: ${Object.keys(sample).join(', ')}`);
           }
         } else if (response.data.stats) {
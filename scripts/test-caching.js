@@ -0,0 +1,175 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { applyMigrations, rollbackMigrations } = require('../lib/schema');
+const { importRecords } = require('../lib/importer');
+const { queryKey, createQueryCache } = require('../lib/query-cache');
+const { dataEtag, checkNotModified, withEtag } = require('../lib/api');
+
+// lib/database.js serves this fixture; set before it opens the database
+const dbPath = path.join(process.cwd(), 'data', 'test_caching.db');
+process.env.SQLITE_PATH = dbPath;
+delete process.env.STORAGE_DRIVER;
+delete process.env.DATABASE_URL;
+
+const database = require('../lib/database');
+
+console.log('🧪 Testing Caching...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const FIXTURE = [
+  { line: 2, category: 'Style Principles', url: 'https://www.instagram.com/reel/AAA111/', source: 'Instagram', time_spent_minutes: 12, upvotes: 200, views: 4000, engagement_score: 0.9, content_type: 'Video', difficulty_level: 'Beginner', trending_score: 0.8 },
+  { line: 3, category: 'Capsule Wardrobe', url: 'https://www.tiktok.com/@closet/video/7000000000000000001', source: 'TikTok', time_spent_minutes: 3, upvotes: 300, views: 5000, engagement_score: 0.7, content_type: 'Video', difficulty_level: 'Intermediate', trending_score: 0.7 }
+];
+
+const versionOf = db => db.prepare('SELECT version FROM data_version').get().version;
+
+const request = (url, headers = {}) => new Request(`http://localhost${url}`, { headers });
+
+async function runTests() {
+  if (fs.existsSync(dbPath)) {
+    fs.unlinkSync(dbPath);
+  }
+
+  // Test 1: Data version
+  console.log('1️⃣ Testing the data version...');
+  const before = Date.now();
+  const db = new Database(dbPath);
+  applyMigrations(db);
+  const initial = versionOf(db);
+  assert(initial >= before && initial <= Date.now() + 1000, `The version should start at the current time in ms, got ${initial}`);
+
+  importRecords(db, { records: FIXTURE });
+  const imported = versionOf(db);
+  assert(imported > initial, 'Imports should bump the version');
+  db.prepare('SELECT * FROM content').all();
+  assert(versionOf(db) === imported, 'Reads should not bump the version');
+
+  const writes = [
+    ['content update', 'UPDATE content SET views = views + 1 WHERE id = 1'],
+    ['tag removal', 'DELETE FROM content_tags WHERE content_id = 2'],
+    ['lookup rename', "UPDATE sources SET color = '#000000' WHERE key = 'tiktok'"],
+    ['new category', "INSERT INTO categories (key, display_name) VALUES ('basics', 'Basics')"]
+  ];
+  writes.forEach(([name, sql]) => {
+    const previous = versionOf(db);
+    db.prepare(sql).run();
+    assert(versionOf(db) > previous, `A ${name} should bump the version`);
+  });
+
+  // Versions never go back, even when they are ahead of the clock
+  const copy = new Database(':memory:');
+  applyMigrations(copy);
+  copy.prepare('UPDATE data_version SET version = version + 100000').run();
+  const ahead = versionOf(copy);
+  copy.prepare("INSERT INTO categories (key, display_name) VALUES ('basics', 'Basics')").run();
+  assert(versionOf(copy) === ahead + 1, 'A version ahead of the clock should count on by one');
+  rollbackMigrations(copy, { target: 12 });
+  assert(!copy.prepare("SELECT name FROM sqlite_master WHERE name = 'data_version' OR name LIKE '%data_version%'").get(), 'Rolling back should drop the table and its triggers');
+  copy.close();
+  db.close();
+  console.log('✅ Every write bumps the version, reads do not');
+
+  // Test 2: Query cache
+  console.log('\n2️⃣ Testing the query cache...');
+  assert(
+    queryKey('getAllContent', [{ source: 'Instagram', category: 'All', search: '', conditions: [], includeDeleted: false, tag: undefined }]) ===
+    queryKey('getAllContent', [{ source: 'Instagram' }]),
+    'Unset filters should not change the key'
+  );
+  assert(queryKey('getAllContent', [{ a: 1, b: 2 }]) === queryKey('getAllContent', [{ b: 2, a: 1 }]), 'Key order should not change the key');
+  assert(queryKey('getAllContent', [{ limit: 2 }]) !== queryKey('getAllContent', [{ limit: 3 }]), 'Different filters should have different keys');
+  assert(queryKey('getAllContent', [{}]) !== queryKey('getAggregates', [{}]), 'Queries should have their own keys');
+  assert(
+    queryKey('getAllContent', [{ conditions: [{ field: 'views', op: 'eq', value: false }] }]) !==
+    queryKey('getAllContent', [{ conditions: [{ field: 'views', op: 'eq' }] }]),
+    'Values inside filters should be kept'
+  );
+
+  const cache = createQueryCache({ maxEntries: 2 });
+  let loads = 0;
+  const load = value => () => {
+    loads++;
+    return value;
+  };
+  cache.get('a', 1, load('A'));
+  cache.get('b', 1, load('B'));
+  assert(cache.get('a', 1, load('A2')) === 'A' && loads === 2, 'Hits should return the cached result');
+  cache.get('c', 1, load('C'));
+  assert(cache.get('a', 1, load('A3')) === 'A' && cache.get('b', 1, load('B2')) === 'B2', 'The least recently used entry should be dropped');
+  assert(cache.get('a', 2, load('A4')) === 'A4' && cache.stats().size === 1, 'A new version should empty the cache');
+
+  const pending = cache.get('slow', 2, () => Promise.resolve('S'));
+  assert(cache.get('slow', 2, load('never')) === pending, 'Concurrent lookups should share one query');
+  const failing = cache.get('fail', 2, () => Promise.reject(new Error('boom')));
+  await failing.catch(() => {});
+  assert(cache.get('fail', 2, load('retried')) === 'retried', 'Failed queries should not be cached');
+  console.log('✅ Results are cached by normalized filters and dropped with the version');
+
+  // Test 3: Cached reads
+  console.log('\n3️⃣ Testing cached reads...');
+  const version = await database.getDataVersion();
+  assert(version === database.getRecordVersion(), 'Both versions should be the SQLite one');
+  const page = await database.getAllContent({ category: 'All', limit: 10 });
+  assert(await database.getAllContent({ limit: 10, search: '' }) === page, 'Equivalent filters should share a cached result');
+  assert(page.total === 2, 'Cached reads should return the data');
+  const stats = await database.getContentStats();
+  assert(await database.getContentStats() === stats, 'Stats should be cached');
+
+  const created = database.createContent({ category: 'Basics', url: 'https://www.instagram.com/reel/CCC333/', source: 'Instagram' }, { actor: 'test' });
+  assert(created.content, 'The content should be created');
+  assert(await database.getDataVersion() > version, 'Writes through the API should bump the version');
+  const refreshed = await database.getAllContent({ limit: 10 });
+  assert(refreshed !== page && refreshed.total === 3, 'Writes should invalidate cached results');
+  assert((await database.getContentStats()).totalContent === 3, 'Writes should invalidate cached stats');
+
+  const exported = await database.getExportPage(undefined, { limit: 10 });
+  assert(exported.total === 3 && exported !== await database.getExportPage(undefined, { limit: 10 }), 'Export pages should not be cached');
+  assert(await database.getAllContent({ limit: 10 }) === refreshed, 'Export pages should leave cached results alone');
+
+  // Writers in other processes, such as the import scripts, invalidate it too
+  const script = new Database(dbPath);
+  script.prepare('UPDATE content SET upvotes = 999 WHERE id = ?').run(created.content.id);
+  script.close();
+  assert((await database.getContentStats()).totalUpvotes === 1499, 'Writes by other connections should invalidate cached results');
+  console.log('✅ Reads are served from the cache until the data changes');
+
+  // Test 4: ETags
+  console.log('\n4️⃣ Testing ETags...');
+  const etag = dataEtag(request('/api/data?limit=2'), 17);
+  assert(/^W\/"17-[\w-]{12}"$/.test(etag), `ETags should be weak and carry the version, got ${etag}`);
+  assert(dataEtag(request('/api/data?limit=2'), 17) === etag, 'ETags should be stable');
+  assert(dataEtag(request('/api/data?limit=3'), 17) !== etag, 'ETags should differ per query');
+  assert(dataEtag(request('/api/data?limit=2'), 18) !== etag, 'ETags should differ per version');
+
+  assert(checkNotModified(request('/api/data?limit=2'), etag, 'req-1') === null, 'Requests without If-None-Match need the response');
+  assert(checkNotModified(request('/api/data?limit=2', { 'If-None-Match': 'W/"16-abc"' }), etag, 'req-1') === null, 'Outdated ETags need the response');
+  const notModified = checkNotModified(request('/api/data?limit=2', { 'If-None-Match': `W/"16-abc", ${etag.slice(2)}` }), etag, 'req-1');
+  assert(notModified && notModified.status === 304, 'A current ETag in the list, strong or weak, should give 304');
+  assert(notModified.headers.get('ETag') === etag && notModified.headers.get('X-Request-Id') === 'req-1', '304 responses should repeat the ETag and request id');
+  assert(await notModified.text() === '', '304 responses should have no body');
+  assert(checkNotModified(request('/api/data', { 'If-None-Match': '*' }), etag, 'req-1').status === 304, 'If-None-Match: * should match');
+
+  const response = withEtag(Response.json({ ok: true }), etag);
+  assert(response.headers.get('ETag') === etag && response.headers.get('Cache-Control') === 'private, no-cache', 'Responses should carry the ETag and ask for revalidation');
+  console.log('✅ Conditional requests get 304 while the data is unchanged');
+
+  console.log('\n🎉 All caching tests passed!');
+}
+
+runTests()
+  .catch(error => {
+    console.error('❌ Caching test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await database.closeDatabase();
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach(file => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  });
@@ -0,0 +1,160 @@
+const Database = require('better-sqlite3');
+const { applyMigrations } = require('../lib/schema');
+const { getContent, createContent, updateContent, deleteContent, restoreContent } = require('../lib/content');
+const { getAuditLog } = require('../lib/audit');
+const { importContent } = require('../lib/importer');
+
+console.log('🧪 Testing Content Writes...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const fieldsOf = result => (result.errors || []).map(error => error.field).sort().join(',');
+
+const record = {
+  category: 'Style Principles',
+  url: 'https://www.instagram.com/reel/AAA111/?igsh=abc',
+  source: 'instagram',
+  content_type: 'Video',
+  difficulty_level: 'beginner',
+  time_spent_minutes: 4.5,
+  upvotes: 12,
+  views: 300,
+  engagement_score: 0.4,
+  trending_score: 0.6
+};
+
+try {
+  const db = new Database(':memory:');
+  applyMigrations(db);
+  db.pragma('foreign_keys = ON');
+
+  // Test 1: Create
+  console.log('1️⃣ Testing create...');
+  const created = createContent(db, record);
+  assert(created.content, `A valid record should be created, got ${JSON.stringify(created.errors)}`);
+  const { id } = created.content;
+  assert(created.content.category === 'Style Principles' && created.content.source === 'Instagram', 'Lookups should resolve by key or display name');
+  assert(created.content.url === record.url && created.content.upvotes === 12, 'Fields should be stored as given');
+  const row = db.prepare('SELECT canonical_url FROM content WHERE id = ?').get(id);
+  assert(row.canonical_url === 'https://instagram.com/p/AAA111', `canonical_url should be derived, got ${row.canonical_url}`);
+  assert(db.prepare('SELECT COUNT(*) AS count FROM content_fts WHERE content_fts MATCH ?').get('principles').count === 1, 'New content should be searchable');
+  const minimal = createContent(db, { category: 'Capsule Wardrobe', url: 'https://example.com/capsule', source: 'Substack' });
+  assert(minimal.content && minimal.content.views === 0 && minimal.content.engagement_score === null, 'Missing fields should take the column defaults');
+  console.log('✅ Records are created with lookups, canonical URLs and defaults');
+
+  // Test 2: Validation
+  console.log('\n2️⃣ Testing validation...');
+  assert(fieldsOf(createContent(db, { ...record, url: 'ftp://a', views: -1, engagement_score: 2 })) === 'engagement_score,url,views', 'Invalid values should be reported per field');
+  assert(fieldsOf(createContent(db, { url: 'https://example.com/x' })) === 'category,source', 'Required fields should be enforced');
+  assert(fieldsOf(createContent(db, { ...record, url: 'https://example.com/y', color: 'red', id: 3 })) === 'color,id', 'Unknown fields should be rejected');
+  assert(fieldsOf(createContent(db, { ...record, url: 'https://example.com/z', source: 'Myspace' })) === 'source', 'Unknown sources should be rejected');
+  assert(fieldsOf(createContent(db, { ...record, url: 42, upvotes: '3' })) === 'upvotes,url', 'Values should have the right types');
+  assert(fieldsOf(createContent(db, [])) === 'body', 'The payload should be an object');
+
+  const duplicate = createContent(db, { ...record, url: 'https://instagram.com/p/AAA111/' });
+  assert(duplicate.duplicateOf === id && fieldsOf(duplicate) === 'url', 'A URL with the same canonical form should be reported as a duplicate');
+  assert(db.prepare('SELECT COUNT(*) AS count FROM content').get().count === 2, 'Rejected records should not be written');
+  console.log('✅ Invalid, unknown and duplicate values are rejected');
+
+  // Test 3: Update
+  console.log('\n3️⃣ Testing updates...');
+  db.prepare("UPDATE content SET updated_at = '2000-01-01 00:00:00' WHERE id = ?").run(id);
+  const patched = updateContent(db, id, { category: 'Body Positivity', upvotes: 20 }, { partial: true });
+  assert(patched.content.category === 'Body Positivity' && patched.content.upvotes === 20 && patched.content.views === 300, 'PATCH should only change the fields sent');
+  assert(patched.content.updated_at > '2000-01-01 00:00:00', 'updated_at should be maintained by the trigger');
+
+  db.prepare("UPDATE content SET updated_at = '2000-01-01 00:00:00' WHERE id = ?").run(id);
+  updateContent(db, id, { upvotes: 20 }, { partial: true });
+  assert(getContent(db, id).updated_at === '2000-01-01 00:00:00', 'Updates that change nothing should keep updated_at');
+
+  const replaced = updateContent(db, id, { category: 'Style Principles', url: record.url, source: 'TikTok' });
+  assert(replaced.content.source === 'TikTok' && replaced.content.views === 0 && replaced.content.content_type === null, 'PUT should replace the whole record');
+  assert(fieldsOf(updateContent(db, id, { source: '' }, { partial: true })) === 'source', 'PATCH should still enforce required fields it sends');
+  assert(updateContent(db, id, { url: record.url }, { partial: true }).content, 'Content should not conflict with its own URL');
+  assert(updateContent(db, minimal.content.id, { url: record.url }, { partial: true }).duplicateOf === id, 'Updates should not take another row\'s URL');
+  assert(updateContent(db, 999, { views: 1 }, { partial: true }) === null, 'Unknown ids should return null');
+  console.log('✅ PUT replaces, PATCH merges and updated_at follows changes');
+
+  // Test 4: Soft delete and restore
+  console.log('\n4️⃣ Testing delete and restore...');
+  const historyCount = () => db.prepare('SELECT COUNT(*) AS count FROM content_metrics_history WHERE content_id = ?').get(id).count;
+  const historyBefore = historyCount();
+  assert(deleteContent(db, id, { actor: 'alice' }) === true && getContent(db, id) === null, 'Deleted content should be hidden');
+  assert(getContent(db, id, { includeDeleted: true }).deleted_at !== null, 'Deleted content should still be readable on request');
+  assert(historyBefore > 0 && historyCount() === historyBefore, 'Its metric history should be kept');
+  assert(deleteContent(db, id) === false, 'Deleting twice should report nothing deleted');
+  assert(updateContent(db, id, { views: 1 }, { partial: true }) === null, 'Deleted content should not be updated');
+  const reused = createContent(db, { ...record, url: 'https://instagram.com/p/AAA111' });
+  assert(reused.duplicateOf === id && /restore/.test(reused.errors[0].message), 'A deleted row\'s URL should point to restoring it');
+
+  importContent(db, [{ ...record, views: 999 }], { actor: 'nightly' });
+  const imported = getContent(db, id, { includeDeleted: true });
+  assert(imported.views === 999 && imported.deleted_at !== null, 'Imports should update deleted rows without restoring them');
+
+  const restored = restoreContent(db, id, { actor: 'alice' });
+  assert(restored && restored.deleted_at === null && getContent(db, id), 'Restored content should be visible again');
+  assert(restoreContent(db, id).id === id, 'Restoring content that is not deleted should return it unchanged');
+  assert(restoreContent(db, 999) === null, 'Restoring unknown ids should return null');
+  console.log('✅ Deleted content is hidden, kept and restorable');
+
+  // Test 5: Audit log
+  console.log('\n5️⃣ Testing the audit log...');
+  const history = getAuditLog(db, { contentId: id }).entries;
+  const actions = history.map(entry => `${entry.action}:${entry.actor}`).reverse();
+  assert(actions.join(',') === 'insert:system,update:system,update:system,delete:alice,update:nightly,restore:alice',
+    `Every change should be recorded once with its actor, got ${actions.join(',')}`);
+  const [restoreEntry, importEntry] = history;
+  assert(restoreEntry.changes.join(',') === 'deleted_at' && restoreEntry.after.deleted_at === null, 'Entries should list the changed fields');
+  assert(importEntry.before.views === 0 && importEntry.after.views === 999, 'Entries should keep the values before and after');
+  assert(history[history.length - 1].before === null && history[history.length - 1].after.source === 'Instagram', 'Inserts should record the new row');
+
+  const firstPage = getAuditLog(db, { limit: 2 });
+  const secondPage = getAuditLog(db, { limit: 2, before: firstPage.nextBefore });
+  assert(firstPage.entries.length === 2 && secondPage.entries[0].id < firstPage.entries[1].id, 'Pages should continue from nextBefore');
+  assert(getAuditLog(db, { action: 'delete' }).entries.every(entry => entry.action === 'delete'), 'Entries should filter by action');
+  assert(getAuditLog(db, { actor: 'nightly' }).entries.length === 1, 'Entries should filter by actor');
+  console.log('✅ Inserts, updates, deletes and restores are recorded with their actor');
+
+  // Test 6: Tags
+  console.log('\n6️⃣ Testing tags...');
+  const tagged = createContent(db, { ...record, category: 'Capsule Wardrobe', url: 'https://example.com/tagged', tags: ['Minimalism', 'style principles'] });
+  const taggedId = tagged.content.id;
+  const indexedTags = () => db.prepare('SELECT tags FROM content_fts WHERE rowid = ?').get(taggedId).tags;
+  assert(JSON.stringify(tagged.content.tags) === '["Style Principles","Capsule Wardrobe","Minimalism"]', `Content should carry its category and the given tags, got ${JSON.stringify(tagged.content.tags)}`);
+  assert(db.prepare('SELECT COUNT(*) AS count FROM tags WHERE key = ?').get('minimalism').count === 1, 'Unknown tags should be created');
+  assert(indexedTags() === 'Style Principles, Capsule Wardrobe, Minimalism', `Tags should be indexed for search in display order, got ${indexedTags()}`);
+
+  db.prepare("UPDATE content SET updated_at = '2000-01-01 00:00:00' WHERE id = ?").run(taggedId);
+  const retagged = updateContent(db, taggedId, { tags: 'Body Positivity; Minimalism' }, { partial: true, actor: 'bob' });
+  assert(JSON.stringify(retagged.content.tags) === '["Capsule Wardrobe","Body Positivity","Minimalism"]', 'Given tags should replace the current ones');
+  assert(retagged.content.updated_at > '2000-01-01 00:00:00', 'Changing tags should update updated_at');
+  const [tagEntry] = getAuditLog(db, { contentId: taggedId }).entries;
+  assert(tagEntry.actor === 'bob' && tagEntry.changes.join() === 'tags' && tagEntry.before.tags.length === 3, 'Tag changes should be audited');
+  assert(indexedTags() === 'Capsule Wardrobe, Body Positivity, Minimalism', 'Replaced tags should be reindexed');
+  assert(updateContent(db, taggedId, { category: 'Style Principles' }, { partial: true }).content.tags.length === 4, 'A new category should be added to the current tags');
+  assert(indexedTags().split(', ').length === 4, 'A category change should keep the tags indexed');
+  assert(JSON.stringify(updateContent(db, taggedId, { tags: [] }, { partial: true }).content.tags) === '["Style Principles"]', 'Clearing tags should keep the category');
+  assert(indexedTags() === 'Style Principles', 'Cleared tags should be removed from the index');
+  assert(fieldsOf(createContent(db, { ...record, url: 'https://example.com/bad-tags', tags: [1] })) === 'tags', 'Tags should be strings');
+  const manyTags = Array.from({ length: 21 }, (_, index) => `Tag ${index}`);
+  assert(fieldsOf(updateContent(db, taggedId, { tags: manyTags }, { partial: true })) === 'tags', 'Too many tags should be rejected');
+
+  importContent(db, [{ ...record, url: 'https://example.com/tagged', tags: 'Minimalism' }]);
+  assert(JSON.stringify(getContent(db, taggedId).tags) === '["Style Principles","Minimalism"]', 'Imports should replace tags when given');
+  importContent(db, [{ ...record, url: 'https://example.com/tagged', category: 'Body Positivity' }]);
+  assert(getContent(db, taggedId).tags.join() === 'Style Principles,Body Positivity,Minimalism', 'Imports without tags should keep them');
+  db.prepare("UPDATE tags SET display_name = 'Minimal Living' WHERE key = 'minimalism'").run();
+  assert(indexedTags() === 'Style Principles, Body Positivity, Minimal Living', 'Renamed tags should be reindexed');
+  assert(db.prepare('SELECT rowid FROM content_fts WHERE content_fts MATCH ?').all('living').map(match => match.rowid).join() === String(taggedId), 'Content should be searchable by tag');
+  console.log('✅ Tags are created, replaced, validated, audited and indexed for search');
+
+  db.close();
+  console.log('\n🎉 All content write tests passed!');
+} catch (error) {
+  console.error('❌ Content write test failed:', error.message);
+  process.exit(1);
+}
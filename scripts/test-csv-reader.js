@@ -0,0 +1,70 @@
+const { readCsv } = require('../lib/csv');
+const { recordsFromCsv } = require('../lib/importer');
+
+console.log('🧪 Testing CSV Reader...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+try {
+  // Test 1: Quoted fields
+  console.log('1️⃣ Testing quoted fields...');
+  const quoted = readCsv('Category,URL,Source\n"Style, Principles","https://a.com/1","Say ""hi"""\n');
+  assert(quoted.rows.length === 1, 'Expected one row');
+  assert(quoted.rows[0].values.category === 'Style, Principles', 'Comma inside quotes should be kept');
+  assert(quoted.rows[0].values.source === 'Say "hi"', 'Escaped quotes should be unescaped');
+  console.log('✅ Commas and escaped quotes inside quoted fields are preserved');
+
+  // Test 2: Line endings, BOM and embedded line breaks
+  console.log('\n2️⃣ Testing line endings...');
+  const crlf = readCsv('\uFEFFCategory,URL,Source\r\n"Multi\r\nline",https://a.com/1,Instagram\r\n\r\nBasics,https://a.com/2,TikTok\r\n');
+  assert(crlf.headers[0] === 'category', 'BOM should be stripped from the first header');
+  assert(crlf.rows.length === 2, `Expected 2 rows, got ${crlf.rows.length}`);
+  assert(crlf.rows[0].values.category === 'Multi\r\nline', 'Line break inside quotes should be kept');
+  assert(crlf.rows[1].line === 5, `Second row should start on line 5, got ${crlf.rows[1].line}`);
+  console.log('✅ CRLF, BOM, blank lines and embedded line breaks handled');
+
+  // Test 3: Column order
+  console.log('\n3️⃣ Testing header mapping...');
+  const reordered = recordsFromCsv('Views,Source,URL,Category\n1200,Instagram,https://a.com/1,Basics\n');
+  assert(reordered.records[0].views === 1200, 'Views should map by header name');
+  assert(reordered.records[0].category === 'Basics', 'Category should map by header name');
+  assert(reordered.missingColumns.includes('upvotes'), 'Missing optional columns should be reported');
+  console.log('✅ Columns are mapped by header name regardless of order');
+
+  // Test 4: Row errors
+  console.log('\n4️⃣ Testing row error report...');
+  const bad = recordsFromCsv([
+    'Category,URL,Source,Views',
+    'Basics,https://a.com/1,Instagram,100',
+    'Basics,https://a.com/2,Instagram',
+    'Basics,https://a.com/3,Instagram,lots',
+    ',https://a.com/4,Instagram,10',
+    'Basics,"https://a.com/5,Instagram,10'
+  ].join('\n'));
+  assert(bad.records.length === 1, `Expected 1 valid record, got ${bad.records.length}`);
+  assert(bad.totalRows === 5, `Expected 5 rows in total, got ${bad.totalRows}`);
+  assert(bad.errors.map(e => e.line).join(',') === '3,4,5,6', 'Every rejected row should be reported by line');
+  bad.errors.forEach(error => console.log(`   line ${error.line}: ${error.reason}`));
+  console.log('✅ Rejected rows reported with line numbers and reasons');
+
+  // Test 5: Required columns
+  console.log('\n5️⃣ Testing required columns...');
+  let threw = false;
+  try {
+    recordsFromCsv('Category,Source\nBasics,Instagram\n');
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'Missing URL column should fail');
+  console.log('✅ Files without required columns are refused');
+
+  console.log('\n🎉 All CSV reader tests passed!');
+} catch (error) {
+  console.error('❌ CSV reader test failed:', error.message);
+  console.error('Stack trace:', error.stack);
+  process.exit(1);
+}
@@ -1,14 +1,17 @@
 const Database = require('better-sqlite3');
-const path = require('path');
+const { assertSchemaCurrent } = require('../lib/schema');
+const { getStorageConfig } = require('../lib/storage');
+const { CONTENT_JOINS } = require('../lib/storage/sqlite');
 
 console.log('🔌 Testing Database Connection...\n');
 
-const dbPath = path.join(process.cwd(), 'data', 'fashion_dashboard.db');
+const dbPath = getStorageConfig().sqlitePath;
 
 try {
   // Test database connection
   console.log('1️⃣ Connecting to database...');
-  const db = new Database(dbPath);
+  const db = new Database(dbPath, { fileMustExist: true });
+  assertSchemaCurrent(db);
   console.log('✅ Database connection successful');
 
   // Test basic query
@@ -18,17 +21,17 @@ try {
 
   // Test data retrieval
   console.log('\n3️⃣ Testing data retrieval...');
-  const sampleData = db.prepare('SELECT * FROM content LIMIT 3').all();
+  const sampleData = db.prepare(`SELECT c.*, src.display_name AS source FROM content c ${CONTENT_JOINS} LIMIT 3`).all();
   console.log(`✅ Retrieved ${sampleData.length} sample records`);
 
   // Test filtering
   console.log('\n4️⃣ Testing filtering...');
-  const instagramData = db.prepare('SELECT COUNT(*) as count FROM content WHERE source = ?').get('Instagram');
+  const instagramData = db.prepare(`SELECT COUNT(*) as count FROM content c ${CONTENT_JOINS} WHERE src.key = ?`).get('instagram');
   console.log(`✅ Instagram records: ${instagramData.count}`);
 
   // Test search
   console.log('\n5️⃣ Testing search...');
-  const searchResults = db.prepare('SELECT COUNT(*) as count FROM content WHERE category LIKE ?').get('%Fashion%');
+  const searchResults = db.prepare(`SELECT COUNT(*) as count FROM content c ${CONTENT_JOINS} WHERE cat.display_name LIKE ?`).get('%Fashion%');
   console.log(`✅ Search results: ${searchResults.count}`);
 
   // Test aggregation
@@ -1,80 +1,104 @@
 // Test the database utility functions
-const { getAllContent, searchContent, getContentStats, getCategories, getSources } = require('../lib/database');
+const { getAllContent, searchContent, getContentStats, getAggregates, getCategories, getSources, getMetricsTrends, getStorage } = require('../lib/database');
 
 console.log('🧪 Testing Database Utility Functions...\n');
 
-try {
-  // Test 1: Get all content
-  console.log('1️⃣ Testing getAllContent()...');
-  const allContent = getAllContent();
-  console.log(`✅ Retrieved ${allContent.length} records`);
+async function runTests() {
+  try {
+    // Test 1: Get all content
+    console.log('1️⃣ Testing getAllContent()...');
+    const allContent = await getAllContent();
+    console.log(`✅ Retrieved ${allContent.items.length} of ${allContent.total} records`);
   
-  if (allContent.length > 0) {
-    const sample = allContent[0];
-    console.log(`   Sample record: ${sample.category} - ${sample.source} (Score: ${sample.engagement_score})`);
-  }
+    if (allContent.items.length > 0) {
+      const sample = allContent.items[0];
+      console.log(`   Sample record: ${sample.category} - ${sample.source} (Score: ${sample.engagement_score})`);
+    }
 
-  // Test 2: Test filtering
-  console.log('\n2️⃣ Testing filtering...');
-  const instagramContent = getAllContent({ source: 'Instagram' });
-  console.log(`✅ Instagram content: ${instagramContent.length} records`);
+    // Test 2: Test filtering
+    console.log('\n2️⃣ Testing filtering...');
+    const instagramContent = await getAllContent({ source: 'Instagram' });
+    console.log(`✅ Instagram content: ${instagramContent.total} records`);
   
-  const stylePrinciples = getAllContent({ category: 'Style Principles' });
-  console.log(`✅ Style Principles content: ${stylePrinciples.length} records`);
+    const stylePrinciples = await getAllContent({ category: 'Style Principles' });
+    console.log(`✅ Style Principles content: ${stylePrinciples.total} records`);
 
-  // Test 3: Test search
-  console.log('\n3️⃣ Testing search functionality...');
-  const searchResults = searchContent('fashion');
-  console.log(`✅ Search results for "fashion": ${searchResults.length} records`);
+    // Test 3: Test search
+    console.log('\n3️⃣ Testing search functionality...');
+    const searchResults = await searchContent('fashion');
+    console.log(`✅ Search results for "fashion": ${searchResults.total} records`);
   
-  const instagramSearch = searchContent('instagram', { source: 'Instagram' });
-  console.log(`✅ Instagram search results: ${instagramSearch.length} records`);
+    const instagramSearch = await searchContent('instagram', { source: 'Instagram' });
+    console.log(`✅ Instagram search results: ${instagramSearch.total} records`);
 
-  // Test 4: Test statistics
-  console.log('\n4️⃣ Testing statistics...');
-  const stats = getContentStats();
-  console.log('✅ Content statistics:');
-  console.log(`   - Total content: ${stats.totalContent}`);
-  console.log(`   - Average time spent: ${stats.avgTimeSpent} minutes`);
-  console.log(`   - Total upvotes: ${stats.totalUpvotes}`);
-  console.log(`   - Total views: ${stats.totalViews}`);
+    // Test 4: Test statistics
+    console.log('\n4️⃣ Testing statistics...');
+    const stats = await getContentStats();
+    console.log('✅ Content statistics:');
+    console.log(`   - Total content: ${stats.totalContent}`);
+    console.log(`   - Average time spent: ${stats.avgTimeSpent} minutes`);
+    console.log(`   - Total upvotes: ${stats.totalUpvotes}`);
+    console.log(`   - Total views: ${stats.totalViews}`);
 
-  // Test 5: Test categories
-  console.log('\n5️⃣ Testing categories...');
-  const categories = getCategories();
-  console.log(`✅ Found ${categories.length} categories:`);
-  categories.slice(0, 5).forEach(cat => console.log(`   - ${cat}`));
-  if (categories.length > 5) {
-    console.log(`   ... and ${categories.length - 5} more`);
-  }
+    // Test 5: Test categories
+    console.log('\n5️⃣ Testing categories...');
+    const categories = await getCategories();
+    console.log(`✅ Found ${categories.length} categories:`);
+    categories.slice(0, 5).forEach(cat => console.log(`   - ${cat.displayName} (${cat.color})`));
+    if (categories.length > 5) {
+      console.log(`   ... and ${categories.length - 5} more`);
+    }
+
+    // Test 6: Test sources
+    console.log('\n6️⃣ Testing sources...');
+    const sources = await getSources();
+    console.log(`✅ Found ${sources.length} sources:`);
+    sources.forEach(source => console.log(`   - ${source.displayName} (${source.color})`));
+
+    // Test 7: Test pagination
+    console.log('\n7️⃣ Testing pagination...');
+    const firstPage = await getAllContent({ limit: 5 });
+    const secondPage = await getAllContent({ limit: 5, cursor: firstPage.nextCursor });
+    console.log(`✅ Paginated results (limit 5, second page): ${secondPage.items.length} records`);
+    if (secondPage.items.some(item => firstPage.items.some(seen => seen.id === item.id))) {
+      throw new Error('Pages should not overlap');
+    }
 
-  // Test 6: Test sources
-  console.log('\n6️⃣ Testing sources...');
-  const sources = getSources();
-  console.log(`✅ Found ${sources.length} sources:`);
-  sources.forEach(source => console.log(`   - ${source}`));
+    // Test 8: Test complex filtering
+    console.log('\n8️⃣ Testing complex filtering...');
+    const complexFilter = await getAllContent({ 
+      category: 'Body Positivity', 
+      source: 'Instagram',
+      limit: 3
+    });
+    console.log(`✅ Complex filter results: ${complexFilter.items.length} records`);
 
-  // Test 7: Test pagination
-  console.log('\n7️⃣ Testing pagination...');
-  const paginated = getAllContent({ limit: 5, offset: 10 });
-  console.log(`✅ Paginated results (limit 5, offset 10): ${paginated.length} records`);
+    // Test 9: Test metric trends
+    console.log('\n9️⃣ Testing metric trends...');
+    const categoryTrends = getMetricsTrends({ groupBy: 'category', interval: 'day' });
+    console.log(`✅ Category trend series: ${categoryTrends.length}`);
 
-  // Test 8: Test complex filtering
-  console.log('\n8️⃣ Testing complex filtering...');
-  const complexFilter = getAllContent({ 
-    category: 'Body Positivity', 
-    source: 'Instagram',
-    limit: 3
-  });
-  console.log(`✅ Complex filter results: ${complexFilter.length} records`);
+    const weeklySourceTrends = getMetricsTrends({ groupBy: 'source', interval: 'week' });
+    weeklySourceTrends.forEach(series => {
+      console.log(`   ${series.key}: ${series.points.length} weekly points`);
+    });
 
-  console.log('\n🎉 All database utility function tests passed!');
-  console.log('✅ Database utility functions are working correctly');
-  console.log('✅ API endpoints should work properly');
-  console.log('✅ The SQLite implementation is fully functional');
+    // Test 10: Test aggregates
+    console.log('\n🔟 Testing aggregates...');
+    const aggregates = await getAggregates({ source: 'Instagram' });
+    console.log(`✅ Instagram aggregates: ${aggregates.totals.totalContent} records in ${aggregates.byCategory.filter(group => group.count > 0).length} categories`);
+    console.log(`   Top by time spent: ${aggregates.topTimeSpent.slice(0, 3).map(item => item.time_spent_minutes).join(', ')} minutes`);
 
-} catch (error) {
-  console.error('❌ Database utility test failed:', error.message);
-  console.error('Stack trace:', error.stack);
-  process.exit(1);
+    console.log('\n🎉 All database utility function tests passed!');
+    console.log('✅ Database utility functions are working correctly');
+    console.log('✅ API endpoints should work properly');
+    console.log(`✅ The ${getStorage().driver} storage adapter is fully functional`);
+
+  } catch (error) {
+    console.error('❌ Database utility test failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
 }
+
+runTests();
@@ -1,43 +1,29 @@
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
+const { applyMigrations, assertSchemaCurrent } = require('../lib/schema');
+const { getStorageConfig } = require('../lib/storage');
+const { CONTENT_JOINS } = require('../lib/storage/sqlite');
 
 console.log('🧪 Testing SQLite Database Implementation...\n');
 
 // Test database path
-const dbPath = path.join(process.cwd(), 'data', 'fashion_dashboard.db');
+const dbPath = getStorageConfig().sqlitePath;
 
 try {
   // Test 1: Check if database exists
   console.log('1️⃣ Checking if database exists...');
-  const fs = require('fs');
   if (!fs.existsSync(dbPath)) {
     console.log('❌ Database not found. Creating it now...');
     // Create data directory
-    const dbDir = path.join(process.cwd(), 'data');
+    const dbDir = path.dirname(dbPath);
     if (!fs.existsSync(dbDir)) {
       fs.mkdirSync(dbDir, { recursive: true });
     }
     
-    // Create database and table
+    // Create database and schema
     const db = new Database(dbPath);
-    const createTableSQL = `
-    CREATE TABLE IF NOT EXISTS content (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      category VARCHAR(255) NOT NULL,
-      url TEXT NOT NULL,
-      source VARCHAR(100) NOT NULL,
-      time_spent_minutes DECIMAL(5,2),
-      upvotes INTEGER DEFAULT 0,
-      views INTEGER DEFAULT 0,
-      engagement_score DECIMAL(3,2),
-      content_type VARCHAR(100),
-      difficulty_level VARCHAR(50),
-      trending_score DECIMAL(3,2),
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-    `;
-    db.exec(createTableSQL);
+    applyMigrations(db);
     console.log('✅ Database created successfully');
     db.close();
   } else {
@@ -47,6 +33,7 @@ try {
   // Test 2: Connect to database
   console.log('\n2️⃣ Testing database connection...');
   const db = new Database(dbPath);
+  assertSchemaCurrent(db);
   console.log('✅ Database connection successful');
 
   // Test 3: Check table structure
@@ -65,7 +52,11 @@ try {
   if (count.count > 0) {
     // Test 5: Sample data query
     console.log('\n5️⃣ Testing data queries...');
-    const sampleData = db.prepare('SELECT * FROM content LIMIT 3').all();
+    const sampleData = db.prepare(`
+      SELECT cat.display_name AS category, src.display_name AS source, c.engagement_score
+      FROM content c ${CONTENT_JOINS}
+      LIMIT 3
+    `).all();
     console.log('✅ Sample data retrieved:');
     sampleData.forEach((item, index) => {
       console.log(`   ${index + 1}. ${item.category} - ${item.source} (Score: ${item.engagement_score})`);
@@ -73,7 +64,7 @@ try {
 
     // Test 6: Test filtering
     console.log('\n6️⃣ Testing filtering...');
-    const instagramData = db.prepare('SELECT COUNT(*) as count FROM content WHERE source = ?').get('Instagram');
+    const instagramData = db.prepare(`SELECT COUNT(*) as count FROM content c ${CONTENT_JOINS} WHERE src.key = ?`).get('instagram');
     console.log(`✅ Instagram content: ${instagramData.count} records`);
 
     const highEngagement = db.prepare('SELECT COUNT(*) as count FROM content WHERE engagement_score > 0.9').get();
@@ -81,7 +72,7 @@ try {
 
     // Test 7: Test search functionality
     console.log('\n7️⃣ Testing search functionality...');
-    const searchResults = db.prepare('SELECT COUNT(*) as count FROM content WHERE category LIKE ?').get('%Fashion%');
+    const searchResults = db.prepare(`SELECT COUNT(*) as count FROM content c ${CONTENT_JOINS} WHERE cat.display_name LIKE ?`).get('%Fashion%');
     console.log(`✅ Search results for "Fashion": ${searchResults.count} records`);
 
     // Test 8: Test aggregation
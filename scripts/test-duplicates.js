@@ -0,0 +1,152 @@
+const Database = require('better-sqlite3');
+const { applyMigrations } = require('../lib/schema');
+const { canonicalizeUrl, extractContentId } = require('../lib/urls');
+const { findDuplicates, mergeDuplicates, applyMigrationsMergingDuplicates } = require('../lib/duplicates');
+const { deleteContent, restoreContent } = require('../lib/content');
+const { setContentTags } = require('../lib/tags');
+
+console.log('🧪 Testing URL Canonicalization and Duplicates...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function assertSame(urls, expected) {
+  urls.forEach(url => {
+    const canonical = canonicalizeUrl(url);
+    assert(canonical === expected, `${url} should canonicalize to ${expected}, got ${canonical}`);
+  });
+}
+
+try {
+  // Test 1: Platform ids
+  console.log('1️⃣ Testing platform-aware canonicalization...');
+  assertSame([
+    'https://www.instagram.com/reel/DOxv97ZisjR/',
+    'https://www.instagram.com/reel/DOxv97ZisjR?igsh=MWZ4',
+    'https://instagram.com/p/DOxv97ZisjR',
+    'https://www.instagram.com/someone/reel/DOxv97ZisjR/?hl=ar'
+  ], 'https://instagram.com/p/DOxv97ZisjR');
+  assertSame([
+    'https://www.tiktok.com/@stylingwithkenzie/video/7477320164615212319',
+    'https://www.tiktok.com/@renamed/video/7477320164615212319?is_from_webapp=1&sender_device=pc'
+  ], 'https://tiktok.com/video/7477320164615212319');
+  assertSame([
+    'https://substack.com/home/post/p-149560490?utm_campaign=post&utm_medium=web',
+    'https://substack.com/@writer/p-149560490'
+  ], 'https://substack.com/home/post/p-149560490');
+  assertSame([
+    'https://fashionchitchat.substack.com/p/i-have-nothing-to-wear?utm_campaign=post&r=1x',
+    'https://FashionChitChat.substack.com/p/i-have-nothing-to-wear/'
+  ], 'https://fashionchitchat.substack.com/p/i-have-nothing-to-wear');
+  assertSame(['https://www.Example.com/a/?b=2&utm_source=x&a=1#top'], 'https://example.com/a?a=1&b=2');
+  assert(extractContentId('https://www.tiktok.com/@a/video/42').id === '42', 'TikTok id should be extracted');
+  assert(extractContentId('https://example.com/p/abc') === null, 'Unknown platforms have no content id');
+  console.log('✅ Variants of the same post share one canonical URL');
+
+  // Test 2: Unique canonical URL
+  console.log('\n2️⃣ Testing unique index...');
+  const db = new Database(':memory:');
+  applyMigrations(db);
+  db.prepare('INSERT INTO categories (key, display_name) VALUES (?, ?)').run('basics', 'Basics');
+  const insert = (url, canonicalUrl) => db
+    .prepare('INSERT INTO content (category_id, url, source_id, canonical_url) VALUES (1, ?, 1, ?)')
+    .run(url, canonicalUrl);
+  insert('https://www.instagram.com/reel/abc/', 'https://instagram.com/p/abc');
+  let rejected = false;
+  try {
+    insert('https://instagram.com/p/abc', 'https://instagram.com/p/abc');
+  } catch (error) {
+    rejected = /UNIQUE constraint failed/.test(error.message);
+  }
+  assert(rejected, 'A second row with the same canonical URL should be refused');
+  console.log('✅ The database refuses a second row for the same content');
+
+  // Test 3: Report and merge rows that already collide
+  console.log('\n3️⃣ Testing duplicate merge...');
+  db.exec('DROP INDEX idx_content_canonical_url');
+  insert('https://www.instagram.com/reel/abc/?igsh=x', 'legacy');
+  db.prepare('UPDATE content SET engagement_score = 0.5 WHERE id = 2').run();
+  db.prepare('UPDATE content SET removed_at = CURRENT_TIMESTAMP WHERE id = 1').run();
+
+  const groups = findDuplicates(db);
+  assert(groups.length === 1 && groups[0].keep.id === 1, 'The oldest row should be kept');
+  assert(groups[0].duplicates.map(row => row.id).join() === '2', 'The newer row should be merged');
+
+  setContentTags(db, 2, ['Capsule']);
+  mergeDuplicates(db, groups, { actor: 'test' });
+  const [kept, merged] = db.prepare('SELECT * FROM content ORDER BY id').all();
+  assert(kept.engagement_score === 0.5, 'Empty values should be filled from the duplicate');
+  assert(kept.removed_at === null && kept.deleted_at === null, 'The kept row should be active when a duplicate was');
+  assert(kept.canonical_url === 'https://instagram.com/p/abc', 'The kept row should have the canonical URL');
+  assert(merged && merged.deleted_at !== null, 'The duplicate should be soft-deleted, not removed');
+  assert(merged.canonical_url === null, 'The duplicate should give up its canonical URL');
+  assert(db.prepare('SELECT COUNT(*) AS count FROM content_tags WHERE content_id = 2').get().count > 0, 'The duplicate should keep its tags');
+  const history = db.prepare('SELECT DISTINCT content_id FROM content_metrics_history').all();
+  assert(history.length === 1 && history[0].content_id === 1, 'Metric history should move to the kept row');
+  const audit = db.prepare('SELECT content_id, action, actor FROM content_audit ORDER BY id').all();
+  assert(audit.map(entry => `${entry.content_id}:${entry.action}:${entry.actor}`).join() === '2:delete:test,1:update:test', 'The merge should be in the audit log');
+  assert(findDuplicates(db).length === 0, 'No duplicates should remain');
+
+  let conflict = null;
+  try {
+    restoreContent(db, 2);
+  } catch (error) {
+    conflict = error;
+  }
+  assert(conflict && conflict.code === 'conflict' && conflict.details.duplicateOf === 1, 'A merged duplicate should not be restored next to the kept row');
+  deleteContent(db, 1);
+  db.prepare('DELETE FROM content WHERE id = 1').run();
+  assert(restoreContent(db, 2).deleted_at === null, 'A merged duplicate should be restored once the kept row is gone');
+  assert(db.prepare('SELECT canonical_url FROM content WHERE id = 2').get().canonical_url === 'https://instagram.com/p/abc', 'A restored duplicate should take its canonical URL back');
+  db.close();
+  console.log('✅ Duplicates are merged into the oldest row with their history');
+
+  // Test 4: Migration 008 leaves colliding rows to the merge command
+  console.log('\n4️⃣ Testing migration of colliding rows...');
+  const legacy = new Database(':memory:');
+  applyMigrations(legacy, { target: 7 });
+  legacy.prepare('INSERT INTO categories (key, display_name) VALUES (?, ?)').run('basics', 'Basics');
+  ['https://www.tiktok.com/@a/video/42', 'https://example.com/post', 'https://www.tiktok.com/@b/video/42?lang=en']
+    .forEach(url => legacy.prepare('INSERT INTO content (category_id, url, source_id, canonical_url) VALUES (1, ?, 1, ?)').run(url, url));
+  let failure = null;
+  try {
+    applyMigrations(legacy);
+  } catch (error) {
+    failure = error.message;
+  }
+  assert(failure && failure.includes('https://tiktok.com/video/42 (ids 1, 3)'), `The migration should fail with the colliding ids, got ${failure}`);
+  assert(failure.includes('data:duplicates'), 'The failure should point to the merge command');
+  assert(legacy.prepare('SELECT COUNT(*) AS count FROM content').get().count === 3, 'The migration should not remove rows');
+  assert(legacy.prepare('SELECT MAX(version) AS version FROM schema_version').get().version === 7, 'The schema should stop before migration 8');
+
+  mergeDuplicates(legacy, findDuplicates(legacy));
+  const retired = legacy.prepare('SELECT canonical_url, removed_at FROM content WHERE id = 3').get();
+  assert(retired.canonical_url === null && retired.removed_at !== null, 'Before soft delete exists, duplicates should be marked removed');
+  applyMigrations(legacy);
+  assert(legacy.prepare('SELECT COUNT(*) AS count FROM content').get().count === 3, 'Merging should not remove rows');
+  assert(legacy.prepare('SELECT MAX(version) AS version FROM schema_version').get().version > 8, 'The migrations should apply after merging');
+  legacy.close();
+
+  // Setup merges them just before migration 8
+  const fresh = new Database(':memory:');
+  applyMigrations(fresh, { target: 5 });
+  fresh.prepare('INSERT INTO categories (key, display_name) VALUES (?, ?)').run('basics', 'Basics');
+  ['https://www.tiktok.com/@a/video/42', 'https://www.tiktok.com/@b/video/42?lang=en']
+    .forEach(url => fresh.prepare('INSERT INTO content (category_id, url, source_id, canonical_url) VALUES (1, ?, 1, ?)').run(url, url));
+  const setup = applyMigrationsMergingDuplicates(fresh, { actor: 'test' });
+  assert(setup.merged.merged === 1 && setup.applied[0].version === 6, 'Setup should merge the duplicates and apply every migration');
+  assert(fresh.prepare('SELECT MAX(version) AS version FROM schema_version').get().version === setup.applied[setup.applied.length - 1].version, 'Setup should reach the latest migration');
+  assert(fresh.prepare('SELECT removed_at FROM content WHERE id = 2').get().removed_at !== null, 'Setup should retire the duplicate');
+  assert(applyMigrationsMergingDuplicates(fresh).applied.length === 0, 'Setup should do nothing on a current database');
+  fresh.close();
+  console.log('✅ The migration fails with the colliding ids instead of merging them; setup merges them first');
+
+  console.log('\n🎉 All duplicate detection tests passed!');
+} catch (error) {
+  console.error('❌ Duplicate detection test failed:', error.message);
+  console.error('Stack trace:', error.stack);
+  process.exit(1);
+}
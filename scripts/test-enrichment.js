@@ -0,0 +1,118 @@
+const Database = require('better-sqlite3');
+const { applyMigrations } = require('../lib/schema');
+const { SCORE_VERSION, calculateEngagementScore, calculateTrendingScore, recomputeScores } = require('../lib/scoring');
+const { inferContentType, enrichContent } = require('../lib/enrichment');
+const { importRecords } = require('../lib/importer');
+
+console.log('🧪 Testing Content Enrichment...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const now = new Date('2026-10-19T00:00:00Z');
+
+try {
+  // Test 1: Score formulas
+  console.log('1️⃣ Testing score formulas...');
+  const engagement = calculateEngagementScore({ views: 4200, upvotes: 180, timeSpentMinutes: 6.5 });
+  assert(engagement === 0.64, `Expected engagement 0.64, got ${engagement}`);
+  assert(calculateEngagementScore({ views: 50000, upvotes: 3000, timeSpentMinutes: 60 }) === 1, 'Metrics above the caps should score 1');
+  const trending = calculateTrendingScore({ engagementScore: 0.64, daysOld: 9, growthRate: 1.2 });
+  assert(trending === 0.64, `Expected trending 0.64, got ${trending}`);
+  assert(calculateTrendingScore({ engagementScore: 1 }) === 0.6, 'Unknown age and growth should contribute nothing');
+  console.log('✅ Scores follow the documented formulas');
+
+  // Test 2: Content type inference
+  console.log('\n2️⃣ Testing content type inference...');
+  assert(inferContentType('https://www.instagram.com/reel/abc/') === 'Video', 'Instagram should be Video');
+  assert(inferContentType('https://www.tiktok.com/@a/video/1') === 'Video', 'TikTok should be Video');
+  assert(inferContentType('https://someone.substack.com/p/post') === 'Article', 'Substack should be Article');
+  assert(inferContentType('https://example.com/') === null, 'Unknown platforms should not be guessed');
+  console.log('✅ Content type is inferred from the platform');
+
+  // Test 3: Metrics file joined by canonical URL
+  console.log('\n3️⃣ Testing metrics join...');
+  const content = [
+    'Category,URL,Source',
+    'Basics,https://www.instagram.com/reel/abc/,Instagram',
+    'Basics,https://a.substack.com/p/post,Substack',
+    'Basics,https://www.tiktok.com/@a/video/1,TikTok',
+    'Basics,https://www.tiktok.com/@a/video/2,TikTok'
+  ].join('\n');
+  const metrics = [
+    'URL,Views,Likes,Comments,Time Spent (Minutes),Published At,Growth Rate',
+    'https://instagram.com/reel/abc?igsh=xyz,4200,180,12,6.5,2026-10-10,1.2',
+    'https://a.substack.com/p/post,100,5,1,4,,',
+    'https://www.tiktok.com/@a/video/1,100,,1,4,,'
+  ].join('\n');
+  const enriched = enrichContent(content, metrics, { now });
+  assert(enriched.records.length === 2, `Expected 2 records, got ${enriched.records.length}`);
+  assert(enriched.totalRows === 4, 'Every content row should count towards the total');
+  const reel = enriched.records[0];
+  assert(reel.upvotes === 180 && reel.engagement_score === 0.64 && reel.trending_score === 0.64, 'Reel should be scored from its metrics');
+  assert(reel.content_type === 'Video', 'Reel content type should be inferred');
+  assert(enriched.records[1].content_type === 'Article', 'Substack content type should be inferred');
+  console.log('✅ Metrics are matched by canonical URL and scored');
+
+  // Test 4: Rejected rows
+  console.log('\n4️⃣ Testing rejected rows...');
+  const reasons = enriched.errors.map(error => `${error.line}: ${error.reason}`);
+  assert(reasons.includes('4: missing metrics: likes'), 'Missing likes should be rejected, not defaulted');
+  assert(reasons.some(reason => reason.startsWith('5: no metrics')), 'Rows without metrics should be rejected');
+  console.log('✅ Rows without usable metrics are reported');
+
+  // Test 5: Inline metrics
+  console.log('\n5️⃣ Testing inline metrics...');
+  const inline = enrichContent(
+    'Category,URL,Source,Content Type,Views,Likes,Time Spent (Minutes)\nBasics,https://www.tiktok.com/@a/video/1,TikTok,Article,5000,300,20\n',
+    null,
+    { now }
+  );
+  assert(inline.records.length === 1, 'Inline metrics should be used');
+  assert(inline.records[0].engagement_score === 1, 'Inline metrics should be scored');
+  assert(inline.records[0].content_type === 'Article', 'An explicit content type should win over inference');
+  console.log('✅ Metric columns in the content file are used');
+
+  // Test 6: Scores are stored with their inputs and recomputed
+  console.log('\n6️⃣ Testing score storage and recalculation...');
+  const db = new Database(':memory:');
+  applyMigrations(db);
+  importRecords(db, enriched, { maxErrorRate: 1 });
+  const stored = db.prepare('SELECT * FROM content ORDER BY id').all();
+  assert(stored[0].published_at === '2026-10-10' && stored[0].growth_rate === 1.2, 'Score inputs should be stored');
+  assert(stored[0].score_version === SCORE_VERSION, 'Formula version should be stored');
+  db.prepare("UPDATE content SET engagement_score = 0.99, score_version = NULL WHERE id = ?").run(stored[0].id);
+  const dry = recomputeScores(db, { now, dryRun: true });
+  assert(dry.updated === 1, `Expected 1 change, got ${dry.updated}`);
+  assert(db.prepare('SELECT engagement_score FROM content WHERE id = ?').get(stored[0].id).engagement_score === 0.99, 'Dry run should not write');
+  recomputeScores(db, { now });
+  const rescored = db.prepare('SELECT engagement_score, score_version FROM content WHERE id = ?').get(stored[0].id);
+  assert(rescored.engagement_score === 0.64 && rescored.score_version === SCORE_VERSION, 'Scores should be regenerated from inputs');
+  assert(recomputeScores(db, { now }).updated === 0, 'A second run should change nothing');
+
+  // Rows imported with their scores as-is and without the inputs keep them
+  db.prepare(`
+    UPDATE content SET engagement_score = 0.89, trending_score = 0.92, score_version = NULL,
+      published_at = NULL, growth_rate = NULL
+    WHERE id = ?
+  `).run(stored[0].id);
+  [{ now }, { now, outdatedOnly: true }].forEach(options => {
+    const legacy = recomputeScores(db, options);
+    assert(legacy.updated === 0, `Legacy rows should not be rescored, got ${legacy.updated} changes`);
+    assert(legacy.skipped.length === 1 && legacy.skipped[0].id === stored[0].id, 'Legacy rows should be reported as skipped');
+    assert(legacy.skipped[0].missing.join() === 'published_at,growth_rate', 'Skipped rows should name their missing inputs');
+  });
+  const kept = db.prepare('SELECT engagement_score, trending_score, score_version FROM content WHERE id = ?').get(stored[0].id);
+  assert(kept.engagement_score === 0.89 && kept.trending_score === 0.92 && kept.score_version === null, 'Legacy scores should be unchanged');
+  db.close();
+  console.log('✅ Inputs and version are stored and scores regenerate from them');
+
+  console.log('\n🎉 All enrichment tests passed!');
+} catch (error) {
+  console.error('❌ Enrichment test failed:', error.message);
+  console.error('Stack trace:', error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,191 @@
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../lib/schema');
+const { ERROR_CODES, apiError, validationError, isApiError, databaseError, requestIdFromRequest, describeError } = require('../lib/errors');
+const { RATE_LIMITS, MAX_TRACKED_WINDOWS, clientKey, checkRateLimit, trackedWindows } = require('../lib/rate-limit');
+const { contentWriteError, readUpload, checkAdminToken, checkIncludeDeleted, checkWritable, queryFromParams } = require('../lib/api');
+
+console.log('🧪 Testing API Errors...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const request = (headers = {}, body, url = 'http://localhost/api/import') =>
+  new Request(url, { method: body === undefined ? 'GET' : 'POST', headers, body });
+
+// Runs fn and returns what it threw
+async function caught(fn) {
+  try {
+    await fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error to be thrown');
+}
+
+async function runTests() {
+  // Test 1: Error responses
+  console.log('1️⃣ Testing error responses...');
+  const notFound = describeError(apiError('not_found', 'Content not found'), 'req-1');
+  assert(notFound.status === 404 && notFound.body.code === 'not_found', 'API errors should keep their code and status');
+  assert(notFound.body.error === 'Content not found' && notFound.body.requestId === 'req-1', 'The body should carry the message and request id');
+  assert(notFound.headers['X-Request-Id'] === 'req-1', 'The request id should be sent as a header');
+  const invalid = describeError(validationError([{ field: 'limit', message: 'must be an integer' }]), 'req-2');
+  assert(invalid.status === 400 && invalid.body.error === 'limit must be an integer', 'Validation errors should join their fields');
+  assert(invalid.body.errors[0].field === 'limit', 'Field errors should stay in the body');
+  const originalError = console.error;
+  const logged = [];
+  console.error = (...args) => logged.push(args.join(' '));
+  let internal;
+  try {
+    internal = describeError(new Error('SQLITE_ERROR: no such column: secret'), 'req-3', 'Failed to load aggregates');
+  } finally {
+    console.error = originalError;
+  }
+  assert(internal.status === 500 && internal.body.code === 'internal_error', 'Unknown errors should be internal errors');
+  assert(internal.body.error === 'Failed to load aggregates', 'Internal errors should only send the fallback message');
+  assert(logged.length === 1 && logged[0].includes('req-3') && logged[0].includes('no such column'), 'Server errors should be logged with the request id');
+  assert(Object.values(ERROR_CODES).every(({ status, message }) => status >= 400 && message), 'Every code should have a status and message');
+  console.log('✅ Bodies carry error, code and requestId; internal details stay in the log');
+
+  // Test 2: Database errors
+  console.log('\n2️⃣ Testing database error mapping...');
+  const failure = (code) => Object.assign(new Error('driver failure'), { code });
+  ['SQLITE_BUSY', 'SQLITE_CANTOPEN', 'ECONNREFUSED', '08006', '57P01', '53300'].forEach(code => {
+    assert(databaseError(failure(code), 'Failed to fetch tags').code === 'database_unavailable', `${code} should mean the database is unavailable`);
+  });
+  const plain = databaseError(failure('SQLITE_CONSTRAINT'), 'Failed to fetch tags');
+  assert(!isApiError(plain) && plain.message === 'Failed to fetch tags', 'Other driver errors should become the operation message');
+  const known = apiError('not_found');
+  assert(databaseError(known, 'Failed to fetch tags') === known, 'API errors should pass through');
+  const db = new Database(':memory:');
+  const outdated = await caught(() => assertSchemaCurrent(db));
+  db.close();
+  assert(outdated.code === 'schema_outdated' && outdated.status === 503, 'A missing schema should be schema_outdated');
+  assert(outdated.details.currentVersion === 0 && outdated.details.expectedVersion > 0, 'Schema errors should list both versions');
+  console.log('✅ Connection failures are database_unavailable and old schemas are schema_outdated');
+
+  // Test 3: Request errors
+  console.log('\n3️⃣ Testing request errors...');
+  assert(requestIdFromRequest(request({ 'x-request-id': 'edge-42.a' })) === 'edge-42.a', 'A sane X-Request-Id should be kept');
+  assert(/^[0-9a-f-]{36}$/.test(requestIdFromRequest(request({ 'x-request-id': 'bad id <script>' }))), 'Other ids should be replaced');
+  assert(requestIdFromRequest(request()) !== requestIdFromRequest(request()), 'New ids should be unique');
+  const duplicate = contentWriteError({ errors: [{ field: 'url', message: 'is already used' }], duplicateOf: 7 });
+  assert(duplicate.code === 'conflict' && duplicate.details.duplicateOf === 7, 'Duplicates should be conflicts');
+  assert(contentWriteError({ errors: [{ field: 'url', message: 'is required' }] }).code === 'validation_failed', 'Invalid fields should fail validation');
+  assert((await caught(() => readUpload(request({ 'content-type': 'text/csv' }, ' ')))).code === 'validation_failed', 'Empty uploads should be rejected');
+  assert((await caught(() => readUpload(request({ 'content-type': 'image/png' }, 'x')))).code === 'unsupported_media_type', 'Unknown formats should be rejected');
+  assert((await caught(() => readUpload(request({ 'content-length': String(1024 ** 3) }, 'x')))).code === 'payload_too_large', 'Large uploads should be rejected');
+  const savedToken = process.env.ADMIN_TOKEN;
+  process.env.ADMIN_TOKEN = 'secret';
+  try {
+    assert(checkAdminToken(request()).code === 'unauthorized', 'A missing token should be unauthorized');
+    assert(checkAdminToken(request({ authorization: 'Bearer secret' })) === null, 'The right token should pass');
+
+    // Listings, exports and aggregates only show deleted rows to admins
+    const withDeleted = queryFromParams('listContent', new URLSearchParams('includeDeleted=true')).values;
+    const withoutDeleted = queryFromParams('listContent', new URLSearchParams('limit=5')).values;
+    const anonymous = checkIncludeDeleted(request(), withDeleted);
+    assert(anonymous && anonymous.code === 'unauthorized' && anonymous.status === 401, 'includeDeleted without the admin token should be unauthorized');
+    assert(checkIncludeDeleted(request({ authorization: 'Bearer nope' }), withDeleted).code === 'unauthorized', 'includeDeleted with a wrong token should be unauthorized');
+    assert(checkIncludeDeleted(request({ authorization: 'Bearer secret' }), withDeleted) === null, 'Admins should see deleted rows');
+    assert(checkIncludeDeleted(request(), withoutDeleted) === null, 'Listings without includeDeleted should stay public');
+  } finally {
+    if (savedToken === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = savedToken;
+  }
+  const savedEnv = process.env.NODE_ENV;
+  try {
+    delete process.env.ADMIN_TOKEN;
+    process.env.NODE_ENV = 'production';
+    const withDeleted = queryFromParams('getContent', new URLSearchParams('includeDeleted=true')).values;
+    assert(checkIncludeDeleted(request(), withDeleted).code === 'forbidden', 'includeDeleted should be refused while admin endpoints are disabled');
+  } finally {
+    if (savedEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = savedEnv;
+    if (savedToken === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = savedToken;
+  }
+  const savedStorage = { STORAGE_DRIVER: process.env.STORAGE_DRIVER, DATABASE_URL: process.env.DATABASE_URL };
+  try {
+    process.env.STORAGE_DRIVER = 'sqlite';
+    assert(checkWritable() === null, 'SQLite servers should accept writes');
+    Object.assign(process.env, { STORAGE_DRIVER: 'postgres', DATABASE_URL: 'postgresql://localhost/fashion' });
+    const readOnly = checkWritable();
+    assert(readOnly && readOnly.code === 'forbidden' && /db:postgres:sync/.test(readOnly.message), 'PostgreSQL servers should refuse writes');
+  } finally {
+    Object.entries(savedStorage).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+  console.log('✅ Request ids, conflicts, uploads, admin tokens and read-only servers get their codes');
+
+  // Test 4: Rate limits
+  console.log('\n4️⃣ Testing rate limits...');
+  const { limit, windowMs } = RATE_LIMITS.export;
+  const start = 1000000;
+  const proxies = process.env.TRUSTED_PROXY;
+  try {
+    // A direct client can send any X-Forwarded-For, so without TRUSTED_PROXY it is not read
+    delete process.env.TRUSTED_PROXY;
+    for (let i = 0; i < limit; i++) {
+      const forged = request({ 'x-forwarded-for': `192.0.2.${i}` });
+      assert(clientKey(forged) === 'shared' && checkRateLimit(forged, 'export', start) === null, `Direct request ${i + 1} should be allowed`);
+    }
+    assert(checkRateLimit(request({ 'x-forwarded-for': '192.0.2.200' }), 'export', start) !== null, 'Forged addresses should not escape the limit without TRUSTED_PROXY');
+    assert(checkRateLimit(request(), 'export', start) !== null, 'Direct clients should share one limit');
+
+    process.env.TRUSTED_PROXY = '1';
+    const client = request({ 'x-forwarded-for': '203.0.113.9, 10.0.0.1' });
+    for (let i = 0; i < limit; i++) {
+      assert(checkRateLimit(client, 'export', start) === null, `Request ${i + 1} should be allowed`);
+    }
+    const limited = checkRateLimit(client, 'export', start + 15000);
+    assert(limited && limited.code === 'rate_limited' && limited.status === 429, 'Requests over the limit should be rate limited');
+    assert(limited.details.retryAfter === Math.ceil((windowMs - 15000) / 1000), 'retryAfter should count down to the next window');
+    assert(describeError(limited, 'req-4').headers['Retry-After'] === String(limited.details.retryAfter), 'Retry-After should be sent');
+    assert(checkRateLimit(request({ 'x-forwarded-for': '198.51.100.1' }), 'export', start) === null, 'Other clients should have their own limit');
+    assert(checkRateLimit(client, 'import', start) === null, 'Each endpoint group should have its own limit');
+    assert(checkRateLimit(client, 'export', start + windowMs) === null, 'The limit should reset in the next window');
+
+    const spoofed = request({ 'x-forwarded-for': '192.0.2.77, 203.0.113.9, 10.0.0.1' });
+    assert(clientKey(spoofed) === '10.0.0.1', 'Behind one proxy the last address should identify the client');
+    for (let i = 1; i < limit; i++) {
+      checkRateLimit(client, 'export', start + windowMs);
+    }
+    assert(checkRateLimit(spoofed, 'export', start + windowMs) !== null, 'Addresses sent by the client should not get their own limit');
+    assert(clientKey(request()) === 'shared', 'Requests without X-Forwarded-For should share one limit');
+
+    process.env.TRUSTED_PROXY = '2';
+    assert(clientKey(spoofed) === '203.0.113.9', 'TRUSTED_PROXY should pick the address the outermost proxy saw');
+    assert(clientKey(request({ 'x-forwarded-for': '10.0.0.1' })) === '10.0.0.1', 'Short chains should use their first address');
+
+    // Fill the window map with other clients; the busy client is dropped last
+    process.env.TRUSTED_PROXY = '1';
+    const flood = count => {
+      for (let i = 0; i < count; i++) {
+        checkRateLimit(request({ 'x-forwarded-for': `10.${count}.${i >> 8}.${i & 255}` }), 'export', start + windowMs);
+      }
+    };
+    flood(MAX_TRACKED_WINDOWS - 1);
+    assert(trackedWindows() === MAX_TRACKED_WINDOWS, `Tracked windows should be capped, got ${trackedWindows()}`);
+    assert(checkRateLimit(client, 'export', start + windowMs) !== null, 'Recently used windows should be kept');
+    flood(MAX_TRACKED_WINDOWS);
+    assert(trackedWindows() === MAX_TRACKED_WINDOWS, `Tracked windows should stay capped, got ${trackedWindows()}`);
+    assert(checkRateLimit(client, 'export', start + windowMs) === null, 'The least recently used windows should be dropped');
+  } finally {
+    if (proxies === undefined) delete process.env.TRUSTED_PROXY;
+    else process.env.TRUSTED_PROXY = proxies;
+  }
+  console.log('✅ Clients over the limit get rate_limited with Retry-After');
+
+  console.log('\n🎉 All error tests passed!');
+}
+
+runTests().catch(error => {
+  console.error('❌ Error test failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+const Database = require('better-sqlite3');
+const zlib = require('zlib');
+const { applyMigrations } = require('../lib/schema');
+const { importContent, recordsFromCsv } = require('../lib/importer');
+const { createSqliteStorage } = require('../lib/storage/sqlite');
+const { toContentData } = require('../lib/api');
+const { parseCsv } = require('../lib/csv');
+const { crc32 } = require('../lib/xlsx');
+const { EXPORT_COLUMNS, createExportStream } = require('../lib/export');
+
+console.log('🧪 Testing Exports...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// 150 rows, so exports span two pages of 100
+const RECORDS = Array.from({ length: 150 }, (_, index) => ({
+  line: index + 2,
+  category: index % 2 === 0 ? 'Style Principles' : 'Capsule Wardrobe, "Basics"',
+  tags: index % 5 === 0 ? 'Minimalism' : null,
+  url: `https://example.com/look/${index}`,
+  source: index % 3 === 0 ? 'Instagram' : 'TikTok',
+  time_spent_minutes: 1 + (index % 7),
+  upvotes: index,
+  views: 1000 - index,
+  engagement_score: 0.5,
+  content_type: 'Video',
+  difficulty_level: 'Beginner',
+  trending_score: 0.5
+}));
+
+async function readStream(stream) {
+  const chunks = [];
+  const reader = stream.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(Buffer.from(result.value));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Reads a zip archive back through its central directory, checking every CRC
+function unzip(buffer) {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    assert(crc32(data) === buffer.readUInt32LE(offset + 16), `CRC mismatch in ${name}`);
+    files[name] = data.toString('utf8');
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return files;
+}
+
+async function runTests() {
+  const db = new Database(':memory:');
+  applyMigrations(db);
+  importContent(db, RECORDS);
+  const storage = createSqliteStorage({ db });
+  const sort = { sortBy: 'upvotes', sortDir: 'asc' };
+  let fetches = 0;
+  const fetchPage = async page => {
+    fetches++;
+    const result = await storage.getAllContent({ ...sort, ...page });
+    return { items: result.items.map(toContentData), nextCursor: result.nextCursor };
+  };
+  const aggregates = await storage.getAggregates();
+
+  try {
+    // Test 1: CSV
+    console.log('1️⃣ Testing CSV exports...');
+    const csv = (await readStream(createExportStream('csv', fetchPage))).toString('utf8');
+    const parsed = parseCsv(csv);
+    assert(parsed.errors.length === 0 && parsed.records.length === 151, `Expected a header and 150 rows, got ${parsed.records.length}`);
+    assert(parsed.records[0].fields.join() === EXPORT_COLUMNS.join(), 'The header should list the export columns');
+    assert(parsed.records[2].fields[0] === 'Capsule Wardrobe, "Basics"', 'Commas and quotes should survive a round trip');
+    assert(parsed.records.slice(1).every((record, index) => record.fields[4] === String(index)), 'Rows should follow the requested sort across pages');
+    assert(fetches === 2, `Rows should be read page by page, got ${fetches} fetches`);
+    assert(parsed.records[1].fields[10] === 'Style Principles; Minimalism', 'Tags should be joined with semicolons');
+    const reimported = recordsFromCsv(csv).records;
+    assert(reimported.length === 150 && reimported[0].tags.join() === 'Style Principles,Minimalism', 'A CSV export should be importable again, tags included');
+    console.log('✅ CSV exports every row in order and can be re-imported');
+
+    // Test 2: JSON and NDJSON
+    console.log('\n2️⃣ Testing JSON and NDJSON exports...');
+    const json = JSON.parse((await readStream(createExportStream('json', fetchPage, { aggregates }))).toString('utf8'));
+    assert(json.items.length === 150 && Object.keys(json.items[0]).join() === EXPORT_COLUMNS.join(), 'JSON should list every row with the export columns');
+    assert(json.aggregates.byCategory.length === 2 && json.aggregates.totals.totalContent === 150, 'JSON should carry the aggregates when asked');
+    assert(json.items[0].Tags.join() === 'Style Principles,Minimalism' && json.aggregates.byTag.find(tag => tag.key === 'minimalism').count === 30, 'JSON should list tags and per-tag stats');
+    assert(JSON.parse((await readStream(createExportStream('json', fetchPage))).toString('utf8')).aggregates === undefined, 'Aggregates should be optional');
+    const lines = (await readStream(createExportStream('ndjson', fetchPage))).toString('utf8').trim().split('\n');
+    assert(lines.length === 150 && JSON.parse(lines[149]).Upvotes === 149, 'NDJSON should hold one row per line');
+    const empty = async () => ({ items: [], nextCursor: null });
+    assert(JSON.parse((await readStream(createExportStream('json', empty))).toString('utf8')).items.length === 0, 'An empty export should still be valid JSON');
+    console.log('✅ JSON and NDJSON hold the same rows');
+
+    // Test 3: XLSX
+    console.log('\n3️⃣ Testing XLSX exports...');
+    const files = unzip(await readStream(createExportStream('xlsx', fetchPage, { aggregates })));
+    assert(files['[Content_Types].xml'] && files['xl/workbook.xml'], 'The workbook parts should be present');
+    assert(/<sheet name="Content"[^>]*\/><sheet name="Aggregates"/.test(files['xl/workbook.xml']), 'Content and aggregate sheets should be listed');
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert((sheet.match(/<row /g) || []).length === 151, 'The content sheet should hold a header and every row');
+    assert(sheet.includes('Capsule Wardrobe, &quot;Basics&quot;') && sheet.includes('<c r="E3"><v>1</v></c>'), 'Text should be escaped and numbers stored as numbers');
+    const stats = files['xl/worksheets/sheet2.xml'];
+    assert(stats.includes('Style Principles') && stats.includes('Minimalism') && stats.includes('Instagram'), 'The aggregate sheet should list categories, tags and sources');
+    console.log('✅ XLSX workbooks are valid zip archives with content and stats sheets');
+  } finally {
+    db.close();
+  }
+
+  console.log('\n🎉 All export tests passed!');
+}
+
+runTests().catch(error => {
+  console.error('❌ Export test failed:', error.message);
+  process.exit(1);
+});
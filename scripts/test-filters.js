@@ -0,0 +1,94 @@
+const { parseFilters, formatFilterErrors, filterConditions, compileFilters } = require('../lib/filters');
+
+console.log('🧪 Testing Filter Expressions...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const describe = conditions => conditions.map(({ field, op, values }) => `${field} ${op} ${values.join('|')}`).join('; ');
+
+function parses(input, expected) {
+  const { conditions, errors } = parseFilters(input);
+  assert(errors.length === 0, `"${input}" should parse, got ${formatFilterErrors(errors)}`);
+  assert(describe(conditions) === expected, `"${input}" parsed to "${describe(conditions)}", expected "${expected}"`);
+}
+
+function rejects(input, expected) {
+  const { errors } = parseFilters(input);
+  const message = formatFilterErrors(errors);
+  assert(errors.length > 0 && message.includes(expected), `"${input}" should be rejected with "${expected}", got "${message}"`);
+}
+
+try {
+  // Test 1: Clauses
+  console.log('1️⃣ Testing clause parsing...');
+  parses('category:"Style Principles","Body Positivity"', 'category in Style Principles|Body Positivity');
+  parses('source!:substack', 'source not_in substack');
+  parses('views:1000..5000', 'views gte 1000; views lte 5000');
+  parses('trendingScore:0.5..0.9', 'trendingScore gte 0.5; trendingScore lte 0.9');
+  parses('views:..5000', 'views lte 5000');
+  parses('engagement_score>=0.8', 'engagementScore gte 0.8');
+  parses('upvotes<100', 'upvotes lt 100');
+  parses('upvotes:10,20', 'upvotes in 10|20');
+  parses('category:"Say ""hi"", then go"', 'category in Say "hi", then go');
+  parses('tag!:"Body Positivity",minimalism', 'tag not_in Body Positivity|minimalism');
+  console.log('✅ Multi-select, negation, ranges and comparisons parse');
+
+  // Test 2: Combining clauses
+  console.log('\n2️⃣ Testing combined clauses...');
+  parses('source!:substack; views>1000', 'source not_in substack; views gt 1000');
+  parses(['contentType:video', 'difficulty_level:beginner,advanced'], 'contentType in video; difficultyLevel in beginner|advanced');
+  parses(['', ' ; '], '');
+  console.log('✅ Repeated parameters and ";" are joined with AND');
+
+  // Test 3: Validation
+  console.log('\n3️⃣ Testing validation...');
+  rejects('color:red', 'unknown field "color"');
+  rejects('views:abc', 'views must be a number, got "abc"');
+  rejects('views:5000..1000', 'minimum is greater than its maximum');
+  rejects('views:..', 'needs at least one bound');
+  rejects('category>=3', 'category only supports : and !:');
+  rejects('tag<b', 'tag only supports : and !:');
+  rejects('views>1,2', 'takes a single value');
+  rejects('category:', 'category needs a value');
+  rejects('category:"Style', 'unterminated quote');
+  rejects('just words', 'expected field, operator');
+  rejects(`upvotes:${Array.from({ length: 51 }, (_, i) => i).join(',')}`, 'at most 50 values');
+  const mixed = parseFilters(['views>1', 'views:x']);
+  assert(mixed.conditions.length === 1 && mixed.errors.length === 1, 'Valid clauses should parse next to invalid ones');
+  console.log('✅ Unknown fields, bad numbers and malformed clauses are rejected');
+
+  // Test 4: SQL compilation
+  console.log('\n4️⃣ Testing SQL compilation...');
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return '?';
+  };
+  const sql = compileFilters(
+    filterConditions({
+      category: 'All',
+      source: 'Instagram',
+      conditions: parseFilters('contentType!:video; views:1..2').conditions
+    }),
+    {
+      param,
+      lookupIn: (alias, values) => `${alias}.key IN (${values.map(param).join(', ')})`,
+      false: '0'
+    }
+  );
+  assert(sql.join(' AND ') === 'src.key IN (?) AND NOT COALESCE(ct.key IN (?), 0) AND c.views >= ? AND c.views <= ?', `Unexpected SQL: ${sql.join(' AND ')}`);
+  assert(params.join() === 'Instagram,video,1,2', `Values should be bound as parameters, got ${params.join()}`);
+  assert(!sql.join(' ').includes('Instagram'), 'Values should never be inlined');
+  const tagSql = compileFilters(filterConditions({ tag: 'minimalism' }), { param, lookupIn: (alias, values) => `${alias}.key IN (${values.map(param).join(', ')})`, false: '0' });
+  assert(/^EXISTS \(SELECT 1 FROM content_tags ctg .*WHERE ctg\.content_id = c\.id AND tg\.key IN \(\?\)\)$/.test(tagSql[0]), `Tags should match in a subquery, got ${tagSql[0]}`);
+  console.log('✅ Conditions compile to parameterized SQL');
+
+  console.log('\n🎉 All filter expression tests passed!');
+} catch (error) {
+  console.error('❌ Filter expression test failed:', error.message);
+  process.exit(1);
+}
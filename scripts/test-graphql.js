@@ -0,0 +1,255 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { applyMigrations } = require('../lib/schema');
+const { importRecords } = require('../lib/importer');
+const { buildExecutableSchema, runQuery } = require('../lib/graphql');
+
+// lib/database.js serves this fixture; set before it opens the database
+const dbPath = path.join(process.cwd(), 'data', 'test_graphql.db');
+process.env.SQLITE_PATH = dbPath;
+delete process.env.STORAGE_DRIVER;
+delete process.env.DATABASE_URL;
+
+const { closeDatabase } = require('../lib/database');
+const { MAX_QUERY_DEPTH, MAX_QUERY_COST, executeGraphql, graphqlSchemaSdl, graphqlResponse, graphqlErrorResponse } = require('../lib/graphql-schema');
+const { apiError } = require('../lib/errors');
+
+console.log('🧪 Testing GraphQL API...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const FIXTURE = [
+  ['Style Principles', 'https://www.instagram.com/reel/AAA111/', 'Instagram', 12, 200, 4000, 0.9, 'Video', 'Beginner', 0.8],
+  ['Style Principles', 'https://fashionchitchat.substack.com/p/the-style-principles', 'Substack', 8, 40, 900, 0.6, 'Article', 'Advanced', 0.5],
+  ['Capsule Wardrobe', 'https://www.tiktok.com/@closet/video/7000000000000000001', 'TikTok', 3, 300, 5000, 0.9, 'Video', 'Intermediate', 0.7, 'Minimalism'],
+  ['Capsule Wardrobe', 'https://www.instagram.com/reel/BBB222/', 'Instagram', 5, 10, 300, 0.3, 'Video', 'Beginner', 0.2]
+].map(([category, url, source, time, upvotes, views, engagement, type, level, trending, tags], index) => ({
+  category,
+  url,
+  source,
+  time_spent_minutes: time,
+  upvotes,
+  views,
+  engagement_score: engagement,
+  content_type: type,
+  difficulty_level: level,
+  trending_score: trending,
+  ...(tags ? { tags } : {}),
+  line: index + 2
+}));
+
+function createFixture() {
+  if (fs.existsSync(dbPath)) {
+    fs.unlinkSync(dbPath);
+  }
+
+  const db = new Database(dbPath);
+  applyMigrations(db);
+  importRecords(db, { records: FIXTURE });
+  db.close();
+}
+
+const query = (text, variables, operationName) => executeGraphql({ query: text, variables, operationName }, { requestId: 'test' });
+
+// Runs a query that should succeed and returns its data
+async function data(text, variables) {
+  const result = await query(text, variables);
+  assert(!result.errors, `Query should succeed, got ${JSON.stringify(result.errors)}`);
+  return result.data;
+}
+
+// Runs a query that should fail and returns its first error
+async function firstError(text, variables, operationName) {
+  const result = await query(text, variables, operationName);
+  assert(result.errors && result.errors.length > 0, `Query should fail: ${text}`);
+  return { ...result.errors[0], result };
+}
+
+async function runTests() {
+  createFixture();
+
+  // Test 1: Parsing and the schema
+  console.log('1️⃣ Testing parsing and the schema...');
+  const parsed = await data('query Q($n: Int = 2) { a: contents(limit: $n, search: """\n  multi\n  line\n""") { ...F } } fragment F on ContentPage { total }');
+  assert(parsed.a.total === 0, 'Variable defaults, aliases, block strings and fragments should be understood');
+  const syntax = await firstError('{ contents(limit: 1 }');
+  assert(syntax.message === 'Syntax Error: Expected Name, found "}".' && syntax.locations[0].column === 21, `Syntax errors should point at the token, got ${JSON.stringify(syntax)}`);
+  assert(!('data' in syntax.result) && syntax.extensions.code === 'validation_failed', 'Requests that cannot run should have no data');
+  assert((await data('{ contents { total } } # "not a string')).contents.total === 4, 'Comments should be ignored');
+  assert((await firstError('{ x(a: "\\q") }')).message.includes('Invalid character escape'), 'Bad escapes should be syntax errors');
+  const sdl = graphqlSchemaSdl();
+  ['type Query {', 'type Content {', 'type Category {', 'type Source {', 'enum Dimension {', 'sum(metric: Metric!): Float!'].forEach(text => {
+    assert(sdl.includes(text), `The SDL should include ${text}`);
+  });
+  console.log('✅ Queries are parsed and the schema prints as SDL');
+
+  // Test 2: Content, categories and sources
+  console.log('\n2️⃣ Testing content, categories and sources...');
+  const listing = await data(`
+    query Listing($limit: Int!, $withTags: Boolean = false) {
+      top: contents(sortBy: VIEWS, limit: $limit) {
+        total
+        hasMore
+        nextCursor
+        items { ...Item tags @include(if: $withTags) }
+      }
+      articles: contents(filter: ["contentType:article"]) { items { url } }
+    }
+    fragment Item on Content { __typename id views category { key displayName } source { ... on Source { key } } }
+  `, { limit: 2 });
+  assert(listing.top.total === 4 && listing.top.hasMore && listing.top.nextCursor, 'Pages should report their total and cursor');
+  assert(listing.top.items.map(item => item.views).join() === '5000,4000', 'Sorting and limits should apply');
+  assert(listing.top.items[0].__typename === 'Content' && listing.top.items[0].category.key === 'capsule-wardrobe', 'Fragments and nested objects should resolve');
+  assert(listing.top.items[0].source.key === 'tiktok' && !('tags' in listing.top.items[0]), 'Inline fragments and @include should apply');
+  assert(listing.articles.items.length === 1 && listing.articles.items[0].url.includes('substack'), 'Filter expressions should apply');
+
+  const next = await data('query($cursor: String) { contents(sortBy: VIEWS, limit: 2, cursor: $cursor) { items { views } hasMore } }', { cursor: listing.top.nextCursor });
+  assert(next.contents.items.map(item => item.views).join() === '900,300' && !next.contents.hasMore, 'Cursors should page through listings');
+
+  const searched = await data('{ contents(search: "princ") { total items { url } } }');
+  assert(searched.contents.total === 2, 'Searches should apply');
+
+  const id = listing.top.items[0].id;
+  const single = await data(`{ found: content(id: ${id}) { url tags } missing: content(id: 9999) { url } }`);
+  assert(single.found.tags.join() === 'Capsule Wardrobe,Minimalism' && single.missing === null, 'Single items should resolve, missing ones as null');
+
+  const lookups = await data(`{
+    categories { key contents(limit: 1) { total } }
+    category(key: "capsule WARDROBE") { displayName contents(sortBy: UPVOTES, sortDir: ASC) { items { upvotes } } }
+    sources { displayName }
+    source(key: "substack") { contents { total } }
+    nothing: source(key: "myspace") { key }
+  }`);
+  assert(lookups.categories.map(category => `${category.key}:${category.contents.total}`).join() === 'style-principles:2,capsule-wardrobe:2', 'Categories should list their content');
+  assert(lookups.category.contents.items.map(item => item.upvotes).join() === '10,300', 'Categories should be found by display name and sort their content');
+  assert(lookups.sources.length === 3 && lookups.source.contents.total === 1 && lookups.nothing === null, 'Sources should resolve by key');
+  console.log('✅ Content, categories and sources resolve with filters, sorting and cursors');
+
+  // Test 3: Aggregates
+  console.log('\n3️⃣ Testing aggregates...');
+  const aggregate = await data(`{
+    byCategoryTag: aggregate(groupBy: [CATEGORY, TAG]) {
+      hasMore
+      groups { category { key } tag source { key } count views: sum(metric: VIEWS) avg(metric: ENGAGEMENT_SCORE) }
+    }
+    total: aggregate { groups { count upvotes: sum(metric: UPVOTES) minutes: avg(metric: TIME_SPENT_MINUTES) } }
+    videos: aggregate(groupBy: SOURCE, filter: "contentType:video", limit: 1) { hasMore groups { source { displayName } count } }
+  }`);
+  const groups = aggregate.byCategoryTag.groups.map(group => `${group.category.key}/${group.tag}:${group.count}:${group.views}`);
+  assert(
+    groups.join() === 'style-principles/Style Principles:2:4900,capsule-wardrobe/Capsule Wardrobe:2:5300,capsule-wardrobe/Minimalism:1:5000',
+    `Groups should combine the dimensions in display order, got ${groups.join()}`
+  );
+  assert(aggregate.byCategoryTag.groups[0].source === null && aggregate.byCategoryTag.groups[0].avg === 0.75, 'Ungrouped dimensions should be null and averages computed');
+  assert(aggregate.total.groups[0].count === 4 && aggregate.total.groups[0].upvotes === 550 && aggregate.total.groups[0].minutes === 7, 'No groupBy should aggregate everything');
+  assert(aggregate.videos.groups.length === 1 && aggregate.videos.hasMore && aggregate.videos.groups[0].count === 2, 'Filters and limits should apply to aggregates');
+  console.log('✅ Metrics are counted, summed and averaged by any dimensions');
+
+  // Test 4: Errors
+  console.log('\n4️⃣ Testing errors...');
+  const expectations = [
+    ['{ contents { nope } }', 'Cannot query field "nope" on type "ContentPage".'],
+    ['{ contents }', 'Field "contents" of type "ContentPage!" must have a selection of subfields. Did you mean "contents { ... }"?'],
+    ['{ contents { total { x } } }', 'Field "total" must not have a selection since type "Int!" has no subfields.'],
+    ['{ aggregate(groupBy: [COLOR]) { hasMore } }', 'Value "COLOR" does not exist in "Dimension" enum.'],
+    ['{ content { id } }', 'Field "content" argument "id" of type "Int!" is required, but it was not provided.'],
+    ['{ contents(size: 1) { total } }', 'Unknown argument "size" on field "Query.contents".'],
+    ['{ contents(limit: $n) { total } }', 'Variable "$n" is not defined.'],
+    ['query($n: String) { contents(limit: $n) { total } }', 'Variable "$n" of type "String" used in position expecting type "Int".'],
+    ['{ contents { ...A } } fragment A on ContentPage { ...B } fragment B on ContentPage { ...A }', 'Cannot spread fragment "A" within itself via "B".'],
+    ['{ contents { ...C } } fragment C on Category { key }', 'Fragment "C" cannot be spread here as objects of type "ContentPage" can never be of type "Category".'],
+    ['{ contents @cached { total } }', 'Unknown directive "@cached".'],
+    ['mutation { contents { total } }', 'Only queries are supported, not mutation operations.'],
+    ['query A { sources { key } } query B { sources { key } }', 'Must provide operation name if query contains multiple operations.']
+  ];
+  for (const [text, message] of expectations) {
+    const error = await firstError(text);
+    assert(error.message === message, `Expected "${message}", got "${error.message}"`);
+    assert(!('data' in error.result) && error.extensions.code === 'validation_failed', `${message} should be a request error`);
+  }
+  assert((await firstError('query A { sources { key } } query B { sources { key } }', undefined, 'C')).message === 'Unknown operation named "C".', 'Unknown operation names should be rejected');
+  const named = await query('query A { sources { key } } query B { categories { key } }', undefined, 'B');
+  assert(named.data.categories && !named.data.sources, 'operationName should pick the operation');
+  assert((await firstError('query($n: Int!) { contents(limit: $n) { total } }')).message === 'Variable "$n" of required type "Int!" was not provided.', 'Required variables should be checked');
+  assert((await firstError('query($n: Int) { contents(limit: $n) { total } }', { n: 1.5 })).message === 'Variable "$n" got invalid value 1.5; Int cannot represent non-integer value: 1.5', 'Variables should be coerced');
+  assert((await firstError('{ __schema { types { name } } }')).message.includes('introspection has been disabled'), 'Introspection should be refused');
+  assert((await query('{ contents { total } }', [])).errors[0].message === 'variables must be an object', 'Variables should be an object');
+  assert((await query('')).errors[0].message === 'query must be a GraphQL query string', 'A query is required');
+
+  const badFilter = await firstError('{ sources { key } contents(filter: "views:abc") { total } }');
+  assert(badFilter.path.join() === 'contents' && badFilter.extensions.code === 'validation_failed', 'Resolver errors should carry their path and code');
+  assert(badFilter.result.data === null, 'A failed non-null root field should null the data');
+  const badPage = await firstError('{ category(key: "style-principles") { key contents(limit: 500) { total } } sources { key } }');
+  assert(badPage.message === 'limit must be between 1 and 100' && badPage.path.join() === 'category,contents', 'Page sizes should be checked');
+  assert(badPage.result.data.category === null && badPage.result.data.sources.length === 3, 'A failed field should null its nearest nullable parent only');
+  assert((await firstError('{ contents(sortBy: RELEVANCE) { total } }')).message === 'sortBy RELEVANCE needs a search', 'Relevance should need a search');
+
+  // Non-null errors inside lists, on a schema of its own
+  const schema = buildExecutableSchema('type Query { items: [Item]! broken: String } type Item { name: String! }', {
+    Query: {
+      items: { resolve: () => [{ name: 'a' }, { name: null }, { name: 'c' }] },
+      broken: { resolve: () => { throw new Error('secret detail'); } }
+    }
+  });
+  let unknownField = null;
+  try {
+    buildExecutableSchema('type Query { items: [String] }', { Query: { nope: { resolve: () => null } } });
+  } catch (error) {
+    unknownField = error.message;
+  }
+  assert(unknownField === 'Unknown field "Query.nope"', 'Resolvers for fields the SDL does not define should be refused');
+  const originalError = console.error;
+  console.error = () => {};
+  const partial = await runQuery(schema, { query: '{ items { name } broken }' }, { maxDepth: 5, maxCost: 100, requestId: 'test' });
+  console.error = originalError;
+  assert(JSON.stringify(partial.data) === '{"items":[{"name":"a"},null,{"name":"c"}],"broken":null}', `Nulls should propagate to the nearest nullable item, got ${JSON.stringify(partial.data)}`);
+  const errorAt = field => partial.errors.find(error => error.path.join() === field);
+  assert(errorAt('items,1,name').extensions.code === 'internal_error', 'Non-null violations should be reported at their path');
+  assert(errorAt('broken').message === 'Failed to resolve this field' && errorAt('broken').extensions.code === 'internal_error', 'Internal errors should not leak their message');
+  console.log('✅ Invalid queries are refused and failed fields are reported beside partial data');
+
+  // Test 5: Depth and cost limits
+  console.log('\n5️⃣ Testing depth and cost limits...');
+  const deep = '{ categories { contents(limit: 1) { items { category { contents(limit: 1) { items { source { contents(limit: 1) { total } } } } } } } } }';
+  const tooDeep = await firstError(deep);
+  assert(tooDeep.message === `Query depth 9 exceeds the limit of ${MAX_QUERY_DEPTH}.` && tooDeep.extensions.code === 'query_too_complex', `Deep queries should be refused, got ${tooDeep.message}`);
+  const tooCostly = await firstError('{ categories { contents(limit: 100) { items { url views upvotes } } } }');
+  assert(tooCostly.message.startsWith('Query cost') && tooCostly.message.includes(`limit of ${MAX_QUERY_COST}`), `Costly queries should be refused, got ${tooCostly.message}`);
+  assert((await data('{ categories { contents(limit: 10) { items { url views upvotes } } } }')).categories.length === 2, 'Queries within the limits should run');
+  assert((await data('{ contents(limit: 100) { items { id url views upvotes engagementScore category { key } } } }')).contents.items.length === 4, 'A full page of content should fit within the cost limit');
+  const skipped = await data('query($all: Boolean!) { categories { contents(limit: 100) @include(if: $all) { items { url views upvotes } } key } }', { all: false });
+  assert(skipped.categories[0].key && !('contents' in skipped.categories[0]), 'Skipped fields should not count towards the cost');
+  console.log('✅ Queries beyond the depth or cost limit are refused before they run');
+
+  // Test 6: HTTP responses
+  console.log('\n6️⃣ Testing responses...');
+  const ok = graphqlResponse(await query('{ sources { key } }'), 'req-1');
+  const okBody = await ok.json();
+  assert(ok.status === 200 && okBody.data.sources.length === 3 && okBody.extensions.requestId === 'req-1', 'Results should carry the request id');
+  assert(ok.headers.get('X-Request-Id') === 'req-1', 'The request id should be sent as a header');
+  assert(graphqlResponse(await query('{ nope }'), 'req-2').status === 400, 'Requests that cannot run should be a 400');
+  assert(graphqlResponse(await query('{ contents(filter: "views:x") { total } }'), 'req-3').status === 200, 'Field errors should come with a 200');
+  const unavailable = graphqlErrorResponse(apiError('database_unavailable'), 'req-4');
+  const unavailableBody = await unavailable.json();
+  assert(unavailable.status === 503 && unavailableBody.errors[0].extensions.code === 'database_unavailable', 'Errors outside execution should keep the GraphQL shape');
+  console.log('✅ Responses carry request ids and the right status');
+
+  console.log('\n🎉 All GraphQL tests passed!');
+}
+
+runTests()
+  .catch(error => {
+    console.error('❌ GraphQL test failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await closeDatabase();
+    if (fs.existsSync(dbPath)) {
+      fs.unlinkSync(dbPath);
+    }
+  });
@@ -0,0 +1,104 @@
+const Database = require('better-sqlite3');
+const { applyMigrations } = require('../lib/schema');
+const { importContent } = require('../lib/importer');
+const { parseUpload, previewImport, confirmImport } = require('../lib/import-previews');
+const { getAuditLog } = require('../lib/audit');
+
+console.log('🧪 Testing Import Previews...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const EXISTING = [
+  { category: 'Style Principles', url: 'https://www.instagram.com/reel/AAA111/', source: 'Instagram', time_spent_minutes: 4, upvotes: 10, views: 100, engagement_score: 0.5, content_type: 'Video', difficulty_level: 'Beginner', trending_score: 0.5 },
+  { category: 'Capsule Wardrobe', url: 'https://www.tiktok.com/@closet/video/7000000000000000001', source: 'TikTok', time_spent_minutes: 3, upvotes: 20, views: 200, engagement_score: 0.6, content_type: 'Video', difficulty_level: 'Beginner', trending_score: 0.6 }
+];
+
+const CSV = [
+  'Category,URL,Source,Time_Spent_Minutes,Upvotes,Views,Engagement_Score,Content_Type,Difficulty_Level,Trending_Score',
+  'Style Principles,https://www.instagram.com/reel/AAA111/,Instagram,4,15,100,0.5,Video,Beginner,0.5',
+  'Body Positivity,https://www.instagram.com/reel/NEW222/,Instagram,6,5,50,0.3,Video,Beginner,0.2'
+].join('\n');
+
+const countRows = db => db.prepare('SELECT COUNT(*) AS count FROM content').get().count;
+
+try {
+  const db = new Database(':memory:');
+  applyMigrations(db);
+  db.pragma('foreign_keys = ON');
+  importContent(db, EXISTING.map((record, index) => ({ ...record, line: index + 2 })));
+
+  // Test 1: Parsing uploads
+  console.log('1️⃣ Testing CSV and JSON uploads...');
+  const csv = parseUpload(CSV, 'csv');
+  assert(csv.input && csv.input.records.length === 2, 'CSV uploads should be parsed');
+  const json = parseUpload(JSON.stringify([
+    { Category: 'Body Positivity', URL: 'https://www.instagram.com/reel/NEW222/', Source: 'Instagram', Views: '50', Upvotes: 5 },
+    { category: 'Basics', url: 'https://example.com/a', source: 'Substack', views: 'many' },
+    'not a record'
+  ]), 'json');
+  assert(json.input.records.length === 1 && json.input.records[0].views === 50 && json.input.records[0].time_spent_minutes === 0, 'JSON values should be typed like CSV cells');
+  assert(json.input.errors.map(error => error.line).join() === '2,3', 'Invalid JSON records should be reported by position');
+  assert(parseUpload('{"records": []}', 'json').input.totalRows === 0, 'An object with a records array should be accepted');
+  assert(/Invalid JSON/.test(parseUpload('[{', 'json').error), 'Malformed JSON should be reported');
+  assert(/url/.test(parseUpload('Category,Source\nBasics,Substack', 'csv').error), 'Missing required columns should be reported');
+  const taggedCsv = parseUpload('Category,URL,Source,Tags\nBasics,https://example.com/t,Substack,"Minimalism; basics;"', 'csv');
+  assert(JSON.stringify(taggedCsv.input.records[0].tags) === '["Minimalism","basics"]', 'Tags should be split on semicolons');
+  assert(!('tags' in csv.input.records[0]), 'Without a tags column, records should carry no tags');
+  const taggedJson = parseUpload(JSON.stringify([{ category: 'Basics', url: 'https://example.com/t', source: 'Substack', tags: ['Minimalism', 'Basics'] }]), 'json');
+  assert(taggedJson.input.records[0].tags.join() === 'Minimalism,Basics', 'JSON tags may be an array');
+  console.log('✅ Both formats are read with the same rules');
+
+  // Test 2: Preview
+  console.log('\n2️⃣ Testing the dry-run preview...');
+  const preview = previewImport(db, csv.input, { markRemoved: true });
+  assert(preview.token && preview.expiresAt, 'A preview should return a token');
+  assert(preview.counts.inserted === 1 && preview.counts.updated === 1 && preview.counts.removed === 1, `Unexpected counts ${JSON.stringify(preview.counts)}`);
+  assert(preview.inserts[0].record.url === 'https://www.instagram.com/reel/NEW222/' && preview.inserts[0].line === 3, 'Inserts should list the new records');
+  assert(JSON.stringify(preview.updates[0].changes) === JSON.stringify([{ field: 'upvotes', before: 10, after: 15 }]), 'Updates should show the values before and after');
+  assert(preview.removals[0].url === EXISTING[1].url, 'Removals should list rows missing from the upload');
+  assert(countRows(db) === 2 && getAuditLog(db, { actor: 'tester' }).entries.length === 0, 'A preview should write nothing');
+  const retag = previewImport(db, parseUpload(CSV.split('\n').slice(0, 2).join('\n').replace('Trending_Score', 'Trending_Score,Tags').replace(/0\.5$/, '0.5,Minimalism'), 'csv').input);
+  assert(JSON.stringify(retag.updates[0].changes) === JSON.stringify([
+    { field: 'upvotes', before: 10, after: 15 },
+    { field: 'tags', before: ['style-principles'], after: ['Minimalism'] }
+  ]), `Tag changes should be previewed, got ${JSON.stringify(retag.updates[0].changes)}`);
+  assert(db.prepare("SELECT COUNT(*) AS count FROM tags WHERE key = 'minimalism'").get().count === 0, 'A preview should create no tags');
+  console.log('✅ Inserts, updates and removals are previewed without writing');
+
+  // Test 3: Confirm
+  console.log('\n3️⃣ Testing confirmation...');
+  const confirmed = confirmImport(db, preview.token, { actor: 'tester' });
+  assert(confirmed.summary && confirmed.summary.inserted === 1 && confirmed.summary.removed === 1, 'Confirming should apply the previewed changes');
+  assert(countRows(db) === 3, 'The new record should be written');
+  assert(getAuditLog(db, { actor: 'tester' }).entries.length === 3, 'Applied changes should be audited under the confirming actor');
+  assert(confirmImport(db, preview.token) === null, 'A token should only be usable once');
+  assert(confirmImport(db, 'unknown') === null, 'Unknown tokens should be refused');
+  console.log('✅ The previewed import is applied once');
+
+  // Test 4: Stale and expired previews
+  console.log('\n4️⃣ Testing stale and expired previews...');
+  const again = previewImport(db, parseUpload(CSV.replace(',15,100,', ',25,100,'), 'csv').input);
+  db.prepare('UPDATE content SET upvotes = 99 WHERE url = ?').run(EXISTING[0].url);
+  assert(confirmImport(db, again.token).stale === true, 'Changes since the preview should make it stale');
+  assert(db.prepare('SELECT upvotes FROM content WHERE url = ?').get(EXISTING[0].url).upvotes === 99, 'A stale preview should write nothing');
+
+  const expiring = previewImport(db, csv.input);
+  db.prepare("UPDATE import_previews SET expires_at = datetime('now', '-1 minute') WHERE token = ?").run(expiring.token);
+  assert(confirmImport(db, expiring.token) === null, 'Expired previews should be refused');
+  previewImport(db, csv.input);
+  assert(db.prepare('SELECT COUNT(*) AS count FROM import_previews WHERE token = ?').get(expiring.token).count === 0, 'Expired previews should be cleaned up');
+
+  const rejected = previewImport(db, json.input);
+  assert(rejected.aborted && rejected.token === null && rejected.errors.length === 2, 'Uploads over the error rate should get no token');
+  console.log('✅ Only previews that still match the data can be confirmed');
+
+  db.close();
+  console.log('\n🎉 All import preview tests passed!');
+} catch (error) {
+  console.error('❌ Import preview test failed:', error.message);
+  process.exit(1);
+}
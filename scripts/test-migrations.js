@@ -0,0 +1,112 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const {
+  getCurrentVersion,
+  getLatestVersion,
+  getMigrationStatus,
+  applyMigrations,
+  rollbackMigrations,
+  assertSchemaCurrent
+} = require('../lib/schema');
+
+console.log('🔬 Testing Schema Migrations...\n');
+
+const dbPath = path.join(process.cwd(), 'data', 'test_migrations.db');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function tableExists(db, name) {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+try {
+  if (fs.existsSync(dbPath)) {
+    fs.unlinkSync(dbPath);
+  }
+
+  const db = new Database(dbPath);
+  const latest = getLatestVersion();
+
+  // Test 1: Empty database is outdated
+  console.log('1️⃣ Checking empty database...');
+  assert(getCurrentVersion(db) === 0, 'Empty database should be at version 0');
+  let refused = false;
+  try {
+    assertSchemaCurrent(db);
+  } catch (error) {
+    refused = true;
+  }
+  assert(refused, 'Outdated schema should be refused');
+  console.log('✅ Empty database reported as version 0 and refused');
+
+  // Test 2: Apply all migrations
+  console.log('\n2️⃣ Applying migrations...');
+  const applied = applyMigrations(db);
+  assert(applied.length === latest, `Expected ${latest} migrations, applied ${applied.length}`);
+  assert(getCurrentVersion(db) === latest, 'Schema should be at latest version');
+  assert(tableExists(db, 'content'), 'content table should exist');
+  assertSchemaCurrent(db);
+  console.log(`✅ Applied ${applied.length} migrations, schema at version ${latest}`);
+
+  // Test 3: Applying again is a no-op
+  console.log('\n3️⃣ Re-applying migrations...');
+  assert(applyMigrations(db).length === 0, 'Second apply should do nothing');
+  assert(getMigrationStatus(db).every(m => m.applied), 'All migrations should be applied');
+  console.log('✅ Re-apply is a no-op');
+
+  // Test 4: Roll everything back
+  console.log('\n4️⃣ Rolling back to version 0...');
+  const rolledBack = rollbackMigrations(db, { target: 0 });
+  assert(rolledBack.length === latest, 'All migrations should be rolled back');
+  assert(getCurrentVersion(db) === 0, 'Schema should be at version 0');
+  assert(!tableExists(db, 'content'), 'content table should be dropped');
+  console.log(`✅ Rolled back ${rolledBack.length} migrations`);
+
+  // Test 5: Legacy database created by the original setup script
+  console.log('\n5️⃣ Adopting a legacy database...');
+  db.exec(`
+    CREATE TABLE content (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      category VARCHAR(255) NOT NULL,
+      url TEXT NOT NULL,
+      source VARCHAR(100) NOT NULL,
+      time_spent_minutes DECIMAL(5,2),
+      upvotes INTEGER DEFAULT 0,
+      views INTEGER DEFAULT 0,
+      engagement_score DECIMAL(3,2),
+      content_type VARCHAR(100),
+      difficulty_level VARCHAR(50),
+      trending_score DECIMAL(3,2),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT INTO content (category, url, source) VALUES ('Legacy', 'https://www.instagram.com/reel/legacy/', 'Instagram');
+  `);
+  applyMigrations(db);
+  const count = db.prepare('SELECT COUNT(*) as count FROM content').get();
+  assert(count.count === 1, 'Legacy rows should survive migration');
+  const legacyTags = db.prepare('SELECT t.display_name FROM content_tags ct JOIN tags t ON t.id = ct.tag_id').all();
+  assert(legacyTags.map(tag => tag.display_name).join() === 'Legacy', 'Legacy rows should be tagged with their category');
+  assert(getCurrentVersion(db) === latest, 'Legacy database should reach latest version');
+  console.log('✅ Legacy database migrated with data intact');
+
+  db.close();
+  fs.unlinkSync(dbPath);
+  console.log('\n🧹 Cleaned up test database');
+
+  console.log('\n🎉 All schema migration tests passed!');
+} catch (error) {
+  console.error('❌ Schema migration test failed:', error.message);
+  console.error('Stack trace:', error.stack);
+
+  if (fs.existsSync(dbPath)) {
+    fs.unlinkSync(dbPath);
+  }
+
+  process.exit(1);
+}
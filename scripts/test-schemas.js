@@ -0,0 +1,215 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { applyMigrations } = require('../lib/schema');
+const { importContent } = require('../lib/importer');
+const { createContent, updateContent } = require('../lib/content');
+const { getAuditLog } = require('../lib/audit');
+const { createSqliteStorage } = require('../lib/storage/sqlite');
+const { COMPONENTS, OPERATIONS, V1_OPERATIONS, parseQuery } = require('../lib/schemas');
+const { buildOpenApiDocument, buildV1OpenApiDocument } = require('../lib/openapi');
+const { queryFromParams, contentFiltersFromQuery, pageFromQuery, toContentData } = require('../lib/api');
+const { apiError, validationError, describeError } = require('../lib/errors');
+const { toContent, toAuditEntry, toImportPreview, contentPayloadFromInput, toFieldErrors, paginationMeta, dataResponse, errorEnvelopeResponse } = require('../lib/api-v1');
+const { previewImport, parseUpload } = require('../lib/import-previews');
+
+console.log('🧪 Testing API Schemas...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const query = (operationId, search) => queryFromParams(operationId, new URLSearchParams(search));
+
+// Checks a value against the JSON Schema subset used by lib/schemas.js
+function schemaErrors(schema, value, at = 'response') {
+  if (schema.$ref) {
+    return schemaErrors(COMPONENTS[schema.$ref.split('/').pop()], value, at);
+  }
+
+  if (schema.oneOf) {
+    return schema.oneOf.some(option => schemaErrors(option, value, at).length === 0) ? [] : [`${at} matches no option`];
+  }
+
+  const types = [].concat(schema.type || []);
+  const typeOf = value === null ? 'null'
+    : Array.isArray(value) ? 'array'
+    : Number.isInteger(value) && types.includes('integer') ? 'integer'
+    : typeof value;
+  if (types.length > 0 && !types.includes(typeOf)) {
+    return [`${at} should be ${types.join(' or ')}, got ${typeOf}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} should be one of ${schema.enum.join(', ')}`];
+  }
+
+  if (typeOf === 'array' && schema.items) {
+    return value.flatMap((item, index) => schemaErrors(schema.items, item, `${at}[${index}]`));
+  }
+
+  if (typeOf === 'object') {
+    const properties = schema.properties || {};
+    return [
+      ...(schema.required || []).filter(name => !(name in value)).map(name => `${at}.${name} is missing`),
+      ...Object.entries(value).flatMap(([name, item]) => {
+        const itemSchema = properties[name] || schema.additionalProperties;
+        if (itemSchema === false) return [`${at}.${name} is not allowed`];
+        return itemSchema ? schemaErrors(itemSchema, item, `${at}.${name}`) : [];
+      })
+    ];
+  }
+
+  return [];
+}
+
+function assertMatches(name, value) {
+  const errors = schemaErrors({ $ref: `#/components/schemas/${name}` }, value);
+  assert(errors.length === 0, `${name} does not match its schema: ${errors.slice(0, 3).join('; ')}`);
+}
+
+async function runTests() {
+  const db = new Database(':memory:');
+  applyMigrations(db);
+  importContent(db, [
+    { line: 2, category: 'Style Principles', url: 'https://example.com/a', source: 'Instagram', time_spent_minutes: 4, upvotes: 10, views: 100, engagement_score: 0.5, content_type: 'Video', difficulty_level: 'Beginner', trending_score: 0.4 },
+    { line: 3, category: 'Body Positivity', tags: ['Minimalism'], url: 'https://example.com/b', source: 'TikTok', time_spent_minutes: 7, upvotes: 30, views: 900, engagement_score: 0.8, content_type: null, difficulty_level: null, trending_score: 0.9 }
+  ]);
+  const storage = createSqliteStorage({ db });
+
+  try {
+    // Test 1: Query parameters
+    console.log('1️⃣ Testing query parameter checks...');
+    const listing = query('listContent', 'limit=20&includeDeleted=true&filter=views>1&filter=tag:a&search=style');
+    assert(listing.errors.length === 0, `A valid query should pass, got ${validationError(listing.errors).message}`);
+    assert(listing.values.limit === 20 && listing.values.includeDeleted === true, 'Numbers and booleans should be typed');
+    assert(listing.values.filter.length === 2 && listing.values.sortDir === 'desc', 'Repeated filters should be kept and defaults filled in');
+    const bad = query('listContent', 'limit=abc&sortDir=up&includeDeleted=yes&offset=10&cursor=a&cursor=b');
+    const messages = Object.fromEntries(bad.errors.map(error => [error.field, error.message]));
+    assert(messages.limit === 'must be an integer between 1 and 100', `limit=abc should be rejected, got ${messages.limit}`);
+    assert(messages.sortDir === 'must be one of: asc, desc' && messages.includeDeleted === 'must be true or false', 'Enums and booleans should be checked');
+    assert(messages.offset === 'is not a known parameter' && messages.cursor === 'must only be given once', 'Unknown and repeated parameters should be rejected');
+    assert(query('listContent', 'limit=&search=').errors.length === 0, 'Empty values should count as left out');
+    assert(query('getTrends', 'from=2025-13-45').errors[0].message === 'must be a date in YYYY-MM-DD format', 'Dates should be checked');
+    assert(query('getTrends', 'contentId=1.5').errors[0].field === 'contentId', 'Integers should not accept fractions');
+    assert(query('previewImport', 'maxErrorRate=2').errors[0].message === 'must be a number between 0 and 1', 'Number ranges should be checked');
+    assert(query('getStats', 'x=1').errors.length === 1, 'Routes without parameters should reject any');
+    assert(parseQuery({}, new URLSearchParams()).errors.length === 0, 'An empty query should pass');
+    console.log('✅ Wrong types, unknown and repeated parameters are reported per field');
+
+    // Test 2: Filters and paging beyond the schema
+    console.log('\n2️⃣ Testing filter and paging checks...');
+    const filters = contentFiltersFromQuery(query('listContent', 'filter=views:abc&category=Basics').values);
+    assert(filters.category === 'Basics' && filters.source === 'All', 'Lookup filters should default to All');
+    assert(filters.errors.length === 1 && filters.errors[0].field === 'filter', 'Invalid filter clauses should be field errors');
+    assert(validationError(filters.errors).message.startsWith('filter has an invalid clause "views:abc"'), 'Errors should be joined into one message');
+    assert(pageFromQuery({ sortBy: 'relevance' }, false).errors[0].field === 'sortBy', 'Relevance should need a search');
+    assert(pageFromQuery({ sortBy: 'relevance' }, true).errors.length === 0, 'Searches may sort by relevance');
+    assert(pageFromQuery({ cursor: 'not-a-cursor' }, false).errors[0].field === 'cursor', 'Malformed cursors should be rejected');
+    console.log('✅ Filter expressions, relevance and cursors are checked with field errors');
+
+    // Test 3: OpenAPI document
+    console.log('\n3️⃣ Testing the OpenAPI document...');
+    const document = buildOpenApiDocument();
+    const v1Document = buildV1OpenApiDocument();
+    assert(document.openapi === '3.1.0' && document.info.version, 'The document should be OpenAPI 3.1 with a version');
+    const routeFiles = [];
+    const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(file);
+      else if (entry.name === 'route.ts') routeFiles.push(file);
+    });
+    walk(path.join(__dirname, '..', 'app', 'api'));
+    routeFiles.forEach(file => {
+      const route = '/' + path.relative(path.join(__dirname, '..', 'app'), path.dirname(file)).split(path.sep).join('/').replace(/\[(\w+)\]/g, '{$1}');
+      const source = fs.readFileSync(file, 'utf8');
+      const methods = Array.from(source.matchAll(/export async function (\w+)/g)).map(match => match[1].toLowerCase());
+      const routeDocument = route.startsWith('/api/v1/') || route === '/api/graphql' ? v1Document : document;
+      methods.forEach(method => assert(routeDocument.paths[route] && routeDocument.paths[route][method], `${method.toUpperCase()} ${route} should be documented`));
+      const get = routeDocument.paths[route] && routeDocument.paths[route].get;
+      assert(!get || Boolean(get.responses[304]) === source.includes('withEtag('), `GET ${route} should document 304 exactly when it sends an ETag`);
+    });
+    const refs = JSON.stringify([document, v1Document]).match(/#\/components\/schemas\/\w+/g);
+    refs.forEach(ref => assert(document.components.schemas[ref.split('/').pop()], `${ref} should resolve`));
+    const data = document.paths['/api/data'].get;
+    assert(data.parameters.find(param => param.name === 'limit').schema.maximum === 100, 'Parameters should carry their schemas');
+    assert(data.responses[400] && document.paths['/api/content'].post.security, 'Errors and admin security should be described');
+    assert(data.parameters.some(param => param.name === 'If-None-Match' && param.in === 'header'), 'ETag routes should take If-None-Match');
+    assert(Object.keys(OPERATIONS).length === Object.values(document.paths).reduce((sum, item) => sum + Object.keys(item).length, 0), 'Every operation should be listed once');
+    assert(Object.keys(V1_OPERATIONS).length === Object.values(v1Document.paths).reduce((sum, item) => sum + Object.keys(item).length, 0), 'Every v1 operation should be listed once');
+    assert(data.deprecated && !v1Document.paths['/api/v1/content'].get.deprecated, 'Only the routes outside /api/v1 should be deprecated');
+    assert(v1Document.paths['/api/v1/content'].post.responses[409].content['application/json'].schema.$ref.endsWith('/V1Error'), 'v1 errors should use the v1 error shape');
+    assert(Object.keys(V1_OPERATIONS).every(id => OPERATIONS[id] || V1_OPERATIONS[id].graphql), 'Every v1 operation should replace a deprecated one');
+    assert(v1Document.paths['/api/graphql'].post.responses[400].content['application/json'].schema.$ref.endsWith('/GraphqlResponse'), 'GraphQL errors should use the GraphQL response shape');
+    console.log(`✅ ${routeFiles.length} route files are documented and every reference resolves`);
+
+    // Test 4: Responses match their schemas
+    console.log('\n4️⃣ Testing responses against their schemas...');
+    const page = await storage.getAllContent({ limit: 1 });
+    assertMatches('ContentPage', { items: page.items.map(toContentData), nextCursor: page.nextCursor, total: page.total });
+    const search = await storage.searchContent('style', {});
+    assertMatches('ContentItem', toContentData(search.items[0]));
+    const aggregates = await storage.getAggregates();
+    assertMatches('Aggregates', { ...aggregates, topTimeSpent: aggregates.topTimeSpent.map(toContentData), topUpvoted: aggregates.topUpvoted.map(toContentData) });
+    assertMatches('Stats', {
+      stats: await storage.getContentStats(),
+      categories: await storage.getCategories(),
+      tags: await storage.getTags(),
+      sources: await storage.getSources()
+    });
+    const created = createContent(db, { category: 'Basics', url: 'https://example.com/c', source: 'Instagram', tags: 'Capsule' }, { actor: 'test' });
+    assertMatches('ContentItem', toContentData(created.content));
+    assert(schemaErrors(COMPONENTS.ContentPayload, { category: 'Basics', tags: ['a'], views: 3 }).length === 0, 'A payload should match ContentPayload');
+    assert(schemaErrors(COMPONENTS.ContentPayload, { title: 'x' }).length === 1, 'Unknown payload fields should not match');
+    updateContent(db, created.content.id, { views: 5 }, { partial: true, actor: 'test' });
+    assertMatches('AuditPage', getAuditLog(db));
+    assertMatches('Error', describeError(validationError([{ field: 'limit', message: 'must be an integer' }]), 'req-1').body);
+    console.log('✅ Listings, aggregates, stats, content items and the audit log match their schemas');
+
+    // Test 5: v1 shapes
+    console.log('\n5️⃣ Testing v1 responses...');
+    const v1Matches = (schema, value) => {
+      const errors = schemaErrors(schema, value);
+      assert(errors.length === 0, `v1 response does not match its schema: ${errors.slice(0, 3).join('; ')}`);
+    };
+    const bodyOf = async (operationId, status, response) => {
+      assert(response.status === status && response.headers.get('X-Request-Id') === 'req-1', `${operationId} should answer ${status} with the request id`);
+      const body = await response.json();
+      v1Matches(V1_OPERATIONS[operationId].responses[status].content['application/json'].schema, body);
+      return body;
+    };
+    const item = toContent(search.items[0]);
+    assert(Object.keys(item).every(name => /^[a-z][a-zA-Z]*$/.test(name)), `v1 content fields should be camelCase: ${Object.keys(item).join(', ')}`);
+    assert(item.highlights.category && item.contentType === 'Video', 'Highlights and lookups should use v1 names');
+    const listed = await bodyOf('listContent', 200, dataResponse(page.items.map(toContent), 'req-1', { pagination: paginationMeta(1, page.nextCursor, page.total) }));
+    assert(listed.meta.apiVersion === 'v1' && listed.meta.pagination.hasMore && listed.meta.pagination.total === page.total, 'Listings should carry pagination');
+    await bodyOf('getAggregates', 200, dataResponse({ ...aggregates, topTimeSpent: aggregates.topTimeSpent.map(toContent), topUpvoted: aggregates.topUpvoted.map(toContent) }, 'req-1'));
+    await bodyOf('getStats', 200, dataResponse({ totals: await storage.getContentStats(), categories: await storage.getCategories(), tags: await storage.getTags(), sources: await storage.getSources() }, 'req-1'));
+    await bodyOf('createContent', 201, dataResponse(toContent(created.content), 'req-1', {}, 201));
+    const audit = await bodyOf('getAuditLog', 200, dataResponse(getAuditLog(db).entries.map(toAuditEntry), 'req-1', { pagination: paginationMeta(50, null) }));
+    const updateEntry = audit.data.find(entry => entry.action === 'update');
+    assert(updateEntry.changes.includes('views') && Object.keys(updateEntry.after).every(name => !name.includes('_')), 'Audit entries should use v1 names');
+    const upload = parseUpload('Category,URL,Source,Views\nStyle Principles,https://example.com/a,Instagram,5', 'csv');
+    const preview = await bodyOf('previewImport', 200, dataResponse(toImportPreview({ format: 'csv', ...previewImport(db, upload.input) }), 'req-1'));
+    assert(preview.data.updates[0].changes.some(change => change.field === 'views'), 'Import previews should use v1 names');
+    const denied = await bodyOf('createContent', 409, errorEnvelopeResponse(apiError('conflict', 'url is already used', { duplicateOf: 1 }), 'req-1'));
+    assert(denied.error.code === 'conflict' && denied.error.duplicateOf === 1 && denied.meta.requestId === 'req-1', 'v1 errors should be { error, meta }');
+    const input = contentPayloadFromInput({ timeSpentMinutes: 3, contentType: 'Video', engagement_score: 0.5 });
+    assert(input.payload.time_spent_minutes === 3 && input.payload.content_type === 'Video', 'camelCase inputs should be written');
+    assert(input.errors.length === 1 && input.errors[0].message === 'is not a writable field (use engagementScore)', 'snake_case inputs should be refused');
+    assert(schemaErrors(COMPONENTS.V1ContentInput, { timeSpentMinutes: 3, tags: ['a'] }).length === 0, 'A v1 body should match V1ContentInput');
+    assert(toFieldErrors([{ field: 'time_spent_minutes', message: 'must be at least 0' }])[0].field === 'timeSpentMinutes', 'Field errors should use v1 names');
+    console.log('✅ v1 bodies are { data, meta } with camelCase fields and match their schemas');
+  } finally {
+    db.close();
+  }
+
+  console.log('\n🎉 All schema tests passed!');
+}
+
+runTests().catch(error => {
+  console.error('❌ Schema test failed:', error.message);
+  process.exit(1);
+});
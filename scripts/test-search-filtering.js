@@ -22,6 +22,21 @@ const testCases = [
     url: '/api/data?search=instagram',
     expectedMinRecords: 1
   },
+  {
+    name: 'Prefix search for "fash"',
+    url: '/api/data?search=fash',
+    expectedMinRecords: 1
+  },
+  {
+    name: 'Phrase search for "style principles"',
+    url: '/api/data?search=%22style%20principles%22',
+    expectedMinRecords: 1
+  },
+  {
+    name: 'URL search for "reel"',
+    url: '/api/data?search=reel',
+    expectedMinRecords: 1
+  },
   {
     name: 'Filter by Style Principles category',
     url: '/api/data?category=Style%20Principles',
@@ -53,6 +68,58 @@ const testCases = [
     expectedMinRecords: 5,
     expectedMaxRecords: 5
   },
+  {
+    name: 'Filter expression: views range and negation',
+    url: '/api/data?filter=views:1000..5000&filter=source!:substack',
+    expectedMinRecords: 1
+  },
+  {
+    name: 'Filter expression: several categories',
+    url: '/api/data?filter=category:%22Style%20Principles%22,%22Body%20Positivity%22',
+    expectedMinRecords: 2
+  },
+  {
+    name: 'Invalid filter expression',
+    url: '/api/data?filter=views:abc',
+    expectedStatus: 400
+  },
+  {
+    name: 'Sort by views ascending',
+    url: '/api/data?sortBy=views&sortDir=asc',
+    expectedMinRecords: 90,
+    expectedSort: ['Views', 'asc']
+  },
+  {
+    name: 'Search sorted by upvotes',
+    url: '/api/data?search=instagram&sortBy=upvotes',
+    expectedMinRecords: 1,
+    expectedSort: ['Upvotes', 'desc']
+  },
+  {
+    name: 'Unknown sort field',
+    url: '/api/data?sortBy=url',
+    expectedStatus: 400
+  },
+  {
+    name: 'Relevance sort without search',
+    url: '/api/data?sortBy=relevance',
+    expectedStatus: 400
+  },
+  {
+    name: 'Invalid cursor',
+    url: '/api/data?cursor=not-a-cursor',
+    expectedStatus: 400
+  },
+  {
+    name: 'Non-numeric limit',
+    url: '/api/data?limit=abc',
+    expectedStatus: 400
+  },
+  {
+    name: 'Unknown parameter',
+    url: '/api/data?offset=10',
+    expectedStatus: 400
+  },
   {
     name: 'Statistics endpoint',
     url: '/api/stats',
@@ -118,7 +185,15 @@ async function runTests() {
     try {
       const response = await makeRequest(url);
       
-      if (response.success) {
+      if (testCase.expectedStatus) {
+        if (response.status === testCase.expectedStatus) {
+          console.log(`   ✅ Status: ${response.status} (${response.data.error})`);
+          console.log(`   ✅ Test PASSED`);
+          passedTests++;
+        } else {
+          console.log(`   ❌ Status: expected ${testCase.expectedStatus}, got ${response.status}`);
+        }
+      } else if (response.success) {
         console.log(`   ✅ Status: ${response.status}`);
         
         if (testCase.url === '/api/stats') {
@@ -133,13 +208,25 @@ async function runTests() {
             console.log(`   ❌ Invalid stats response structure`);
           }
         } else {
-          // Regular data endpoint
-          const recordCount = Array.isArray(response.data) ? response.data.length : 0;
-          console.log(`   📊 Records returned: ${recordCount}`);
+          // Regular data endpoint: one page of items and the total across pages
+          const items = Array.isArray(response.data.items) ? response.data.items : [];
+          const recordCount = items.length;
+          const totalCount = response.data.total || 0;
+          console.log(`   📊 Records returned: ${recordCount} of ${totalCount}`);
+          
+          // Values of the sorted field, skipping missing ones (always listed last)
+          const sortedValues = testCase.expectedSort
+            ? items.map(item => item[testCase.expectedSort[0]]).filter(value => value !== null)
+            : [];
+          const outOfOrder = sortedValues.some((value, index) =>
+            index > 0 && (testCase.expectedSort[1] === 'asc' ? value < sortedValues[index - 1] : value > sortedValues[index - 1])
+          );
           
-          if (recordCount >= testCase.expectedMinRecords) {
+          if (totalCount >= testCase.expectedMinRecords) {
             if (testCase.expectedMaxRecords && recordCount > testCase.expectedMaxRecords) {
               console.log(`   ❌ Too many records: expected max ${testCase.expectedMaxRecords}, got ${recordCount}`);
+            } else if (outOfOrder) {
+              console.log(`   ❌ Records are not sorted by ${testCase.expectedSort.join(' ')}`);
             } else {
               console.log(`   ✅ Test PASSED`);
               passedTests++;
@@ -147,13 +234,13 @@ async function runTests() {
               // Show sample data for some tests
               if (recordCount > 0 && recordCount <= 3) {
                 console.log(`   🔍 Sample data:`);
-                response.data.slice(0, 2).forEach((item, index) => {
+                items.slice(0, 2).forEach((item, index) => {
                   console.log(`      ${index + 1}. ${item.Category} - ${item.Source} (Score: ${item.Engagement_Score})`);
                 });
               }
             }
           } else {
-            console.log(`   ❌ Not enough records: expected min ${testCase.expectedMinRecords}, got ${recordCount}`);
+            console.log(`   ❌ Not enough records: expected min ${testCase.expectedMinRecords}, got ${totalCount}`);
           }
         }
       } else {
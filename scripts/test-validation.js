@@ -0,0 +1,90 @@
+const Database = require('better-sqlite3');
+const { applyMigrations } = require('../lib/schema');
+const { isValidUrl, validateContent } = require('../lib/validation');
+const { checkDatabase, checkCsv } = require('../lib/quality');
+
+console.log('🧪 Testing Validation and Data Quality...\n');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const valid = {
+  category: 'Basics',
+  url: 'https://www.instagram.com/reel/abc/',
+  source: 'Instagram',
+  time_spent_minutes: 5.5,
+  upvotes: 10,
+  views: 100,
+  engagement_score: 0.5,
+  trending_score: 0.5
+};
+
+try {
+  // Test 1: Field validation
+  console.log('1️⃣ Testing field validation...');
+  assert(validateContent(valid).length === 0, 'A valid record should pass');
+  const errors = validateContent({ ...valid, url: 'ftp://a.com', views: -1, upvotes: 1.5, engagement_score: 7, source: ' ' });
+  const fields = errors.map(error => error.field).sort().join(',');
+  assert(fields === 'engagement_score,source,upvotes,url,views', `Unexpected invalid fields: ${fields}`);
+  assert(!isValidUrl('not a url') && isValidUrl('http://a.com/x'), 'URL check should require an http(s) URL with a host');
+  assert(validateContent({ views: 3 }, { partial: true }).length === 0, 'Partial validation should skip absent fields');
+  console.log('✅ Out-of-range numbers, bad URLs and missing fields are rejected');
+
+  // Test 2: Database constraints
+  console.log('\n2️⃣ Testing database constraints...');
+  const db = new Database(':memory:');
+  applyMigrations(db);
+  db.pragma('foreign_keys = ON');
+  db.prepare('INSERT INTO categories (key, display_name) VALUES (?, ?)').run('basics', 'Basics');
+  const insert = (url, views, engagement) => db
+    .prepare('INSERT INTO content (category_id, url, source_id, views, engagement_score) VALUES (1, ?, 1, ?, ?)')
+    .run(url, views, engagement);
+
+  insert('https://a.com/1', 0, 0.5);
+  [['', 1, 0.5], ['https://a.com/2', -1, 0.5], ['https://a.com/3', 'abc', 0.5], ['https://a.com/4', 1, 7]].forEach(args => {
+    let rejected = false;
+    try {
+      insert(...args);
+    } catch (error) {
+      rejected = /CHECK constraint failed/.test(error.message);
+    }
+    assert(rejected, `Insert of ${JSON.stringify(args)} should violate a CHECK constraint`);
+  });
+  let unknownSource = false;
+  try {
+    db.prepare("INSERT INTO content (category_id, url, source_id) VALUES (1, 'https://a.com/5', 99)").run();
+  } catch (error) {
+    unknownSource = true;
+  }
+  assert(unknownSource, 'An unknown source should violate the foreign key');
+  console.log('✅ The database rejects invalid values on its own');
+
+  // Test 3: Quality report
+  console.log('\n3️⃣ Testing quality report...');
+  const dbReport = checkDatabase(db);
+  assert(dbReport.checked === 1, 'The valid row should be checked');
+  assert(dbReport.counts.defaulted_zero === 2, 'Zero views and upvotes should be flagged as likely defaults');
+  assert(dbReport.counts.missing > 0, 'Empty optional fields should be flagged');
+  db.close();
+
+  const csvReport = checkCsv([
+    'Category,URL,Source,Views,Engagement Score',
+    'Basics,https://a.com/1,Instagram,,7',
+    'Basics,not a url,Instagram,1,0.5',
+    'Basics,https://a.com/3,Instagram,abc,0.5'
+  ].join('\n'));
+  assert(csvReport.counts.out_of_range === 1, 'Engagement score 7 should be out of range');
+  assert(csvReport.counts.defaulted_zero >= 1, 'Blank views should be reported as defaulted');
+  assert(csvReport.counts.invalid_url === 1, 'The invalid URL should be reported');
+  assert(csvReport.counts.unreadable === 1, 'The non-numeric row should be reported');
+  console.log('✅ The report lists out-of-range values, defaulted zeros, missing fields and invalid URLs');
+
+  console.log('\n🎉 All validation tests passed!');
+} catch (error) {
+  console.error('❌ Validation test failed:', error.message);
+  console.error('Stack trace:', error.stack);
+  process.exit(1);
+}